@@ -1,13 +1,46 @@
 import fs from 'fs';
 import os from 'os';
 import path from 'path';
-import { createTTS, getTTSConfig } from './util/tts.js';
+import { tool } from '@opencode-ai/plugin';
+import { createTTS, getTTSConfig, audioQueue, speechParts } from './util/tts.js';
 import { getSmartMessage } from './util/ai-messages.js';
-import { notifyTaskComplete, notifyPermissionRequest, notifyQuestion, notifyError } from './util/desktop-notify.js';
-import { notifyWebhookIdle, notifyWebhookPermission, notifyWebhookError, notifyWebhookQuestion } from './util/webhook.js';
+import { notifyTaskComplete, notifyPermissionRequest, notifyQuestion, notifyError, notifyAgentMessage } from './util/desktop-notify.js';
+import { notifyWebhookIdle, notifyWebhookPermission, notifyWebhookError, notifyWebhookQuestion, notifyWebhookAgent } from './util/webhook.js';
 import { isTerminalFocused } from './util/focus-detect.js';
 import { pickThemeSound } from './util/sound-theme.js';
 import { getProjectSound } from './util/per-project-sound.js';
+import { createSessionTracker } from './util/session-state.js';
+import { isBlockedByQuietHours, getActiveQuietWindow } from './util/quiet-hours.js';
+import { recordNotification, recordResponse, readHistory } from './util/history.js';
+import { createChannelRegistry } from './util/channels.js';
+import { resolveRoute, hasRulesForEvent, rulesUseFocus } from './util/routing.js';
+import { getEscalationSteps } from './util/escalation.js';
+import { buildSessionDigest } from './util/session-digest.js';
+import { spokenDuration } from './util/session-summary.js';
+import { renderTemplate, renderMessages, templateVariables } from './util/templates.js';
+import { extractQuestions, summarizeQuestions, extractPermission, summarizePermissions } from './util/request-details.js';
+import { parseVoiceCommand, createVoiceControls, VOICE_COMMAND_USAGE } from './util/voice-commands.js';
+import { formatDuration } from './util/duration.js';
+import { engineHealth } from './util/circuit-breaker.js';
+import { clearAudioCache, getAudioCacheStats } from './util/audio-cache.js';
+
+// Desktop and webhook helpers per notification type - the keys are also the
+// event types the desktop and webhook channels handle
+const DESKTOP_NOTIFIERS = {
+  idle: notifyTaskComplete,
+  permission: notifyPermissionRequest,
+  question: notifyQuestion,
+  error: notifyError,
+  agent: notifyAgentMessage
+};
+
+const WEBHOOK_NOTIFIERS = {
+  idle: notifyWebhookIdle,
+  permission: notifyWebhookPermission,
+  question: notifyWebhookQuestion,
+  error: notifyWebhookError,
+  agent: notifyWebhookAgent
+};
 
 /**
  * OpenCode Smart Voice Notify Plugin
@@ -24,6 +57,15 @@ import { getProjectSound } from './util/per-project-sound.js';
  * - Follow-up reminders with exponential backoff
  * - Monitor wake and volume boost
  * - Cross-platform support (Windows, macOS, Linux)
+ * - notify_user tool so the agent can deliberately get the user's attention
+ * - /voice slash commands to mute, snooze, test and inspect the notifier at runtime
+ * - Quiet hours (do-not-disturb schedules) with per-channel and per-event exceptions
+ * - Persistent notification history (rotating JSONL) to see what you missed
+ * - Pluggable notification channels (toast, desktop, webhook, sound, tts) behind one send() interface
+ * - Routing rules that pick channels per event, project, time and terminal focus
+ * - Escalation ladders that move unanswered requests to louder channels over time
+ * - Serialized audio queue with priorities, duplicate merging and stale-clip dropping
+ * - Audio cache for synthesized speech, optionally pre-rendered at startup
  * 
  * @type {import("@opencode-ai/plugin").Plugin}
  */
@@ -58,7 +100,7 @@ export default async function SmartVoiceNotifyPlugin({ project, client, $, direc
   }
 
 
-  let tts = createTTS({ $, client });
+  let tts = createTTS({ $, client, project: derivedProjectName });
 
 
   const platform = os.platform();
@@ -76,30 +118,13 @@ export default async function SmartVoiceNotifyPlugin({ project, client, $, direc
     }
   }
 
-  // Track pending TTS reminders (can be cancelled if user responds)
-  const pendingReminders = new Map();
-  
-  // Track last user activity time
-  let lastUserActivityTime = Date.now();
-  
-  // Track seen user message IDs to avoid treating message UPDATES as new user activity
-  // Key insight: message.updated fires for EVERY modification to a message, not just new messages
-  // We only want to treat the FIRST occurrence of each user message as "user activity"
-  const seenUserMessageIds = new Set();
-  
-  // Track the timestamp of when session went idle, to detect post-idle user messages
-  let lastSessionIdleTime = 0;
-  
-  // Track active permission request to prevent race condition where user responds
-  // before async notification code runs. Set on permission.updated, cleared on permission.replied.
-  let activePermissionId = null;
-
   // ========================================
   // PERMISSION BATCHING STATE
   // Batches multiple simultaneous permission requests into a single notification
   // ========================================
   
-  // Array of permission IDs waiting to be notified (collected during batch window)
+  // Array of permission requests waiting to be notified (collected during batch window)
+  // Each object contains { id: string, sessionID: string } so replies can be matched per session
   let pendingPermissionBatch = [];
   
   // Timeout ID for the batch window (debounce timer)
@@ -114,7 +139,7 @@ export default async function SmartVoiceNotifyPlugin({ project, client, $, direc
   // ========================================
   
   // Array of question request objects waiting to be notified (collected during batch window)
-  // Each object contains { id: string, questionCount: number } to track actual question count
+  // Each object contains { id: string, sessionID: string, questionCount: number } to track actual question count
   let pendingQuestionBatch = [];
   
   // Timeout ID for the question batch window (debounce timer)
@@ -122,10 +147,6 @@ export default async function SmartVoiceNotifyPlugin({ project, client, $, direc
   
   // Batch window duration in milliseconds (how long to wait for more questions)
   const QUESTION_BATCH_WINDOW_MS = config.questionBatchWindowMs || 800;
-  
-  // Track active question request to prevent race condition where user responds
-  // before async notification code runs. Set on question.asked, cleared on question.replied/rejected.
-  let activeQuestionId = null;
 
   /**
    * Write debug message to log file
@@ -138,6 +159,15 @@ export default async function SmartVoiceNotifyPlugin({ project, client, $, direc
     } catch (e) {}
   };
 
+  // Track pending TTS reminders, idle/activity timestamps and active permission/question
+  // requests PER SESSION, so parallel sessions never cancel or overwrite each other's reminders.
+  // A reply in session A must not silence a pending permission in session B.
+  const sessionTracker = createSessionTracker({ debugLog });
+
+  // Runtime controls set by /voice commands (mute, snooze, engine override).
+  // Applied as overrides on every config reload; never written to the config file.
+  const voiceControls = createVoiceControls();
+
   /**
    * Check if notifications should be suppressed due to terminal focus.
    * Returns true if we should NOT send sound/desktop notifications.
@@ -175,6 +205,57 @@ export default async function SmartVoiceNotifyPlugin({ project, client, $, direc
     return false;
   };
 
+  /**
+   * Check if quiet hours block a notification channel right now.
+   * Unlike focus suppression this also applies to TTS reminders and webhooks,
+   * unless the active window allows the channel or the event type.
+   * 
+   * @param {'sound' | 'tts' | 'desktop' | 'webhook'} channel - Notification channel
+   * @param {string | null} eventType - Event type (idle, permission, question, error, agent)
+   * @param {string[]} [blocked] - A notification's quietHoursBlocked list; the channel is added when blocked
+   * @returns {boolean} True if the channel should stay silent
+   */
+  const isQuietHours = (channel, eventType = null, blocked = null) => {
+    if (!isBlockedByQuietHours(config, channel, eventType)) return false;
+    debugLog(`quiet hours: ${channel} blocked${eventType ? ` for ${eventType}` : ''}`);
+    blocked?.push(channel);
+    return true;
+  };
+
+  /**
+   * Record a notification in the persistent history (if enabled).
+   * Call sites pass what held the notification back (focus, the channels quiet hours blocked).
+   * 
+   * @param {string} type - Notification type (idle, permission, question, error, agent)
+   * @param {object} details
+   * @param {string} details.sessionID - Session the notification belongs to
+   * @param {string} details.message - Human-readable message
+   * @param {string[]} [details.channels] - Channels that actually fired
+   * @param {boolean} [details.focusSuppressed] - Whether focus detection held back sound/desktop
+   * @param {string[]} [details.quietHoursBlocked] - Channels quiet hours held back (notification.quietHoursBlocked)
+   * @param {boolean} [details.reminder] - True for TTS reminders
+   */
+  const recordHistory = (type, { sessionID, message, channels = [], focusSuppressed = false, quietHoursBlocked = [], reminder = false }) => {
+    if (config.enableHistory === false) return;
+
+    const suppressedReasons = [];
+    if (focusSuppressed) suppressedReasons.push('terminal-focused');
+    if (quietHoursBlocked.length > 0) suppressedReasons.push('quiet-hours');
+    if (voiceControls.isMuted()) suppressedReasons.push('muted');
+
+    recordNotification({ sessionID, type, message, channels, suppressedReasons, reminder }, config);
+  };
+
+  /**
+   * Record that the user responded in a session (if history is enabled).
+   * @param {string} sessionID
+   * @param {string} type - Notification type that was answered
+   */
+  const recordHistoryResponse = (sessionID, type) => {
+    if (config.enableHistory === false) return;
+    recordResponse(sessionID, type, config);
+  };
+
   /**
    * Get a random message from an array of messages
    */
@@ -185,6 +266,42 @@ export default async function SmartVoiceNotifyPlugin({ project, client, $, direc
     return messages[Math.floor(Math.random() * messages.length)];
   };
 
+  /**
+   * Placeholder values for message templates (see util/templates.js).
+   * @param {string} type - Notification type
+   * @param {string} [sessionID] - Session the notification belongs to (omitted for multi-session batches)
+   * @param {object} [extra]
+   * @param {number} [extra.count] - Number of pending items
+   * @param {object} [extra.aiContext] - Idle context with the change summary and turn duration
+   * @returns {object} { project, sessionTitle, count, elapsed, waitingFor, filesChanged, userName }
+   */
+  const templateVars = (type, sessionID, { count, aiContext } = {}) => {
+    const since = sessionID ? sessionTracker.awaitingSince(sessionID, type) : null;
+    return {
+      project: derivedProjectName,
+      sessionTitle: (sessionID ? sessionTracker.getSession(sessionID).title : null) || aiContext?.sessionTitle,
+      count,
+      elapsed: aiContext?.durationMs ? spokenDuration(aiContext.durationMs) : undefined,
+      waitingFor: since ? spokenDuration(Date.now() - since) : undefined,
+      filesChanged: aiContext?.sessionSummary?.files || aiContext?.filesEdited?.length || undefined,
+      userName: config.userName
+    };
+  };
+
+  /**
+   * Text for a channel from messageTemplates (e.g. messageTemplates.toast.idle),
+   * rendered with the notification's template values, or the built-in text.
+   * @param {'toast' | 'desktop' | 'webhookTitle'} channel
+   * @param {object} notification
+   * @param {string} [builtIn]
+   * @returns {string | undefined}
+   */
+  const channelText = (channel, notification, builtIn) => {
+    const template = config.messageTemplates?.[channel]?.[notification.type];
+    if (typeof template !== 'string' || !template.trim()) return builtIn;
+    return renderTemplate(template, { count: notification.count, ...notification.vars }) || builtIn;
+  };
+
   /**
    * Show a TUI toast notification
    */
@@ -207,12 +324,14 @@ export default async function SmartVoiceNotifyPlugin({ project, client, $, direc
    * Send a desktop notification (if enabled).
    * Desktop notifications are independent of sound/TTS and fire immediately.
    * 
-   * @param {'idle' | 'permission' | 'question' | 'error'} type - Notification type
+   * @param {'idle' | 'permission' | 'question' | 'error' | 'agent'} type - Notification type
    * @param {string} message - Notification message
-   * @param {object} options - Additional options (count for permission/question/error)
+   * @param {object} options - Additional options (count for permission/question/error, urgency for agent, quietHoursBlocked)
+   * @returns {boolean} True if a notification was dispatched
    */
   const sendDesktopNotify = (type, message, options = {}) => {
-    if (!config.enableDesktopNotification) return;
+    if (!config.enableDesktopNotification) return false;
+    if (isQuietHours('desktop', type, options.quietHoursBlocked)) return false;
     
     try {
       // Build options with project name if configured
@@ -224,29 +343,22 @@ export default async function SmartVoiceNotifyPlugin({ project, client, $, direc
         count: options.count || 1
       };
       
-      // Fire and forget (no await) - desktop notification should not block other operations
-      // Use the appropriate helper function based on notification type
-      if (type === 'idle') {
-        notifyTaskComplete(message, notifyOptions).catch(e => {
-          debugLog(`Desktop notification error (idle): ${e.message}`);
-        });
-      } else if (type === 'permission') {
-        notifyPermissionRequest(message, notifyOptions).catch(e => {
-          debugLog(`Desktop notification error (permission): ${e.message}`);
-        });
-      } else if (type === 'question') {
-        notifyQuestion(message, notifyOptions).catch(e => {
-          debugLog(`Desktop notification error (question): ${e.message}`);
-        });
-      } else if (type === 'error') {
-        notifyError(message, notifyOptions).catch(e => {
-          debugLog(`Desktop notification error (error): ${e.message}`);
-        });
+      if (options.urgency) {
+        notifyOptions.urgency = options.urgency;
       }
+
+      // Fire and forget (no await) - desktop notification should not block other operations
+      const notify = DESKTOP_NOTIFIERS[type];
+      if (!notify) return false;
+      notify(message, notifyOptions).catch(e => {
+        debugLog(`Desktop notification error (${type}): ${e.message}`);
+      });
       
       debugLog(`sendDesktopNotify: sent ${type} notification`);
+      return true;
     } catch (e) {
       debugLog(`sendDesktopNotify error: ${e.message}`);
+      return false;
     }
   };
 
@@ -254,18 +366,21 @@ export default async function SmartVoiceNotifyPlugin({ project, client, $, direc
    * Send a webhook notification (if enabled).
    * Webhook notifications are independent and fire immediately.
    * 
-   * @param {'idle' | 'permission' | 'question' | 'error'} type - Notification type
+   * @param {'idle' | 'permission' | 'question' | 'error' | 'agent'} type - Notification type
    * @param {string} message - Notification message
-   * @param {object} options - Additional options (count, sessionId)
+   * @param {object} options - Additional options (count, sessionId, mention, fields, title, routed, quietHoursBlocked)
+   * @returns {boolean} True if a webhook was dispatched
    */
   const sendWebhookNotify = (type, message, options = {}) => {
-    if (!config.enableWebhook || !config.webhookUrl) return;
+    if (!config.enableWebhook || !config.webhookUrl) return false;
     
-    // Check if this event type is enabled in webhookEvents
-    if (Array.isArray(config.webhookEvents) && !config.webhookEvents.includes(type)) {
+    // Check if this event type is enabled in webhookEvents (routing rules pick events themselves)
+    if (!options.routed && Array.isArray(config.webhookEvents) && !config.webhookEvents.includes(type)) {
       debugLog(`sendWebhookNotify: ${type} event skipped (not in webhookEvents)`);
-      return;
+      return false;
     }
+
+    if (isQuietHours('webhook', type, options.quietHoursBlocked)) return false;
     
     try {
       // Note: SDK's Project type doesn't have 'name' property, so we use derivedProjectName
@@ -275,31 +390,23 @@ export default async function SmartVoiceNotifyPlugin({ project, client, $, direc
         count: options.count || 1,
         username: config.webhookUsername,
         debugLog: config.debugLog,
-        mention: type === 'permission' ? config.webhookMentionOnPermission : false
+        mention: Boolean(options.mention) || (type === 'permission' && Boolean(config.webhookMentionOnPermission)),
+        fields: options.fields,
+        title: options.title
       };
       
       // Fire and forget (no await)
-      if (type === 'idle') {
-        notifyWebhookIdle(config.webhookUrl, message, webhookOptions).catch(e => {
-          debugLog(`Webhook notification error (idle): ${e.message}`);
-        });
-      } else if (type === 'permission') {
-        notifyWebhookPermission(config.webhookUrl, message, webhookOptions).catch(e => {
-          debugLog(`Webhook notification error (permission): ${e.message}`);
-        });
-      } else if (type === 'question') {
-        notifyWebhookQuestion(config.webhookUrl, message, webhookOptions).catch(e => {
-          debugLog(`Webhook notification error (question): ${e.message}`);
-        });
-      } else if (type === 'error') {
-        notifyWebhookError(config.webhookUrl, message, webhookOptions).catch(e => {
-          debugLog(`Webhook notification error (error): ${e.message}`);
-        });
-      }
+      const notify = WEBHOOK_NOTIFIERS[type];
+      if (!notify) return false;
+      notify(config.webhookUrl, message, webhookOptions).catch(e => {
+        debugLog(`Webhook notification error (${type}): ${e.message}`);
+      });
       
       debugLog(`sendWebhookNotify: sent ${type} notification`);
+      return true;
     } catch (e) {
       debugLog(`sendWebhookNotify error: ${e.message}`);
+      return false;
     }
   };
 
@@ -308,9 +415,13 @@ export default async function SmartVoiceNotifyPlugin({ project, client, $, direc
    * @param {string} soundFile - Default sound file path
    * @param {number} loops - Number of times to loop
    * @param {string} eventType - Event type for theme support (idle, permission, error, question)
+   * @param {object} [clipOptions={}] - Audio queue options (key, isStale), see audioClipOptions()
+   * @param {string[]} [quietHoursBlocked] - Gets 'sound' added if quiet hours hold the sound back
+   * @returns {Promise<boolean>} True if a sound was played
    */
-  const playSound = async (soundFile, loops = 1, eventType = null) => {
-    if (!config.enableSound) return;
+  const playSound = async (soundFile, loops = 1, eventType = null, clipOptions = {}, quietHoursBlocked = null) => {
+    if (!config.enableSound) return false;
+    if (isQuietHours('sound', eventType, quietHoursBlocked)) return false;
     try {
       let soundPath = soundFile;
       
@@ -344,45 +455,370 @@ export default async function SmartVoiceNotifyPlugin({ project, client, $, direc
           if (fs.existsSync(fallbackPath)) {
             await tts.wakeMonitor();
             await tts.forceVolume();
-            await tts.playAudioFile(fallbackPath, loops);
+            const played = await tts.playAudioFile(fallbackPath, loops, { eventType, ...clipOptions });
             debugLog(`playSound: fell back to default sound ${fallbackPath}`);
-            return;
+            return played;
           }
         }
-        return;
+        return false;
       }
       
       await tts.wakeMonitor();
       await tts.forceVolume();
-      await tts.playAudioFile(finalPath, loops);
-      debugLog(`playSound: played ${finalPath} (${loops}x)`);
+      const played = await tts.playAudioFile(finalPath, loops, { eventType, ...clipOptions });
+      debugLog(played ? `playSound: played ${finalPath} (${loops}x)` : `playSound: ${finalPath} dropped or preempted`);
+      return played;
     } catch (e) {
       debugLog(`playSound error: ${e.message}`);
+      return false;
+    }
+  };
+
+
+  // Event types the session tracker raises (and resolves when the user responds)
+  const AWAITED_TYPES = ['idle', 'permission', 'question', 'error'];
+
+  /**
+   * Audio queue options for a notification's sound or speech: one clip per
+   * kind, type and session(s) (duplicates merge), dropped if the user responds
+   * in every session before it gets to play.
+   * @param {'sound' | 'speech'} kind
+   * @param {string} type - Notification type
+   * @param {string | string[]} sessionIDs - The session, or every session a batch covers
+   * @returns {{ eventType: string, key: string, isStale?: function }}
+   */
+  const audioClipOptions = (kind, type, sessionIDs) => {
+    const ids = [sessionIDs].flat().filter(Boolean).sort();
+    return {
+      eventType: type,
+      key: `${kind}:${type}:${ids.join(',') || 'unknown'}`,
+      ...(AWAITED_TYPES.includes(type) && {
+        isStale: () => !ids.some(id => sessionTracker.isAwaiting(id, type))
+      })
+    };
+  };
+
+  /**
+   * Stop a session's sound and speech for a type right away, whether it is
+   * playing or still queued (the user just responded).
+   * @param {string} sessionID
+   * @param {string} type - Notification type
+   */
+  const stopNotificationAudio = (sessionID, type) => {
+    const stopped = audioQueue.cancel(audioClipOptions('sound', type, sessionID).key) +
+                    audioQueue.cancel(audioClipOptions('speech', type, sessionID).key);
+    if (stopped > 0) {
+      debugLog(`stopNotificationAudio: stopped ${stopped} ${type} clip(s) for session ${sessionID}`);
     }
   };
 
+  // ========================================
+  // NOTIFICATION CHANNELS
+  // Every output implements send(notification); handlers build one notification
+  // object and dispatch it. Registration order is dispatch order: the visual
+  // channels fire instantly, then the sound is awaited, then speech starts.
+  // ========================================
+  //
+  // Notification fields read by the built-in channels:
+  //   type, sessionID, sessionIDs (every session a batch covers), message (desktop/webhook text), count, urgency, mention,
+  //   fields (extra webhook embed fields), focusSuppressed, quietHoursBlocked (filled in with the channels
+  //   quiet hours held back, for history), toast { message, variant, duration }, sound { file, loops },
+  //   speech { message (string or parts, or an async function returning them), fallbackSound,
+  //            reminder (speaks in the reminder voice profile), withoutSound (speaks even with enableSound off) }
+  const notificationChannels = createChannelRegistry({ debugLog });
+
+  notificationChannels.register({
+    name: 'toast',
+    events: '*',
+    send: (notification) => {
+      if (!config.enableToast || !notification.toast) return false;
+      const { message, variant = 'info', duration = 5000 } = notification.toast;
+      showToast(channelText('toast', notification, message), variant, duration);  // No await - instant display
+      return true;
+    }
+  });
+
+  notificationChannels.register({
+    name: 'desktop',
+    events: Object.keys(DESKTOP_NOTIFIERS),
+    suppressWhenFocused: true,
+    send: (notification) => sendDesktopNotify(notification.type, channelText('desktop', notification, notification.message), {
+      count: notification.count,
+      urgency: notification.urgency,
+      quietHoursBlocked: notification.quietHoursBlocked
+    })
+  });
+
+  notificationChannels.register({
+    name: 'webhook',
+    events: Object.keys(WEBHOOK_NOTIFIERS),
+    send: (notification) => sendWebhookNotify(notification.type, notification.message, {
+      count: notification.count,
+      sessionId: notification.sessionID,
+      mention: notification.mention,
+      fields: notification.fields,
+      title: channelText('webhookTitle', notification),
+      routed: Boolean(notification.route),
+      quietHoursBlocked: notification.quietHoursBlocked
+    })
+  });
+
+  notificationChannels.register({
+    name: 'sound',
+    events: ['idle', 'permission', 'question', 'error'],
+    suppressWhenFocused: true,
+    send: (notification) => {
+      if (!notification.sound?.file) return false;
+      return playSound(notification.sound.file, notification.sound.loops || 1, notification.type,
+        audioClipOptions('sound', notification.type, notification.sessionIDs || notification.sessionID),
+        notification.quietHoursBlocked);
+    }
+  });
+
+  notificationChannels.register({
+    name: 'tts',
+    events: '*',
+    send: (notification) => {
+      if (!notification.speech || isQuietHours('tts', notification.type, notification.quietHoursBlocked)) return false;
+      const { message, fallbackSound, reminder = false, withoutSound = false } = notification.speech;
+
+      // Don't await the TTS generation/playback to avoid blocking the terminal
+      (async () => {
+        const text = typeof message === 'function' ? await message() : message;
+        await tts.wakeMonitor();
+        await tts.forceVolume();
+        await tts.speak(text, {
+          enableTTS: true,
+          // Speech that doesn't depend on enableSound (e.g. notify_user) still speaks with sounds off
+          ...(withoutSound && { enableSound: true }),
+          fallbackSound,
+          reminder,
+          ...audioClipOptions('speech', notification.type, notification.sessionIDs || notification.sessionID)
+        });
+      })().catch(e => debugLog(`TTS error (${notification.type}): ${e.message}`));
+      return true;
+    }
+  });
+
+  /**
+   * Whether the notification mode speaks as soon as an event fires
+   * (instead of only through delayed reminders).
+   * @returns {boolean}
+   */
+  const speaksImmediately = () => config.notificationMode === 'tts-first' || config.notificationMode === 'both';
+
+  /**
+   * Find the routing rule for a notification (notificationRules).
+   * Focus detection only runs when a rule depends on it.
+   * @param {string} type - Notification type (idle, permission, question, error, agent)
+   * @returns {Promise<{ index: number, channels: string[], urgency: string | null } | null>}
+   *   The route, or null when no rule matches and the flat settings apply
+   */
+  const routeNotification = async (type) => {
+    const rules = config.notificationRules;
+    if (!hasRulesForEvent(rules, type)) return null;
+
+    let focused = false;
+    if (rulesUseFocus(rules)) {
+      try {
+        focused = await isTerminalFocused({ debugLog: config.debugLog });
+      } catch (e) {
+        debugLog(`routeNotification: focus detection error: ${e.message}`);
+      }
+    }
+
+    const route = resolveRoute(rules, { event: type, project: derivedProjectName, focused });
+    if (route) {
+      debugLog(`routeNotification: ${type} matched rule #${route.index + 1} -> [${route.channels.join(', ')}]`);
+    }
+    return route;
+  };
+
+  /**
+   * Whether to schedule a TTS reminder: an escalation ladder for the type always
+   * wants one (it replaces the reminder), otherwise a matched route decides with
+   * "reminder", otherwise the flat reminder setting and notification mode do.
+   * @param {object | null} route - Result of routeNotification()
+   * @param {string} type - Notification type
+   * @returns {boolean}
+   */
+  const wantsReminder = (route, type) => {
+    if (getEscalationSteps(config, type).length > 0) return true;
+    return route
+      ? route.channels.includes('reminder')
+      : Boolean(config.enableTTSReminder) && config.notificationMode !== 'sound-only';
+  };
+
+  /**
+   * Map a route/tool urgency to the desktop notification urgency.
+   * @param {'low' | 'normal' | 'high' | null} urgency
+   * @returns {string | undefined} undefined keeps the per-type default
+   */
+  const toDesktopUrgency = (urgency) => urgency === 'high' ? 'critical' : (urgency || undefined);
+
+  /**
+   * Cancel any pending TTS reminder of a given type for one session
+   * @param {string} sessionID - Session the reminder belongs to
+   * @param {string} type - 'idle', 'permission', 'question', or 'error'
+   */
+  const cancelPendingReminder = (sessionID, type) => {
+    if (sessionTracker.cancelReminder(sessionID, type)) {
+      debugLog(`cancelPendingReminder: cancelled ${type} for session ${sessionID}`);
+    }
+  };
 
   /**
-   * Cancel any pending TTS reminder for a given type
+   * Cancel all pending TTS reminders of one session (called on user activity in that session)
+   * @param {string} sessionID - Session whose reminders should be cancelled
    */
-  const cancelPendingReminder = (type) => {
-    const existing = pendingReminders.get(type);
-    if (existing) {
-      clearTimeout(existing.timeoutId);
-      pendingReminders.delete(type);
-      debugLog(`cancelPendingReminder: cancelled ${type}`);
+  const cancelSessionReminders = (sessionID) => {
+    const cancelled = sessionTracker.cancelSessionReminders(sessionID);
+    if (cancelled > 0) {
+      debugLog(`cancelSessionReminders: cancelled ${cancelled} reminder(s) for session ${sessionID}`);
     }
   };
 
   /**
-   * Cancel all pending TTS reminders (called on user activity)
+   * Cancel pending TTS reminders across all sessions (plugin disabled, /voice snooze)
+   * @returns {number} Number of reminders cancelled
    */
   const cancelAllPendingReminders = () => {
-    for (const [type, reminder] of pendingReminders.entries()) {
-      clearTimeout(reminder.timeoutId);
-      debugLog(`cancelAllPendingReminders: cancelled ${type}`);
+    const cancelled = sessionTracker.cancelAllReminders();
+    debugLog(`cancelAllPendingReminders: cancelled ${cancelled} reminder(s)`);
+    return cancelled;
+  };
+
+  /**
+   * Name the session in a reminder when more than one session is waiting on the user,
+   * so it's clear which one to switch to. Single-session reminders are left untouched.
+   * @param {string} sessionID - Session the reminder belongs to
+   * @param {string[]} parts - Spoken parts of the reminder
+   * @returns {Promise<string[]>} Parts, led by the session title when needed
+   */
+  const withSessionLabel = async (sessionID, parts) => {
+    if (!sessionID || sessionTracker.activeSessionCount() < 2) {
+      return parts;
+    }
+    const state = sessionTracker.getSession(sessionID);
+    if (!state.title) {
+      try {
+        const session = await client.session.get({ path: { id: sessionID } });
+        sessionTracker.setTitle(sessionID, session?.data?.title);
+      } catch (e) {}
+    }
+    return state.title ? [`Session "${state.title}":`, ...parts] : parts;
+  };
+
+  /**
+   * Build the spoken message for a reminder or follow-up.
+   * For permissions/questions/errors with count > 1, uses the count-aware message generators.
+   * The parts (session label, reminder message, details) are spoken as separate clips,
+   * so a static reminder message plays from the audio cache (see speechParts).
+   * @param {string} type - 'idle', 'permission', 'question', or 'error'
+   * @param {string} sessionID - Session the reminder belongs to
+   * @param {number} count - Number of pending items
+   * @param {object} aiContext - Stored AI context for context-aware message generation
+   * @param {string} [details] - What the request is about (e.g. the question text), appended to the message
+   * @returns {Promise<string[]>} The spoken parts of the reminder message
+   */
+  const getReminderMessage = async (type, sessionID, count, aiContext, details) => {
+    const vars = templateVars(type, sessionID, { count, aiContext });
+    let message;
+    if (type === 'permission') {
+      message = await getPermissionMessage(count, true, aiContext, vars);
+    } else if (type === 'question') {
+      message = await getQuestionMessage(count, true, aiContext, vars);
+    } else if (type === 'error') {
+      message = await getErrorMessage(count, true, aiContext, vars);
+    } else {
+      // Pass stored AI context for idle reminders (context-aware AI feature)
+      message = await getSmartMessage('idle', true, renderMessages(config.idleReminderTTSMessages, vars), aiContext);
     }
-    pendingReminders.clear();
+    return withSessionLabel(sessionID, speechParts([message, details]));
+  };
+
+  /**
+   * Run the escalation ladder for an unanswered notification.
+   * The ladder occupies the session's reminder slot for the type, so every path
+   * that cancels reminders (replies, new user messages, /voice snooze) also stops it.
+   * Each step fires through the channels it names, even if they are switched off
+   * for first notifications (webhookEvents, notificationMode); quiet hours still apply.
+   * 
+   * @param {string} type - 'idle', 'permission', 'question', or 'error'
+   * @param {Array<{ afterMs: number, channels: string[], urgency: string | null }>} steps - From getEscalationSteps()
+   * @param {object} options - Same options as scheduleTTSReminder (sessionID, fallbackSound, counts, aiContext, details)
+   */
+  const scheduleEscalation = (type, steps, options = {}) => {
+    const sessionID = options.sessionID;
+    const itemCount = options.permissionCount || options.questionCount || options.errorCount || 1;
+    const aiContext = options.aiContext || {};
+    const startedAt = Date.now();
+    // Step delays count from the first notification (when the session started
+    // waiting), not from here - the first sound and speech have already played
+    const firstNotifiedAt = sessionTracker.awaitingSince(sessionID, type) ?? startedAt;
+
+    cancelPendingReminder(sessionID, type);
+
+    const scheduleStep = (index) => {
+      const step = steps[index];
+      const delayMs = Math.max(0, firstNotifiedAt + step.afterMs - Date.now());
+      debugLog(`scheduleEscalation: ${type} step ${index + 1}/${steps.length} for session ${sessionID} in ${Math.round(delayMs / 1000)}s via [${step.channels.join(', ')}]`);
+
+      const timeoutId = setTimeout(async () => {
+        try {
+          // Stop if the ladder was cancelled or the user responded in the meantime
+          if (sessionTracker.getReminder(sessionID, type)?.escalationStep !== index) return;
+          if (sessionTracker.getSession(sessionID).lastActivityTime > startedAt ||
+              !sessionTracker.isAwaiting(sessionID, type)) {
+            debugLog(`scheduleEscalation: ${type} for session ${sessionID} stopped - user responded`);
+            sessionTracker.deleteReminder(sessionID, type);
+            return;
+          }
+
+          const parts = await getReminderMessage(type, sessionID, itemCount, aiContext, options.details);
+          const message = parts.join(' ');
+          const quietHoursBlocked = [];
+          const channels = await notificationChannels.dispatch({
+            type,
+            sessionID,
+            message,
+            count: itemCount,
+            route: step.channels,
+            urgency: toDesktopUrgency(step.urgency),
+            mention: step.urgency === 'high',
+            quietHoursBlocked,
+            vars: templateVars(type, sessionID, { count: itemCount, aiContext }),
+            toast: { message: `⏰ ${message}`, variant: 'warning', duration: 8000 },
+            sound: { file: options.fallbackSound, loops: 1 },
+            speech: { message: parts, fallbackSound: options.fallbackSound, reminder: true }
+          });
+          recordHistory(type, { sessionID, message, channels, quietHoursBlocked, reminder: true });
+
+          // The user may have responded while this step was playing
+          if (sessionTracker.getReminder(sessionID, type)?.escalationStep !== index) return;
+
+          if (index + 1 < steps.length) {
+            scheduleStep(index + 1);
+          } else {
+            debugLog(`scheduleEscalation: ${type} ladder finished for session ${sessionID}`);
+            sessionTracker.deleteReminder(sessionID, type);
+          }
+        } catch (e) {
+          debugLog(`scheduleEscalation error: ${e.message}`);
+          sessionTracker.deleteReminder(sessionID, type);
+        }
+      }, delayMs);
+
+      sessionTracker.setReminder(sessionID, type, {
+        timeoutId,
+        scheduledAt: startedAt,
+        escalationStep: index,
+        itemCount,
+        aiContext
+      });
+    };
+
+    scheduleStep(0);
   };
 
   /**
@@ -390,30 +826,57 @@ export default async function SmartVoiceNotifyPlugin({ project, client, $, direc
    * The reminder generates an AI message WHEN IT FIRES (not immediately), avoiding wasteful early AI calls.
    * @param {string} type - 'idle', 'permission', 'question', or 'error'
    * @param {string} _message - DEPRECATED: No longer used (AI message is generated when reminder fires)
-   * @param {object} options - Additional options (fallbackSound, permissionCount, questionCount, errorCount, aiContext)
+   * @param {object} options - Additional options (sessionID, fallbackSound, permissionCount, questionCount, errorCount, aiContext, details, routed)
    */
   const scheduleTTSReminder = (type, _message, options = {}) => {
-    // Check if TTS reminders are enabled
-    if (!config.enableTTSReminder) {
-      debugLog(`scheduleTTSReminder: TTS reminders disabled`);
+    const sessionID = options.sessionID;
+
+    // A configured escalation ladder replaces the TTS reminder and its follow-ups.
+    // It has its own config, so it runs even with TTS reminders off; only a /voice snooze holds it back.
+    const escalationSteps = getEscalationSteps(config, type);
+    if (escalationSteps.length > 0) {
+      if (voiceControls.isSnoozed()) {
+        debugLog(`scheduleTTSReminder: ${type} escalation skipped (snoozed)`);
+        return;
+      }
+      scheduleEscalation(type, escalationSteps, options);
       return;
     }
 
-    // Granular reminder control
-    if (type === 'idle' && config.enableIdleReminder === false) {
-      debugLog(`scheduleTTSReminder: idle reminders disabled via config`);
-      return;
-    }
-    if (type === 'permission' && config.enablePermissionReminder === false) {
-      debugLog(`scheduleTTSReminder: permission reminders disabled via config`);
-      return;
-    }
-    if (type === 'question' && config.enableQuestionReminder === false) {
-      debugLog(`scheduleTTSReminder: question reminders disabled via config`);
-      return;
+    if (options.routed) {
+      // A routing rule asked for this reminder - only a /voice snooze holds it back
+      if (voiceControls.isSnoozed()) {
+        debugLog(`scheduleTTSReminder: ${type} reminder skipped (snoozed)`);
+        return;
+      }
+    } else {
+      // Check if TTS reminders are enabled
+      if (!config.enableTTSReminder) {
+        debugLog(`scheduleTTSReminder: TTS reminders disabled`);
+        return;
+      }
+
+      // Granular reminder control
+      if (type === 'idle' && config.enableIdleReminder === false) {
+        debugLog(`scheduleTTSReminder: idle reminders disabled via config`);
+        return;
+      }
+      if (type === 'permission' && config.enablePermissionReminder === false) {
+        debugLog(`scheduleTTSReminder: permission reminders disabled via config`);
+        return;
+      }
+      if (type === 'question' && config.enableQuestionReminder === false) {
+        debugLog(`scheduleTTSReminder: question reminders disabled via config`);
+        return;
+      }
+      if (type === 'error' && config.enableErrorReminder === false) {
+        debugLog(`scheduleTTSReminder: error reminders disabled via config`);
+        return;
+      }
     }
-    if (type === 'error' && config.enableErrorReminder === false) {
-      debugLog(`scheduleTTSReminder: error reminders disabled via config`);
+
+    if (isQuietHours('tts', type)) {
+      debugLog(`scheduleTTSReminder: ${type} reminder skipped (quiet hours)`);
       return;
     }
 
@@ -430,8 +893,8 @@ export default async function SmartVoiceNotifyPlugin({ project, client, $, direc
     }
     const delayMs = delaySeconds * 1000;
 
-    // Cancel any existing reminder of this type
-    cancelPendingReminder(type);
+    // Cancel any existing reminder of this type for this session
+    cancelPendingReminder(sessionID, type);
 
     // Store count for generating count-aware messages in reminders
     const itemCount = options.permissionCount || options.questionCount || options.errorCount || 1;
@@ -439,42 +902,46 @@ export default async function SmartVoiceNotifyPlugin({ project, client, $, direc
     // Store AI context for context-aware follow-up messages
     const aiContext = options.aiContext || {};
 
-    debugLog(`scheduleTTSReminder: scheduling ${type} TTS in ${delaySeconds}s (count=${itemCount})`);
+    debugLog(`scheduleTTSReminder: scheduling ${type} TTS for session ${sessionID} in ${delaySeconds}s (count=${itemCount})`);
+
+    // Reminder speech waiting in the audio queue is dropped once the reminder is cancelled
+    const reminderClipOptions = {
+      ...audioClipOptions('speech', type, sessionID),
+      isStale: () => !sessionTracker.hasReminder(sessionID, type),
+      reminder: true
+    };
 
     const timeoutId = setTimeout(async () => {
       try {
         // Check if reminder was cancelled (user responded)
-        if (!pendingReminders.has(type)) {
-          debugLog(`scheduleTTSReminder: ${type} was cancelled before firing`);
+        if (!sessionTracker.hasReminder(sessionID, type)) {
+          debugLog(`scheduleTTSReminder: ${type} for session ${sessionID} was cancelled before firing`);
+          return;
+        }
+
+        // Check if user has been active in this session since notification
+        const reminder = sessionTracker.getReminder(sessionID, type);
+        if (reminder && sessionTracker.getSession(sessionID).lastActivityTime > reminder.scheduledAt) {
+          debugLog(`scheduleTTSReminder: ${type} for session ${sessionID} skipped - user active since notification`);
+          sessionTracker.deleteReminder(sessionID, type);
           return;
         }
 
-        // Check if user has been active since notification
-        const reminder = pendingReminders.get(type);
-        if (reminder && lastUserActivityTime > reminder.scheduledAt) {
-          debugLog(`scheduleTTSReminder: ${type} skipped - user active since notification`);
-          pendingReminders.delete(type);
+        // Quiet hours may have started since the reminder was scheduled
+        if (isQuietHours('tts', type)) {
+          debugLog(`scheduleTTSReminder: ${type} for session ${sessionID} dropped (quiet hours)`);
+          sessionTracker.deleteReminder(sessionID, type);
           return;
         }
 
-        debugLog(`scheduleTTSReminder: firing ${type} TTS reminder (count=${reminder?.itemCount || 1})`);
+        debugLog(`scheduleTTSReminder: firing ${type} TTS reminder for session ${sessionID} (count=${reminder?.itemCount || 1})`);
         
         // Get the appropriate reminder message
-        // For permissions/questions/errors with count > 1, use the count-aware message generator
-        // Pass stored AI context for context-aware message generation
+        // Pass stored count and AI context for count-aware, context-aware message generation
         const storedCount = reminder?.itemCount || 1;
         const storedAiContext = reminder?.aiContext || {};
-        let reminderMessage;
-        if (type === 'permission') {
-          reminderMessage = await getPermissionMessage(storedCount, true, storedAiContext);
-        } else if (type === 'question') {
-          reminderMessage = await getQuestionMessage(storedCount, true, storedAiContext);
-        } else if (type === 'error') {
-          reminderMessage = await getErrorMessage(storedCount, true, storedAiContext);
-        } else {
-          // Pass stored AI context for idle reminders (context-aware AI feature)
-          reminderMessage = await getSmartMessage('idle', true, config.idleReminderTTSMessages, storedAiContext);
-        }
+        const reminderParts = await getReminderMessage(type, sessionID, storedCount, storedAiContext, options.details);
+        const reminderMessage = reminderParts.join(' ');
 
         // Check for ElevenLabs API key configuration issues
         // If user hasn't responded (reminder firing) and config is missing, warn about fallback
@@ -486,19 +953,22 @@ export default async function SmartVoiceNotifyPlugin({ project, client, $, direc
         // Speak the reminder using TTS
         await tts.wakeMonitor();
         await tts.forceVolume();
-        await tts.speak(reminderMessage, {
+        // Only speech that actually played counts (not muted, failed or preempted)
+        const spoken = await tts.speak(reminderParts, {
           enableTTS: true,
-          fallbackSound: options.fallbackSound
+          fallbackSound: options.fallbackSound,
+          ...reminderClipOptions
         });
+        recordHistory(type, { sessionID, message: reminderMessage, channels: spoken ? ['tts'] : [], reminder: true });
 
         // CRITICAL FIX: Check if cancelled during playback (user responded while TTS was speaking)
-        if (!pendingReminders.has(type)) {
-          debugLog(`scheduleTTSReminder: ${type} cancelled during playback - aborting follow-up`);
+        if (!sessionTracker.hasReminder(sessionID, type)) {
+          debugLog(`scheduleTTSReminder: ${type} for session ${sessionID} cancelled during playback - aborting follow-up`);
           return;
         }
 
         // Clean up
-        pendingReminders.delete(type);
+        sessionTracker.deleteReminder(sessionID, type);
         
         // Schedule follow-up reminder if configured (exponential backoff or fixed)
         if (config.enableFollowUpReminders) {
@@ -513,9 +983,10 @@ export default async function SmartVoiceNotifyPlugin({ project, client, $, direc
             debugLog(`scheduleTTSReminder: scheduling follow-up ${followUpCount + 1}/${maxFollowUps} in ${nextDelay}s`);
             
             const followUpTimeoutId = setTimeout(async () => {
-              const followUpReminder = pendingReminders.get(type);
-              if (!followUpReminder || lastUserActivityTime > followUpReminder.scheduledAt) {
-                pendingReminders.delete(type);
+              const followUpReminder = sessionTracker.getReminder(sessionID, type);
+              if (!followUpReminder || sessionTracker.getSession(sessionID).lastActivityTime > followUpReminder.scheduledAt ||
+                  isQuietHours('tts', type)) {
+                sessionTracker.deleteReminder(sessionID, type);
                 return;
               }
               
@@ -523,29 +994,22 @@ export default async function SmartVoiceNotifyPlugin({ project, client, $, direc
               // Pass stored AI context for context-aware message generation
               const followUpStoredCount = followUpReminder?.itemCount || 1;
               const followUpAiContext = followUpReminder?.aiContext || {};
-              let followUpMessage;
-              if (type === 'permission') {
-                followUpMessage = await getPermissionMessage(followUpStoredCount, true, followUpAiContext);
-              } else if (type === 'question') {
-                followUpMessage = await getQuestionMessage(followUpStoredCount, true, followUpAiContext);
-              } else if (type === 'error') {
-                followUpMessage = await getErrorMessage(followUpStoredCount, true, followUpAiContext);
-              } else {
-                // Pass stored AI context for idle follow-ups (context-aware AI feature)
-                followUpMessage = await getSmartMessage('idle', true, config.idleReminderTTSMessages, followUpAiContext);
-              }
+              const followUpParts = await getReminderMessage(type, sessionID, followUpStoredCount, followUpAiContext, options.details);
+              const followUpMessage = followUpParts.join(' ');
               
               await tts.wakeMonitor();
               await tts.forceVolume();
-              await tts.speak(followUpMessage, {
+              const spoken = await tts.speak(followUpParts, {
                 enableTTS: true,
-                fallbackSound: options.fallbackSound
+                fallbackSound: options.fallbackSound,
+                ...reminderClipOptions
               });
+              recordHistory(type, { sessionID, message: followUpMessage, channels: spoken ? ['tts'] : [], reminder: true });
               
-              pendingReminders.delete(type);
+              sessionTracker.deleteReminder(sessionID, type);
             }, nextDelay * 1000);
 
-            pendingReminders.set(type, {
+            sessionTracker.setReminder(sessionID, type, {
               timeoutId: followUpTimeoutId,
               scheduledAt: Date.now(),
               followUpCount,
@@ -556,12 +1020,12 @@ export default async function SmartVoiceNotifyPlugin({ project, client, $, direc
         }
       } catch (e) {
         debugLog(`scheduleTTSReminder error: ${e.message}`);
-        pendingReminders.delete(type);
+        sessionTracker.deleteReminder(sessionID, type);
       }
     }, delayMs);
 
     // Store the pending reminder with item count and AI context
-    pendingReminders.set(type, {
+    sessionTracker.setReminder(sessionID, type, {
       timeoutId,
       scheduledAt: Date.now(),
       followUpCount: 0,
@@ -570,79 +1034,20 @@ export default async function SmartVoiceNotifyPlugin({ project, client, $, direc
     });
   };
 
-  /**
-   * Smart notification: play sound first, then schedule TTS reminder
-   * @param {string} type - 'idle', 'permission', or 'question'
-   * @param {object} options - Notification options
-   */
-  const smartNotify = async (type, options = {}) => {
-    const {
-      soundFile,
-      soundLoops = 1,
-      ttsMessage,
-      fallbackSound,
-      permissionCount,  // Support permission count for batched notifications
-      questionCount       // Support question count for batched notifications
-    } = options;
-
-    // Step 1: Play the immediate sound notification
-    if (soundFile) {
-      await playSound(soundFile, soundLoops, type);
-    }
-
-
-    // CRITICAL FIX: Check if user responded during sound playback
-    // For idle notifications: check if there was new activity after the idle start
-    if (type === 'idle' && lastUserActivityTime > lastSessionIdleTime) {
-      debugLog(`smartNotify: user active during sound - aborting idle reminder`);
-      return;
-    }
-    // For permission notifications: check if the permission was already handled
-    if (type === 'permission' && !activePermissionId) {
-      debugLog(`smartNotify: permission handled during sound - aborting reminder`);
-      return;
-    }
-    // For question notifications: check if the question was already answered/rejected
-    if (type === 'question' && !activeQuestionId) {
-      debugLog(`smartNotify: question handled during sound - aborting reminder`);
-      return;
-    }
-
-    // Step 2: Schedule TTS reminder if user doesn't respond
-    if (config.enableTTSReminder && ttsMessage) {
-      scheduleTTSReminder(type, ttsMessage, { fallbackSound, permissionCount, questionCount });
-    }
-    
-    // Step 3: If TTS-first mode is enabled, also speak immediately
-    if (config.notificationMode === 'tts-first' || config.notificationMode === 'both') {
-      let immediateMessage;
-      if (type === 'permission') {
-        immediateMessage = await getSmartMessage('permission', false, config.permissionTTSMessages);
-      } else if (type === 'question') {
-        immediateMessage = await getSmartMessage('question', false, config.questionTTSMessages);
-      } else {
-        immediateMessage = await getSmartMessage('idle', false, config.idleTTSMessages);
-      }
-      
-      await tts.speak(immediateMessage, {
-        enableTTS: true,
-        fallbackSound
-      });
-    }
-  };
-
   /**
    * Get a count-aware TTS message for permission requests
    * Uses AI generation when enabled, falls back to static messages
    * @param {number} count - Number of permission requests
    * @param {boolean} isReminder - Whether this is a reminder message
    * @param {object} aiContext - Optional context for AI message generation (projectName, sessionTitle, etc.)
+   * @param {object} [vars] - Template values from templateVars() ({count} is always filled in)
    * @returns {Promise<string>} The formatted message
    */
-  const getPermissionMessage = async (count, isReminder = false, aiContext = {}) => {
-    const messages = isReminder 
+  const getPermissionMessage = async (count, isReminder = false, aiContext = {}, vars = {}) => {
+    const templateValues = { ...vars, count };
+    const messages = renderMessages(isReminder 
       ? config.permissionReminderTTSMessages 
-      : config.permissionTTSMessages;
+      : config.permissionTTSMessages, templateValues);
     
     // If AI messages are enabled, ALWAYS try AI first (regardless of count)
     if (config.enableAIMessages) {
@@ -666,8 +1071,7 @@ export default async function SmartVoiceNotifyPlugin({ project, client, $, direc
         : config.permissionTTSMessagesMultiple;
       
       if (countMessages && countMessages.length > 0) {
-        const template = getRandomMessage(countMessages);
-        return template.replace('{count}', count.toString());
+        return renderTemplate(getRandomMessage(countMessages), templateValues);
       }
       return `Attention! There are ${count} permission requests waiting for your approval.`;
     }
@@ -679,12 +1083,14 @@ export default async function SmartVoiceNotifyPlugin({ project, client, $, direc
    * @param {number} count - Number of question requests
    * @param {boolean} isReminder - Whether this is a reminder message
    * @param {object} aiContext - Optional context for AI message generation (projectName, sessionTitle, etc.)
+   * @param {object} [vars] - Template values from templateVars() ({count} is always filled in)
    * @returns {Promise<string>} The formatted message
    */
-  const getQuestionMessage = async (count, isReminder = false, aiContext = {}) => {
-    const messages = isReminder 
+  const getQuestionMessage = async (count, isReminder = false, aiContext = {}, vars = {}) => {
+    const templateValues = { ...vars, count };
+    const messages = renderMessages(isReminder 
       ? config.questionReminderTTSMessages 
-      : config.questionTTSMessages;
+      : config.questionTTSMessages, templateValues);
     
     // If AI messages are enabled, ALWAYS try AI first (regardless of count)
     if (config.enableAIMessages) {
@@ -708,8 +1114,7 @@ export default async function SmartVoiceNotifyPlugin({ project, client, $, direc
         : config.questionTTSMessagesMultiple;
       
       if (countMessages && countMessages.length > 0) {
-        const template = getRandomMessage(countMessages);
-        return template.replace('{count}', count.toString());
+        return renderTemplate(getRandomMessage(countMessages), templateValues);
       }
       return `Hey! I have ${count} questions for you. Please check your screen.`;
     }
@@ -721,12 +1126,14 @@ export default async function SmartVoiceNotifyPlugin({ project, client, $, direc
    * @param {number} count - Number of errors
    * @param {boolean} isReminder - Whether this is a reminder message
    * @param {object} aiContext - Optional context for AI message generation (projectName, sessionTitle, etc.)
+   * @param {object} [vars] - Template values from templateVars() ({count} is always filled in)
    * @returns {Promise<string>} The formatted message
    */
-  const getErrorMessage = async (count, isReminder = false, aiContext = {}) => {
-    const messages = isReminder 
+  const getErrorMessage = async (count, isReminder = false, aiContext = {}, vars = {}) => {
+    const templateValues = { ...vars, count };
+    const messages = renderMessages(isReminder 
       ? config.errorReminderTTSMessages 
-      : config.errorTTSMessages;
+      : config.errorTTSMessages, templateValues);
     
     // If AI messages are enabled, ALWAYS try AI first (regardless of count)
     if (config.enableAIMessages) {
@@ -750,13 +1157,31 @@ export default async function SmartVoiceNotifyPlugin({ project, client, $, direc
         : config.errorTTSMessagesMultiple;
       
       if (countMessages && countMessages.length > 0) {
-        const template = getRandomMessage(countMessages);
-        return template.replace('{count}', count.toString());
+        return renderTemplate(getRandomMessage(countMessages), templateValues);
       }
       return `Alert! There are ${count} errors that need your attention.`;
     }
   };
 
+  /**
+   * Drop a session's requests from the pending permission and question batches
+   * (the session was restarted or deleted). Other sessions keep theirs.
+   * @param {string} sessionID
+   */
+  const dropSessionFromBatches = (sessionID) => {
+    pendingPermissionBatch = pendingPermissionBatch.filter(item => item.sessionID !== sessionID);
+    if (pendingPermissionBatch.length === 0 && permissionBatchTimeout) {
+      clearTimeout(permissionBatchTimeout);
+      permissionBatchTimeout = null;
+    }
+
+    pendingQuestionBatch = pendingQuestionBatch.filter(item => item.sessionID !== sessionID);
+    if (pendingQuestionBatch.length === 0 && questionBatchTimeout) {
+      clearTimeout(questionBatchTimeout);
+      questionBatchTimeout = null;
+    }
+  };
+
   /**
    * Process the batched permission requests as a single notification
    * Called after the batch window expires
@@ -776,11 +1201,14 @@ export default async function SmartVoiceNotifyPlugin({ project, client, $, direc
       return;
     }
 
-    debugLog(`processPermissionBatch: processing ${batchCount} permission(s)`);
-    
-    // Set activePermissionId to the first one (for race condition checks)
-    // We track all IDs in the batch for proper cleanup
-    activePermissionId = batch[0];
+    // The sessions await a reply from now on (requests answered during the batch
+    // window already left the batch). Raised before any await, so no reply is missed.
+    for (const item of batch) sessionTracker.raise(item.sessionID, 'permission', item.id);
+
+    // Group the batch by session - each session gets its own race checks and reminder
+    const sessionIDs = [...new Set(batch.map(item => item.sessionID))];
+
+    debugLog(`processPermissionBatch: processing ${batchCount} permission(s) across ${sessionIDs.length} session(s)`);
     
     // Build context for AI message generation (context-aware AI feature)
     // For permissions, we only have project name (no session fetch to avoid delay)
@@ -788,36 +1216,59 @@ export default async function SmartVoiceNotifyPlugin({ project, client, $, direc
       projectName: derivedProjectName
     };
     
+    // Routing rules pick the channels; without a matching rule the flat settings apply
+    const route = await routeNotification('permission');
+    if (!route && config.enablePermissionNotification === false) {
+      debugLog('processPermissionBatch: skipped (enablePermissionNotification=false)');
+      for (const item of batch) sessionTracker.resolve(item.sessionID, 'permission', item.id);
+      return;
+    }
+
     // Check if we should suppress sound/desktop notifications due to focus
-    const suppressPermission = await shouldSuppressNotification();
-    
-    // Step 1: Show toast IMMEDIATELY (fire and forget - no await)
-    // Toast is always shown (it's inside the terminal, so not disruptive if focused)
-    const toastMessage = batchCount === 1
-      ? "⚠️ Permission request requires your attention"
-      : `⚠️ ${batchCount} permission requests require your attention`;
-    showToast(toastMessage, "warning", 8000);  // No await - instant display
-    
-    // Step 1b: Send desktop notification (only if not suppressed)
-    const desktopMessage = batchCount === 1
+    // (a matched rule handles focus itself through when.focused)
+    const suppressPermission = route ? false : await shouldSuppressNotification();
+
+    // What the permissions are for (command, file, URL), when the events carry it
+    const summarizeBatch = (items) => summarizePermissions(items.map(item => item.permission));
+    const permissionSummary = summarizeBatch(batch);
+
+    const vars = templateVars('permission', sessionIDs.length === 1 ? sessionIDs[0] : undefined, { count: batchCount });
+    const desktopMessage = permissionSummary?.body || (batchCount === 1
       ? 'Agent needs permission to proceed. Please review the request.'
-      : `${batchCount} permission requests are waiting for your approval.`;
-    if (!suppressPermission) {
-      sendDesktopNotify('permission', desktopMessage, { count: batchCount });
-    } else {
-      debugLog('processPermissionBatch: desktop notification suppressed (terminal focused)');
-    }
+      : `${batchCount} permission requests are waiting for your approval.`);
+    const notification = {
+      type: 'permission',
+      sessionID: sessionIDs.length === 1 ? sessionIDs[0] : undefined,
+      sessionIDs,
+      route: route?.channels,
+      urgency: toDesktopUrgency(route?.urgency),
+      mention: route?.urgency === 'high',
+      message: desktopMessage,
+      fields: permissionSummary?.fields,
+      count: batchCount,
+      vars,
+      focusSuppressed: suppressPermission,
+      quietHoursBlocked: [],
+      toast: {
+        message: batchCount === 1
+          ? "⚠️ Permission request requires your attention"
+          : `⚠️ ${batchCount} permission requests require your attention`,
+        variant: 'warning',
+        duration: 8000
+      },
+      sound: { file: config.permissionSound, loops: batchCount === 1 ? 2 : Math.min(3, batchCount) },
+      speech: route || speaksImmediately() ? {
+        message: async () => {
+          const message = await getPermissionMessage(batchCount, false, aiContext, vars);
+          return [message, permissionSummary?.spoken];
+        },
+        fallbackSound: config.permissionSound
+      } : null
+    };
 
-    // Step 1c: Send webhook notification
-    sendWebhookNotify('permission', desktopMessage, { count: batchCount });
-    
-    // Step 2: Play sound (only if not suppressed)
-    const soundLoops = batchCount === 1 ? 2 : Math.min(3, batchCount);
-    if (!suppressPermission) {
-      await playSound(config.permissionSound, soundLoops, 'permission');
-    } else {
-      debugLog('processPermissionBatch: sound suppressed (terminal focused)');
-    }
+    // Step 1: Toast, desktop and webhook fire IMMEDIATELY, then the sound plays
+    // (desktop and sound are skipped if the terminal is focused)
+    const channels = await notificationChannels.dispatch(notification, { exclude: ['tts'] });
 
     // CHECK: Did user already respond while sound was playing?
     if (pendingPermissionBatch.length > 0) {
@@ -825,41 +1276,47 @@ export default async function SmartVoiceNotifyPlugin({ project, client, $, direc
       debugLog('processPermissionBatch: new permissions arrived during sound');
     }
     
-    // Step 3: Check race condition - did user respond during sound?
-    if (activePermissionId === null) {
+    // Step 2: Check race condition - did user respond during sound?
+    // Only sessions that still have unanswered permissions keep going
+    const waitingSessionIDs = sessionIDs.filter(id => sessionTracker.isAwaiting(id, 'permission'));
+
+    // Step 3: If TTS-first or both mode, generate and speak immediate message
+    if (waitingSessionIDs.length > 0) {
+      channels.push(...await notificationChannels.dispatch(notification, { only: ['tts'] }));
+    }
+
+    for (const sessionID of sessionIDs) {
+      recordHistory('permission', { sessionID, message: desktopMessage, channels, focusSuppressed: suppressPermission, quietHoursBlocked: notification.quietHoursBlocked });
+    }
+
+    if (waitingSessionIDs.length === 0) {
       debugLog('processPermissionBatch: user responded during sound - aborting');
       return;
     }
 
-    // Step 4: Schedule TTS reminder if enabled
+    // Step 4: Schedule TTS reminder if enabled (one per waiting session)
     // NOTE: The AI message is generated ONLY when the reminder fires (inside scheduleTTSReminder)
     // This avoids wasteful immediate AI generation in sound-first mode - the user might respond before the reminder fires
     // IMPORTANT: Skip TTS reminder entirely in 'sound-only' mode
-    if (config.enableTTSReminder && config.notificationMode !== 'sound-only') {
-      scheduleTTSReminder('permission', null, {
-        fallbackSound: config.permissionSound,
-        permissionCount: batchCount,
-        aiContext  // Pass context for reminder message generation
-      });
-    }
-    
-    // Step 5: If TTS-first or both mode, generate and speak immediate message
-    if (config.notificationMode === 'tts-first' || config.notificationMode === 'both') {
-      // Don't await the TTS generation/playback to avoid blocking the terminal
-      getPermissionMessage(batchCount, false, aiContext).then(async (ttsMessage) => {
-        await tts.wakeMonitor();
-        await tts.forceVolume();
-        await tts.speak(ttsMessage, {
-          enableTTS: true,
-          fallbackSound: config.permissionSound
+    if (wantsReminder(route, 'permission')) {
+      for (const sessionID of waitingSessionIDs) {
+        scheduleTTSReminder('permission', null, {
+          sessionID,
+          routed: Boolean(route),
+          fallbackSound: config.permissionSound,
+          permissionCount: batch.filter(item => item.sessionID === sessionID).length,
+          details: summarizeBatch(batch.filter(item => item.sessionID === sessionID))?.spoken,
+          aiContext  // Pass context for reminder message generation
         });
-      }).catch(e => debugLog(`TTS error: ${e.message}`));
+      }
     }
     
-    // Final check: if user responded during notification, cancel scheduled reminder
-    if (activePermissionId === null) {
-      debugLog('processPermissionBatch: user responded during notification - cancelling reminder');
-      cancelPendingReminder('permission');
+    // Final check: if user responded during notification, cancel that session's scheduled reminder
+    for (const sessionID of waitingSessionIDs) {
+      if (!sessionTracker.isAwaiting(sessionID, 'permission')) {
+        debugLog(`processPermissionBatch: user responded in session ${sessionID} during notification - cancelling reminder`);
+        cancelPendingReminder(sessionID, 'permission');
+      }
     }
   };
 
@@ -881,15 +1338,19 @@ export default async function SmartVoiceNotifyPlugin({ project, client, $, direc
       return;
     }
 
+    // The sessions await an answer from now on (requests answered during the batch
+    // window already left the batch). Raised before any await, so no reply is missed.
+    for (const item of batch) sessionTracker.raise(item.sessionID, 'question', item.id);
+
     // Calculate total number of questions across all batched requests
-    // Each batch item is { id, questionCount } where questionCount is the number of questions in that request
-    const totalQuestionCount = batch.reduce((sum, item) => sum + (item.questionCount || 1), 0);
-    
-    debugLog(`processQuestionBatch: processing ${batch.length} request(s) with ${totalQuestionCount} total question(s)`);
+    // Each batch item is { id, sessionID, questionCount } where questionCount is the number of questions in that request
+    const countQuestions = (items) => items.reduce((sum, item) => sum + (item.questionCount || 1), 0);
+    const totalQuestionCount = countQuestions(batch);
+
+    // Group the batch by session - each session gets its own race checks and reminder
+    const sessionIDs = [...new Set(batch.map(item => item.sessionID))];
     
-    // Set activeQuestionId to the first one (for race condition checks)
-    // We track all IDs in the batch for proper cleanup
-    activeQuestionId = batch[0]?.id;
+    debugLog(`processQuestionBatch: processing ${batch.length} request(s) with ${totalQuestionCount} total question(s) across ${sessionIDs.length} session(s)`);
     
     // Build context for AI message generation (context-aware AI feature)
     // For questions, we only have project name (no session fetch to avoid delay)
@@ -897,35 +1358,59 @@ export default async function SmartVoiceNotifyPlugin({ project, client, $, direc
       projectName: derivedProjectName
     };
     
+    // Routing rules pick the channels; without a matching rule the flat settings apply
+    const route = await routeNotification('question');
+    if (!route && config.enableQuestionNotification === false) {
+      debugLog('processQuestionBatch: skipped (enableQuestionNotification=false)');
+      for (const item of batch) sessionTracker.resolve(item.sessionID, 'question', item.id);
+      return;
+    }
+
     // Check if we should suppress sound/desktop notifications due to focus
-    const suppressQuestion = await shouldSuppressNotification();
-    
-    // Step 1: Show toast IMMEDIATELY (fire and forget - no await)
-    // Toast is always shown (it's inside the terminal, so not disruptive if focused)
-    const toastMessage = totalQuestionCount === 1
-      ? "❓ The agent has a question for you"
-      : `❓ The agent has ${totalQuestionCount} questions for you`;
-    showToast(toastMessage, "info", 8000);  // No await - instant display
-    
-    // Step 1b: Send desktop notification (only if not suppressed)
-    const desktopMessage = totalQuestionCount === 1
+    // (a matched rule handles focus itself through when.focused)
+    const suppressQuestion = route ? false : await shouldSuppressNotification();
+
+    // What is being asked (question text and options), when the events carry it
+    const summarizeBatch = (items) => summarizeQuestions(items.flatMap(item => item.questions || []));
+    const questionSummary = summarizeBatch(batch);
+
+    const vars = templateVars('question', sessionIDs.length === 1 ? sessionIDs[0] : undefined, { count: totalQuestionCount });
+    const desktopMessage = questionSummary?.body || (totalQuestionCount === 1
       ? 'The agent has a question and needs your input.'
-      : `The agent has ${totalQuestionCount} questions for you. Please check your screen.`;
-    if (!suppressQuestion) {
-      sendDesktopNotify('question', desktopMessage, { count: totalQuestionCount });
-    } else {
-      debugLog('processQuestionBatch: desktop notification suppressed (terminal focused)');
-    }
+      : `The agent has ${totalQuestionCount} questions for you. Please check your screen.`);
+    const notification = {
+      type: 'question',
+      sessionID: sessionIDs.length === 1 ? sessionIDs[0] : undefined,
+      sessionIDs,
+      route: route?.channels,
+      urgency: toDesktopUrgency(route?.urgency),
+      mention: route?.urgency === 'high',
+      message: desktopMessage,
+      fields: questionSummary?.fields,
+      count: totalQuestionCount,
+      vars,
+      focusSuppressed: suppressQuestion,
+      quietHoursBlocked: [],
+      toast: {
+        message: totalQuestionCount === 1
+          ? "❓ The agent has a question for you"
+          : `❓ The agent has ${totalQuestionCount} questions for you`,
+        variant: 'info',
+        duration: 8000
+      },
+      sound: { file: config.questionSound, loops: 2 },
+      speech: route || speaksImmediately() ? {
+        message: async () => {
+          const message = await getQuestionMessage(totalQuestionCount, false, aiContext, vars);
+          return [message, questionSummary?.spoken];
+        },
+        fallbackSound: config.questionSound
+      } : null
+    };
 
-    // Step 1c: Send webhook notification
-    sendWebhookNotify('question', desktopMessage, { count: totalQuestionCount });
-    
-    // Step 2: Play sound (only if not suppressed)
-    if (!suppressQuestion) {
-      await playSound(config.questionSound, 2, 'question');
-    } else {
-      debugLog('processQuestionBatch: sound suppressed (terminal focused)');
-    }
+    // Step 1: Toast, desktop and webhook fire IMMEDIATELY, then the sound plays
+    // (desktop and sound are skipped if the terminal is focused)
+    const channels = await notificationChannels.dispatch(notification, { exclude: ['tts'] });
 
     // CHECK: Did user already respond while sound was playing?
     if (pendingQuestionBatch.length > 0) {
@@ -933,63 +1418,318 @@ export default async function SmartVoiceNotifyPlugin({ project, client, $, direc
       debugLog('processQuestionBatch: new questions arrived during sound');
     }
     
-    // Step 3: Check race condition - did user respond during sound?
-    if (activeQuestionId === null) {
+    // Step 2: Check race condition - did user respond during sound?
+    // Only sessions that still have unanswered questions keep going
+    const waitingSessionIDs = sessionIDs.filter(id => sessionTracker.isAwaiting(id, 'question'));
+
+    // Step 3: If TTS-first or both mode, generate and speak immediate message
+    if (waitingSessionIDs.length > 0) {
+      channels.push(...await notificationChannels.dispatch(notification, { only: ['tts'] }));
+    }
+
+    for (const sessionID of sessionIDs) {
+      recordHistory('question', { sessionID, message: desktopMessage, channels, focusSuppressed: suppressQuestion, quietHoursBlocked: notification.quietHoursBlocked });
+    }
+
+    if (waitingSessionIDs.length === 0) {
       debugLog('processQuestionBatch: user responded during sound - aborting');
       return;
     }
 
-    // Step 4: Schedule TTS reminder if enabled
+    // Step 4: Schedule TTS reminder if enabled (one per waiting session)
     // NOTE: The AI message is generated ONLY when the reminder fires (inside scheduleTTSReminder)
     // This avoids wasteful immediate AI generation in sound-first mode - the user might respond before the reminder fires
     // IMPORTANT: Skip TTS reminder entirely in 'sound-only' mode
-    if (config.enableTTSReminder && config.notificationMode !== 'sound-only') {
-      scheduleTTSReminder('question', null, {
-        fallbackSound: config.questionSound,
-        questionCount: totalQuestionCount,
-        aiContext  // Pass context for reminder message generation
-      });
+    if (wantsReminder(route, 'question')) {
+      for (const sessionID of waitingSessionIDs) {
+        scheduleTTSReminder('question', null, {
+          sessionID,
+          routed: Boolean(route),
+          fallbackSound: config.questionSound,
+          questionCount: countQuestions(batch.filter(item => item.sessionID === sessionID)),
+          details: summarizeBatch(batch.filter(item => item.sessionID === sessionID))?.spoken,
+          aiContext  // Pass context for reminder message generation
+        });
+      }
     }
     
-    // Step 5: If TTS-first or both mode, generate and speak immediate message
-    if (config.notificationMode === 'tts-first' || config.notificationMode === 'both') {
-      // Don't await the TTS generation/playback to avoid blocking the terminal
-      getQuestionMessage(totalQuestionCount, false, aiContext).then(async (ttsMessage) => {
-        await tts.wakeMonitor();
-        await tts.forceVolume();
-        await tts.speak(ttsMessage, {
+    // Final check: if user responded during notification, cancel that session's scheduled reminder
+    for (const sessionID of waitingSessionIDs) {
+      if (!sessionTracker.isAwaiting(sessionID, 'question')) {
+        debugLog(`processQuestionBatch: user responded in session ${sessionID} during notification - cancelling reminder`);
+        cancelPendingReminder(sessionID, 'question');
+      }
+    }
+  };
+
+  /**
+   * Reload config and the TTS instance to support live configuration changes
+   * without requiring a plugin restart.
+   * @returns {boolean} Whether the master switch is on
+   */
+  const reloadConfig = () => {
+    const overrides = voiceControls.getOverrides();
+    config = { ...getTTSConfig(), ...overrides };
+    
+    // Update TTS utility instance with latest config
+    // Note: createTTS internally calls getTTSConfig(), so it will have up-to-date values
+    tts = createTTS({ $, client, overrides, project: derivedProjectName });
+
+    // Handle both boolean false and string "false"/"disabled"
+    return config.enabled !== false && 
+           String(config.enabled).toLowerCase() !== 'false' && 
+           String(config.enabled).toLowerCase() !== 'disabled';
+  };
+
+  /**
+   * Handle a notify_user tool call - the agent deliberately asks for the user's
+   * attention without ending its turn (e.g. "I'm about to run the migration").
+   * Uses the same toast, desktop, webhook and TTS paths as event notifications,
+   * with focus suppression applied to desktop notifications and speech.
+   * 
+   * @param {object} args - Tool arguments
+   * @param {string} args.message - What the agent wants to tell the user
+   * @param {'low' | 'normal' | 'high'} [args.urgency='normal'] - low skips speech, high is critical and mentions on webhooks
+   * @param {object} context - OpenCode tool context (sessionID, ...)
+   * @returns {Promise<string>} Short report for the agent of how the user was notified
+   */
+  const notifyUserFromAgent = async ({ message, urgency = 'normal' }, context = {}) => {
+    if (!reloadConfig()) {
+      return 'Notifications are disabled by the user; nothing was sent.';
+    }
+
+    const sessionID = context.sessionID;
+    debugLog(`notify_user: ${urgency} message from session ${sessionID}: ${message}`);
+
+    // A matched routing rule picks the channels (and may raise or lower the urgency)
+    const route = await routeNotification('agent');
+    const level = route?.urgency || urgency;
+
+    const suppressed = route ? false : await shouldSuppressNotification();
+    if (suppressed) {
+      debugLog('notify_user: desktop notification and speech suppressed (terminal focused)');
+    }
+
+    // Toast is always shown (it's inside the terminal, so not disruptive if focused).
+    // The message itself is spoken unless urgency is low or the terminal is focused.
+    // The agent asked for attention on purpose, so the TTS switch decides - not enableSound
+    // (only /voice mute, which also turns enableSound off, keeps it quiet).
+    const speak = (route || (!suppressed && level !== 'low')) && config.enableTTS !== false && !voiceControls.isMuted();
+    const quietHoursBlocked = [];
+    const channels = await notificationChannels.dispatch({
+      type: 'agent',
+      sessionID,
+      message,
+      route: route?.channels,
+      urgency: toDesktopUrgency(level),
+      mention: level === 'high',
+      focusSuppressed: suppressed,
+      quietHoursBlocked,
+      vars: templateVars('agent', sessionID),
+      toast: { message: `📣 ${message}`, variant: level === 'high' ? 'warning' : 'info', duration: 8000 },
+      speech: speak ? {
+        message,
+        fallbackSound: config.enableSound ? (level === 'high' ? config.permissionSound : config.idleSound) : null,
+        withoutSound: true
+      } : null
+    });
+
+    recordHistory('agent', { sessionID, message, channels, focusSuppressed: suppressed, quietHoursBlocked });
+
+    if (channels.length === 0) {
+      return suppressed
+        ? 'The user is looking at the terminal already; no extra notification was sent.'
+        : 'All notification channels are disabled by the user; nothing was sent.';
+    }
+    return `Notified the user via ${channels.join(', ')}.`;
+  };
+
+  /**
+   * Build the /voice status report.
+   * @returns {string}
+   */
+  const getVoiceStatus = () => {
+    const state = voiceControls.getState();
+    const enabled = config.enabled !== false &&
+                    String(config.enabled).toLowerCase() !== 'false' &&
+                    String(config.enabled).toLowerCase() !== 'disabled';
+
+    let sound = config.enableSound ? 'on' : 'disabled in config';
+    if (state.muted) {
+      sound = state.mutedForMs === Infinity ? 'muted until /voice unmute' : `muted for ${formatDuration(state.mutedForMs)}`;
+    }
+
+    let reminders = config.enableTTSReminder ? 'on' : 'disabled in config';
+    if (state.snoozed) {
+      reminders = `snoozed for ${formatDuration(state.snoozedForMs)}`;
+    }
+
+    const lines = [
+      `Smart Voice Notify: ${enabled ? 'enabled' : 'disabled'}`,
+      `TTS engine: ${config.ttsEngine}${state.ttsEngine ? ' (runtime override)' : ''}${config.enableTTS === false ? ', TTS disabled' : ''}`,
+      `Sound: ${sound}`,
+      `Reminders: ${reminders}`,
+      `Pending reminders: ${sessionTracker.pendingReminderCount()}`
+    ];
+
+    const quietWindow = getActiveQuietWindow(config);
+    if (quietWindow) {
+      const allowed = [...(quietWindow.allow || []), ...(quietWindow.allowEvents || []).map(e => `${e} events`)];
+      lines.push(`Quiet hours: active until ${quietWindow.to}${allowed.length ? ` (allows ${allowed.join(', ')})` : ''}`);
+    }
+
+    const unhealthy = Object.entries(engineHealth.getState()).filter(([, health]) => health.state !== 'closed');
+    if (unhealthy.length > 0) {
+      lines.push('Skipped engines:');
+      for (const [engine, health] of unhealthy) {
+        let retry = `retry in ${formatDuration(health.retryInMs)}`;
+        if (health.state === 'half-open') retry = 'retrying now';
+        else if (health.retryInMs === Infinity) retry = 'until restart';
+        else if (health.retryInMs === 0) retry = 'retrying on next use';
+        const lastError = health.lastError ? ` - last error: ${health.lastError.slice(0, 80)}` : '';
+        lines.push(`  ${engine}: ${health.reason} (${retry})${lastError}`);
+      }
+    }
+
+    const waiting = sessionTracker.list().filter(s => s.attention.length > 0 || s.reminders.length > 0);
+    if (waiting.length > 0) {
+      lines.push('Sessions waiting:');
+      for (const s of waiting) {
+        const label = s.title ? `"${s.title}" (${s.sessionID})` : s.sessionID;
+        lines.push(`  ${label}: ${s.attention.join(', ') || 'reminder pending'}`);
+      }
+    }
+    return lines.join('\n');
+  };
+
+  /**
+   * Build the /voice history report: recent notifications, newest first.
+   * @param {number} count - Number of notifications to show
+   * @returns {string}
+   */
+  const getVoiceHistory = (count) => {
+    if (config.enableHistory === false) {
+      return 'Notification history is disabled (enableHistory: false).';
+    }
+
+    const records = readHistory({ limit: count }, config);
+    if (records.length === 0) {
+      return 'No notifications recorded yet.';
+    }
+
+    const formatTime = (iso) => new Date(iso).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    const titles = new Map(sessionTracker.list().map(s => [s.sessionID, s.title]));
+    const lines = [`Last ${records.length} notification(s):`];
+    for (const record of records) {
+      const session = titles.get(record.sessionID) || record.sessionID || 'unknown session';
+      const via = record.channels.length > 0 ? record.channels.join(', ') : 'nothing';
+      let status = record.respondedAt ? `answered at ${formatTime(record.respondedAt)}` : 'unanswered';
+      if (record.suppressed) {
+        status += `, held back: ${record.suppressedReasons.join(', ')}`;
+      }
+      lines.push(`  ${formatTime(record.timestamp)} ${record.reminder ? `${record.type} reminder` : record.type} (${session}) via ${via} - ${status}`);
+    }
+    return lines.join('\n');
+  };
+
+  /**
+   * Fire a test notification of a type, ignoring focus suppression
+   * (the user just typed the command, so the terminal is always focused).
+   * @param {'idle' | 'permission' | 'question' | 'error'} type
+   */
+  const runVoiceTest = (type) => {
+    const soundFile = config[`${type}Sound`];
+    const message = renderTemplate(getRandomMessage(config[`${type}TTSMessages`]), templateVars(type, undefined, { count: 1 }));
+
+    sendDesktopNotify(type, message);
+
+    const quiet = isQuietHours('tts', type);
+
+    // Don't await playback - the command should return immediately
+    (async () => {
+      await playSound(soundFile, 1, type);
+      if (!quiet) {
+        await tts.speak(message, {
           enableTTS: true,
-          fallbackSound: config.questionSound
+          fallbackSound: soundFile,
+          eventType: type
         });
-      }).catch(e => debugLog(`TTS error: ${e.message}`));
+      }
+    })().catch(e => debugLog(`voice test error: ${e.message}`));
+
+    if (!config.enableSound) {
+      return `Sound is muted or disabled - only visual ${type} notifications were sent.`;
     }
-    
-    // Final check: if user responded during notification, cancel scheduled reminder
-    if (activeQuestionId === null) {
-      debugLog('processQuestionBatch: user responded during notification - cancelling reminder');
-      cancelPendingReminder('question');
+    return quiet
+      ? `Quiet hours are active - the test ${type} notification was not spoken.`
+      : `Playing a test ${type} notification: "${message}"`;
+  };
+
+  /**
+   * Run a /voice command and return the text to show the user.
+   * @param {string} args - Raw command arguments (e.g. "mute 30m")
+   * @returns {string}
+   */
+  const runVoiceCommand = (args) => {
+    const command = parseVoiceCommand(args);
+    debugLog(`/voice ${args || ''}: ${command.action}${command.error ? ` (${command.error})` : ''}`);
+
+    // Pick up live config changes; mutating commands reload again so the new
+    // runtime overrides apply to config and the TTS instance right away
+    reloadConfig();
+
+    switch (command.action) {
+      case 'mute':
+        voiceControls.mute(command.durationMs);
+        reloadConfig();
+        return command.durationMs
+          ? `🔇 Sounds and speech muted for ${formatDuration(command.durationMs)}.`
+          : '🔇 Sounds and speech muted until /voice unmute.';
+      case 'unmute':
+        voiceControls.unmute();
+        reloadConfig();
+        return '🔊 Sounds, speech and reminders are back on.';
+      case 'snooze': {
+        voiceControls.snooze(command.durationMs);
+        reloadConfig();
+        const cancelled = cancelAllPendingReminders();
+        return `💤 Reminders snoozed for ${formatDuration(command.durationMs)} (${cancelled} pending cancelled).`;
+      }
+      case 'engine':
+        voiceControls.setEngine(command.engine === 'reset' ? null : command.engine);
+        reloadConfig();
+        return command.engine === 'reset'
+          ? `TTS engine restored to the configured engine (${config.ttsEngine}).`
+          : `TTS engine switched to ${command.engine} until restart.`;
+      case 'status':
+        return getVoiceStatus();
+      case 'test':
+        return runVoiceTest(command.type);
+      case 'history':
+        return getVoiceHistory(command.count);
+      case 'cache': {
+        const { files, bytes, dir } = getAudioCacheStats();
+        const state = config.enableTTSCache === false ? ' (caching disabled in config)' : '';
+        return `TTS audio cache: ${files} clip${files === 1 ? '' : 's'}, ${(bytes / 1024 / 1024).toFixed(1)} MB of ${config.ttsCacheMaxMB} MB${state}\n${dir}`;
+      }
+      case 'cache-clear': {
+        const removed = clearAudioCache();
+        return `🗑️ Removed ${removed} cached clip${removed === 1 ? '' : 's'}.`;
+      }
+      default:
+        return command.error ? `${command.error}\n\n${VOICE_COMMAND_USAGE}` : VOICE_COMMAND_USAGE;
     }
   };
 
-  return {
+  const hooks = {
     event: async ({ event }) => {
-      // Reload config on every event to support live configuration changes
-      // without requiring a plugin restart.
-      config = getTTSConfig();
-      
-      // Update TTS utility instance with latest config
-      // Note: createTTS internally calls getTTSConfig(), so it will have up-to-date values
-      tts = createTTS({ $, client });
-
-      // Master switch check - if disabled, skip all event processing
-      // Handle both boolean false and string "false"/"disabled"
-      const isPluginEnabled = config.enabled !== false && 
-                             String(config.enabled).toLowerCase() !== 'false' && 
-                             String(config.enabled).toLowerCase() !== 'disabled';
+      // Reload config on every event, then check the master switch -
+      // if disabled, skip all event processing
+      const isPluginEnabled = reloadConfig();
 
       if (!isPluginEnabled) {
         // Cancel any pending reminders if the plugin was just disabled
-        if (pendingReminders.size > 0) {
+        if (sessionTracker.pendingReminderCount() > 0) {
           debugLog('Plugin disabled via config - cancelling all pending reminders');
           cancelAllPendingReminders();
         }
@@ -1018,6 +1758,7 @@ export default async function SmartVoiceNotifyPlugin({ project, client, $, direc
         //   - question.replied (SDK v1.1.7+): fires when user answers a question
         //   - question.rejected (SDK v1.1.7+): fires when user dismisses a question
         //   - session.created: fires when a new session starts
+        //   - session.deleted: fires when a session is deleted
         //
         // CRITICAL: message.updated fires for EVERY modification to a message (not just creation).
         // Context-injector and other plugins can trigger multiple updates for the same message.
@@ -1027,31 +1768,38 @@ export default async function SmartVoiceNotifyPlugin({ project, client, $, direc
           const messageInfo = event.properties?.info;
           const messageId = messageInfo?.id;
           const isUserMessage = messageInfo?.role === 'user';
+          const sessionID = messageInfo?.sessionID || event.properties?.sessionID;
           
           if (isUserMessage && messageId) {
             // Check if this is a NEW user message we haven't seen before
-            const isNewMessage = !seenUserMessageIds.has(messageId);
+            // (seen IDs are kept per session, so a new session never forgets another session's messages)
+            const isNewMessage = sessionTracker.markMessageSeen(sessionID, messageId);
             
-            // Check if this message arrived AFTER the last session.idle
+            // Check if this message arrived AFTER the last session.idle OF THIS SESSION
             // This is the key: only a message sent AFTER idle indicates user responded
+            const sessionState = sessionTracker.getSession(sessionID);
             const messageTime = messageInfo?.time?.created;
-            const isAfterIdle = lastSessionIdleTime > 0 && messageTime && (messageTime * 1000) > lastSessionIdleTime;
+            const isAfterIdle = sessionState.lastIdleTime > 0 && messageTime && (messageTime * 1000) > sessionState.lastIdleTime;
             
             if (isNewMessage) {
-              seenUserMessageIds.add(messageId);
-              
               // Only cancel reminders if this is a NEW message AFTER session went idle
               // OR if there are no pending reminders (initial message before any notifications)
-              if (isAfterIdle || pendingReminders.size === 0) {
+              if (isAfterIdle || sessionState.reminders.size === 0) {
                 if (isAfterIdle) {
-                  lastUserActivityTime = Date.now();
-                  cancelAllPendingReminders();
-                  debugLog(`NEW user message AFTER idle: ${messageId} - cancelled pending reminders`);
+                  sessionTracker.markActivity(sessionID);
+                  if (sessionTracker.isAwaiting(sessionID, 'idle')) recordHistoryResponse(sessionID, 'idle');
+                  if (sessionTracker.isAwaiting(sessionID, 'error')) recordHistoryResponse(sessionID, 'error');
+                  sessionTracker.resolve(sessionID, 'idle');
+                  sessionTracker.resolve(sessionID, 'error');
+                  cancelSessionReminders(sessionID);
+                  stopNotificationAudio(sessionID, 'idle');
+                  stopNotificationAudio(sessionID, 'error');
+                  debugLog(`NEW user message AFTER idle: ${messageId} - cancelled pending reminders for session ${sessionID}`);
                 } else {
                   debugLog(`Initial user message (before any idle): ${messageId} - no reminders to cancel`);
                 }
               } else {
-                debugLog(`Ignored: user message ${messageId} created BEFORE session.idle (time=${messageTime}, idleTime=${lastSessionIdleTime})`);
+                debugLog(`Ignored: user message ${messageId} created BEFORE session.idle (time=${messageTime}, idleTime=${sessionState.lastIdleTime})`);
               }
             } else {
               // This is an UPDATE to an existing message (e.g., context injection)
@@ -1065,14 +1813,17 @@ export default async function SmartVoiceNotifyPlugin({ project, client, $, direc
           // Structure varies by SDK version:
           //   - Old SDK: event.properties.{ sessionID, permissionID, response }
           //   - New SDK (v1.1.1+): event.properties.{ sessionID, requestID, reply }
-          // CRITICAL: Clear activePermissionId FIRST to prevent race condition
+          // CRITICAL: Resolve the session's permission state FIRST to prevent race condition
           // where permission.updated/asked handler is still running async operations
           const repliedPermissionId = event.properties?.permissionID || event.properties?.requestID;
           const response = event.properties?.response || event.properties?.reply;
+          // Only the owning session's permission state is touched - other sessions keep their reminders.
+          // The request ID is authoritative; the event's sessionID is used when the request is unknown.
+          const sessionID = sessionTracker.findSessionForRequest('permission', repliedPermissionId) || event.properties?.sessionID;
           
           // Remove this permission from the pending batch (if still waiting)
-          if (repliedPermissionId && pendingPermissionBatch.includes(repliedPermissionId)) {
-            pendingPermissionBatch = pendingPermissionBatch.filter(id => id !== repliedPermissionId);
+          if (repliedPermissionId && pendingPermissionBatch.some(item => item.id === repliedPermissionId)) {
+            pendingPermissionBatch = pendingPermissionBatch.filter(item => item.id !== repliedPermissionId);
             debugLog(`Permission replied: removed ${repliedPermissionId} from pending batch (${pendingPermissionBatch.length} remaining)`);
           }
           
@@ -1084,41 +1835,39 @@ export default async function SmartVoiceNotifyPlugin({ project, client, $, direc
             debugLog('Permission replied: cancelled batch timeout (all permissions handled)');
           }
           
-          // Match if IDs are equal, or if we have an active permission with unknown ID (undefined)
-          // (This happens if permission.updated/asked received an event without permissionID)
-          if (activePermissionId === repliedPermissionId || activePermissionId === undefined) {
-            activePermissionId = null;
-            debugLog(`Permission replied: cleared activePermissionId ${repliedPermissionId || '(unknown)'}`);
+          if (!sessionID) {
+            debugLog(`Permission replied: no session found for ${repliedPermissionId || '(unknown)'} - leaving other sessions untouched`);
+          } else {
+            sessionTracker.resolve(sessionID, 'permission', repliedPermissionId);
+            recordHistoryResponse(sessionID, 'permission');
+            debugLog(`Permission replied: resolved ${repliedPermissionId || '(unknown)'} in session ${sessionID}`);
+            sessionTracker.markActivity(sessionID);
+            cancelPendingReminder(sessionID, 'permission'); // Cancel this session's permission reminder
+            if (!sessionTracker.isAwaiting(sessionID, 'permission')) stopNotificationAudio(sessionID, 'permission');
+            debugLog(`Permission replied: ${event.type} (response=${response}) - cancelled permission reminder for session ${sessionID}`);
           }
-          lastUserActivityTime = Date.now();
-          cancelPendingReminder('permission'); // Cancel permission-specific reminder
-          debugLog(`Permission replied: ${event.type} (response=${response}) - cancelled permission reminder`);
         }
         
         if (event.type === "session.created") {
-          // New session started - reset tracking state
-          lastUserActivityTime = Date.now();
-          lastSessionIdleTime = 0;
-          activePermissionId = null;
-          activeQuestionId = null;
-          seenUserMessageIds.clear();
-          cancelAllPendingReminders();
+          // New session started - reset tracking state for THAT session only.
+          // Other sessions running in parallel keep their pending reminders and batches.
+          // SDK sends the session as properties.info; older payloads carry properties.sessionID
+          const sessionID = event.properties?.info?.id || event.properties?.sessionID;
+          sessionTracker.reset(sessionID);
+          dropSessionFromBatches(sessionID);
           
-          // Reset permission batch state
-          pendingPermissionBatch = [];
-          if (permissionBatchTimeout) {
-            clearTimeout(permissionBatchTimeout);
-            permissionBatchTimeout = null;
-          }
-          
-          // Reset question batch state
-          pendingQuestionBatch = [];
-          if (questionBatchTimeout) {
-            clearTimeout(questionBatchTimeout);
-            questionBatchTimeout = null;
+          debugLog(`Session created: ${event.type} - reset tracking state for session ${sessionID}`);
+        }
+
+        if (event.type === "session.deleted") {
+          // The session is gone - forget its reminders, attention and seen messages
+          // so a long-running instance doesn't keep state for every session it has seen
+          const sessionID = event.properties?.info?.id || event.properties?.sessionID;
+          if (sessionID) {
+            sessionTracker.forget(sessionID);
+            dropSessionFromBatches(sessionID);
+            debugLog(`Session deleted: ${event.type} - forgot session ${sessionID}`);
           }
-          
-          debugLog(`Session created: ${event.type} - reset all tracking state`);
         }
 
         // ========================================
@@ -1129,7 +1878,8 @@ export default async function SmartVoiceNotifyPlugin({ project, client, $, direc
         // ========================================
         if (event.type === "session.idle") {
           // Check if idle notifications are enabled
-          if (config.enableIdleNotification === false) {
+          // Routing rules may still route the event when the flat switch is off
+          if (config.enableIdleNotification === false && !hasRulesForEvent(config.notificationRules, 'idle')) {
             debugLog('session.idle: skipped (enableIdleNotification=false)');
             return;
           }
@@ -1143,6 +1893,7 @@ export default async function SmartVoiceNotifyPlugin({ project, client, $, direc
           try {
             const session = await client.session.get({ path: { id: sessionID } });
             sessionData = session?.data;
+            sessionTracker.setTitle(sessionID, sessionData?.title);
             if (sessionData?.parentID) {
               debugLog(`session.idle: skipped (sub-session ${sessionID})`);
               return;
@@ -1150,8 +1901,8 @@ export default async function SmartVoiceNotifyPlugin({ project, client, $, direc
 
             // Fetch messages to get context on what was done
             try {
-              if (client.message && typeof client.message.list === 'function') {
-                const messagesResult = await client.message.list({ path: { sessionID } });
+              if (typeof client.session.messages === 'function') {
+                const messagesResult = await client.session.messages({ path: { id: sessionID } });
                 sessionMessages = messagesResult?.data || [];
               }
             } catch (msgError) {
@@ -1159,27 +1910,8 @@ export default async function SmartVoiceNotifyPlugin({ project, client, $, direc
             }
           } catch (e) {}
 
-          // Analyze messages for context
-          let lastUserMessage = '';
-          let lastAssistantMessage = '';
-          let hasErrors = false;
-
-          if (sessionMessages.length > 0) {
-            // Find last user message
-            const userMsgs = sessionMessages.filter(m => m.role === 'user');
-            if (userMsgs.length > 0) {
-              lastUserMessage = userMsgs[userMsgs.length - 1].content;
-            }
-
-            // Find last assistant message
-            const assistantMsgs = sessionMessages.filter(m => m.role === 'assistant');
-            if (assistantMsgs.length > 0) {
-              lastAssistantMessage = assistantMsgs[assistantMsgs.length - 1].content;
-            }
-
-            // Check for errors (simple heuristic)
-            hasErrors = sessionMessages.some(m => m.role === 'error' || (m.role === 'tool' && m.content && m.content.toLowerCase().includes('error')));
-          }
+          // What happened in the last turn (final reply, tools, edited files, failures, duration)
+          const digest = buildSessionDigest(sessionMessages);
 
           // Build context for AI message generation (used when enableContextAwareAI is true)
           // Note: SDK's Project type doesn't have 'name' property, so we use derivedProjectName
@@ -1191,45 +1923,61 @@ export default async function SmartVoiceNotifyPlugin({ project, client, $, direc
               additions: sessionData.summary.additions,
               deletions: sessionData.summary.deletions
             } : undefined,
-            lastUserMessage,
-            lastAssistantMessage,
-            hasErrors
+            ...digest
           };
 
-          // Record the time session went idle - used to filter out pre-idle messages
-          lastSessionIdleTime = Date.now();
+          // Routing rules pick the channels; without a matching rule the flat settings apply
+          const route = await routeNotification('idle');
+          if (!route && config.enableIdleNotification === false) {
+            debugLog('session.idle: skipped (enableIdleNotification=false)');
+            return;
+          }
+
+          // Record the time this session went idle - used to filter out pre-idle messages
+          const idleTime = sessionTracker.markIdle(sessionID);
+          sessionTracker.raise(sessionID, 'idle');
           
-          debugLog(`session.idle: notifying for session ${sessionID} (idleTime=${lastSessionIdleTime})`);
+          debugLog(`session.idle: notifying for session ${sessionID} (idleTime=${idleTime})`);
           
           // Check if we should suppress sound/desktop notifications due to focus
-          const suppressIdle = await shouldSuppressNotification();
-          
-          // Step 1: Show toast IMMEDIATELY (fire and forget - no await)
-          // Toast is always shown (it's inside the terminal, so not disruptive if focused)
-          showToast("✅ Agent has finished working", "success", 5000);  // No await - instant display
+          // (a matched rule handles focus itself through when.focused)
+          const suppressIdle = route ? false : await shouldSuppressNotification();
           
-          // Step 1b: Send desktop notification (only if not suppressed)
-      if (!suppressIdle) {
-        sendDesktopNotify('idle', 'Agent has finished working. Your code is ready for review.');
-      } else {
-        debugLog('session.idle: desktop notification suppressed (terminal focused)');
-      }
+          const idleMessage = 'Agent has finished working. Your code is ready for review.';
+          const vars = templateVars('idle', sessionID, { aiContext });
+          const notification = {
+            type: 'idle',
+            sessionID,
+            message: idleMessage,
+            route: route?.channels,
+            urgency: toDesktopUrgency(route?.urgency),
+            mention: route?.urgency === 'high',
+            focusSuppressed: suppressIdle,
+            quietHoursBlocked: [],
+            vars,
+            toast: { message: "✅ Agent has finished working", variant: 'success', duration: 5000 },
+            // Only play sound in sound-first, sound-only, or both mode
+            sound: route || config.notificationMode !== 'tts-first' ? { file: config.idleSound, loops: 1 } : null,
+            speech: route || speaksImmediately() ? {
+              message: () => getSmartMessage('idle', false, renderMessages(config.idleTTSMessages, vars), aiContext),
+              fallbackSound: config.idleSound
+            } : null
+          };
 
-      // Step 1c: Send webhook notification
-      sendWebhookNotify('idle', 'Agent has finished working. Your code is ready for review.', { sessionId: sessionID });
+          // Step 1: Toast, desktop and webhook fire IMMEDIATELY, then the sound plays
+          // (desktop and sound are skipped if the terminal is focused)
+          const channels = await notificationChannels.dispatch(notification, { exclude: ['tts'] });
           
-          // Step 2: Play sound (only if not suppressed)
-          // Only play sound in sound-first, sound-only, or both mode
-          if (config.notificationMode !== 'tts-first') {
-            if (!suppressIdle) {
-              await playSound(config.idleSound, 1, 'idle');
-            } else {
-              debugLog('session.idle: sound suppressed (terminal focused)');
-            }
+          // Step 2: Check race condition - did user respond in this session during sound?
+          const respondedDuringSound = sessionTracker.getSession(sessionID).lastActivityTime > idleTime;
+
+          // Step 3: If TTS-first or both mode, generate and speak immediate message
+          if (!respondedDuringSound) {
+            channels.push(...await notificationChannels.dispatch(notification, { only: ['tts'] }));
           }
-          
-          // Step 3: Check race condition - did user respond during sound?
-          if (lastUserActivityTime > lastSessionIdleTime) {
+          recordHistory('idle', { sessionID, message: idleMessage, channels, focusSuppressed: suppressIdle, quietHoursBlocked: notification.quietHoursBlocked });
+
+          if (respondedDuringSound) {
             debugLog(`session.idle: user active during sound - aborting`);
             return;
           }
@@ -1238,25 +1986,14 @@ export default async function SmartVoiceNotifyPlugin({ project, client, $, direc
           // NOTE: The AI message is generated ONLY when the reminder fires (inside scheduleTTSReminder)
           // This avoids wasteful immediate AI generation in sound-first mode - the user might respond before the reminder fires
           // IMPORTANT: Skip TTS reminder entirely in 'sound-only' mode
-          if (config.enableTTSReminder && config.notificationMode !== 'sound-only') {
+          if (wantsReminder(route, 'idle')) {
             scheduleTTSReminder('idle', null, {
+              sessionID,
+              routed: Boolean(route),
               fallbackSound: config.idleSound,
               aiContext  // Pass context for reminder message generation
             });
           }
-          
-          // Step 5: If TTS-first or both mode, generate and speak immediate message
-          if (config.notificationMode === 'tts-first' || config.notificationMode === 'both') {
-            // Don't await the TTS generation/playback to avoid blocking the terminal
-            getSmartMessage('idle', false, config.idleTTSMessages, aiContext).then(async (ttsMessage) => {
-              await tts.wakeMonitor();
-              await tts.forceVolume();
-              await tts.speak(ttsMessage, {
-                enableTTS: true,
-                fallbackSound: config.idleSound
-              });
-            }).catch(e => debugLog(`TTS error: ${e.message}`));
-          }
         }
 
         // ========================================
@@ -1267,7 +2004,8 @@ export default async function SmartVoiceNotifyPlugin({ project, client, $, direc
         // ========================================
         if (event.type === "session.error") {
           // Check if error notifications are enabled
-          if (config.enableErrorNotification === false) {
+          // Routing rules may still route the event when the flat switch is off
+          if (config.enableErrorNotification === false && !hasRulesForEvent(config.notificationRules, 'error')) {
             debugLog('session.error: skipped (enableErrorNotification=false)');
             return;
           }
@@ -1287,58 +2025,61 @@ export default async function SmartVoiceNotifyPlugin({ project, client, $, direc
             }
           } catch (e) {}
 
+          // Routing rules pick the channels; without a matching rule the flat settings apply
+          const route = await routeNotification('error');
+          if (!route && config.enableErrorNotification === false) {
+            debugLog('session.error: skipped (enableErrorNotification=false)');
+            return;
+          }
+
+          sessionTracker.raise(sessionID, 'error');
           debugLog(`session.error: notifying for session ${sessionID}`);
           
           // Check if we should suppress sound/desktop notifications due to focus
-          const suppressError = await shouldSuppressNotification();
-          
-          // Step 1: Show toast IMMEDIATELY (fire and forget - no await)
-          // Toast is always shown (it's inside the terminal, so not disruptive if focused)
-          showToast("❌ Agent encountered an error", "error", 8000);  // No await - instant display
+          // (a matched rule handles focus itself through when.focused)
+          const suppressError = route ? false : await shouldSuppressNotification();
           
-          // Step 1b: Send desktop notification (only if not suppressed)
-          if (!suppressError) {
-            sendDesktopNotify('error', 'The agent encountered an error and needs your attention.');
-          } else {
-            debugLog('session.error: desktop notification suppressed (terminal focused)');
-          }
+          const errorMessage = 'The agent encountered an error and needs your attention.';
+          const vars = templateVars('error', sessionID, { count: 1 });
+          const notification = {
+            type: 'error',
+            sessionID,
+            message: errorMessage,
+            route: route?.channels,
+            urgency: toDesktopUrgency(route?.urgency),
+            mention: route?.urgency === 'high',
+            focusSuppressed: suppressError,
+            quietHoursBlocked: [],
+            vars,
+            toast: { message: "❌ Agent encountered an error", variant: 'error', duration: 8000 },
+            // Only play sound in sound-first, sound-only, or both mode (twice for urgency)
+            sound: route || config.notificationMode !== 'tts-first' ? { file: config.errorSound, loops: 2 } : null,
+            speech: route || speaksImmediately() ? {
+              message: () => getErrorMessage(1, false, {}, vars),
+              fallbackSound: config.errorSound
+            } : null
+          };
 
-          // Step 1c: Send webhook notification
-          sendWebhookNotify('error', 'The agent encountered an error and needs your attention.', { sessionId: sessionID });
-          
-          // Step 2: Play sound (only if not suppressed)
-          // Only play sound in sound-first, sound-only, or both mode
-          if (config.notificationMode !== 'tts-first') {
-            if (!suppressError) {
-              await playSound(config.errorSound, 2, 'error');  // Play twice for urgency
-            } else {
-              debugLog('session.error: sound suppressed (terminal focused)');
-            }
-          }
+          // Step 1: Toast, desktop and webhook fire IMMEDIATELY, then the sound plays
+          // (desktop and sound are skipped if the terminal is focused)
+          const channels = await notificationChannels.dispatch(notification, { exclude: ['tts'] });
+
+          // Step 2: If TTS-first or both mode, generate and speak immediate message
+          channels.push(...await notificationChannels.dispatch(notification, { only: ['tts'] }));
+          recordHistory('error', { sessionID, message: errorMessage, channels, focusSuppressed: suppressError, quietHoursBlocked: notification.quietHoursBlocked });
 
           // Step 3: Schedule TTS reminder if enabled
           // NOTE: The AI message is generated ONLY when the reminder fires (inside scheduleTTSReminder)
           // This avoids wasteful immediate AI generation in sound-first mode - the user might respond before the reminder fires
           // IMPORTANT: Skip TTS reminder entirely in 'sound-only' mode
-          if (config.enableTTSReminder && config.notificationMode !== 'sound-only') {
+          if (wantsReminder(route, 'error')) {
             scheduleTTSReminder('error', null, {
+              sessionID,
+              routed: Boolean(route),
               fallbackSound: config.errorSound,
               errorCount: 1
             });
           }
-          
-          // Step 4: If TTS-first or both mode, generate and speak immediate message
-          if (config.notificationMode === 'tts-first' || config.notificationMode === 'both') {
-            // Don't await the TTS generation/playback to avoid blocking the terminal
-            getErrorMessage(1, false).then(async (ttsMessage) => {
-              await tts.wakeMonitor();
-              await tts.forceVolume();
-              await tts.speak(ttsMessage, {
-                enableTTS: true,
-                fallbackSound: config.errorSound
-              });
-            }).catch(e => debugLog(`TTS error: ${e.message}`));
-          }
         }
 
         // ========================================
@@ -1353,26 +2094,31 @@ export default async function SmartVoiceNotifyPlugin({ project, client, $, direc
         // we batch them into a single notification instead of playing 5 overlapping sounds.
         if (event.type === "permission.updated" || event.type === "permission.asked") {
           // Check if permission notifications are enabled
-          if (config.enablePermissionNotification === false) {
+          // Routing rules may still route the event when the flat switch is off
+          if (config.enablePermissionNotification === false && !hasRulesForEvent(config.notificationRules, 'permission')) {
             debugLog(`${event.type}: skipped (enablePermissionNotification=false)`);
             return;
           }
 
-          // Capture permissionID
+          // Capture permissionID, the session it belongs to and what it is for
           const permissionId = event.properties?.id;
+          const sessionID = event.properties?.sessionID;
+          const permission = extractPermission(event.properties);
           
           if (!permissionId) {
              debugLog(`${event.type}: permission ID missing. properties keys: ` + Object.keys(event.properties || {}).join(', '));
           }
 
           // Add to the pending batch (avoid duplicates)
-          if (permissionId && !pendingPermissionBatch.includes(permissionId)) {
-            pendingPermissionBatch.push(permissionId);
-            debugLog(`${event.type}: added ${permissionId} to batch (now ${pendingPermissionBatch.length} pending)`);
+          // The session is marked as awaiting a reply once the batch goes out (processPermissionBatch)
+          if (permissionId && !pendingPermissionBatch.some(item => item.id === permissionId)) {
+            pendingPermissionBatch.push({ id: permissionId, sessionID, permission });
+            debugLog(`${event.type}: added ${permissionId} (session ${sessionID}) to batch (now ${pendingPermissionBatch.length} pending)`);
           } else if (!permissionId) {
             // If no ID, still count it (use a placeholder)
-            pendingPermissionBatch.push(`unknown-${Date.now()}`);
-            debugLog(`${event.type}: added unknown permission to batch (now ${pendingPermissionBatch.length} pending)`);
+            const placeholderId = `unknown-${Date.now()}`;
+            pendingPermissionBatch.push({ id: placeholderId, sessionID, permission });
+            debugLog(`${event.type}: added unknown permission (session ${sessionID}) to batch (now ${pendingPermissionBatch.length} pending)`);
           }
           
           // Reset the batch window timer (debounce)
@@ -1403,29 +2149,35 @@ export default async function SmartVoiceNotifyPlugin({ project, client, $, direc
         // NOTE: Each question.asked event can contain multiple questions in its questions array.
         if (event.type === "question.asked") {
           // Check if question notifications are enabled
-          if (config.enableQuestionNotification === false) {
+          // Routing rules may still route the event when the flat switch is off
+          if (config.enableQuestionNotification === false && !hasRulesForEvent(config.notificationRules, 'question')) {
             debugLog('question.asked: skipped (enableQuestionNotification=false)');
             return;
           }
 
           // Capture question request ID and count of questions in this request
           const questionId = event.properties?.id;
+          const sessionID = event.properties?.sessionID;
           const questionsArray = event.properties?.questions;
           const questionCount = Array.isArray(questionsArray) ? questionsArray.length : 1;
+          // Question text and options, so notifications can say what is being asked
+          const questions = extractQuestions(event.properties);
           
           if (!questionId) {
             debugLog(`${event.type}: question ID missing. properties keys: ` + Object.keys(event.properties || {}).join(', '));
           }
 
           // Add to the pending batch (avoid duplicates by checking ID)
-          // Store as object with id and questionCount for proper counting
+          // Store as object with id, session, questionCount (for proper counting) and the questions themselves
+          // The session is marked as awaiting an answer once the batch goes out (processQuestionBatch)
           const existingIndex = pendingQuestionBatch.findIndex(item => item.id === questionId);
           if (questionId && existingIndex === -1) {
-            pendingQuestionBatch.push({ id: questionId, questionCount });
-            debugLog(`${event.type}: added ${questionId} with ${questionCount} question(s) to batch (now ${pendingQuestionBatch.length} request(s) pending)`);
+            pendingQuestionBatch.push({ id: questionId, sessionID, questionCount, questions });
+            debugLog(`${event.type}: added ${questionId} (session ${sessionID}) with ${questionCount} question(s) to batch (now ${pendingQuestionBatch.length} request(s) pending)`);
           } else if (!questionId) {
             // If no ID, still count it (use a placeholder)
-            pendingQuestionBatch.push({ id: `unknown-${Date.now()}`, questionCount });
+            const placeholderId = `unknown-${Date.now()}`;
+            pendingQuestionBatch.push({ id: placeholderId, sessionID, questionCount, questions });
             debugLog(`${event.type}: added unknown question request with ${questionCount} question(s) to batch (now ${pendingQuestionBatch.length} request(s) pending)`);
           }
           
@@ -1450,6 +2202,8 @@ export default async function SmartVoiceNotifyPlugin({ project, client, $, direc
         if (event.type === "question.replied") {
           const repliedQuestionId = event.properties?.requestID;
           const answers = event.properties?.answers;
+          // Only the owning session's question state is touched - other sessions keep their reminders
+          const sessionID = sessionTracker.findSessionForRequest('question', repliedQuestionId) || event.properties?.sessionID;
           
           // Remove this question from the pending batch (if still waiting)
           // pendingQuestionBatch is now an array of { id, questionCount } objects
@@ -1466,19 +2220,22 @@ export default async function SmartVoiceNotifyPlugin({ project, client, $, direc
             debugLog('Question replied: cancelled batch timeout (all questions handled)');
           }
           
-          // Clear active question ID
-          if (activeQuestionId === repliedQuestionId || activeQuestionId === undefined) {
-            activeQuestionId = null;
-            debugLog(`Question replied: cleared activeQuestionId ${repliedQuestionId || '(unknown)'}`);
+          if (!sessionID) {
+            debugLog(`Question replied: no session found for ${repliedQuestionId || '(unknown)'} - leaving other sessions untouched`);
+          } else {
+            sessionTracker.resolve(sessionID, 'question', repliedQuestionId);
+            recordHistoryResponse(sessionID, 'question');
+            sessionTracker.markActivity(sessionID);
+            cancelPendingReminder(sessionID, 'question'); // Cancel this session's question reminder
+            if (!sessionTracker.isAwaiting(sessionID, 'question')) stopNotificationAudio(sessionID, 'question');
+            debugLog(`Question replied: ${event.type} (answers=${JSON.stringify(answers)}) - cancelled question reminder for session ${sessionID}`);
           }
-          lastUserActivityTime = Date.now();
-          cancelPendingReminder('question'); // Cancel question-specific reminder
-          debugLog(`Question replied: ${event.type} (answers=${JSON.stringify(answers)}) - cancelled question reminder`);
         }
 
         // Handle question.rejected - user dismissed the question
         if (event.type === "question.rejected") {
           const rejectedQuestionId = event.properties?.requestID;
+          const sessionID = sessionTracker.findSessionForRequest('question', rejectedQuestionId) || event.properties?.sessionID;
           
           // Remove this question from the pending batch (if still waiting)
           // pendingQuestionBatch is now an array of { id, questionCount } objects
@@ -1495,18 +2252,98 @@ export default async function SmartVoiceNotifyPlugin({ project, client, $, direc
             debugLog('Question rejected: cancelled batch timeout (all questions handled)');
           }
           
-          // Clear active question ID
-          if (activeQuestionId === rejectedQuestionId || activeQuestionId === undefined) {
-            activeQuestionId = null;
-            debugLog(`Question rejected: cleared activeQuestionId ${rejectedQuestionId || '(unknown)'}`);
+          if (!sessionID) {
+            debugLog(`Question rejected: no session found for ${rejectedQuestionId || '(unknown)'} - leaving other sessions untouched`);
+          } else {
+            sessionTracker.resolve(sessionID, 'question', rejectedQuestionId);
+            recordHistoryResponse(sessionID, 'question');
+            sessionTracker.markActivity(sessionID);
+            cancelPendingReminder(sessionID, 'question'); // Cancel this session's question reminder
+            if (!sessionTracker.isAwaiting(sessionID, 'question')) stopNotificationAudio(sessionID, 'question');
+            debugLog(`Question rejected: ${event.type} - cancelled question reminder for session ${sessionID}`);
           }
-          lastUserActivityTime = Date.now();
-          cancelPendingReminder('question'); // Cancel question-specific reminder
-          debugLog(`Question rejected: ${event.type} - cancelled question reminder`);
         }
       } catch (e) {
         debugLog(`event handler error: ${e.message}`);
       }
     },
   };
+
+  // ========================================
+  // SLASH COMMANDS
+  // ========================================
+  if (config.enableVoiceCommands !== false) {
+    hooks.config = async (cfg) => {
+      cfg.command = cfg.command || {};
+      // Respect a user-defined /voice command
+      if (!cfg.command.voice) {
+        cfg.command.voice = {
+          template: '/voice $ARGUMENTS',
+          description: 'Smart Voice Notify: mute [30m], unmute, snooze [30m], test <type>, status, engine <name>, cache [clear]'
+        };
+      }
+    };
+
+    hooks['command.execute.before'] = async (input) => {
+      if (input.command !== 'voice') return;
+
+      const result = runVoiceCommand(input.arguments);
+      showToast(result, result.includes('Usage:') ? 'warning' : 'info', 6000);
+
+      // Keep the full result in the session as a message the agent doesn't reply to
+      // (multi-line reports like status and history don't fit in a toast)
+      if (input.sessionID) {
+        try {
+          await client.session.prompt({
+            path: { id: input.sessionID },
+            body: { noReply: true, parts: [{ type: 'text', text: result }] }
+          });
+        } catch (e) {
+          debugLog(`/voice: could not post the result to session ${input.sessionID}: ${e.message}`);
+        }
+      }
+    };
+  }
+
+  // ========================================
+  // AGENT TOOLS
+  // ========================================
+  if (config.enableNotifyTool !== false) {
+    hooks.tool = {
+      notify_user: tool({
+        description: "Get the user's attention without ending your turn: shows a toast, sends a desktop/webhook notification and speaks the message aloud. " +
+          "Use sparingly, for things the user should know about right now, e.g. before a risky or long-running step, or when you are blocked on them. " +
+          "Do not use it to report that you finished - the user is notified about that automatically.",
+        args: {
+          message: tool.schema.string().describe('Short, speakable message for the user (one sentence)'),
+          urgency: tool.schema.enum(['low', 'normal', 'high']).optional()
+            .describe("'low' = silent (toast/desktop only), 'normal' = spoken, 'high' = spoken with critical desktop urgency and webhook mention")
+        },
+        execute: async (args, context) => notifyUserFromAgent(args, context)
+      })
+    };
+  }
+
+  // ========================================
+  // AUDIO WARM-UP
+  // Pre-renders the static *TTSMessages into the audio cache in the
+  // background, so the first alert (and every reminder) plays from local audio
+  // ========================================
+  if (config.enableTTSWarmUp === true) {
+    // Only values known at startup; messages with other placeholders are rendered per event
+    const startupVars = { project: derivedProjectName, userName: config.userName };
+    const messages = Object.keys(config)
+      .filter(key => /^\w+TTSMessages$/.test(key) && Array.isArray(config[key]))
+      .flatMap(key => {
+        // e.g. permissionReminderTTSMessages -> permission reminders (their voice profile)
+        const [, eventType, reminder] = key.match(/^(\w+?)(Reminder)?TTSMessages$/);
+        return config[key]
+          .filter(message => templateVariables(message).every(name => name in startupVars))
+          .map(message => ({ message: renderTemplate(message, startupVars), eventType, reminder: Boolean(reminder) }));
+      });
+
+    tts.warmUp(messages).catch(e => debugLog(`warmUp error: ${e?.message || e}`));
+  }
+
+  return hooks;
 }
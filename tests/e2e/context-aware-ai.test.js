@@ -313,6 +313,61 @@ describe('Context-Aware AI Feature (Issue #9)', () => {
       }
     });
 
+    test('should describe the last turn from the session messages', async () => {
+      createTestConfig(createMinimalConfig({ 
+        enabled: true,
+        enableAIMessages: true,
+        enableContextAwareAI: true,
+        notificationMode: 'tts-first',
+        enableTTS: true,
+        enableSound: true,
+        ttsEngine: 'sapi',
+        aiEndpoint: 'http://localhost:11434/v1',
+        aiPrompts: {
+          idle: 'Generate completion notification.'
+        }
+      }));
+      
+      mockClient.session.setMockMessages('session-with-parts', [
+        {
+          info: { id: 'm1', role: 'user', time: { created: 1000 } },
+          parts: [{ type: 'text', text: 'Add a dark mode toggle' }]
+        },
+        {
+          info: { id: 'm2', role: 'assistant', time: { created: 2000, completed: 95000 } },
+          parts: [
+            { type: 'tool', tool: 'edit', state: { status: 'completed', input: { filePath: '/app/src/theme.js' } } },
+            { type: 'tool', tool: 'bash', state: { status: 'error', input: { command: 'npm test' }, error: 'exit code 1' } },
+            { type: 'text', text: 'Added the toggle, but one test still fails.' }
+          ]
+        }
+      ]);
+      
+      const restoreFetch = createMockAIServer();
+      
+      try {
+        const plugin = await SmartVoiceNotifyPlugin({
+          project: { id: 'proj-3', worktree: '/path/to/DarkModeProject' },
+          worktree: '/path/to/DarkModeProject',
+          client: mockClient,
+          $: mockShell
+        });
+        
+        await plugin.event({ event: mockEvents.sessionIdle('session-with-parts') });
+        await wait(200);
+        
+        const prompt = capturedPrompts.map(p => p.prompt).join('\n');
+        expect(prompt).toContain('User Goal: "Add a dark mode toggle"');
+        expect(prompt).toContain('Work Done: "Added the toggle, but one test still fails."');
+        expect(prompt).toContain('Tools Used: edit, bash');
+        expect(prompt).toContain('Files Edited: theme.js');
+        expect(prompt).toContain('Failed Tool Calls: bash (exit code 1)');
+        expect(prompt).toContain('Duration: 1m 34s');
+      } finally {
+        restoreFetch();
+      }
+    });
+
     test('should NOT include context when enableContextAwareAI is false', async () => {
       createTestConfig(createMinimalConfig({ 
         enabled: true,
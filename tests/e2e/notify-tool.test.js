@@ -0,0 +1,137 @@
+import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
+import SmartVoiceNotifyPlugin from '../../index.js';
+import {
+  createTestTempDir,
+  cleanupTestTempDir,
+  createTestConfig,
+  createMinimalConfig,
+  createTestAssets,
+  createMockShellRunner,
+  createMockClient,
+  wait,
+  waitFor
+} from '../setup.js';
+
+describe('notify_user tool E2E', () => {
+  let mockClient;
+  let mockShell;
+
+  const toolConfig = (overrides = {}) => createMinimalConfig({
+    enabled: true,
+    enableToast: true,
+    enableTTS: true,
+    enableSound: true, // speak() requires sound to be enabled
+    ttsEngine: 'edge',
+    ...overrides
+  });
+
+  const getSpeechCalls = () => mockShell.getCalls().filter(c => c.command.includes('edge-tts'));
+
+  const createPlugin = () => SmartVoiceNotifyPlugin({
+    project: { name: 'TestProject' },
+    client: mockClient,
+    $: mockShell
+  });
+
+  beforeEach(() => {
+    createTestTempDir();
+    createTestAssets();
+    mockClient = createMockClient();
+    mockShell = createMockShellRunner();
+  });
+
+  afterEach(() => {
+    cleanupTestTempDir();
+  });
+
+  test('should register the notify_user tool', async () => {
+    createTestConfig(toolConfig());
+    const plugin = await createPlugin();
+
+    expect(plugin.tool).toBeDefined();
+    expect(plugin.tool.notify_user).toBeDefined();
+    expect(typeof plugin.tool.notify_user.execute).toBe('function');
+    expect(plugin.tool.notify_user.args.message).toBeDefined();
+    expect(plugin.tool.notify_user.args.urgency).toBeDefined();
+  });
+
+  test('should not register the tool when enableNotifyTool is false', async () => {
+    createTestConfig(toolConfig({ enableNotifyTool: false }));
+    const plugin = await createPlugin();
+
+    expect(plugin.event).toBeDefined();
+    expect(plugin.tool).toBeUndefined();
+  });
+
+  test('should show a toast and speak the message', async () => {
+    createTestConfig(toolConfig());
+    const plugin = await createPlugin();
+
+    const result = await plugin.tool.notify_user.execute(
+      { message: 'About to run the migration' },
+      { sessionID: 'session-1' }
+    );
+
+    expect(result).toContain('toast');
+    expect(result).toContain('tts');
+    expect(mockClient.tui.getToastCalls()[0].message).toContain('About to run the migration');
+
+    await waitFor(() => getSpeechCalls().length >= 1, 5000);
+    expect(getSpeechCalls()[0].command).toContain('About to run the migration');
+  });
+
+  test('should speak with sounds off when TTS is on', async () => {
+    createTestConfig(toolConfig({ enableSound: false }));
+    const plugin = await createPlugin();
+
+    const result = await plugin.tool.notify_user.execute(
+      { message: 'Deploy finished' },
+      { sessionID: 'session-2' }
+    );
+
+    expect(result).toContain('tts');
+    await waitFor(() => getSpeechCalls().length >= 1, 5000);
+    expect(getSpeechCalls()[0].command).toContain('Deploy finished');
+  });
+
+  test('should not speak low urgency messages', async () => {
+    createTestConfig(toolConfig());
+    const plugin = await createPlugin();
+
+    const result = await plugin.tool.notify_user.execute(
+      { message: 'FYI: tests are slow today', urgency: 'low' },
+      { sessionID: 'session-1' }
+    );
+
+    expect(result).not.toContain('tts');
+    expect(mockClient.tui.getToastCalls().length).toBe(1);
+    await wait(200);
+    expect(getSpeechCalls().length).toBe(0);
+  });
+
+  test('should use a warning toast for high urgency', async () => {
+    createTestConfig(toolConfig({ enableTTS: false }));
+    const plugin = await createPlugin();
+
+    await plugin.tool.notify_user.execute(
+      { message: 'I need your credentials', urgency: 'high' },
+      { sessionID: 'session-1' }
+    );
+
+    expect(mockClient.tui.getToastCalls()[0].variant).toBe('warning');
+  });
+
+  test('should send nothing when the plugin was disabled after startup', async () => {
+    createTestConfig(toolConfig());
+    const plugin = await createPlugin();
+
+    createTestConfig(toolConfig({ enabled: false }));
+    const result = await plugin.tool.notify_user.execute(
+      { message: 'Hello?' },
+      { sessionID: 'session-1' }
+    );
+
+    expect(result).toContain('disabled');
+    expect(mockClient.tui.getToastCalls().length).toBe(0);
+  });
+});
@@ -2,6 +2,7 @@ import { describe, test, expect, beforeEach, afterEach, spyOn } from 'bun:test';
 import fs from 'fs';
 import path from 'path';
 import SmartVoiceNotifyPlugin from '../../index.js';
+import { readHistory } from '../../util/history.js';
 import { 
   createTestTempDir, 
   cleanupTestTempDir, 
@@ -12,6 +13,7 @@ import {
   createMockClient,
   mockEvents,
   wait,
+  waitFor,
   wasTTSCalled,
   getTTSCalls,
   getAudioCalls,
@@ -57,6 +59,86 @@ describe('Plugin E2E (Plugin Core)', () => {
       expect(plugin.event).toBeDefined();
       expect(typeof plugin.event).toBe('function');
     });
+
+    test('should pre-render static messages when enableTTSWarmUp is on', async () => {
+      const originalFetch = global.fetch;
+      const inputs = [];
+      global.fetch = async (url, options) => {
+        inputs.push(JSON.parse(options.body).input);
+        return { ok: true, arrayBuffer: async () => new ArrayBuffer(8) };
+      };
+
+      try {
+        createTestConfig(createMinimalConfig({
+          enableTTS: true,
+          enableSound: true,
+          enableTTSWarmUp: true,
+          ttsWarmUpDelayMs: 0,
+          ttsEngine: 'openai',
+          openaiTtsEndpoint: 'http://localhost:8880',
+          userName: 'Sam',
+          idleTTSMessages: ['Nice work, {userName}!', 'Done in {elapsed}.'],
+          permissionTTSMessages: ['Permission needed{?project} in {project}{/project}.'],
+          permissionTTSMessagesMultiple: ['{count} permissions needed.']
+        }));
+        await SmartVoiceNotifyPlugin({
+          project: { name: 'TestProject' },
+          client: mockClient,
+          $: mockShell,
+          directory: path.join(tempDir, 'my-app')
+        });
+
+        await waitFor(() => inputs.includes('Permission needed in my-app.'), 2000);
+        expect(inputs).toContain('Permission needed in my-app.');
+        expect(inputs).toContain('Nice work, Sam!');
+        expect(inputs.some(input => input.includes('elapsed') || input.includes('permissions'))).toBe(false);
+      } finally {
+        global.fetch = originalFetch;
+      }
+    });
+
+    test('should play the static part of a permission prompt from the warmed cache', async () => {
+      const originalFetch = global.fetch;
+      const inputs = [];
+      global.fetch = async (url, options) => {
+        inputs.push(JSON.parse(options.body).input);
+        return { ok: true, arrayBuffer: async () => new ArrayBuffer(8) };
+      };
+
+      try {
+        createTestConfig(createMinimalConfig({
+          enableTTS: true,
+          enableSound: true,
+          enableTTSWarmUp: true,
+          ttsWarmUpDelayMs: 0,
+          ttsEngine: 'openai',
+          openaiTtsEndpoint: 'http://localhost:8880',
+          notificationMode: 'tts-first',
+          permissionBatchWindowMs: 50,
+          permissionTTSMessages: ['Permission needed.']
+        }));
+        const plugin = await SmartVoiceNotifyPlugin({
+          project: { name: 'TestProject' },
+          client: mockClient,
+          $: mockShell
+        });
+        await waitFor(() => inputs.includes('Permission needed.'), 2000);
+
+        await plugin.event({
+          event: mockEvents.permissionAsked('p1', 's1', {
+            permission: 'bash',
+            patterns: ['make build'],
+            metadata: { command: 'make build' }
+          })
+        });
+
+        await waitFor(() => inputs.some(input => input.includes('make build')), 3000);
+        // Only the request details were synthesized; the alert came from the cache
+        expect(inputs.filter(input => input === 'Permission needed.')).toHaveLength(1);
+      } finally {
+        global.fetch = originalFetch;
+      }
+    });
   });
 
   describe('session.idle event', () => {
@@ -233,6 +315,29 @@ describe('Plugin E2E (Plugin Core)', () => {
       expect(toastCalls.some(t => t.message.includes('2 permission requests'))).toBe(true);
     });
 
+    test('should play the sound for a batch that spans two sessions', async () => {
+      createTestConfig(createMinimalConfig({
+        enabled: true,
+        enableSound: true,
+        permissionSound: 'assets/test-sound.mp3',
+        permissionBatchWindowMs: 100
+      }));
+
+      const plugin = await SmartVoiceNotifyPlugin({
+        project: { name: 'TestProject' },
+        client: mockClient,
+        $: mockShell
+      });
+
+      await plugin.event({ event: mockEvents.permissionAsked('p1', 's1') });
+      await plugin.event({ event: mockEvents.permissionAsked('p2', 's2') });
+
+      await wait(300);
+
+      // Both sessions still await a reply, so the batch's sound is not stale
+      expect(getAudioCalls(mockShell).length).toBeGreaterThan(0);
+    });
+
     test('should cancel reminder when permission.replied', async () => {
       createTestConfig(createMinimalConfig({ 
         enabled: true, 
@@ -291,6 +396,72 @@ describe('Plugin E2E (Plugin Core)', () => {
       const toastCalls = mockClient.tui.getToastCalls();
       expect(toastCalls.some(t => t.message.includes('3 questions'))).toBe(true);
     });
+
+    test('should speak the question text and its options', async () => {
+      createTestConfig(createMinimalConfig({
+        enabled: true,
+        enableSound: true,
+        enableTTS: true,
+        ttsEngine: 'edge',
+        notificationMode: 'tts-first',
+        questionSound: 'assets/test-sound.mp3',
+        questionBatchWindowMs: 50,
+        // One clip for the whole message (with the cache, the details are a clip of their own)
+        enableTTSCache: false
+      }));
+
+      const plugin = await SmartVoiceNotifyPlugin({
+        project: { name: 'TestProject' },
+        client: mockClient,
+        $: mockShell
+      });
+
+      await plugin.event({
+        event: mockEvents.questionAsked('q1', 's1', [{
+          header: 'Database',
+          question: 'Which database should I use?',
+          options: [{ label: 'Postgres' }, { label: 'SQLite' }]
+        }])
+      });
+
+      await waitFor(() => mockShell.wasCalledWith('edge-tts'), 3000);
+      const speech = mockShell.getCalls().find(c => c.command.includes('edge-tts')).command;
+      expect(speech).toContain('Which database should I use?');
+      expect(speech).toContain('Postgres or SQLite');
+    });
+
+    test('should say what a permission request is for', async () => {
+      createTestConfig(createMinimalConfig({
+        enabled: true,
+        enableSound: true,
+        enableTTS: true,
+        ttsEngine: 'edge',
+        notificationMode: 'tts-first',
+        permissionSound: 'assets/test-sound.mp3',
+        permissionBatchWindowMs: 50,
+        // One clip for the whole message (with the cache, the details are a clip of their own)
+        enableTTSCache: false
+      }));
+
+      const plugin = await SmartVoiceNotifyPlugin({
+        project: { name: 'TestProject' },
+        client: mockClient,
+        $: mockShell
+      });
+
+      await plugin.event({
+        event: mockEvents.permissionAsked('p1', 's1', {
+          permission: 'bash',
+          patterns: ['npm test'],
+          metadata: { command: 'npm test' }
+        })
+      });
+
+      await waitFor(() => mockShell.wasCalledWith('edge-tts'), 3000);
+      const speech = mockShell.getCalls().find(c => c.command.includes('edge-tts')).command;
+      // The speech normalizer spells out npm
+      expect(speech).toContain('I want to run N P M test.');
+    });
   });
 
   describe('user activity tracking', () => {
@@ -388,5 +559,367 @@ describe('Plugin E2E (Plugin Core)', () => {
       // Should NOT have processed the batch (no sound/toast)
       expect(mockClient.tui.getToastCalls().length).toBe(0);
     });
+
+    test('should keep pending batches of other sessions', async () => {
+      createTestConfig(createMinimalConfig({
+        enabled: true,
+        enableToast: true,
+        permissionBatchWindowMs: 100
+      }));
+
+      const plugin = await SmartVoiceNotifyPlugin({
+        project: { name: 'TestProject' },
+        client: mockClient,
+        $: mockShell
+      });
+
+      await plugin.event({ event: mockEvents.permissionAsked('p1', 's1') });
+      await plugin.event({ event: mockEvents.sessionCreated('s2') });
+      await wait(300);
+
+      // s1's permission is still notified
+      expect(mockClient.tui.getToastCalls().some(t => t.message.includes('Permission request'))).toBe(true);
+    });
+
+    test('should drop pending batch entries of the created session', async () => {
+      createTestConfig(createMinimalConfig({
+        enabled: true,
+        enableToast: true,
+        permissionBatchWindowMs: 100
+      }));
+
+      const plugin = await SmartVoiceNotifyPlugin({
+        project: { name: 'TestProject' },
+        client: mockClient,
+        $: mockShell
+      });
+
+      await plugin.event({ event: mockEvents.permissionAsked('p1', 's1') });
+      await plugin.event({ event: mockEvents.sessionCreated('s1') });
+      await wait(300);
+
+      expect(mockClient.tui.getToastCalls().length).toBe(0);
+    });
+
+    test('should drop a deleted session from the permission batch', async () => {
+      createTestConfig(createMinimalConfig({
+        enabled: true,
+        enableToast: true,
+        permissionBatchWindowMs: 100
+      }));
+
+      const plugin = await SmartVoiceNotifyPlugin({
+        project: { name: 'TestProject' },
+        client: mockClient,
+        $: mockShell
+      });
+
+      await plugin.event({ event: mockEvents.permissionAsked('p1', 's1') });
+      await plugin.event({ event: mockEvents.sessionDeleted('s1') });
+      await wait(300);
+
+      expect(mockClient.tui.getToastCalls().length).toBe(0);
+    });
+  });
+
+  describe('parallel sessions', () => {
+    const reminderConfig = (overrides = {}) => createMinimalConfig({
+      enabled: true,
+      enableTTS: true,
+      enableTTSReminder: true,
+      enableFollowUpReminders: false,
+      enableSound: true, // speak() requires sound to be enabled
+      ttsEngine: 'edge',
+      permissionBatchWindowMs: 50,
+      ...overrides
+    });
+
+    // Count TTS synthesis attempts (immediate sounds don't go through edge-tts)
+    const getSpeechCalls = () => mockShell.getCalls().filter(c => c.command.includes('edge-tts'));
+
+    test('permission reply in one session should not cancel another session reminder', async () => {
+      createTestConfig(reminderConfig({ permissionReminderDelaySeconds: 0.3 }));
+
+      const plugin = await SmartVoiceNotifyPlugin({
+        project: { name: 'TestProject' },
+        client: mockClient,
+        $: mockShell
+      });
+
+      await plugin.event({ event: mockEvents.permissionAsked('p1', 's1') });
+      await plugin.event({ event: mockEvents.permissionAsked('p2', 's2') });
+      await wait(150);
+
+      // Reply only in s1 (reply events are matched to their session by request ID)
+      await plugin.event({ event: mockEvents.permissionReplied('p1') });
+
+      // Only s2's reminder should speak
+      await waitFor(() => getSpeechCalls().length >= 1, 5000);
+      await wait(300);
+      expect(getSpeechCalls().length).toBe(1);
+    });
+
+    test('user message in one session should not cancel another session idle reminder', async () => {
+      createTestConfig(reminderConfig({ idleReminderDelaySeconds: 0.3 }));
+
+      const plugin = await SmartVoiceNotifyPlugin({
+        project: { name: 'TestProject' },
+        client: mockClient,
+        $: mockShell
+      });
+
+      await plugin.event({ event: mockEvents.sessionIdle('s1') });
+      await plugin.event({ event: mockEvents.sessionIdle('s2') });
+      await wait(50);
+
+      await plugin.event({ event: mockEvents.messageUpdated('m1', 'user', 's1') });
+
+      await waitFor(() => getSpeechCalls().length >= 1, 5000);
+      await wait(300);
+      expect(getSpeechCalls().length).toBe(1);
+    });
+
+    test('reminders should name their session when several sessions are waiting', async () => {
+      createTestConfig(reminderConfig({ idleReminderDelaySeconds: 0.2 }));
+      mockClient.session.setMockSession('s1', { title: 'Fix login redirect' });
+      mockClient.session.setMockSession('s2', { title: 'Update docs' });
+
+      const plugin = await SmartVoiceNotifyPlugin({
+        project: { name: 'TestProject' },
+        client: mockClient,
+        $: mockShell
+      });
+
+      await plugin.event({ event: mockEvents.sessionIdle('s1') });
+      await plugin.event({ event: mockEvents.sessionIdle('s2') });
+
+      await waitFor(() => mockShell.wasCalledWith('Update docs'), 5000);
+      expect(mockShell.wasCalledWith('Fix login redirect')).toBe(true);
+    });
+
+    test('single-session reminders should not be prefixed', async () => {
+      createTestConfig(reminderConfig({ idleReminderDelaySeconds: 0.2 }));
+      mockClient.session.setMockSession('s1', { title: 'Fix login redirect' });
+
+      const plugin = await SmartVoiceNotifyPlugin({
+        project: { name: 'TestProject' },
+        client: mockClient,
+        $: mockShell
+      });
+
+      await plugin.event({ event: mockEvents.sessionIdle('s1') });
+
+      await waitFor(() => mockShell.wasCalledWith('edge-tts'), 5000);
+      expect(mockShell.wasCalledWith('Fix login redirect')).toBe(false);
+    });
+  });
+
+  describe('quiet hours', () => {
+    // A window with the same start and end covers the whole day
+    const allDayQuiet = (window = {}) => createMinimalConfig({
+      enabled: true,
+      enableSound: true,
+      enableToast: true,
+      idleSound: 'assets/test-sound.mp3',
+      errorSound: 'assets/test-sound.mp3',
+      quietHours: [{ from: '00:00', to: '00:00', ...window }]
+    });
+
+    test('should hold back sounds but still show toasts', async () => {
+      createTestConfig(allDayQuiet());
+      const plugin = await SmartVoiceNotifyPlugin({
+        project: { name: 'TestProject' },
+        client: mockClient,
+        $: mockShell
+      });
+
+      await plugin.event({ event: mockEvents.sessionIdle('session-1') });
+      await wait(100);
+
+      expect(mockShell.wasCalledWith('test-sound.mp3')).toBe(false);
+      expect(mockClient.tui.getToastCalls().length).toBe(1);
+    });
+
+    test('should let excepted event types through', async () => {
+      createTestConfig({ ...allDayQuiet({ allowEvents: ['error'] }), enableErrorNotification: true });
+      const plugin = await SmartVoiceNotifyPlugin({
+        project: { name: 'TestProject' },
+        client: mockClient,
+        $: mockShell
+      });
+
+      await plugin.event({ event: mockEvents.sessionError('session-1') });
+      await waitFor(() => mockShell.wasCalledWith('test-sound.mp3'), 3000);
+
+      expect(mockShell.wasCalledWith('test-sound.mp3')).toBe(true);
+    });
+
+    test('should let allowed channels through', async () => {
+      createTestConfig(allDayQuiet({ allow: ['sound'] }));
+      const plugin = await SmartVoiceNotifyPlugin({
+        project: { name: 'TestProject' },
+        client: mockClient,
+        $: mockShell
+      });
+
+      await plugin.event({ event: mockEvents.sessionIdle('session-1') });
+      await waitFor(() => mockShell.wasCalledWith('test-sound.mp3'), 3000);
+
+      expect(mockShell.wasCalledWith('test-sound.mp3')).toBe(true);
+    });
+
+    test('should record quiet hours in history when they held back a channel', async () => {
+      createTestConfig(allDayQuiet());
+      const plugin = await SmartVoiceNotifyPlugin({
+        project: { name: 'TestProject' },
+        client: mockClient,
+        $: mockShell
+      });
+
+      await plugin.event({ event: mockEvents.sessionIdle('session-1') });
+      await waitFor(() => readHistory().length > 0, 3000);
+
+      expect(readHistory()[0].suppressedReasons).toContain('quiet-hours');
+    });
+
+    test('should not record quiet hours for channels that are switched off', async () => {
+      createTestConfig({ ...allDayQuiet(), enableSound: false, enableDesktopNotification: false });
+      const plugin = await SmartVoiceNotifyPlugin({
+        project: { name: 'TestProject' },
+        client: mockClient,
+        $: mockShell
+      });
+
+      await plugin.event({ event: mockEvents.sessionIdle('session-1') });
+      await waitFor(() => readHistory().length > 0, 3000);
+
+      expect(readHistory()[0].suppressedReasons).not.toContain('quiet-hours');
+    });
+  });
+
+  describe('message templates', () => {
+    test('should fill placeholders in spoken messages', async () => {
+      createTestConfig(createMinimalConfig({
+        enabled: true,
+        enableSound: true,
+        enableTTS: true,
+        ttsEngine: 'edge',
+        notificationMode: 'tts-first',
+        userName: 'Sam',
+        idleTTSMessages: ['Done with {sessionTitle}, {userName}!{?elapsed} Took {elapsed}.{/elapsed}']
+      }));
+      mockClient.session.setMockSession('s1', { title: 'Fix login' });
+
+      const plugin = await SmartVoiceNotifyPlugin({
+        project: { name: 'TestProject' },
+        client: mockClient,
+        $: mockShell
+      });
+
+      await plugin.event({ event: mockEvents.sessionIdle('s1') });
+
+      await waitFor(() => mockShell.wasCalledWith('edge-tts'), 3000);
+      const speech = mockShell.getCalls().find(c => c.command.includes('edge-tts')).command;
+      expect(speech).toContain('Done with Fix login, Sam!');
+      expect(speech).not.toContain('Took');
+    });
+
+    test('should render toast templates per event', async () => {
+      createTestConfig(createMinimalConfig({
+        enabled: true,
+        enableToast: true,
+        permissionBatchWindowMs: 50,
+        messageTemplates: {
+          toast: { permission: '🔐 {count:# permission|# permissions} waiting{?userName} for {userName}{/userName}' }
+        }
+      }));
+
+      const plugin = await SmartVoiceNotifyPlugin({
+        project: { name: 'TestProject' },
+        client: mockClient,
+        $: mockShell
+      });
+
+      await plugin.event({ event: mockEvents.permissionAsked('p1', 's1') });
+      await plugin.event({ event: mockEvents.permissionAsked('p2', 's1') });
+      await waitFor(() => mockClient.tui.getToastCalls().length > 0, 3000);
+
+      expect(mockClient.tui.getToastCalls()[0].message).toBe('🔐 2 permissions waiting');
+    });
+  });
+
+  describe('notification routing', () => {
+    const routedConfig = (notificationRules, overrides = {}) => createMinimalConfig({
+      enabled: true,
+      enableSound: true,
+      enableToast: true,
+      idleSound: 'assets/test-sound.mp3',
+      notificationRules,
+      ...overrides
+    });
+
+    const createPlugin = (worktree) => SmartVoiceNotifyPlugin({
+      project: { name: 'TestProject' },
+      client: mockClient,
+      $: mockShell,
+      worktree
+    });
+
+    test('should only use the channels of the matching rule', async () => {
+      createTestConfig(routedConfig([
+        { when: { event: 'idle', project: 'scratch-*' }, then: ['toast'] }
+      ]));
+      const plugin = await createPlugin('/work/scratch-notes');
+
+      await plugin.event({ event: mockEvents.sessionIdle('session-1') });
+      await wait(100);
+
+      expect(mockClient.tui.getToastCalls().length).toBe(1);
+      expect(mockShell.wasCalledWith('test-sound.mp3')).toBe(false);
+    });
+
+    test('should fall back to the flat settings when no rule matches', async () => {
+      createTestConfig(routedConfig([
+        { when: { event: 'idle', project: 'scratch-*' }, then: ['toast'] }
+      ]));
+      const plugin = await createPlugin('/work/infra-prod');
+
+      await plugin.event({ event: mockEvents.sessionIdle('session-1') });
+      await waitFor(() => mockShell.wasCalledWith('test-sound.mp3'), 3000);
+
+      expect(mockShell.wasCalledWith('test-sound.mp3')).toBe(true);
+    });
+
+    test('should route events that the flat settings disable', async () => {
+      createTestConfig(routedConfig([
+        { when: { event: 'idle' }, then: ['sound'] }
+      ], { enableIdleNotification: false }));
+      const plugin = await createPlugin('/work/infra-prod');
+
+      await plugin.event({ event: mockEvents.sessionIdle('session-1') });
+      await waitFor(() => mockShell.wasCalledWith('test-sound.mp3'), 3000);
+
+      expect(mockShell.wasCalledWith('test-sound.mp3')).toBe(true);
+      expect(mockClient.tui.getToastCalls().length).toBe(0);
+    });
+
+    test('should schedule reminders only when the rule asks for them', async () => {
+      createTestConfig(routedConfig([
+        { when: { event: 'idle' }, then: ['reminder'] }
+      ], {
+        enableTTS: true,
+        ttsEngine: 'edge',
+        enableTTSReminder: false,
+        enableFollowUpReminders: false,
+        idleReminderDelaySeconds: 0.2
+      }));
+      const plugin = await createPlugin('/work/infra-prod');
+
+      await plugin.event({ event: mockEvents.sessionIdle('session-1') });
+      await waitFor(() => mockShell.getCalls().some(c => c.command.includes('edge-tts')), 3000);
+
+      expect(mockShell.getCalls().some(c => c.command.includes('edge-tts'))).toBe(true);
+      expect(mockClient.tui.getToastCalls().length).toBe(0);
+    });
   });
 });
@@ -1,5 +1,6 @@
 import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
 import SmartVoiceNotifyPlugin from '../../index.js';
+import { readHistory } from '../../util/history.js';
 import { 
   createTestTempDir, 
   cleanupTestTempDir, 
@@ -230,4 +231,167 @@ describe('Plugin E2E (Reminder Flow)', () => {
     // to read the temporary audio file generated.
     // Flow verification is the primary goal.
   });
+
+  describe('reminder history', () => {
+    let originalFetch;
+
+    beforeEach(() => {
+      originalFetch = global.fetch;
+      createTestConfig(createMinimalConfig({
+        enabled: true,
+        enableTTSReminder: true,
+        idleReminderDelaySeconds: 0.1,
+        enableTTS: true,
+        enableSound: true,
+        ttsEngine: 'openai',
+        ttsFallbackChain: ['openai'],
+        openaiTtsEndpoint: 'http://localhost:8880'
+      }));
+    });
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+    });
+
+    const fireIdleReminder = async () => {
+      const plugin = await SmartVoiceNotifyPlugin({
+        project: { name: 'TestProject' },
+        client: mockClient,
+        $: mockShell
+      });
+      await plugin.event({ event: mockEvents.sessionIdle('s1') });
+      await waitFor(() => readHistory().some(entry => entry.reminder), 3000);
+      return readHistory().find(entry => entry.reminder);
+    };
+
+    test('records the reminder as spoken when the speech played', async () => {
+      global.fetch = async () => ({ ok: true, arrayBuffer: async () => new ArrayBuffer(8) });
+      expect((await fireIdleReminder()).channels).toEqual(['tts']);
+    });
+
+    test('records no channel when the speech failed', async () => {
+      global.fetch = async () => ({ ok: false, status: 500, text: async () => 'down' });
+      expect((await fireIdleReminder()).channels).toEqual([]);
+    });
+  });
+
+  describe('escalation ladder', () => {
+    const ladderConfig = (steps) => createMinimalConfig({
+      enabled: true,
+      enableToast: true,
+      enableTTSReminder: true,
+      enableTTS: true,
+      enableSound: true,
+      ttsEngine: 'edge',
+      permissionBatchWindowMs: 50,
+      escalation: { permission: steps }
+    });
+
+    const getEscalationToasts = () => mockClient.tui.getToastCalls().filter(t => t.message.startsWith('⏰'));
+    const getSpeechCalls = () => mockShell.getCalls().filter(c => c.command.includes('edge-tts'));
+
+    test('fires each step through its own channels', async () => {
+      createTestConfig(ladderConfig([
+        { after: 0.1, channels: ['tts'] },
+        { after: 0.3, channels: ['toast'], urgency: 'high' }
+      ]));
+
+      const plugin = await SmartVoiceNotifyPlugin({
+        project: { name: 'TestProject' },
+        client: mockClient,
+        $: mockShell
+      });
+
+      await plugin.event({ event: mockEvents.permissionAsked('p1', 's1') });
+
+      await waitFor(() => getSpeechCalls().length >= 1, 3000);
+      expect(getEscalationToasts().length).toBe(0);
+
+      await waitFor(() => getEscalationToasts().length >= 1, 3000);
+      expect(getEscalationToasts().length).toBe(1);
+      expect(getSpeechCalls().length).toBe(1);
+    });
+
+    test('counts step delays from the first notification', async () => {
+      createTestConfig({
+        ...ladderConfig([{ after: 0.7, channels: ['toast'] }]),
+        permissionSound: 'assets/test-sound.mp3'
+      });
+      // The first notification's sound takes a while to play
+      mockShell = createMockShellRunner({
+        handler: async (command) => {
+          if (command.includes('test-sound')) await wait(600);
+          return {};
+        }
+      });
+
+      const plugin = await SmartVoiceNotifyPlugin({
+        project: { name: 'TestProject' },
+        client: mockClient,
+        $: mockShell
+      });
+
+      await plugin.event({ event: mockEvents.permissionAsked('p1', 's1') });
+      await wait(1300);
+
+      expect(getEscalationToasts().length).toBe(1);
+    });
+
+    test('speaks escalation steps in the reminder voice profile', async () => {
+      createTestConfig({
+        ...ladderConfig([{ after: 0.1, channels: ['tts'] }]),
+        voiceProfiles: { permission: { edgeVoice: 'en-US-GuyNeural' }, reminder: { edgeRate: '+40%' } }
+      });
+
+      const plugin = await SmartVoiceNotifyPlugin({
+        project: { name: 'TestProject' },
+        client: mockClient,
+        $: mockShell
+      });
+
+      await plugin.event({ event: mockEvents.permissionAsked('p1', 's1') });
+
+      await waitFor(() => getSpeechCalls().length >= 1, 3000);
+      expect(getSpeechCalls()[0].command).toContain('en-US-GuyNeural');
+      expect(getSpeechCalls()[0].command).toContain('+40%');
+    });
+
+    test('runs with TTS reminders off', async () => {
+      createTestConfig({
+        ...ladderConfig([{ after: 0.1, channels: ['toast'] }]),
+        enableTTSReminder: false,
+        notificationMode: 'sound-only'
+      });
+
+      const plugin = await SmartVoiceNotifyPlugin({
+        project: { name: 'TestProject' },
+        client: mockClient,
+        $: mockShell
+      });
+
+      await plugin.event({ event: mockEvents.permissionAsked('p1', 's1') });
+
+      await waitFor(() => getEscalationToasts().length >= 1, 3000);
+      expect(getEscalationToasts().length).toBe(1);
+    });
+
+    test('stops when the user responds', async () => {
+      createTestConfig(ladderConfig([
+        { after: 0.3, channels: ['toast'] }
+      ]));
+
+      const plugin = await SmartVoiceNotifyPlugin({
+        project: { name: 'TestProject' },
+        client: mockClient,
+        $: mockShell
+      });
+
+      await plugin.event({ event: mockEvents.permissionAsked('p1', 's1') });
+      await wait(150);
+      await plugin.event({ event: mockEvents.permissionReplied('p1') });
+      await wait(400);
+
+      expect(getEscalationToasts().length).toBe(0);
+    });
+  });
 });
@@ -0,0 +1,274 @@
+import { describe, test, expect, beforeEach, afterEach } from 'bun:test';
+import fs from 'fs';
+import path from 'path';
+import SmartVoiceNotifyPlugin from '../../index.js';
+import { getHistoryFilePath } from '../../util/history.js';
+import { engineHealth } from '../../util/circuit-breaker.js';
+import { getAudioCacheDir } from '../../util/audio-cache.js';
+import {
+  createTestTempDir,
+  cleanupTestTempDir,
+  createTestConfig,
+  createMinimalConfig,
+  createTestAssets,
+  createMockShellRunner,
+  createMockClient,
+  mockEvents,
+  wait,
+  waitFor,
+  getAudioCalls
+} from '../setup.js';
+
+describe('/voice commands E2E', () => {
+  let mockClient;
+  let mockShell;
+
+  const commandConfig = (overrides = {}) => createMinimalConfig({
+    enabled: true,
+    enableToast: true,
+    enableTTS: true,
+    enableSound: true, // speak() requires sound to be enabled
+    ttsEngine: 'edge',
+    ...overrides
+  });
+
+  const getSpeechCalls = () => mockShell.getCalls().filter(c => c.command.includes('edge-tts'));
+
+  const createPlugin = () => SmartVoiceNotifyPlugin({
+    project: { name: 'TestProject' },
+    client: mockClient,
+    $: mockShell
+  });
+
+  /**
+   * Run a /voice command through the command hook like OpenCode does.
+   * @returns {Promise<string>} The result the plugin posted to the session
+   */
+  const runCommand = async (plugin, args, sessionID = 'session-1') => {
+    const output = { parts: [{ type: 'text', text: `/voice ${args}` }] };
+    await plugin['command.execute.before']({ command: 'voice', sessionID, arguments: args }, output);
+    return mockClient.session.getPromptCalls().at(-1).parts[0].text;
+  };
+
+  beforeEach(() => {
+    createTestTempDir();
+    createTestAssets();
+    mockClient = createMockClient();
+    mockShell = createMockShellRunner();
+  });
+
+  afterEach(() => {
+    cleanupTestTempDir();
+  });
+
+  describe('registration', () => {
+    test('should register the /voice command via the config hook', async () => {
+      createTestConfig(commandConfig());
+      const plugin = await createPlugin();
+
+      const cfg = {};
+      await plugin.config(cfg);
+
+      expect(cfg.command.voice).toBeDefined();
+      expect(cfg.command.voice.template).toContain('$ARGUMENTS');
+    });
+
+    test('should keep a user-defined /voice command', async () => {
+      createTestConfig(commandConfig());
+      const plugin = await createPlugin();
+
+      const cfg = { command: { voice: { template: 'mine' } } };
+      await plugin.config(cfg);
+
+      expect(cfg.command.voice.template).toBe('mine');
+    });
+
+    test('should not register commands when enableVoiceCommands is false', async () => {
+      createTestConfig(commandConfig({ enableVoiceCommands: false }));
+      const plugin = await createPlugin();
+
+      expect(plugin.config).toBeUndefined();
+      expect(plugin['command.execute.before']).toBeUndefined();
+    });
+
+    test('should post the result as a no-reply message and leave the prompt alone', async () => {
+      createTestConfig(commandConfig());
+      const plugin = await createPlugin();
+
+      const output = { parts: [{ type: 'text', text: '/voice mute 30m' }] };
+      await plugin['command.execute.before']({ command: 'voice', sessionID: 's1', arguments: 'mute 30m' }, output);
+
+      expect(output.parts).toEqual([{ type: 'text', text: '/voice mute 30m' }]);
+      const [message] = mockClient.session.getPromptCalls();
+      expect(message.sessionID).toBe('s1');
+      expect(message.noReply).toBe(true);
+      expect(message.parts[0].text).toContain('muted for 30m');
+    });
+
+    test('should ignore other commands', async () => {
+      createTestConfig(commandConfig());
+      const plugin = await createPlugin();
+
+      const output = { parts: [{ type: 'text', text: 'review this' }] };
+      await plugin['command.execute.before']({ command: 'review', sessionID: 's1', arguments: '' }, output);
+
+      expect(output.parts[0].text).toBe('review this');
+    });
+  });
+
+  describe('mute / unmute', () => {
+    test('should silence sounds while muted and restore them on unmute', async () => {
+      createTestConfig(commandConfig({ idleSound: 'assets/test-sound.mp3' }));
+      const plugin = await createPlugin();
+
+      const result = await runCommand(plugin, 'mute 30m');
+      expect(result).toContain('muted for 30m');
+      expect(mockClient.tui.getToastCalls()[0].message).toContain('muted');
+
+      await plugin.event({ event: mockEvents.sessionIdle('session-1') });
+      await wait(100);
+      expect(getAudioCalls(mockShell).length).toBe(0);
+
+      await runCommand(plugin, 'unmute');
+      await plugin.event({ event: mockEvents.sessionIdle('session-2') });
+      await waitFor(() => getAudioCalls(mockShell).length > 0, 3000);
+      expect(getAudioCalls(mockShell).length).toBeGreaterThan(0);
+    });
+  });
+
+  describe('snooze', () => {
+    test('should cancel pending reminders and skip new ones', async () => {
+      createTestConfig(commandConfig({
+        enableTTSReminder: true,
+        enableFollowUpReminders: false,
+        idleReminderDelaySeconds: 0.2
+      }));
+      const plugin = await createPlugin();
+
+      await plugin.event({ event: mockEvents.sessionIdle('session-1') });
+      const result = await runCommand(plugin, 'snooze 10m');
+      expect(result).toContain('1 pending cancelled');
+
+      await plugin.event({ event: mockEvents.sessionIdle('session-2') });
+      await wait(400);
+      expect(getSpeechCalls().length).toBe(0);
+    });
+  });
+
+  describe('test', () => {
+    test('should speak a test notification of the requested type', async () => {
+      createTestConfig(commandConfig({ permissionTTSMessages: ['Test permission message'] }));
+      const plugin = await createPlugin();
+
+      const result = await runCommand(plugin, 'test permission');
+      expect(result).toContain('Test permission message');
+
+      await waitFor(() => getSpeechCalls().length >= 1, 5000);
+      expect(getSpeechCalls()[0].command).toContain('Test permission message');
+    });
+  });
+
+  describe('status / engine', () => {
+    test('should report the runtime engine override and waiting sessions', async () => {
+      createTestConfig(commandConfig({ permissionBatchWindowMs: 50 }));
+      const plugin = await createPlugin();
+
+      await plugin.event({ event: mockEvents.permissionAsked('p1', 'session-1') });
+      // The session waits on the user once the permission batch goes out
+      await wait(150);
+      await runCommand(plugin, 'engine sapi');
+      const text = await runCommand(plugin, 'status');
+
+      expect(text).toContain('TTS engine: sapi (runtime override)');
+      expect(text).toContain('Sound: on');
+      expect(text).toContain('session-1: permission');
+
+      await runCommand(plugin, 'engine reset');
+      const after = await runCommand(plugin, 'status');
+      expect(after).toContain('TTS engine: edge');
+      expect(after).not.toContain('runtime override');
+    });
+
+    test('should not leave a session waiting when its permission batch is skipped', async () => {
+      createTestConfig(commandConfig({
+        permissionBatchWindowMs: 50,
+        enablePermissionNotification: false,
+        notificationRules: [{ when: { event: 'permission', project: 'scratch-*' }, then: ['toast'] }]
+      }));
+      const plugin = await createPlugin();
+
+      await plugin.event({ event: mockEvents.permissionAsked('p1', 'session-1') });
+      await wait(150);
+
+      expect(await runCommand(plugin, 'status')).not.toContain('session-1');
+    });
+
+    test('should list engines the circuit breaker skips', async () => {
+      createTestConfig(commandConfig());
+      const plugin = await createPlugin();
+
+      expect(await runCommand(plugin, 'status')).not.toContain('Skipped engines');
+
+      engineHealth.trip('elevenlabs', 'quota exceeded');
+      engineHealth.recordFailure('edge', new Error('Unable to connect'));
+      const text = await runCommand(plugin, 'status');
+
+      expect(text).toContain('Skipped engines:');
+      expect(text).toContain('elevenlabs: quota exceeded (until restart)');
+      expect(text).toContain('edge: offline (retry in 1m) - last error: Unable to connect');
+    });
+
+    test('should show usage for unknown commands', async () => {
+      createTestConfig(commandConfig());
+      const plugin = await createPlugin();
+
+      const result = await runCommand(plugin, 'dance');
+      expect(result).toContain('Unknown command "dance"');
+      expect(result).toContain('Usage: /voice');
+    });
+  });
+
+  describe('cache', () => {
+    test('should show and clear the TTS audio cache', async () => {
+      createTestConfig(commandConfig());
+      const plugin = await createPlugin();
+      fs.mkdirSync(getAudioCacheDir(), { recursive: true });
+      fs.writeFileSync(path.join(getAudioCacheDir(), `${'a'.repeat(64)}.mp3`), Buffer.alloc(1024));
+
+      expect(await runCommand(plugin, 'cache')).toContain('TTS audio cache: 1 clip, 0.0 MB of 50 MB');
+      expect(await runCommand(plugin, 'cache clear')).toContain('Removed 1 cached clip.');
+      expect(await runCommand(plugin, 'cache')).toContain('TTS audio cache: 0 clips');
+    });
+  });
+
+  describe('history', () => {
+    test('should list notifications and whether they were answered', async () => {
+      createTestConfig(commandConfig({ permissionBatchWindowMs: 50 }));
+      const plugin = await createPlugin();
+
+      await plugin.event({ event: mockEvents.permissionAsked('p1', 'session-1') });
+      await plugin.event({ event: mockEvents.sessionIdle('session-2') });
+      await waitFor(() => fs.existsSync(getHistoryFilePath()) &&
+        fs.readFileSync(getHistoryFilePath(), 'utf-8').includes('"permission"'), 3000);
+      await plugin.event({ event: mockEvents.permissionReplied('p1') });
+
+      const text = await runCommand(plugin, 'history');
+
+      expect(text).toContain('Last 2 notification(s)');
+      expect(text).toMatch(/permission \(session-1\) via toast.* - answered at/);
+      expect(text).toMatch(/idle \(session-2\) via toast.* - unanswered/);
+    });
+
+    test('should not record anything when history is disabled', async () => {
+      createTestConfig(commandConfig({ enableHistory: false }));
+      const plugin = await createPlugin();
+
+      await plugin.event({ event: mockEvents.sessionIdle('session-1') });
+      await wait(100);
+
+      expect(fs.existsSync(getHistoryFilePath())).toBe(false);
+      const result = await runCommand(plugin, 'history');
+      expect(result).toContain('disabled');
+    });
+  });
+});
@@ -14,6 +14,7 @@ import { beforeAll, afterAll, beforeEach, afterEach, mock } from 'bun:test';
 import fs from 'fs';
 import os from 'os';
 import path from 'path';
+import { engineHealth } from '../util/circuit-breaker.js';
 
 // Mock node-notifier globally
 mock.module('node-notifier', () => {
@@ -309,6 +310,37 @@ export function createMockShellRunner(options = {}) {
   return mockRunner;
 }
 
+/**
+ * Creates a mock process launcher (Bun.spawn) for streaming players.
+ * Records the argv and everything written to each process's stdin.
+ *
+ * @param {object} [options={}] - Mock options
+ * @param {number} [options.exitCode=0] - Exit code of every process
+ * @returns {function} Mock spawn with a calls array of { argv, written, proc }
+ */
+export function createMockSpawn(options = {}) {
+  const calls = [];
+
+  const spawn = (argv) => {
+    const written = [];
+    const proc = {
+      stdin: {
+        write: (chunk) => { written.push(Buffer.from(chunk)); },
+        flush: () => {},
+        end: () => {}
+      },
+      exited: Promise.resolve(options.exitCode ?? 0),
+      killed: false,
+      kill: () => { proc.killed = true; }
+    };
+    calls.push({ argv, written, proc });
+    return proc;
+  };
+
+  spawn.calls = calls;
+  return spawn;
+}
+
 /**
  * Creates a mock OpenCode SDK client for testing.
  * 
@@ -317,7 +349,9 @@ export function createMockShellRunner(options = {}) {
  */
 export function createMockClient(options = {}) {
   const toastCalls = [];
+  const promptCalls = [];
   const sessionData = new Map();
+  const sessionMessages = new Map();
   
   return {
     tui: {
@@ -335,6 +369,11 @@ export function createMockClient(options = {}) {
     },
     
     session: {
+      prompt: async ({ path: { id }, body }) => {
+        promptCalls.push({ sessionID: id, ...body });
+        return { data: {} };
+      },
+      getPromptCalls: () => [...promptCalls],
       get: async ({ path: { id } }) => {
         // Return mock session data
         const session = sessionData.get(id) || {
@@ -344,11 +383,19 @@ export function createMockClient(options = {}) {
         };
         return { data: session };
       },
+      messages: async ({ path: { id } }) => {
+        // Messages in the OpenCode shape: [{ info, parts }]
+        return { data: sessionMessages.get(id) || [] };
+      },
       setMockSession: (id, data) => {
         sessionData.set(id, { id, ...data });
       },
+      setMockMessages: (id, messages) => {
+        sessionMessages.set(id, messages);
+      },
       clearMockSessions: () => {
         sessionData.clear();
+        sessionMessages.clear();
       }
     },
     
@@ -403,9 +450,12 @@ export const mockEvents = {
   
   sessionCreated: (sessionID) => createMockEvent('session.created', { sessionID }),
   
-  permissionAsked: (id, sessionID) => createMockEvent('permission.asked', {
+  sessionDeleted: (sessionID) => createMockEvent('session.deleted', { sessionID }),
+  
+  permissionAsked: (id, sessionID, details = {}) => createMockEvent('permission.asked', {
     id: id || `perm-${Date.now()}`,
-    sessionID
+    sessionID,
+    ...details
   }),
   
   permissionReplied: (requestID, reply = 'once') => createMockEvent('permission.replied', {
@@ -502,6 +552,8 @@ afterAll(() => {
 beforeEach(() => {
   // Reset NODE_ENV to test
   process.env.NODE_ENV = 'test';
+  // Engine health is shared across the process - failures in one test must not skip engines in the next
+  engineHealth.reset();
 });
 
 // Clean up temp directory after each test (if created)
@@ -1,5 +1,6 @@
 import { describe, it, expect, mock, beforeEach, afterEach } from 'bun:test';
 import { generateAIMessage, getSmartMessage, testAIConnection } from '../../util/ai-messages.js';
+import { engineHealth } from '../../util/circuit-breaker.js';
 import { createTestTempDir, cleanupTestTempDir, createTestConfig } from '../setup.js';
 
 describe('AI Message Generation Module', () => {
@@ -152,6 +153,28 @@ describe('AI Message Generation Module', () => {
       const result = await generateAIMessage('idle');
       expect(result).toBeNull();
     });
+
+    it('should stop calling an endpoint that keeps failing', async () => {
+      globalThis.fetch = mock(() => Promise.resolve({ ok: false, status: 500 }));
+
+      for (let i = 0; i < 3; i++) {
+        expect(await generateAIMessage('idle')).toBeNull();
+      }
+      expect(globalThis.fetch).toHaveBeenCalledTimes(3);
+
+      expect(await generateAIMessage('idle')).toBeNull();
+      expect(globalThis.fetch).toHaveBeenCalledTimes(3);
+      expect(engineHealth.getState().ai).toMatchObject({ state: 'open', reason: '3 failures in a row' });
+    });
+
+    it('should skip the endpoint right away when it is unreachable', async () => {
+      globalThis.fetch = mock(() => Promise.reject(Object.assign(new Error('Unable to connect'), { code: 'ConnectionRefused' })));
+
+      expect(await generateAIMessage('idle')).toBeNull();
+      expect(await generateAIMessage('idle')).toBeNull();
+      expect(globalThis.fetch).toHaveBeenCalledTimes(1);
+      expect(engineHealth.getState().ai.reason).toBe('offline');
+    });
   });
 
   describe('getSmartMessage()', () => {
@@ -201,6 +224,38 @@ describe('AI Message Generation Module', () => {
       expect(result).toBe('Notification: Please check your screen.');
     });
 
+    it('should use the offline summary between AI and static messages', async () => {
+      createTestConfig({ 
+        enableAIMessages: true,
+        enableOfflineSummaries: true,
+        aiFallbackToStatic: false,
+        aiPrompts: { idle: 'Test prompt' }
+      });
+      globalThis.fetch = mock(() => Promise.resolve({
+        ok: false
+      }));
+
+      const context = { sessionTitle: 'fix login redirect', projectName: 'backend', sessionSummary: { files: 4 } };
+      expect(await getSmartMessage('idle', false, staticMessages, context))
+        .toBe("Finished 'fix login redirect' in backend: 4 files changed.");
+    });
+
+    it('should use the offline summary without AI and only for idle notifications', async () => {
+      createTestConfig({ enableAIMessages: false, enableOfflineSummaries: true });
+      const context = { sessionTitle: 'Docs', sessionSummary: { files: 1 } };
+
+      expect(await getSmartMessage('idle', false, staticMessages, context)).toBe("Finished 'Docs': 1 file changed.");
+      expect(staticMessages).toContain(await getSmartMessage('idle', true, staticMessages, context));
+      expect(staticMessages).toContain(await getSmartMessage('permission', false, staticMessages, context));
+      expect(staticMessages).toContain(await getSmartMessage('idle', false, staticMessages, {}));
+    });
+
+    it('should not use the offline summary unless enabled', async () => {
+      createTestConfig({ enableAIMessages: false });
+      const result = await getSmartMessage('idle', false, staticMessages, { sessionTitle: 'Docs' });
+      expect(staticMessages).toContain(result);
+    });
+
     it('should handle empty static messages array', async () => {
       createTestConfig({ enableAIMessages: false });
       const result = await getSmartMessage('idle', false, []);
@@ -330,6 +385,35 @@ describe('AI Message Generation Module', () => {
       expect(body.messages[1].content).toContain('-20');
     });
 
+    it('should inject the session digest into prompt when provided', async () => {
+      createTestConfig({ 
+        enableAIMessages: true,
+        enableContextAwareAI: true,
+        aiPrompts: { idle: 'Test prompt' }
+      });
+      
+      globalThis.fetch = mock(() => Promise.resolve({
+        ok: true,
+        json: () => Promise.resolve({
+          choices: [{ message: { content: 'AI generated message' } }]
+        })
+      }));
+
+      await generateAIMessage('idle', {
+        toolsUsed: ['bash', 'edit', 'read', 'grep', 'glob', 'write', 'list', 'webfetch', 'task', 'todowrite'],
+        filesEdited: ['/app/src/login.js'],
+        failedTools: [{ tool: 'bash', error: 'exit code 1' }],
+        durationMs: 125000
+      });
+      
+      const [, options] = globalThis.fetch.mock.calls[0];
+      const content = JSON.parse(options.body).messages[1].content;
+      expect(content).toContain('Tools Used: bash, edit, read, grep, glob, write, list, webfetch (+2 more)');
+      expect(content).toContain('Files Edited: login.js');
+      expect(content).toContain('Failed Tool Calls: bash (exit code 1)');
+      expect(content).toContain('Duration: 2m 5s');
+    });
+
     it('should NOT inject context when enableContextAwareAI is false', async () => {
       createTestConfig({ 
         enableAIMessages: true,
@@ -0,0 +1,121 @@
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import fs from 'fs';
+import path from 'path';
+import {
+  getAudioCacheDir,
+  audioCacheKey,
+  getCachedAudio,
+  cacheAudio,
+  clearAudioCache,
+  getAudioCacheStats,
+  cleanupTempAudioFiles
+} from '../../util/audio-cache.js';
+import { createTestTempDir, cleanupTestTempDir, getTestTempDir } from '../setup.js';
+
+describe('Audio Cache Module', () => {
+  /**
+   * Write an audio file of the given size into the test temp dir.
+   * @returns {string} Path of the file
+   */
+  const writeAudio = (name, size = 100) => {
+    const file = path.join(getTestTempDir(), name);
+    fs.writeFileSync(file, Buffer.alloc(size, 1));
+    return file;
+  };
+
+  /**
+   * Set a file's last-use time (seconds since the epoch).
+   */
+  const touch = (file, seconds) => fs.utimesSync(file, seconds, seconds);
+
+  beforeEach(() => {
+    createTestTempDir();
+  });
+
+  afterEach(() => {
+    cleanupTestTempDir();
+  });
+
+  describe('audioCacheKey()', () => {
+    it('should not depend on the order of the settings', () => {
+      expect(audioCacheKey('edge', { voice: 'a', rate: '+10%' }, 'Hello'))
+        .toBe(audioCacheKey('edge', { rate: '+10%', voice: 'a' }, 'Hello'));
+    });
+
+    it('should change with the engine, settings or text', () => {
+      const key = audioCacheKey('edge', { voice: 'a' }, 'Hello');
+      expect(audioCacheKey('openai', { voice: 'a' }, 'Hello')).not.toBe(key);
+      expect(audioCacheKey('edge', { voice: 'b' }, 'Hello')).not.toBe(key);
+      expect(audioCacheKey('edge', { voice: 'a' }, 'Hello!')).not.toBe(key);
+      expect(key).toMatch(/^[0-9a-f]{64}$/);
+    });
+  });
+
+  describe('cacheAudio() / getCachedAudio()', () => {
+    it('should store a copy in the config dir and find it again', () => {
+      const key = audioCacheKey('edge', {}, 'Hello');
+      expect(getCachedAudio(key, 'mp3')).toBeNull();
+
+      const source = writeAudio('clip.mp3');
+      const cached = cacheAudio(key, 'mp3', source);
+
+      expect(cached).toBe(path.join(getAudioCacheDir(), `${key}.mp3`));
+      expect(fs.existsSync(source)).toBe(true);
+      expect(getCachedAudio(key, 'mp3')).toBe(cached);
+      expect(getCachedAudio(key, 'wav')).toBeNull();
+    });
+
+    it('should not cache missing or empty files', () => {
+      expect(cacheAudio(audioCacheKey('edge', {}, 'a'), 'mp3', path.join(getTestTempDir(), 'missing.mp3'))).toBeNull();
+      expect(cacheAudio(audioCacheKey('edge', {}, 'b'), 'mp3', writeAudio('empty.mp3', 0))).toBeNull();
+      expect(getAudioCacheStats().files).toBe(0);
+    });
+
+    it('should evict the least recently used clips past the size cap', () => {
+      const maxSizeMb = 250 / 1024 / 1024;  // room for two 100-byte clips
+      const [first, second, third] = ['one', 'two', 'three'].map(text => audioCacheKey('edge', {}, text));
+
+      touch(cacheAudio(first, 'mp3', writeAudio('1.mp3'), { maxSizeMb }), 1000);
+      touch(cacheAudio(second, 'mp3', writeAudio('2.mp3'), { maxSizeMb }), 2000);
+
+      // Playing the first clip makes the second one the least recently used
+      expect(getCachedAudio(first, 'mp3')).not.toBeNull();
+      cacheAudio(third, 'mp3', writeAudio('3.mp3'), { maxSizeMb });
+
+      expect(getCachedAudio(first, 'mp3')).not.toBeNull();
+      expect(getCachedAudio(second, 'mp3')).toBeNull();
+      expect(getCachedAudio(third, 'mp3')).not.toBeNull();
+      expect(getAudioCacheStats().bytes).toBe(200);
+    });
+  });
+
+  describe('clearAudioCache()', () => {
+    it('should remove every cached clip', () => {
+      cacheAudio(audioCacheKey('edge', {}, 'a'), 'mp3', writeAudio('a.mp3'));
+      cacheAudio(audioCacheKey('piper', {}, 'b'), 'wav', writeAudio('b.wav'));
+
+      expect(getAudioCacheStats()).toMatchObject({ files: 2, bytes: 200 });
+      expect(clearAudioCache()).toBe(2);
+      expect(getAudioCacheStats()).toMatchObject({ files: 0, bytes: 0 });
+    });
+  });
+
+  describe('cleanupTempAudioFiles()', () => {
+    it('should remove old engine temp files only', () => {
+      const dir = getTestTempDir();
+      const old = Date.now() / 1000 - 3600;
+      touch(writeAudio('opencode-tts-1700000000000.mp3'), old);
+      touch(writeAudio('opencode-edge-tts-1700000000000.mp3'), old);
+      touch(writeAudio('opencode-tts-piper-1700000000000.wav'), old);
+      touch(writeAudio('other-app.mp3'), old);
+      writeAudio('opencode-tts-openai-9999999999999.mp3');  // still playing
+
+      expect(cleanupTempAudioFiles({ dir })).toBe(3);
+      expect(fs.readdirSync(dir).sort()).toEqual(['opencode-tts-openai-9999999999999.mp3', 'other-app.mp3']);
+    });
+
+    it('should return 0 for a missing directory', () => {
+      expect(cleanupTempAudioFiles({ dir: path.join(getTestTempDir(), 'missing') })).toBe(0);
+    });
+  });
+});
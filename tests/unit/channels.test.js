@@ -0,0 +1,138 @@
+import { describe, it, expect } from 'bun:test';
+import { createChannelRegistry, handlesEvent } from '../../util/channels.js';
+
+describe('Channels Module', () => {
+  /**
+   * Channel that records every notification it receives.
+   */
+  const createRecordingChannel = (name, options = {}) => {
+    const received = [];
+    return {
+      name,
+      events: '*',
+      ...options,
+      received,
+      send: options.send || ((notification) => {
+        received.push(notification);
+        return true;
+      })
+    };
+  };
+
+  describe('handlesEvent()', () => {
+    it('should match wildcard, listed and missing event declarations', () => {
+      expect(handlesEvent({ events: '*' }, 'idle')).toBe(true);
+      expect(handlesEvent({}, 'agent')).toBe(true);
+      expect(handlesEvent({ events: ['idle', 'error'] }, 'error')).toBe(true);
+      expect(handlesEvent({ events: ['idle', 'error'] }, 'question')).toBe(false);
+    });
+  });
+
+  describe('register()', () => {
+    it('should keep registration order and replace channels by name', () => {
+      const registry = createChannelRegistry();
+      registry.register(createRecordingChannel('toast'));
+      registry.register(createRecordingChannel('sound'));
+      const replacement = createRecordingChannel('toast');
+      registry.register(replacement);
+
+      expect(registry.list()).toEqual(['toast', 'sound']);
+      expect(registry.get('toast')).toBe(replacement);
+    });
+
+    it('should reject channels without a name or send function', () => {
+      const registry = createChannelRegistry();
+      expect(registry.register({ name: 'broken' })).toBe(false);
+      expect(registry.register({ send: () => true })).toBe(false);
+      expect(registry.list()).toEqual([]);
+    });
+
+    it('should remove channels', () => {
+      const registry = createChannelRegistry();
+      registry.register(createRecordingChannel('toast'));
+      expect(registry.unregister('toast')).toBe(true);
+      expect(registry.unregister('toast')).toBe(false);
+      expect(registry.list()).toEqual([]);
+    });
+  });
+
+  describe('dispatch()', () => {
+    it('should only send to channels that handle the event type', async () => {
+      const registry = createChannelRegistry();
+      const toast = createRecordingChannel('toast');
+      const sound = createRecordingChannel('sound', { events: ['idle', 'permission'] });
+      registry.register(toast);
+      registry.register(sound);
+
+      const fired = await registry.dispatch({ type: 'agent', message: 'hi' });
+
+      expect(fired).toEqual(['toast']);
+      expect(toast.received[0].message).toBe('hi');
+      expect(sound.received.length).toBe(0);
+    });
+
+    it('should report only channels whose send returned true', async () => {
+      const registry = createChannelRegistry();
+      registry.register(createRecordingChannel('desktop', { send: () => false }));
+      registry.register(createRecordingChannel('sound', { send: async () => true }));
+
+      expect(await registry.dispatch({ type: 'idle' })).toEqual(['sound']);
+    });
+
+    it('should skip focus-suppressed channels while the terminal is focused', async () => {
+      const logs = [];
+      const registry = createChannelRegistry({ debugLog: (msg) => logs.push(msg) });
+      registry.register(createRecordingChannel('toast'));
+      registry.register(createRecordingChannel('desktop', { suppressWhenFocused: true }));
+
+      expect(await registry.dispatch({ type: 'idle', focusSuppressed: true })).toEqual(['toast']);
+      expect(await registry.dispatch({ type: 'idle', focusSuppressed: false })).toEqual(['toast', 'desktop']);
+      expect(logs.some(msg => msg.includes('desktop suppressed for idle'))).toBe(true);
+    });
+
+    it('should honour only and exclude', async () => {
+      const registry = createChannelRegistry();
+      registry.register(createRecordingChannel('toast'));
+      registry.register(createRecordingChannel('sound'));
+      registry.register(createRecordingChannel('tts'));
+
+      expect(await registry.dispatch({ type: 'idle' }, { exclude: ['tts'] })).toEqual(['toast', 'sound']);
+      expect(await registry.dispatch({ type: 'idle' }, { only: ['tts'] })).toEqual(['tts']);
+    });
+
+    it('should await channels in order', async () => {
+      const registry = createChannelRegistry();
+      const order = [];
+      registry.register(createRecordingChannel('sound', {
+        send: async () => {
+          await new Promise(resolve => setTimeout(resolve, 20));
+          order.push('sound');
+          return true;
+        }
+      }));
+      registry.register(createRecordingChannel('tts', {
+        send: () => {
+          order.push('tts');
+          return true;
+        }
+      }));
+
+      await registry.dispatch({ type: 'idle' });
+      expect(order).toEqual(['sound', 'tts']);
+    });
+
+    it('should keep going when a channel throws', async () => {
+      const logs = [];
+      const registry = createChannelRegistry({ debugLog: (msg) => logs.push(msg) });
+      registry.register(createRecordingChannel('webhook', {
+        send: () => {
+          throw new Error('boom');
+        }
+      }));
+      registry.register(createRecordingChannel('sound'));
+
+      expect(await registry.dispatch({ type: 'error' })).toEqual(['sound']);
+      expect(logs.some(msg => msg.includes('webhook failed for error: boom'))).toBe(true);
+    });
+  });
+});
@@ -0,0 +1,131 @@
+import { describe, it, expect } from 'bun:test';
+import {
+  createCircuitBreaker,
+  isNetworkError,
+  withTimeout
+} from '../../util/circuit-breaker.js';
+
+describe('Circuit Breaker Module', () => {
+  describe('isNetworkError()', () => {
+    it('should recognize connection and DNS errors', () => {
+      expect(isNetworkError(Object.assign(new Error('connect failed'), { code: 'ECONNREFUSED' }))).toBe(true);
+      expect(isNetworkError(new Error('Unable to connect. Is the computer able to access the url?'))).toBe(true);
+      expect(isNetworkError(new TypeError('fetch failed', { cause: { code: 'ENOTFOUND' } }))).toBe(true);
+    });
+
+    it('should not treat service errors as network errors', () => {
+      expect(isNetworkError(new Error('HTTP 500'))).toBe(false);
+      expect(isNetworkError(Object.assign(new Error('timed out'), { name: 'TimeoutError' }))).toBe(false);
+      expect(isNetworkError(null)).toBe(false);
+    });
+  });
+
+  describe('withTimeout()', () => {
+    it('should resolve with the result of a fast request', async () => {
+      expect(await withTimeout(async () => 'audio', 1000)).toBe('audio');
+    });
+
+    it('should reject and abort a request that takes too long', async () => {
+      let aborted = false;
+      const slow = (signal) => new Promise(() => {
+        signal.addEventListener('abort', () => { aborted = true; });
+      });
+
+      await expect(withTimeout(slow, 20, 'Edge request')).rejects.toThrow('Edge request timed out after 20ms');
+      expect(aborted).toBe(true);
+    });
+
+    it('should run without a limit when the time is 0', async () => {
+      expect(await withTimeout(async (signal) => signal, 0)).toBeUndefined();
+    });
+  });
+
+  describe('createCircuitBreaker()', () => {
+    it('should open after consecutive failures and skip requests during the cool-down', () => {
+      let now = 1000;
+      const breaker = createCircuitBreaker({ failureThreshold: 3, cooldownMs: 60000, now: () => now });
+
+      expect(breaker.recordFailure('edge', new Error('403'))).toBe(false);
+      expect(breaker.recordFailure('edge', new Error('403'))).toBe(false);
+      expect(breaker.canAttempt('edge')).toBe(true);
+      expect(breaker.recordFailure('edge', new Error('403'))).toBe(true);
+
+      expect(breaker.canAttempt('edge')).toBe(false);
+      expect(breaker.getState().edge).toEqual({
+        state: 'open',
+        failures: 3,
+        lastError: '403',
+        reason: '3 failures in a row',
+        retryInMs: 60000
+      });
+    });
+
+    it('should reset the failure count after a success', () => {
+      const breaker = createCircuitBreaker({ failureThreshold: 2 });
+
+      breaker.recordFailure('openai', new Error('HTTP 500'));
+      breaker.recordSuccess('openai');
+      expect(breaker.recordFailure('openai', new Error('HTTP 500'))).toBe(false);
+      expect(breaker.canAttempt('openai')).toBe(true);
+    });
+
+    it('should open right away on a network error', () => {
+      const breaker = createCircuitBreaker({ failureThreshold: 5 });
+
+      expect(breaker.recordFailure('ai', Object.assign(new Error('offline'), { code: 'ENETUNREACH' }))).toBe(true);
+      expect(breaker.canAttempt('ai')).toBe(false);
+      expect(breaker.getState().ai.reason).toBe('offline');
+    });
+
+    it('should let one probe through after the cool-down', () => {
+      let now = 0;
+      const breaker = createCircuitBreaker({ failureThreshold: 1, cooldownMs: 1000, now: () => now });
+      breaker.recordFailure('edge', new Error('403'));
+
+      now = 1000;
+      expect(breaker.getState().edge.retryInMs).toBe(0);
+      expect(breaker.canAttempt('edge')).toBe(true);
+      expect(breaker.getState().edge.state).toBe('half-open');
+      expect(breaker.canAttempt('edge')).toBe(false);  // the probe is still running
+
+      breaker.recordSuccess('edge');
+      expect(breaker.getState().edge.state).toBe('closed');
+      expect(breaker.canAttempt('edge')).toBe(true);
+    });
+
+    it('should open again when the probe fails', () => {
+      let now = 0;
+      const breaker = createCircuitBreaker({ failureThreshold: 3, cooldownMs: 1000, now: () => now });
+      breaker.trip('openai', 'HTTP 503', 1000);
+
+      now = 1000;
+      expect(breaker.canAttempt('openai')).toBe(true);
+      expect(breaker.recordFailure('openai', new Error('HTTP 503'))).toBe(true);
+      expect(breaker.getState().openai).toMatchObject({ state: 'open', reason: 'probe failed', retryInMs: 1000 });
+    });
+
+    it('should keep a tripped circuit open until reset', () => {
+      let now = 0;
+      const breaker = createCircuitBreaker({ now: () => now });
+      breaker.trip('elevenlabs', 'quota exceeded');
+
+      now = 24 * 60 * 60 * 1000;
+      expect(breaker.canAttempt('elevenlabs')).toBe(false);
+      expect(breaker.getState().elevenlabs.retryInMs).toBe(Infinity);
+
+      breaker.reset('elevenlabs');
+      expect(breaker.canAttempt('elevenlabs')).toBe(true);
+    });
+
+    it('should only open on network errors with a threshold of 0', () => {
+      const breaker = createCircuitBreaker({ now: () => 0 });
+      breaker.configure({ failureThreshold: 0, cooldownMs: 5000 });
+
+      for (let i = 0; i < 10; i++) breaker.recordFailure('edge', new Error('403'));
+      expect(breaker.canAttempt('edge')).toBe(true);
+
+      breaker.recordFailure('edge', new Error('fetch failed'));
+      expect(breaker.getState().edge.retryInMs).toBe(5000);
+    });
+  });
+});
@@ -26,6 +26,7 @@ describe('desktop-notify module', () => {
   let notifyPermissionRequest;
   let notifyQuestion;
   let notifyError;
+  let notifyAgentMessage;
   let checkNotificationSupport;
   let getPlatform;
   
@@ -42,6 +43,7 @@ describe('desktop-notify module', () => {
     notifyPermissionRequest = module.notifyPermissionRequest;
     notifyQuestion = module.notifyQuestion;
     notifyError = module.notifyError;
+    notifyAgentMessage = module.notifyAgentMessage;
     checkNotificationSupport = module.checkNotificationSupport;
     getPlatform = module.getPlatform;
   });
@@ -321,6 +323,26 @@ describe('desktop-notify module', () => {
     });
   });
 
+  describe('notifyAgentMessage()', () => {
+    test('returns a promise', () => {
+      const result = notifyAgentMessage('About to run the migration');
+      expect(result).toBeInstanceOf(Promise);
+    });
+    
+    test('resolves with success property', async () => {
+      const result = await notifyAgentMessage('Need your input soon');
+      expect(result).toHaveProperty('success');
+    });
+    
+    test('accepts urgency and projectName options', async () => {
+      const result = await notifyAgentMessage('Deploying now', {
+        projectName: 'MyApp',
+        urgency: 'critical'
+      });
+      expect(result).toBeDefined();
+    });
+  });
+
   describe('debug logging', () => {
     test('accepts debugLog option without error', async () => {
       const result = await sendDesktopNotification('Test', 'Message', {
@@ -386,6 +408,7 @@ describe('desktop-notify module', () => {
       expect(desktopNotify).toHaveProperty('notifyPermissionRequest');
       expect(desktopNotify).toHaveProperty('notifyQuestion');
       expect(desktopNotify).toHaveProperty('notifyError');
+      expect(desktopNotify).toHaveProperty('notifyAgentMessage');
       expect(desktopNotify).toHaveProperty('checkNotificationSupport');
       expect(desktopNotify).toHaveProperty('getPlatform');
     });
@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'bun:test';
+import { parseDuration, formatDuration } from '../../util/duration.js';
+
+describe('Duration Module', () => {
+  describe('parseDuration()', () => {
+    it('should parse single units', () => {
+      expect(parseDuration('90s')).toBe(90 * 1000);
+      expect(parseDuration('30m')).toBe(30 * 60 * 1000);
+      expect(parseDuration('2h')).toBe(2 * 60 * 60 * 1000);
+    });
+
+    it('should parse combined units', () => {
+      expect(parseDuration('1h30m')).toBe(90 * 60 * 1000);
+      expect(parseDuration('1h 30m')).toBe(90 * 60 * 1000);
+    });
+
+    it('should treat a bare number as minutes', () => {
+      expect(parseDuration('15')).toBe(15 * 60 * 1000);
+    });
+
+    it('should reject invalid or empty durations', () => {
+      expect(parseDuration('soon')).toBeNull();
+      expect(parseDuration('30x')).toBeNull();
+      expect(parseDuration('0m')).toBeNull();
+      expect(parseDuration('')).toBeNull();
+      expect(parseDuration(undefined)).toBeNull();
+    });
+
+    it('should accept zero only when allowZero is set', () => {
+      expect(parseDuration('0s', { allowZero: true })).toBe(0);
+      expect(parseDuration('0', { allowZero: true })).toBe(0);
+      expect(parseDuration('0s')).toBeNull();
+    });
+  });
+
+  describe('formatDuration()', () => {
+    it('should format hours, minutes and seconds', () => {
+      expect(formatDuration(90 * 60 * 1000)).toBe('1h 30m');
+      expect(formatDuration(45 * 1000)).toBe('45s');
+      expect(formatDuration(0)).toBe('0s');
+    });
+  });
+});
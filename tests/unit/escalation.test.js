@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'bun:test';
+import {
+  parseStepDelay,
+  normalizeEscalationSteps,
+  getEscalationSteps
+} from '../../util/escalation.js';
+
+describe('Escalation Module', () => {
+  describe('parseStepDelay()', () => {
+    it('should treat numbers as seconds', () => {
+      expect(parseStepDelay(30)).toBe(30 * 1000);
+      expect(parseStepDelay(0)).toBe(0);
+      expect(parseStepDelay(0.5)).toBe(500);
+    });
+
+    it('should parse duration strings', () => {
+      expect(parseStepDelay('90s')).toBe(90 * 1000);
+      expect(parseStepDelay('5m')).toBe(5 * 60 * 1000);
+      expect(parseStepDelay('1h30m')).toBe(90 * 60 * 1000);
+      expect(parseStepDelay('45')).toBe(45 * 1000);
+    });
+
+    it('should accept zero duration strings', () => {
+      expect(parseStepDelay('0s')).toBe(0);
+      expect(parseStepDelay('0m')).toBe(0);
+      expect(normalizeEscalationSteps([{ after: '0s', channels: ['sound'] }])).toEqual([
+        { afterMs: 0, channels: ['sound'], urgency: null }
+      ]);
+    });
+
+    it('should reject invalid delays', () => {
+      expect(parseStepDelay(-1)).toBeNull();
+      expect(parseStepDelay('soon')).toBeNull();
+      expect(parseStepDelay(null)).toBeNull();
+    });
+  });
+
+  describe('normalizeEscalationSteps()', () => {
+    it('should sort steps and normalize their fields', () => {
+      const steps = normalizeEscalationSteps([
+        { after: '5m', channels: ['webhook'], urgency: 'high' },
+        { after: 30, channels: ['tts'] },
+        { after: 90, channels: ['desktop'], urgency: 'panic' }
+      ]);
+
+      expect(steps).toEqual([
+        { afterMs: 30 * 1000, channels: ['tts'], urgency: null },
+        { afterMs: 90 * 1000, channels: ['desktop'], urgency: null },
+        { afterMs: 5 * 60 * 1000, channels: ['webhook'], urgency: 'high' }
+      ]);
+    });
+
+    it('should drop steps without channels or with invalid delays', () => {
+      expect(normalizeEscalationSteps([
+        { after: 10 },
+        { after: 10, channels: [] },
+        { after: 'later', channels: ['tts'] },
+        null,
+        { channels: ['sound'] }
+      ])).toEqual([{ afterMs: 0, channels: ['sound'], urgency: null }]);
+    });
+
+    it('should return an empty ladder for non-arrays', () => {
+      expect(normalizeEscalationSteps(undefined)).toEqual([]);
+      expect(normalizeEscalationSteps({ after: 10 })).toEqual([]);
+    });
+  });
+
+  describe('getEscalationSteps()', () => {
+    it('should return the ladder of the requested type only', () => {
+      const config = { escalation: { permission: [{ after: 30, channels: ['tts'] }] } };
+      expect(getEscalationSteps(config, 'permission').length).toBe(1);
+      expect(getEscalationSteps(config, 'idle')).toEqual([]);
+      expect(getEscalationSteps({}, 'permission')).toEqual([]);
+    });
+  });
+});
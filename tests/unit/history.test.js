@@ -0,0 +1,129 @@
+import { describe, it, expect, beforeEach, afterEach } from 'bun:test';
+import fs from 'fs';
+import {
+  getHistoryFilePath,
+  recordNotification,
+  recordResponse,
+  readHistory,
+  clearHistory
+} from '../../util/history.js';
+import { createTestTempDir, cleanupTestTempDir } from '../setup.js';
+
+describe('History Module', () => {
+  beforeEach(() => {
+    createTestTempDir();
+  });
+
+  afterEach(() => {
+    cleanupTestTempDir();
+  });
+
+  describe('recordNotification()', () => {
+    it('should append a JSON line with the notification details', () => {
+      const record = recordNotification({
+        sessionID: 's1',
+        type: 'permission',
+        message: 'Agent needs permission',
+        channels: ['toast', 'sound'],
+        suppressedReasons: ['quiet-hours']
+      });
+
+      const lines = fs.readFileSync(getHistoryFilePath(), 'utf-8').trim().split('\n');
+      expect(lines.length).toBe(1);
+
+      const stored = JSON.parse(lines[0]);
+      expect(stored).toEqual(record);
+      expect(stored.kind).toBe('notification');
+      expect(stored.suppressed).toBe(true);
+      expect(stored.channels).toEqual(['toast', 'sound']);
+      expect(stored.reminder).toBe(false);
+    });
+
+    it('should mark notifications without reasons as not suppressed', () => {
+      const record = recordNotification({ sessionID: 's1', type: 'idle', message: 'Done' });
+      expect(record.suppressed).toBe(false);
+      expect(record.suppressedReasons).toEqual([]);
+    });
+  });
+
+  describe('readHistory()', () => {
+    it('should return notifications newest first', () => {
+      recordNotification({ sessionID: 's1', type: 'idle', message: 'first' });
+      recordNotification({ sessionID: 's1', type: 'error', message: 'second' });
+
+      expect(readHistory().map(r => r.message)).toEqual(['second', 'first']);
+    });
+
+    it('should join responses onto earlier notifications of the same session and type', () => {
+      recordNotification({ sessionID: 's1', type: 'permission', message: 'p in s1' });
+      recordNotification({ sessionID: 's2', type: 'permission', message: 'p in s2' });
+      recordResponse('s1', 'permission');
+
+      const history = readHistory();
+      expect(history.find(r => r.sessionID === 's1').respondedAt).not.toBeNull();
+      expect(history.find(r => r.sessionID === 's2').respondedAt).toBeNull();
+    });
+
+    it('should not apply a response to later notifications', () => {
+      recordResponse('s1', 'idle');
+      recordNotification({ sessionID: 's1', type: 'idle', message: 'after' });
+
+      expect(readHistory()[0].respondedAt).toBeNull();
+    });
+
+    it('should filter by session, type, answered state and limit', () => {
+      recordNotification({ sessionID: 's1', type: 'idle', message: 'a' });
+      recordNotification({ sessionID: 's2', type: 'question', message: 'b' });
+      recordNotification({ sessionID: 's2', type: 'idle', message: 'c' });
+      recordResponse('s2', 'idle');
+
+      expect(readHistory({ sessionID: 's2' }).map(r => r.message)).toEqual(['c', 'b']);
+      expect(readHistory({ type: 'question' }).map(r => r.message)).toEqual(['b']);
+      expect(readHistory({ unanswered: true }).map(r => r.message)).toEqual(['b', 'a']);
+      expect(readHistory({ limit: 1 }).map(r => r.message)).toEqual(['c']);
+    });
+
+    it('should filter by time', () => {
+      recordNotification({ sessionID: 's1', type: 'idle', message: 'old' });
+      const future = new Date(Date.now() + 60 * 1000);
+      expect(readHistory({ since: future })).toEqual([]);
+    });
+
+    it('should skip malformed lines', () => {
+      recordNotification({ sessionID: 's1', type: 'idle', message: 'ok' });
+      fs.appendFileSync(getHistoryFilePath(), '{"kind":"notif\n');
+
+      expect(readHistory().length).toBe(1);
+    });
+
+    it('should return an empty list without a history file', () => {
+      expect(readHistory()).toEqual([]);
+    });
+  });
+
+  describe('rotation', () => {
+    it('should rotate the file when it exceeds the size limit', () => {
+      const options = { historyMaxSizeKb: 1, historyMaxFiles: 2 };
+      const message = 'x'.repeat(400);
+
+      for (let i = 0; i < 6; i++) {
+        recordNotification({ sessionID: 's1', type: 'idle', message: `${i}-${message}` }, options);
+      }
+
+      expect(fs.existsSync(getHistoryFilePath(1))).toBe(true);
+      expect(fs.existsSync(getHistoryFilePath(2))).toBe(false);
+      expect(fs.statSync(getHistoryFilePath()).size).toBeLessThan(2048);
+
+      // Newest record is still readable, oldest were dropped
+      const history = readHistory({}, options);
+      expect(history[0].message.startsWith('5-')).toBe(true);
+      expect(history.some(r => r.message.startsWith('0-'))).toBe(false);
+    });
+
+    it('should clear all history files', () => {
+      recordNotification({ sessionID: 's1', type: 'idle', message: 'a' });
+      clearHistory();
+      expect(fs.existsSync(getHistoryFilePath())).toBe(false);
+    });
+  });
+});
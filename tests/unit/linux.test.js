@@ -390,6 +390,30 @@ describe('Linux Platform Compatibility', () => {
       expect(mockShell.getCalls()[1].command).toContain('aplay');
     });
 
+    it('playAudioFile() should return a handle that stops without falling back to aplay', async () => {
+      let release;
+      mockShell = createMockShellRunner({
+        handler: async (cmd) => {
+          if (cmd.includes('paplay')) {
+            await new Promise(resolve => { release = resolve; });
+            throw new Error('terminated');
+          }
+          return { exitCode: 0 };
+        }
+      });
+      linux = createLinuxPlatform({ $: mockShell, debugLog });
+
+      const handle = linux.playAudioFile('test.mp3');
+      expect(typeof handle.cancel).toBe('function');
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      handle.cancel();
+      release();
+
+      expect(await handle).toBe(false);
+      expect(mockShell.getCallCount()).toBe(1);
+    });
+
     it('playAudioFile() should return false if all fail', async () => {
       mockShell = createMockShellRunner({
         handler: () => { throw new Error('fail'); }
@@ -0,0 +1,197 @@
+import { describe, it, expect } from 'bun:test';
+import fs from 'fs';
+import { $ } from 'bun';
+import {
+  createPidFilePath,
+  killablePlayerScript,
+  killPidFile,
+  runKillable,
+  createPlaybackHandle,
+  findStreamPlayer,
+  streamToPlayer
+} from '../../util/playback.js';
+import { createMockSpawn } from '../setup.js';
+
+describe('Playback Module', () => {
+  describe('killablePlayerScript()', () => {
+    it('should record the PID and exec the player', () => {
+      const script = killablePlayerScript('paplay');
+      expect(script).toContain('echo $$ > "$0"');
+      expect(script).toContain('exec paplay "$1"');
+    });
+  });
+
+  describe('createPidFilePath()', () => {
+    it('should return a new path each time', () => {
+      expect(createPidFilePath()).not.toBe(createPidFilePath());
+    });
+  });
+
+  describe('runKillable()', () => {
+    it('should report a player that finished', async () => {
+      expect(await runKillable(() => Promise.resolve())).toBe(true);
+    });
+
+    it('should not start when already cancelled', async () => {
+      const controller = new AbortController();
+      controller.abort();
+      let started = false;
+
+      const played = await runKillable(() => {
+        started = true;
+        return Promise.resolve();
+      }, controller.signal);
+
+      expect(played).toBe(false);
+      expect(started).toBe(false);
+    });
+
+    it('should rethrow player failures unless it was cancelled', async () => {
+      await expect(runKillable(() => Promise.reject(new Error('no device')))).rejects.toThrow('no device');
+
+      const controller = new AbortController();
+      const played = await runKillable(() => {
+        controller.abort();
+        return Promise.reject(new Error('killed'));
+      }, controller.signal);
+      expect(played).toBe(false);
+    });
+
+    it('should kill a real process and clean up its PID file', async () => {
+      if (process.platform === 'win32') return;
+
+      const controller = new AbortController();
+      let pidFilePath;
+      const startedAt = Date.now();
+
+      const playing = runKillable((pidFile) => {
+        pidFilePath = pidFile;
+        return $`sh -c ${killablePlayerScript('sleep')} ${pidFile} 30`.quiet();
+      }, controller.signal);
+
+      setTimeout(() => controller.abort(), 100);
+
+      expect(await playing).toBe(false);
+      expect(Date.now() - startedAt).toBeLessThan(5000);
+      expect(fs.existsSync(pidFilePath)).toBe(false);
+    }, 10000);
+  });
+
+  describe('killPidFile()', () => {
+    it('should log when the process is already gone', () => {
+      const pidFile = createPidFilePath();
+      fs.writeFileSync(pidFile, '999999999');
+      const logs = [];
+
+      killPidFile(pidFile, (msg) => logs.push(msg), 0);
+      fs.unlinkSync(pidFile);
+
+      expect(logs.some(msg => msg.includes('could not stop player process 999999999'))).toBe(true);
+    });
+
+    it('should do nothing without a PID file', () => {
+      const logs = [];
+      killPidFile(createPidFilePath(), (msg) => logs.push(msg), 0);
+      expect(logs).toEqual([]);
+    });
+  });
+
+  describe('createPlaybackHandle()', () => {
+    it('should resolve like the playback and expose cancel()', async () => {
+      const handle = createPlaybackHandle(async () => true);
+      expect(typeof handle.cancel).toBe('function');
+      expect(await handle).toBe(true);
+    });
+
+    it('should abort the playback signal on cancel()', async () => {
+      let release;
+      const handle = createPlaybackHandle(async (signal) => {
+        await new Promise(resolve => { release = resolve; });
+        return !signal.aborted;
+      });
+
+      handle.cancel();
+      release();
+      expect(await handle).toBe(false);
+    });
+
+    it('should follow an outer signal', async () => {
+      const outer = new AbortController();
+      let seen;
+      const handle = createPlaybackHandle(async (signal) => {
+        seen = signal;
+        return true;
+      }, outer.signal);
+
+      outer.abort();
+      await handle;
+      expect(seen.aborted).toBe(true);
+    });
+  });
+
+  describe('findStreamPlayer()', () => {
+    it('should pick the first installed player', () => {
+      const player = findStreamPlayer(name => name === 'ffplay' ? '/usr/bin/ffplay' : null);
+      expect(player).toMatchObject({ name: 'ffplay', path: '/usr/bin/ffplay' });
+      expect(player.args).toContain('-');
+    });
+
+    it('should return null when none is installed', () => {
+      expect(findStreamPlayer(() => null)).toBeNull();
+    });
+  });
+
+  describe('streamToPlayer()', () => {
+    const player = { name: 'mpv', path: '/usr/bin/mpv', args: ['-'] };
+    const chunks = async function* (...parts) {
+      for (const part of parts) yield Buffer.from(part);
+    };
+
+    it('should write every chunk to the player and return the audio', async () => {
+      const spawn = createMockSpawn();
+      const result = await streamToPlayer(chunks('ab', 'cd'), player, null, { spawn });
+
+      expect(result).toEqual({ audio: Buffer.from('abcd'), played: true });
+      expect(spawn.calls[0].argv).toEqual(['/usr/bin/mpv', '-']);
+      expect(Buffer.concat(spawn.calls[0].written).toString()).toBe('abcd');
+    });
+
+    it('should report a failed player but still read all the audio', async () => {
+      const spawn = createMockSpawn({ exitCode: 1 });
+      const result = await streamToPlayer(chunks('ab', 'cd'), player, null, { spawn });
+
+      expect(result).toEqual({ audio: Buffer.from('abcd'), played: false });
+    });
+
+    it('should kill the player when cancelled', async () => {
+      const spawn = createMockSpawn();
+      const controller = new AbortController();
+      const cancelling = async function* () {
+        yield Buffer.from('ab');
+        controller.abort();
+        yield Buffer.from('cd');
+      };
+
+      const result = await streamToPlayer(cancelling(), player, controller.signal, { spawn });
+      expect(result.played).toBe(false);
+      expect(spawn.calls[0].proc.killed).toBe(true);
+    });
+
+    it('should kill the player and reject when the stream stalls', async () => {
+      const spawn = createMockSpawn();
+      const stalling = async function* () {
+        yield Buffer.from('ab');
+        await new Promise(() => {});
+      };
+
+      await expect(streamToPlayer(stalling(), player, null, { spawn, idleTimeoutMs: 20 })).rejects.toThrow('stream stalled');
+      expect(spawn.calls[0].proc.killed).toBe(true);
+    });
+
+    it('should stream into a real process', async () => {
+      if (process.platform === 'win32') return;
+      const cat = { name: 'cat', path: Bun.which('cat'), args: [] };
+      expect(await streamToPlayer(chunks('audio'), cat)).toEqual({ audio: Buffer.from('audio'), played: true });
+    });
+  });
+});
@@ -0,0 +1,120 @@
+import { describe, it, expect } from 'bun:test';
+import {
+  parseClockTime,
+  parseDays,
+  getZonedTime,
+  isQuietWindowActive,
+  getActiveQuietWindow,
+  isBlockedByQuietHours
+} from '../../util/quiet-hours.js';
+
+// 2026-03-06 is a Friday. All dates are UTC and evaluated with timezone "UTC".
+const at = (iso) => new Date(`${iso}Z`);
+const FRIDAY_2300 = at('2026-03-06T23:00:00');
+const SATURDAY_0300 = at('2026-03-07T03:00:00');
+const SATURDAY_0800 = at('2026-03-07T08:00:00');
+const SUNDAY_0300 = at('2026-03-08T03:00:00');
+
+describe('Quiet Hours Module', () => {
+  describe('parseClockTime()', () => {
+    it('should parse 24h times into minutes', () => {
+      expect(parseClockTime('00:00')).toBe(0);
+      expect(parseClockTime('7:30')).toBe(450);
+      expect(parseClockTime('22:00')).toBe(1320);
+      expect(parseClockTime('24:00')).toBe(1440);
+    });
+
+    it('should reject invalid times', () => {
+      expect(parseClockTime('25:00')).toBeNull();
+      expect(parseClockTime('10:75')).toBeNull();
+      expect(parseClockTime('10pm')).toBeNull();
+      expect(parseClockTime(undefined)).toBeNull();
+    });
+  });
+
+  describe('parseDays()', () => {
+    it('should default to every day', () => {
+      expect(parseDays().size).toBe(7);
+      expect(parseDays([]).size).toBe(7);
+    });
+
+    it('should accept names, numbers and groups', () => {
+      expect([...parseDays(['Monday', 'tue', 3])].sort()).toEqual([1, 2, 3]);
+      expect([...parseDays('weekends')].sort()).toEqual([0, 6]);
+      expect(parseDays('weekdays').size).toBe(5);
+    });
+  });
+
+  describe('getZonedTime()', () => {
+    it('should convert to the given time zone', () => {
+      // 23:00 UTC Friday is 08:00 Saturday in Tokyo (UTC+9)
+      expect(getZonedTime(FRIDAY_2300, 'Asia/Tokyo')).toEqual({ day: 6, minutes: 8 * 60 });
+      expect(getZonedTime(FRIDAY_2300, 'UTC')).toEqual({ day: 5, minutes: 23 * 60 });
+    });
+
+    it('should fall back to system time for invalid zones', () => {
+      const date = new Date();
+      expect(getZonedTime(date, 'Not/AZone')).toEqual({
+        day: date.getDay(),
+        minutes: date.getHours() * 60 + date.getMinutes()
+      });
+    });
+  });
+
+  describe('isQuietWindowActive()', () => {
+    it('should handle same-day windows', () => {
+      const window = { from: '02:00', to: '06:00', timezone: 'UTC' };
+      expect(isQuietWindowActive(window, SATURDAY_0300)).toBe(true);
+      expect(isQuietWindowActive(window, SATURDAY_0800)).toBe(false);
+    });
+
+    it('should attribute overnight windows to the day they start', () => {
+      const window = { days: ['fri'], from: '22:00', to: '07:00', timezone: 'UTC' };
+      expect(isQuietWindowActive(window, FRIDAY_2300)).toBe(true);
+      expect(isQuietWindowActive(window, SATURDAY_0300)).toBe(true);
+      expect(isQuietWindowActive(window, SATURDAY_0800)).toBe(false);
+      // Saturday night is not listed, so early Sunday is not quiet
+      expect(isQuietWindowActive(window, SUNDAY_0300)).toBe(false);
+    });
+
+    it('should use the default time zone when the window has none', () => {
+      const window = { from: '07:00', to: '09:00' };
+      // 23:00 UTC is 08:00 in Tokyo
+      expect(isQuietWindowActive(window, FRIDAY_2300, 'Asia/Tokyo')).toBe(true);
+      expect(isQuietWindowActive(window, FRIDAY_2300, 'UTC')).toBe(false);
+    });
+
+    it('should ignore malformed windows', () => {
+      expect(isQuietWindowActive({ from: 'late', to: '07:00' }, FRIDAY_2300)).toBe(false);
+      expect(isQuietWindowActive(null, FRIDAY_2300)).toBe(false);
+    });
+  });
+
+  describe('isBlockedByQuietHours()', () => {
+    const config = {
+      quietHoursTimezone: 'UTC',
+      quietHours: [{ from: '22:00', to: '07:00', allow: ['webhook'], allowEvents: ['error'] }]
+    };
+
+    it('should block channels during the window', () => {
+      expect(isBlockedByQuietHours(config, 'sound', 'idle', FRIDAY_2300)).toBe(true);
+      expect(isBlockedByQuietHours(config, 'tts', 'permission', FRIDAY_2300)).toBe(true);
+      expect(isBlockedByQuietHours(config, 'desktop', 'idle', FRIDAY_2300)).toBe(true);
+    });
+
+    it('should let allowed channels and event types through', () => {
+      expect(isBlockedByQuietHours(config, 'webhook', 'idle', FRIDAY_2300)).toBe(false);
+      expect(isBlockedByQuietHours(config, 'sound', 'error', FRIDAY_2300)).toBe(false);
+    });
+
+    it('should not block outside the window or without a schedule', () => {
+      expect(isBlockedByQuietHours(config, 'sound', 'idle', SATURDAY_0800)).toBe(false);
+      expect(isBlockedByQuietHours({}, 'sound', 'idle', FRIDAY_2300)).toBe(false);
+    });
+
+    it('should return the active window', () => {
+      expect(getActiveQuietWindow(config, FRIDAY_2300)).toBe(config.quietHours[0]);
+      expect(getActiveQuietWindow(config, SATURDAY_0800)).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,177 @@
+import { describe, it, expect } from 'bun:test';
+import {
+  truncateText,
+  joinSpoken,
+  extractQuestions,
+  summarizeQuestions,
+  extractPermission,
+  summarizePermissions,
+  MAX_SPOKEN_LENGTH,
+  MAX_BODY_ITEMS
+} from '../../util/request-details.js';
+
+describe('Request Details Module', () => {
+  describe('truncateText()', () => {
+    it('should keep short text and collapse whitespace', () => {
+      expect(truncateText('  Which   database?\n', 50)).toBe('Which database?');
+    });
+
+    it('should cut long text at a word boundary', () => {
+      const result = truncateText('Should I migrate the production database tonight', 30);
+      expect(result.length).toBeLessThanOrEqual(30);
+      expect(result).toBe('Should I migrate the…');
+    });
+
+    it('should return an empty string for non-strings', () => {
+      expect(truncateText(undefined, 10)).toBe('');
+      expect(truncateText(42, 10)).toBe('');
+    });
+  });
+
+  describe('joinSpoken()', () => {
+    it('should join lists for speech', () => {
+      expect(joinSpoken(['A'])).toBe('A');
+      expect(joinSpoken(['A', 'B'])).toBe('A or B');
+      expect(joinSpoken(['A', 'B', 'C'], 'and')).toBe('A, B, and C');
+      expect(joinSpoken([])).toBe('');
+    });
+  });
+
+  describe('extractQuestions()', () => {
+    it('should read header, question and option labels', () => {
+      const questions = extractQuestions({
+        questions: [{
+          header: 'Database',
+          question: 'Which database should I use?',
+          options: [{ label: 'Postgres', description: 'Server' }, 'SQLite', { description: 'no label' }]
+        }]
+      });
+
+      expect(questions).toEqual([{
+        header: 'Database',
+        question: 'Which database should I use?',
+        options: ['Postgres', 'SQLite']
+      }]);
+    });
+
+    it('should accept the older text field and skip empty entries', () => {
+      const questions = extractQuestions({ questions: [{ text: 'Continue?' }, {}, null] });
+      expect(questions).toEqual([{ header: '', question: 'Continue?', options: [] }]);
+    });
+
+    it('should return an empty list without questions', () => {
+      expect(extractQuestions({})).toEqual([]);
+      expect(extractQuestions(undefined)).toEqual([]);
+    });
+  });
+
+  describe('summarizeQuestions()', () => {
+    const database = { header: 'Database', question: 'Which database should I use?', options: ['Postgres', 'SQLite'] };
+    const auth = { header: 'Auth', question: 'Which auth provider?', options: ['GitHub', 'Google'] };
+    const deploy = { header: 'Deploy', question: 'Where should I deploy?', options: [] };
+
+    it('should return null without questions', () => {
+      expect(summarizeQuestions([])).toBeNull();
+    });
+
+    it('should speak a single question with its options', () => {
+      const summary = summarizeQuestions([database]);
+      expect(summary.spoken).toBe('Which database should I use? Options: Postgres or SQLite.');
+      expect(summary.body).toBe('Database: Which database should I use?\nOptions: Postgres / SQLite');
+      expect(summary.fields).toEqual([{ name: 'Database', value: '• Postgres\n• SQLite', inline: false }]);
+    });
+
+    it('should drop the options when they do not fit', () => {
+      const summary = summarizeQuestions([database], { maxLength: 40 });
+      expect(summary.spoken).toBe('Which database should I use?');
+    });
+
+    it('should read the first of several questions and list the rest', () => {
+      const summary = summarizeQuestions([database, auth, deploy]);
+      expect(summary.spoken).toBe('First: Which database should I use? Also: Auth and Deploy.');
+      expect(summary.fields.map(field => field.name)).toEqual(['Database', 'Auth']);
+    });
+
+    it('should stay within the length limit with many questions', () => {
+      const many = Array.from({ length: 20 }, (_, i) => ({ header: `Topic number ${i + 1}`, question: `Question ${i + 1}?`, options: [] }));
+      const summary = summarizeQuestions(many);
+
+      expect(summary.spoken.length).toBeLessThanOrEqual(MAX_SPOKEN_LENGTH);
+      expect(summary.spoken).toMatch(/\d+ more\.$/);
+      expect(summary.body.split('\n').pop()).toBe(`+${20 - MAX_BODY_ITEMS} more`);
+    });
+  });
+
+  describe('extractPermission()', () => {
+    it('should read the command of a bash permission', () => {
+      expect(extractPermission({
+        id: 'p1',
+        permission: 'bash',
+        patterns: ['npm test'],
+        metadata: { command: 'npm test' }
+      })).toEqual({ tool: 'bash', title: '', target: 'npm test' });
+    });
+
+    it('should read older permission.updated events', () => {
+      expect(extractPermission({ id: 'p1', type: 'edit', pattern: 'src/index.js', title: 'Edit src/index.js' }))
+        .toEqual({ tool: 'edit', title: 'Edit src/index.js', target: 'src/index.js' });
+    });
+
+    it('should ignore wildcard patterns', () => {
+      expect(extractPermission({ permission: 'webfetch', patterns: ['*'] }).target).toBe('');
+    });
+
+    it('should return null when the event has no details', () => {
+      expect(extractPermission({ id: 'p1', sessionID: 's1' })).toBeNull();
+      expect(extractPermission(undefined)).toBeNull();
+    });
+  });
+
+  describe('summarizePermissions()', () => {
+    const bash = { tool: 'bash', title: '', target: 'npm test' };
+    const edit = { tool: 'edit', title: '', target: '/home/me/app/src/index.js' };
+    const fetch = { tool: 'webfetch', title: '', target: 'https://docs.example.com/api?page=2' };
+
+    it('should return null without details', () => {
+      expect(summarizePermissions([null, undefined])).toBeNull();
+    });
+
+    it('should say what a single permission is for', () => {
+      const summary = summarizePermissions([bash]);
+      expect(summary.spoken).toBe('I want to run npm test.');
+      expect(summary.body).toBe('Run command: npm test');
+      expect(summary.fields).toEqual([{ name: 'Run command', value: '`npm test`', inline: false }]);
+    });
+
+    it('should read files by name and URLs by host', () => {
+      const summary = summarizePermissions([bash, edit, fetch]);
+      expect(summary.spoken).toBe('I want to run npm test, edit index.js, and fetch docs.example.com.');
+      expect(summary.body).toContain('Edit file: /home/me/app/src/index.js');
+    });
+
+    it('should clip long commands when spoken', () => {
+      const long = { tool: 'bash', title: '', target: `rm -rf ${'build/output/'.repeat(20)}` };
+      const summary = summarizePermissions([long]);
+
+      expect(summary.spoken.length).toBeLessThan(80);
+      expect(summary.spoken).toContain('…');
+      expect(summary.fields[0].value).toContain('build/output/build/output/');
+    });
+
+    it('should fall back to the title for unknown permissions', () => {
+      expect(summarizePermissions([{ tool: '', title: 'Use the deploy tool', target: '' }]).spoken)
+        .toBe('Request: Use the deploy tool.');
+      expect(summarizePermissions([{ tool: 'deploy', title: '', target: 'production' }]).spoken)
+        .toBe('I want to use deploy on production.');
+    });
+
+    it('should stay within the length limit with many permissions', () => {
+      const many = Array.from({ length: 20 }, (_, i) => ({ tool: 'bash', title: '', target: `npm run task-${i + 1}` }));
+      const summary = summarizePermissions(many);
+
+      expect(summary.spoken.length).toBeLessThanOrEqual(MAX_SPOKEN_LENGTH);
+      expect(summary.spoken).toMatch(/\d+ more\.$/);
+      expect(summary.body.split('\n').pop()).toBe(`+${20 - MAX_BODY_ITEMS} more`);
+    });
+  });
+});
@@ -0,0 +1,109 @@
+import { describe, it, expect } from 'bun:test';
+import {
+  matchesPattern,
+  ruleMatches,
+  resolveRoute,
+  hasRulesForEvent,
+  rulesUseFocus
+} from '../../util/routing.js';
+
+describe('Routing Module', () => {
+  describe('matchesPattern()', () => {
+    it('should match globs case-insensitively', () => {
+      expect(matchesPattern('infra-*', 'infra-prod')).toBe(true);
+      expect(matchesPattern('infra-*', 'Infra-Staging')).toBe(true);
+      expect(matchesPattern('infra-*', 'my-infra-prod')).toBe(false);
+      expect(matchesPattern('*-prod', 'infra-prod')).toBe(true);
+    });
+
+    it('should treat regex characters literally', () => {
+      expect(matchesPattern('app.v2', 'app.v2')).toBe(true);
+      expect(matchesPattern('app.v2', 'appXv2')).toBe(false);
+    });
+
+    it('should accept a list of patterns', () => {
+      expect(matchesPattern(['permission', 'question'], 'question')).toBe(true);
+      expect(matchesPattern(['permission', 'question'], 'idle')).toBe(false);
+    });
+
+    it('should not match a missing value against a non-wildcard pattern', () => {
+      expect(matchesPattern('infra-*', null)).toBe(false);
+      expect(matchesPattern('*', undefined)).toBe(true);
+    });
+  });
+
+  describe('ruleMatches()', () => {
+    const rule = {
+      when: { event: 'permission', project: 'infra-*', focused: false },
+      then: ['tts', 'webhook']
+    };
+
+    it('should require every condition to match', () => {
+      expect(ruleMatches(rule, { event: 'permission', project: 'infra-prod', focused: false })).toBe(true);
+      expect(ruleMatches(rule, { event: 'idle', project: 'infra-prod', focused: false })).toBe(false);
+      expect(ruleMatches(rule, { event: 'permission', project: 'scratch', focused: false })).toBe(false);
+      expect(ruleMatches(rule, { event: 'permission', project: 'infra-prod', focused: true })).toBe(false);
+    });
+
+    it('should treat missing conditions as wildcards', () => {
+      expect(ruleMatches({ then: ['toast'] }, { event: 'error' })).toBe(true);
+    });
+
+    it('should check time windows', () => {
+      const timed = { when: { time: { days: 'weekdays', from: '09:00', to: '18:00' } }, then: ['toast'] };
+      // Wednesday 2024-01-10, local time
+      expect(ruleMatches(timed, { event: 'idle', date: new Date(2024, 0, 10, 10, 0) })).toBe(true);
+      expect(ruleMatches(timed, { event: 'idle', date: new Date(2024, 0, 10, 20, 0) })).toBe(false);
+      // Saturday
+      expect(ruleMatches(timed, { event: 'idle', date: new Date(2024, 0, 13, 10, 0) })).toBe(false);
+    });
+
+    it('should ignore rules without a then list', () => {
+      expect(ruleMatches({ when: { event: 'idle' } }, { event: 'idle' })).toBe(false);
+      expect(ruleMatches(null, { event: 'idle' })).toBe(false);
+    });
+  });
+
+  describe('resolveRoute()', () => {
+    const rules = [
+      { when: { event: 'permission', project: 'infra-*' }, then: ['tts', 'webhook'], urgency: 'high' },
+      { when: { event: 'idle', project: 'scratch-*' }, then: ['toast'] },
+      { when: { event: ['idle', 'permission'] }, then: ['toast', 'sound'], urgency: 'loud' }
+    ];
+
+    it('should return the first matching rule', () => {
+      expect(resolveRoute(rules, { event: 'permission', project: 'infra-prod' }))
+        .toEqual({ index: 0, channels: ['tts', 'webhook'], urgency: 'high' });
+      expect(resolveRoute(rules, { event: 'idle', project: 'scratch-1' }))
+        .toEqual({ index: 1, channels: ['toast'], urgency: null });
+    });
+
+    it('should ignore unknown urgencies', () => {
+      expect(resolveRoute(rules, { event: 'idle', project: 'web' }).urgency).toBeNull();
+    });
+
+    it('should return null when nothing matches', () => {
+      expect(resolveRoute(rules, { event: 'error', project: 'web' })).toBeNull();
+      expect(resolveRoute(undefined, { event: 'idle' })).toBeNull();
+    });
+
+    it('should allow routing to no channels', () => {
+      expect(resolveRoute([{ when: { event: 'idle' }, then: [] }], { event: 'idle' }).channels).toEqual([]);
+    });
+  });
+
+  describe('hasRulesForEvent() / rulesUseFocus()', () => {
+    it('should report whether rules can apply to an event', () => {
+      const rules = [{ when: { event: 'permission' }, then: ['tts'] }];
+      expect(hasRulesForEvent(rules, 'permission')).toBe(true);
+      expect(hasRulesForEvent(rules, 'idle')).toBe(false);
+      expect(hasRulesForEvent([{ then: ['toast'] }], 'idle')).toBe(true);
+      expect(hasRulesForEvent([], 'idle')).toBe(false);
+    });
+
+    it('should report whether focus detection is needed', () => {
+      expect(rulesUseFocus([{ when: { focused: false }, then: ['tts'] }])).toBe(true);
+      expect(rulesUseFocus([{ when: { event: 'idle' }, then: ['tts'] }])).toBe(false);
+    });
+  });
+});
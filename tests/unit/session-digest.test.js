@@ -0,0 +1,118 @@
+import { describe, it, expect } from 'bun:test';
+import { buildSessionDigest } from '../../util/session-digest.js';
+
+const user = (id, text, created) => ({
+  info: { id, role: 'user', time: { created } },
+  parts: [{ type: 'text', text }]
+});
+
+const assistant = (id, parts, time = {}, extra = {}) => ({
+  info: { id, role: 'assistant', time, ...extra },
+  parts
+});
+
+const tool = (name, status, input = {}, error) => ({ type: 'tool', tool: name, state: { status, input, error } });
+
+describe('Session Digest Module', () => {
+  describe('buildSessionDigest()', () => {
+    it('should return an empty digest without messages', () => {
+      expect(buildSessionDigest(undefined)).toEqual({
+        lastUserMessage: '',
+        lastAssistantMessage: '',
+        toolsUsed: [],
+        filesEdited: [],
+        failedTools: [],
+        durationMs: undefined,
+        hasErrors: false
+      });
+    });
+
+    it('should read the user request and the final assistant text', () => {
+      const digest = buildSessionDigest([
+        user('m1', 'Fix the login bug', 1000),
+        assistant('m2', [{ type: 'text', text: 'Looking into it.' }, tool('read', 'completed', { filePath: 'src/login.js' })]),
+        assistant('m3', [{ type: 'text', text: 'Fixed the session check.' }])
+      ]);
+
+      expect(digest.lastUserMessage).toBe('Fix the login bug');
+      expect(digest.lastAssistantMessage).toBe('Fixed the session check.');
+    });
+
+    it('should only look at the last turn', () => {
+      const digest = buildSessionDigest([
+        user('m1', 'First task', 1000),
+        assistant('m2', [tool('bash', 'error', {}, 'boom'), { type: 'text', text: 'Old reply' }]),
+        user('m3', 'Second task', 5000),
+        assistant('m4', [tool('read', 'completed')])
+      ]);
+
+      expect(digest.lastUserMessage).toBe('Second task');
+      expect(digest.lastAssistantMessage).toBe('');
+      expect(digest.toolsUsed).toEqual(['read']);
+      expect(digest.hasErrors).toBe(false);
+    });
+
+    it('should skip synthetic text parts', () => {
+      const digest = buildSessionDigest([{
+        info: { id: 'm1', role: 'user', time: { created: 1000 } },
+        parts: [
+          { type: 'text', text: 'Refactor the parser' },
+          { type: 'text', text: 'Called the Read tool with...', synthetic: true }
+        ]
+      }]);
+
+      expect(digest.lastUserMessage).toBe('Refactor the parser');
+    });
+
+    it('should collect tools and edited files once each', () => {
+      const digest = buildSessionDigest([
+        user('m1', 'Update the docs', 1000),
+        assistant('m2', [
+          tool('edit', 'completed', { filePath: 'README.md' }),
+          tool('edit', 'completed', { filePath: 'README.md' }),
+          tool('write', 'completed', { filePath: 'docs/setup.md' }),
+          { type: 'patch', hash: 'abc', files: ['README.md', 'CHANGELOG.md'] }
+        ])
+      ]);
+
+      expect(digest.toolsUsed).toEqual(['edit', 'write']);
+      expect(digest.filesEdited).toEqual(['README.md', 'docs/setup.md', 'CHANGELOG.md']);
+    });
+
+    it('should report failed tool calls', () => {
+      const digest = buildSessionDigest([
+        user('m1', 'Run the tests', 1000),
+        assistant('m2', [
+          tool('bash', 'error', { command: 'npm test' }, 'exit code 1'),
+          tool('edit', 'error', { filePath: 'src/a.js' }, 'oldString not found')
+        ])
+      ]);
+
+      expect(digest.failedTools).toEqual([
+        { tool: 'bash', error: 'exit code 1', command: 'npm test' },
+        { tool: 'edit', error: 'oldString not found' }
+      ]);
+      expect(digest.filesEdited).toEqual([]);
+      expect(digest.hasErrors).toBe(true);
+    });
+
+    it('should flag assistant message errors', () => {
+      const digest = buildSessionDigest([
+        user('m1', 'Go', 1000),
+        assistant('m2', [], { created: 2000 }, { error: { name: 'ProviderAuthError' } })
+      ]);
+
+      expect(digest.hasErrors).toBe(true);
+    });
+
+    it('should measure the turn from the user message to the last completed reply', () => {
+      const digest = buildSessionDigest([
+        user('m1', 'Go', 10000),
+        assistant('m2', [], { created: 11000, completed: 40000 }),
+        assistant('m3', [], { created: 41000, completed: 70000 })
+      ]);
+
+      expect(digest.durationMs).toBe(60000);
+    });
+  });
+});
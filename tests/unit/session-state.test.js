@@ -0,0 +1,177 @@
+import { describe, it, expect, beforeEach } from 'bun:test';
+import { createSessionTracker, UNKNOWN_SESSION } from '../../util/session-state.js';
+
+describe('Session State Module', () => {
+  let tracker;
+
+  beforeEach(() => {
+    tracker = createSessionTracker();
+  });
+
+  describe('attention state', () => {
+    it('should track attention independently per session', () => {
+      tracker.raise('s1', 'permission', 'p1');
+      tracker.raise('s2', 'permission', 'p2');
+
+      tracker.resolve('s1', 'permission', 'p1');
+
+      expect(tracker.isAwaiting('s1', 'permission')).toBe(false);
+      expect(tracker.isAwaiting('s2', 'permission')).toBe(true);
+    });
+
+    it('should keep a type active while other requests remain', () => {
+      tracker.raise('s1', 'question', 'q1');
+      tracker.raise('s1', 'question', 'q2');
+
+      expect(tracker.resolve('s1', 'question', 'q1')).toBe(false);
+      expect(tracker.isAwaiting('s1', 'question')).toBe(true);
+      expect(tracker.resolve('s1', 'question', 'q2')).toBe(true);
+      expect(tracker.isAwaiting('s1', 'question')).toBe(false);
+    });
+
+    it('should clear the whole type when resolved without a request ID', () => {
+      tracker.raise('s1', 'permission', 'p1');
+      tracker.raise('s1', 'permission', 'p2');
+
+      tracker.resolve('s1', 'permission');
+
+      expect(tracker.isAwaiting('s1', 'permission')).toBe(false);
+    });
+
+    it('should report when a session started waiting', () => {
+      const before = Date.now();
+      tracker.raise('s1', 'permission', 'p1');
+      tracker.raise('s1', 'permission', 'p2');
+
+      expect(tracker.awaitingSince('s1', 'permission')).toBeGreaterThanOrEqual(before);
+      expect(tracker.awaitingSince('s1', 'question')).toBeNull();
+      expect(tracker.awaitingSince('s2', 'permission')).toBeNull();
+    });
+
+    it('should find the session owning a request ID', () => {
+      tracker.raise('s1', 'permission', 'p1');
+      tracker.raise('s2', 'permission', 'p2');
+
+      expect(tracker.findSessionForRequest('permission', 'p2')).toBe('s2');
+      expect(tracker.findSessionForRequest('question', 'p2')).toBeNull();
+      expect(tracker.findSessionForRequest('permission', 'missing')).toBeNull();
+    });
+
+    it('should group events without a sessionID under the unknown session', () => {
+      tracker.raise(undefined, 'permission', 'p1');
+      expect(tracker.findSessionForRequest('permission', 'p1')).toBe(UNKNOWN_SESSION);
+    });
+  });
+
+  describe('reminders', () => {
+    it('should cancel reminders only for the given session', () => {
+      let fired = [];
+      tracker.setReminder('s1', 'idle', { timeoutId: setTimeout(() => fired.push('s1'), 20), scheduledAt: Date.now() });
+      tracker.setReminder('s2', 'idle', { timeoutId: setTimeout(() => fired.push('s2'), 20), scheduledAt: Date.now() });
+
+      expect(tracker.cancelSessionReminders('s1')).toBe(1);
+      expect(tracker.hasReminder('s1', 'idle')).toBe(false);
+      expect(tracker.hasReminder('s2', 'idle')).toBe(true);
+
+      return new Promise(resolve => setTimeout(() => {
+        expect(fired).toEqual(['s2']);
+        resolve();
+      }, 50));
+    });
+
+    it('should count and cancel reminders across all sessions', () => {
+      tracker.setReminder('s1', 'idle', { timeoutId: setTimeout(() => {}, 1000) });
+      tracker.setReminder('s1', 'permission', { timeoutId: setTimeout(() => {}, 1000) });
+      tracker.setReminder('s2', 'question', { timeoutId: setTimeout(() => {}, 1000) });
+
+      expect(tracker.pendingReminderCount()).toBe(3);
+      expect(tracker.cancelAllReminders()).toBe(3);
+      expect(tracker.pendingReminderCount()).toBe(0);
+    });
+
+    it('should forget a fired reminder without touching other types', () => {
+      tracker.setReminder('s1', 'idle', { timeoutId: null });
+      tracker.setReminder('s1', 'error', { timeoutId: null });
+
+      tracker.deleteReminder('s1', 'idle');
+
+      expect(tracker.getReminder('s1', 'idle')).toBeUndefined();
+      expect(tracker.getReminder('s1', 'error')).toBeDefined();
+    });
+  });
+
+  describe('session lifecycle', () => {
+    it('should record idle and activity timestamps per session', () => {
+      const idleTime = tracker.markIdle('s1');
+      expect(tracker.getSession('s1').lastIdleTime).toBe(idleTime);
+      expect(tracker.getSession('s2').lastIdleTime).toBe(0);
+    });
+
+    it('should reset one session without affecting others', () => {
+      tracker.raise('s1', 'permission', 'p1');
+      tracker.raise('s2', 'permission', 'p2');
+      tracker.setReminder('s1', 'permission', { timeoutId: setTimeout(() => {}, 1000) });
+
+      tracker.reset('s1');
+
+      expect(tracker.isAwaiting('s1', 'permission')).toBe(false);
+      expect(tracker.hasReminder('s1', 'permission')).toBe(false);
+      expect(tracker.isAwaiting('s2', 'permission')).toBe(true);
+    });
+
+    it('should remember seen user messages per session', () => {
+      expect(tracker.markMessageSeen('s1', 'm1')).toBe(true);
+      expect(tracker.markMessageSeen('s1', 'm1')).toBe(false);
+      expect(tracker.markMessageSeen('s2', 'm2')).toBe(true);
+
+      // A new session starting elsewhere keeps the other sessions' messages
+      tracker.reset('s3');
+      expect(tracker.markMessageSeen('s1', 'm1')).toBe(false);
+
+      tracker.reset('s1');
+      expect(tracker.markMessageSeen('s1', 'm1')).toBe(true);
+      expect(tracker.markMessageSeen('s2', 'm2')).toBe(false);
+    });
+
+    it('should forget a deleted session entirely', () => {
+      let fired = false;
+      tracker.raise('s1', 'permission', 'p1');
+      tracker.markMessageSeen('s1', 'm1');
+      tracker.setReminder('s1', 'permission', { timeoutId: setTimeout(() => { fired = true; }, 20) });
+      tracker.raise('s2', 'question', 'q1');
+
+      expect(tracker.forget('s1')).toBe(true);
+      expect(tracker.list().map(state => state.sessionID)).toEqual(['s2']);
+      expect(tracker.pendingReminderCount()).toBe(0);
+      expect(tracker.forget('s1')).toBe(false);
+
+      // A message seen before the session was deleted counts as new again
+      expect(tracker.markMessageSeen('s1', 'm1')).toBe(true);
+      return new Promise(resolve => setTimeout(() => {
+        expect(fired).toBe(false);
+        resolve();
+      }, 40));
+    });
+
+    it('should count only sessions that are waiting on the user', () => {
+      tracker.markIdle('s1');
+      tracker.raise('s2', 'idle');
+      tracker.setReminder('s3', 'error', { timeoutId: null });
+
+      expect(tracker.activeSessionCount()).toBe(2);
+    });
+
+    it('should list sessions with their title, attention and reminders', () => {
+      tracker.setTitle('s1', 'Fix login');
+      tracker.raise('s1', 'permission', 'p1');
+      tracker.setReminder('s1', 'permission', { timeoutId: null });
+
+      expect(tracker.list()).toEqual([{
+        sessionID: 's1',
+        title: 'Fix login',
+        attention: ['permission'],
+        reminders: ['permission']
+      }]);
+    });
+  });
+});
@@ -0,0 +1,81 @@
+import { describe, it, expect } from 'bun:test';
+import { summarizeSession, spokenDuration } from '../../util/session-summary.js';
+
+describe('Offline Session Summary Module', () => {
+  describe('spokenDuration()', () => {
+    it('should round to minutes in words', () => {
+      expect(spokenDuration(20000)).toBe('under a minute');
+      expect(spokenDuration(60000)).toBe('1 minute');
+      expect(spokenDuration(12 * 60000 + 20000)).toBe('12 minutes');
+      expect(spokenDuration(65 * 60000)).toBe('1 hour 5 minutes');
+      expect(spokenDuration(120 * 60000)).toBe('2 hours');
+    });
+  });
+
+  describe('summarizeSession()', () => {
+    it('should return null without a title or details', () => {
+      expect(summarizeSession({})).toBeNull();
+      expect(summarizeSession({ projectName: 'backend', toolsUsed: ['read'] })).toBeNull();
+    });
+
+    it('should read the title, project, changes and failures', () => {
+      expect(summarizeSession({
+        sessionTitle: 'fix login redirect',
+        projectName: 'backend',
+        sessionSummary: { files: 4, additions: 30, deletions: 2 },
+        failedTools: [{ tool: 'bash', error: 'exit code 1', command: 'npm test' }],
+        hasErrors: true
+      })).toBe("Finished 'fix login redirect' in backend: 4 files changed, 30 lines added, 2 removed, tests failed once.");
+    });
+
+    it('should read lines added or removed on their own', () => {
+      expect(summarizeSession({ sessionTitle: 'Cleanup', sessionSummary: { files: 1, additions: 0, deletions: 1 } }))
+        .toBe("Finished 'Cleanup': 1 file changed, 1 line removed.");
+      expect(summarizeSession({ sessionTitle: 'Docs', sessionSummary: { additions: 12 } }))
+        .toBe("Finished 'Docs': 12 lines added.");
+    });
+
+    it('should name the tools used alongside the other details', () => {
+      expect(summarizeSession({
+        sessionTitle: 'fix login redirect',
+        filesEdited: ['src/auth.js'],
+        toolsUsed: ['bash', 'edit'],
+        failedTools: [{ tool: 'bash', error: 'exit code 1', command: 'npm test' }]
+      })).toBe("Finished 'fix login redirect': 1 file changed, used bash and edit, tests failed once.");
+      expect(summarizeSession({ sessionTitle: 'Research', toolsUsed: ['read', 'grep', 'glob', 'webfetch', 'bash'] }))
+        .toBe("Finished 'Research': used read, grep, glob and 2 more tools.");
+    });
+
+    it('should fall back to the edited files when there is no change summary', () => {
+      expect(summarizeSession({ sessionTitle: 'Docs', filesEdited: ['README.md'] }))
+        .toBe("Finished 'Docs': 1 file changed.");
+    });
+
+    it('should group failures by kind', () => {
+      const summary = summarizeSession({
+        failedTools: [
+          { tool: 'bash', error: '', command: 'make build' },
+          { tool: 'bash', error: '', command: 'make lint' },
+          { tool: 'edit', error: 'oldString not found' },
+          { tool: 'webfetch', error: '404' }
+        ]
+      });
+      expect(summary).toBe('Finished: commands failed twice, edits failed once, webfetch calls failed once.');
+    });
+
+    it('should mention errors without failed tool calls', () => {
+      expect(summarizeSession({ sessionTitle: 'Deploy', hasErrors: true })).toBe("Finished 'Deploy': ran into errors.");
+    });
+
+    it('should include how long the turn took', () => {
+      expect(summarizeSession({ sessionTitle: 'Refactor', durationMs: 7 * 60000 }))
+        .toBe("Finished 'Refactor': took 7 minutes.");
+    });
+
+    it('should shorten long titles', () => {
+      const summary = summarizeSession({ sessionTitle: 'a'.repeat(100) });
+      expect(summary.length).toBeLessThan(80);
+      expect(summary).toContain('…');
+    });
+  });
+});
@@ -0,0 +1,69 @@
+import { describe, it, expect } from 'bun:test';
+import { renderTemplate, renderMessages, templateVariables } from '../../util/templates.js';
+
+describe('Message Template Module', () => {
+  describe('renderTemplate()', () => {
+    it('should leave text without placeholders untouched', () => {
+      expect(renderTemplate('All done!  Ready , for review.')).toBe('All done!  Ready , for review.');
+      expect(renderTemplate(undefined)).toBeUndefined();
+    });
+
+    it('should fill in values', () => {
+      expect(renderTemplate('{count} permissions in {project}', { count: 3, project: 'api' }))
+        .toBe('3 permissions in api');
+    });
+
+    it('should print zero counts', () => {
+      expect(renderTemplate('{count} left', { count: 0 })).toBe('0 left');
+    });
+
+    it('should use the fallback when a value is missing', () => {
+      expect(renderTemplate('Hey {userName|there}!', {})).toBe('Hey there!');
+      expect(renderTemplate('Hey {userName|there}!', { userName: 'Sam' })).toBe('Hey Sam!');
+    });
+
+    it('should drop missing values and tidy the sentence', () => {
+      expect(renderTemplate('Nice work, {userName}!', {})).toBe('Nice work!');
+      expect(renderTemplate('{userName}, your code is ready.', {})).toBe('Your code is ready.');
+      expect(renderTemplate('Finished "{sessionTitle}" ({elapsed}).', {})).toBe('Finished.');
+      expect(renderTemplate('Done {unknown} here', {})).toBe('Done here');
+    });
+
+    it('should pick singular or plural forms', () => {
+      expect(renderTemplate('{count:# file|# files} changed', { count: 1 })).toBe('1 file changed');
+      expect(renderTemplate('{count:# file|# files} changed', { count: 4 })).toBe('4 files changed');
+      expect(renderTemplate('{count} {count:request|requests}', { count: 2 })).toBe('2 requests');
+      expect(renderTemplate('Pending {count:# file|# files}.', {})).toBe('Pending.');
+    });
+
+    it('should show sections only when their value is present', () => {
+      const template = 'Done{?project} in {project}{/project}!{!project} No project.{/project}';
+      expect(renderTemplate(template, { project: 'api' })).toBe('Done in api!');
+      expect(renderTemplate(template, {})).toBe('Done! No project.');
+      expect(renderTemplate('{?filesChanged}{filesChanged} changed{/filesChanged}', { filesChanged: 0 })).toBe('');
+    });
+
+    it('should render nested sections', () => {
+      const template = '{?sessionTitle}Finished {sessionTitle}{?elapsed} after {elapsed}{/elapsed}.{/sessionTitle}';
+      expect(renderTemplate(template, { sessionTitle: 'docs', elapsed: '5 minutes' })).toBe('Finished docs after 5 minutes.');
+      expect(renderTemplate(template, { sessionTitle: 'docs' })).toBe('Finished docs.');
+    });
+  });
+
+  describe('renderMessages()', () => {
+    it('should render every message', () => {
+      expect(renderMessages(['Hi {userName}!', '{count} left'], { userName: 'Sam', count: 2 }))
+        .toEqual(['Hi Sam!', '2 left']);
+      expect(renderMessages(null)).toBeNull();
+    });
+  });
+
+  describe('templateVariables()', () => {
+    it('should list the placeholders of values, plurals and sections', () => {
+      expect(templateVariables('Done{?project} in {project}{/project}, {userName|friend}! {count:# file|# files}'))
+        .toEqual(['project', 'count', 'userName']);
+      expect(templateVariables('All done!')).toEqual([]);
+      expect(templateVariables(null)).toEqual([]);
+    });
+  });
+});
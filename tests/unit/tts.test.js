@@ -35,7 +35,9 @@ mock.module('msedge-tts', () => ({
   }
 }));
 
-import { getTTSConfig, createTTS } from '../../util/tts.js';
+import { getTTSConfig, createTTS, createAudioQueue, getAudioPriority, AUDIO_PRIORITIES, resolveTTSChain, normalizeSpeechText,
+  resolvePronunciations, markPronunciations, renderPronunciations, resolveVoiceProfile } from '../../util/tts.js';
+import { engineHealth } from '../../util/circuit-breaker.js';
 import { 
   createTestTempDir, 
   cleanupTestTempDir, 
@@ -43,8 +45,10 @@ import {
   createTestConfig,
   createMinimalConfig,
   createMockShellRunner,
+  createMockSpawn,
   createMockClient,
-  testFileExists
+  testFileExists,
+  readTestFile
 } from '../setup.js';
 
 describe('tts.js', () => {
@@ -90,6 +94,147 @@ describe('tts.js', () => {
     });
   });
 
+  describe('resolveTTSChain()', () => {
+    const names = (config) => resolveTTSChain(config).chain.map(step => step.engine);
+
+    it('should use the built-in fallbacks of ttsEngine by default', () => {
+      expect(names({ ttsEngine: 'openai' })).toEqual(['openai', 'edge', 'sapi', 'say', 'piper', 'espeak']);
+      expect(names({ ttsEngine: 'espeak' })).toEqual(['espeak', 'piper', 'edge', 'sapi', 'say']);
+      expect(names({})).toEqual(['elevenlabs', 'edge', 'sapi', 'say', 'piper', 'espeak']);
+    });
+
+    it('should follow ttsFallbackChain with per-engine options', () => {
+      const { chain } = resolveTTSChain({
+        ttsEngine: 'elevenlabs',
+        ttsFallbackChain: ['openai', { engine: 'edge', edgeVoice: 'en-GB-SoniaNeural' }, 'piper']
+      });
+      expect(chain).toEqual([
+        { engine: 'openai', options: {} },
+        { engine: 'edge', options: { edgeVoice: 'en-GB-SoniaNeural' } },
+        { engine: 'piper', options: {} }
+      ]);
+    });
+
+    it('should leave out disabled, unknown and repeated engines', () => {
+      const { chain, skipped } = resolveTTSChain({
+        ttsFallbackChain: ['openai', 'festival', 'edge', 'openai', 'piper'],
+        ttsDisabledEngines: ['edge']
+      });
+      expect(chain.map(step => step.engine)).toEqual(['openai', 'piper']);
+      expect(skipped).toEqual([
+        { engine: 'festival', reason: 'unknown engine' },
+        { engine: 'edge', reason: 'disabled' },
+        { engine: 'openai', reason: 'duplicate' }
+      ]);
+    });
+
+    it('should apply ttsDisabledEngines to the default chain', () => {
+      expect(names({ ttsEngine: 'elevenlabs', ttsDisabledEngines: ['elevenlabs', 'edge'] }))
+        .toEqual(['sapi', 'say', 'piper', 'espeak']);
+    });
+  });
+
+  describe('normalizeSpeechText()', () => {
+    it('should strip markdown, emoji and code blocks', () => {
+      expect(normalizeSpeechText('## Summary\n- Updated **the docs** and `config`\n```js\nconst x = 1;\n```\nAll good 🎉'))
+        .toBe('Summary. Updated the docs and config. All good');
+      expect(normalizeSpeechText('See [the guide](https://example.com/guide) 👍🏽')).toBe('See the guide');
+    });
+
+    it('should shorten paths and URLs', () => {
+      expect(normalizeSpeechText('Edited src/utils/fooBar.ts and C:\\app\\index.js'))
+        .toBe('Edited foo Bar.ts and index.js');
+      expect(normalizeSpeechText('Opened https://www.github.com/org/repo/pull/12 for review'))
+        .toBe('Opened github.com for review');
+      expect(normalizeSpeechText('Use TCP and/or UDP')).toBe('Use TCP and/or UDP');
+    });
+
+    it('should split identifiers and expand abbreviations', () => {
+      expect(normalizeSpeechText('Renamed getUserName() and max_retries in parseXMLFile'))
+        .toBe('Renamed get User Name and max retries in parse XML File');
+      expect(normalizeSpeechText('Switched from SQLite to PostgreSQL on GitHub')).toBe('Switched from SQLite to PostgreSQL on GitHub');
+      expect(normalizeSpeechText('Opened 2 PRs, CI is green and npm audit found no WIP'))
+        .toBe('Opened 2 pull requests, C I is green and N P M audit found no work in progress');
+    });
+
+    it('should drop hashes and collapse long numbers', () => {
+      expect(normalizeSpeechText('Commit a1b2c3d4 processed 12345678 rows and 1,500,000,000 bytes on port 8080.'))
+        .toBe('Commit processed about 12.3 million rows and about 1.5 billion bytes on port 8080.');
+    });
+
+    it('should leave plain sentences alone', () => {
+      expect(normalizeSpeechText('All done! Your task has been completed successfully.'))
+        .toBe('All done! Your task has been completed successfully.');
+      expect(normalizeSpeechText(null)).toBeNull();
+    });
+  });
+
+  describe('pronunciations', () => {
+    const pronounce = (text, config, project) => {
+      const { text: marked, matches } = markPronunciations(text, resolvePronunciations(config, project));
+      return renderPronunciations(marked, matches);
+    };
+
+    it('should match whole words without case by default', () => {
+      const config = { pronunciations: { pgbouncer: 'P G bouncer', nuxt: 'nukst' } };
+      expect(pronounce('Restart PgBouncer for Nuxt, not pgbouncers', config)).toBe('Restart P G bouncer for nukst, not pgbouncers');
+    });
+
+    it('should honour caseSensitive, wholeWord and longer words first', () => {
+      const config = {
+        pronunciations: {
+          k8s: 'kates',
+          'k8s-ctl': 'kates control',
+          API: { say: 'A P I', caseSensitive: true },
+          Kube: { say: 'koob', wholeWord: false }
+        }
+      };
+      expect(pronounce('Ran k8s-ctl on k8s via the API (not the api) in KubeCon', config))
+        .toBe('Ran kates control on kates via the A P I (not the api) in koobCon');
+    });
+
+    it('should add the entries of matching projects', () => {
+      const config = {
+        pronunciations: { ACME: 'ack me' },
+        projectPronunciations: { 'acme-*': { ACME: 'acme' }, 'other': { Foo: 'bar' } }
+      };
+      expect(pronounce('ACME Foo', config, 'acme-web')).toBe('acme Foo');
+      expect(pronounce('ACME Foo', config, 'shop')).toBe('ack me Foo');
+    });
+
+    it('should render IPA entries as phoneme tags', () => {
+      const config = { pronunciations: { Nuxt: { say: 'nukst', ipa: 'nʌkst' } } };
+      const { text, matches } = markPronunciations('Nuxt & Vue', resolvePronunciations(config));
+
+      expect(renderPronunciations(text, matches)).toBe('nukst & Vue');
+      expect(renderPronunciations(text, matches, 'tags')).toBe('<phoneme alphabet="ipa" ph="nʌkst">Nuxt</phoneme> & Vue');
+      expect(renderPronunciations(text, matches, 'ssml')).toBe('<phoneme alphabet="ipa" ph="nʌkst">Nuxt</phoneme> &amp; Vue');
+    });
+  });
+
+  describe('resolveVoiceProfile()', () => {
+    const profiles = {
+      permission: { edgeVoice: 'en-US-GuyNeural', edgeRate: '+25%', enableTTS: false },
+      reminder: { edgeRate: '+40%', openaiTtsSpeed: 1.2 }
+    };
+
+    it('should return the profile of the event type', () => {
+      expect(resolveVoiceProfile(profiles, 'permission')).toEqual({ edgeVoice: 'en-US-GuyNeural', edgeRate: '+25%' });
+    });
+
+    it('should apply the reminder profile on top', () => {
+      expect(resolveVoiceProfile(profiles, 'permission', { reminder: true }))
+        .toEqual({ edgeVoice: 'en-US-GuyNeural', edgeRate: '+40%', openaiTtsSpeed: 1.2 });
+      expect(resolveVoiceProfile(profiles, 'idle', { reminder: true })).toEqual({ edgeRate: '+40%', openaiTtsSpeed: 1.2 });
+    });
+
+    it('should return an empty profile without a match', () => {
+      expect(resolveVoiceProfile(profiles, 'idle')).toEqual({});
+      expect(resolveVoiceProfile(profiles)).toEqual({});
+      expect(resolveVoiceProfile(undefined, 'permission')).toEqual({});
+    });
+  });
+
   describe('createTTS()', () => {
     let mockShell;
     let mockClient;
@@ -295,6 +440,24 @@ describe('tts.js', () => {
       await tts.speak('Hello');
       expect(mockElevenLabsConvert).toHaveBeenCalled();
     });
+
+    it('should send phoneme tags to models that support them', async () => {
+      mockElevenLabsConvert.mockImplementation(() => Promise.resolve({
+        [Symbol.asyncIterator]: async function* () {
+          yield Buffer.from('audio');
+        }
+      }));
+      const pronunciations = { Nuxt: { say: 'nukst', ipa: 'nʌkst' } };
+      const spokenText = () => mockElevenLabsConvert.mock.calls.at(-1)[1].text;
+
+      createTestConfig({ elevenLabsApiKey: 'valid-key', ttsFallbackChain: ['elevenlabs'], enableTTS: true, enableSound: true, pronunciations });
+      await createTTS({ $: mockShell, client: mockClient, which: () => null }).speak('Nuxt is ready');
+      expect(spokenText()).toBe('nukst is ready');
+
+      createTestConfig({ elevenLabsApiKey: 'valid-key', ttsFallbackChain: ['elevenlabs'], enableTTS: true, enableSound: true, pronunciations, elevenLabsModel: 'eleven_turbo_v2' });
+      await createTTS({ $: mockShell, client: mockClient, which: () => null }).speak('Nuxt is ready');
+      expect(spokenText()).toBe('<phoneme alphabet="ipa" ph="nʌkst">Nuxt</phoneme> is ready');
+    });
   });
 
   describe('ElevenLabs Quota Handling', () => {
@@ -343,6 +506,424 @@ describe('tts.js', () => {
     });
   });
 
+  describe('engine health', () => {
+    let mockShell;
+    let originalFetch;
+
+    beforeEach(() => {
+      createTestTempDir();
+      mockShell = createMockShellRunner();
+      originalFetch = global.fetch;
+      mockEdgeTTSToFile.mockImplementation(() => Promise.reject(new Error('Edge failed')));
+    });
+
+    afterEach(() => {
+      cleanupTestTempDir();
+      global.fetch = originalFetch;
+    });
+
+    it('should skip an engine that failed several times in a row', async () => {
+      createTestConfig({
+        openaiTtsEndpoint: 'http://localhost:8880',
+        ttsFallbackChain: ['openai'],
+        circuitBreakerThreshold: 2,
+        enableTTS: true,
+        enableSound: true
+      });
+      global.fetch = mock(() => Promise.resolve({ ok: false, status: 503, text: () => Promise.resolve('busy') }));
+      const tts = createTTS({ $: mockShell, client: createMockClient() });
+
+      await tts.speak('One');
+      await tts.speak('Two');
+      await tts.speak('Three');
+
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      expect(engineHealth.getState().openai).toMatchObject({ state: 'open', lastError: 'HTTP 503' });
+    });
+
+    it('should skip an unreachable engine after the first network error', async () => {
+      createTestConfig({
+        openaiTtsEndpoint: 'http://localhost:8880',
+        ttsFallbackChain: ['openai'],
+        enableTTS: true,
+        enableSound: true
+      });
+      global.fetch = mock(() => Promise.reject(new TypeError('fetch failed', { cause: { code: 'ECONNREFUSED' } })));
+      const tts = createTTS({ $: mockShell, client: createMockClient() });
+
+      await tts.speak('One');
+      await tts.speak('Two');
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(engineHealth.getState().openai.reason).toBe('offline');
+    });
+
+    it('should give up on a request that exceeds its time limit', async () => {
+      createTestConfig({
+        openaiTtsEndpoint: 'http://localhost:8880',
+        ttsFallbackChain: ['openai'],
+        ttsTimeoutsMs: { openai: 50 },
+        enableTTS: true,
+        enableSound: true
+      });
+      global.fetch = mock((url, options) => new Promise((resolve, reject) => {
+        options.signal.addEventListener('abort', () => reject(options.signal.reason));
+      }));
+      const tts = createTTS({ $: mockShell, client: createMockClient() });
+
+      const startedAt = Date.now();
+      expect(await tts.speak('Hello')).toBe(false);
+      expect(Date.now() - startedAt).toBeLessThan(2000);
+      expect(engineHealth.getState().openai.lastError).toContain('timed out after 50ms');
+    });
+
+    it('should keep ElevenLabs skipped after a quota error', async () => {
+      createTestConfig({
+        elevenLabsApiKey: 'valid-key',
+        ttsEngine: 'elevenlabs',
+        enableTTS: true,
+        enableSound: true
+      });
+      mockElevenLabsConvert.mockImplementation(() => Promise.reject(Object.assign(new Error('quota_exceeded'), { statusCode: 401 })));
+      const tts = createTTS({ $: mockShell, client: createMockClient() });
+
+      await tts.speak('Hello');
+
+      expect(engineHealth.getState().elevenlabs).toMatchObject({ state: 'open', reason: 'quota exceeded', retryInMs: Infinity });
+    });
+  });
+
+  describe('audio cache', () => {
+    let mockShell;
+    let originalFetch;
+
+    const openaiConfig = (overrides = {}) => createTestConfig({
+      openaiTtsEndpoint: 'http://localhost:8880',
+      ttsFallbackChain: ['openai'],
+      enableTTS: true,
+      enableSound: true,
+      ...overrides
+    });
+
+    beforeEach(() => {
+      createTestTempDir();
+      mockShell = createMockShellRunner();
+      originalFetch = global.fetch;
+      global.fetch = mock(() => Promise.resolve({
+        ok: true,
+        arrayBuffer: () => Promise.resolve(new ArrayBuffer(8))
+      }));
+    });
+
+    afterEach(() => {
+      cleanupTestTempDir();
+      global.fetch = originalFetch;
+    });
+
+    it('should play repeated messages from the cache', async () => {
+      openaiConfig();
+      const tts = createTTS({ $: mockShell, client: createMockClient() });
+
+      expect(await tts.speak('Permission needed')).toBe(true);
+      expect(await tts.speak('Permission needed')).toBe(true);
+
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+      expect(tts.getCacheStats().files).toBe(1);
+      expect(mockShell.wasCalledWith(tts.getCacheStats().dir)).toBe(true);
+    });
+
+    it('should synthesize again for another voice or after clearing', async () => {
+      openaiConfig();
+      let tts = createTTS({ $: mockShell, client: createMockClient() });
+      await tts.speak('Permission needed');
+
+      openaiConfig({ openaiTtsVoice: 'nova' });
+      tts = createTTS({ $: mockShell, client: createMockClient() });
+      await tts.speak('Permission needed');
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+
+      expect(tts.clearCache()).toBe(2);
+      await tts.speak('Permission needed');
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+    });
+
+    it('should play cached audio while the engine is skipped', async () => {
+      openaiConfig();
+      const tts = createTTS({ $: mockShell, client: createMockClient() });
+      await tts.speak('Permission needed');
+
+      engineHealth.trip('openai', 'offline');
+      expect(await tts.speak('Permission needed')).toBe(true);
+      expect(await tts.speak('Something new')).toBe(false);
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should send normalized text to the engine', async () => {
+      openaiConfig();
+      const tts = createTTS({ $: mockShell, client: createMockClient() });
+      await tts.speak('Updated `src/app/mainView.tsx` 🎉');
+
+      openaiConfig({ enableSpeechNormalization: false, enableTTSCache: false });
+      await createTTS({ $: mockShell, client: createMockClient() }).speak('Updated `src/app/mainView.tsx` 🎉');
+
+      const inputs = global.fetch.mock.calls.map(([, options]) => JSON.parse(options.body).input);
+      expect(inputs).toEqual(['Updated main View.tsx', 'Updated `src/app/mainView.tsx` 🎉']);
+    });
+
+    it('should apply pronunciations before normalizing', async () => {
+      openaiConfig({ pronunciations: { 'k8s-ctl': 'kates control' }, projectPronunciations: { 'infra-*': { pgbouncer: 'P G bouncer' } } });
+      await createTTS({ $: mockShell, client: createMockClient(), project: 'infra-db' }).speak('Run `k8s-ctl` on pgbouncer in k8s');
+
+      expect(JSON.parse(global.fetch.mock.calls[0][1].body).input).toBe('Run kates control on P G bouncer in Kubernetes');
+    });
+
+    it('should speak each event type with its voice profile', async () => {
+      openaiConfig({
+        voiceProfiles: { permission: { openaiTtsVoice: 'onyx', openaiTtsSpeed: 1.25 }, reminder: { openaiTtsSpeed: 1.5 } }
+      });
+      const tts = createTTS({ $: mockShell, client: createMockClient() });
+
+      await tts.speak('Permission needed', { eventType: 'permission' });
+      await tts.speak('Permission needed', { eventType: 'permission', reminder: true });
+      await tts.speak('Permission needed', { eventType: 'idle' });
+      await tts.speak('Permission needed', { eventType: 'permission' });
+
+      const bodies = global.fetch.mock.calls.map(([, options]) => JSON.parse(options.body));
+      expect(bodies.map(({ voice, speed }) => [voice, speed])).toEqual([['onyx', 1.25], ['onyx', 1.5], ['alloy', 1]]);
+    });
+
+    it('should speak message parts as separate clips', async () => {
+      openaiConfig();
+      const tts = createTTS({ $: mockShell, client: createMockClient() });
+      await tts.warmUp([{ message: 'Permission needed', eventType: 'permission' }], { delayMs: 0 });
+
+      expect(await tts.speak(['Permission needed', null, 'I want to run `make build`.'], { eventType: 'permission' })).toBe(true);
+
+      const inputs = global.fetch.mock.calls.map(([, options]) => JSON.parse(options.body).input);
+      expect(inputs).toEqual(['Permission needed', 'I want to run make build.']);
+      expect(mockShell.getCallCount()).toBe(2);
+    });
+
+    it('should speak the parts as one clip without the cache', async () => {
+      openaiConfig({ enableTTSCache: false });
+      await createTTS({ $: mockShell, client: createMockClient() }).speak(['Permission needed.', 'Run make build?']);
+
+      expect(JSON.parse(global.fetch.mock.calls[0][1].body).input).toBe('Permission needed. Run make build?');
+    });
+
+    it('should not cache when enableTTSCache is false', async () => {
+      openaiConfig({ enableTTSCache: false });
+      const tts = createTTS({ $: mockShell, client: createMockClient() });
+
+      await tts.speak('Permission needed');
+      await tts.speak('Permission needed');
+
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+      expect(tts.getCacheStats().files).toBe(0);
+    });
+  });
+
+  describe('warmUp()', () => {
+    let mockShell;
+    let originalFetch;
+
+    const messages = ['All done!', 'Permission needed', 'Still waiting'];
+
+    beforeEach(() => {
+      createTestTempDir();
+      createTestConfig({
+        openaiTtsEndpoint: 'http://localhost:8880',
+        ttsEngine: 'openai',
+        enableTTS: true,
+        enableSound: true
+      });
+      mockShell = createMockShellRunner();
+      originalFetch = global.fetch;
+      global.fetch = mock(() => Promise.resolve({
+        ok: true,
+        arrayBuffer: () => Promise.resolve(new ArrayBuffer(8))
+      }));
+    });
+
+    afterEach(() => {
+      cleanupTestTempDir();
+      global.fetch = originalFetch;
+    });
+
+    it('should render every message into the cache without playing it', async () => {
+      const tts = createTTS({ $: mockShell, client: createMockClient() });
+
+      expect(await tts.warmUp([...messages, 'All done!'], { delayMs: 0 }))
+        .toEqual({ rendered: 3, cached: 0, failed: 0, stopped: false });
+      expect(tts.getCacheStats().files).toBe(3);
+      expect(mockShell.getCallCount()).toBe(0);
+
+      // The alert itself now plays from the cache
+      expect(await tts.speak('Permission needed')).toBe(true);
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+    });
+
+    it('should skip cached messages so a later warm-up resumes', async () => {
+      const tts = createTTS({ $: mockShell, client: createMockClient() });
+      await tts.warmUp(messages.slice(0, 2), { delayMs: 0 });
+
+      expect(await tts.warmUp(messages, { delayMs: 0 }))
+        .toEqual({ rendered: 1, cached: 2, failed: 0, stopped: false });
+      expect(global.fetch).toHaveBeenCalledTimes(3);
+    });
+
+    it('should stop at the first message the engine cannot render', async () => {
+      global.fetch = mock(() => Promise.resolve({ ok: false, status: 429, text: () => Promise.resolve('rate limited') }));
+      const tts = createTTS({ $: mockShell, client: createMockClient() });
+
+      expect(await tts.warmUp(messages, { delayMs: 0 }))
+        .toEqual({ rendered: 0, cached: 0, failed: 1, stopped: true });
+      expect(global.fetch).toHaveBeenCalledTimes(1);
+    });
+
+    it('should render each event type with its voice profile', async () => {
+      createTestConfig({
+        openaiTtsEndpoint: 'http://localhost:8880',
+        ttsEngine: 'openai',
+        enableTTS: true,
+        enableSound: true,
+        voiceProfiles: { permission: { openaiTtsVoice: 'onyx' } }
+      });
+      const tts = createTTS({ $: mockShell, client: createMockClient() });
+      const items = [
+        { message: 'Heads up', eventType: 'permission' },
+        { message: 'Heads up', eventType: 'idle' },
+        { message: 'Heads up', eventType: 'question' }
+      ];
+
+      expect(await tts.warmUp(items, { delayMs: 0 })).toEqual({ rendered: 2, cached: 0, failed: 0, stopped: false });
+      expect(await tts.speak('Heads up', { eventType: 'permission' })).toBe(true);
+      expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    it('should do nothing for engines that speak directly', async () => {
+      createTestConfig({ ttsEngine: 'sapi', enableTTS: true, enableSound: true });
+      const tts = createTTS({ $: mockShell, client: createMockClient() });
+
+      expect(await tts.warmUp(messages, { delayMs: 0 }))
+        .toEqual({ rendered: 0, cached: 0, failed: 0, stopped: false });
+      expect(mockShell.getCallCount()).toBe(0);
+    });
+  });
+
+  describe('streaming playback', () => {
+    let mockShell;
+    let originalFetch;
+
+    const which = (name) => name === 'mpv' ? '/usr/bin/mpv' : null;
+
+    beforeEach(() => {
+      createTestTempDir();
+      createTestConfig({
+        openaiTtsEndpoint: 'http://localhost:8880',
+        ttsFallbackChain: ['openai'],
+        enableTTS: true,
+        enableSound: true
+      });
+      mockShell = createMockShellRunner();
+      originalFetch = global.fetch;
+      global.fetch = mock(() => Promise.resolve(new Response(new ReadableStream({
+        start(controller) {
+          controller.enqueue(new TextEncoder().encode('first '));
+          controller.enqueue(new TextEncoder().encode('second'));
+          controller.close();
+        }
+      }))));
+    });
+
+    afterEach(() => {
+      cleanupTestTempDir();
+      global.fetch = originalFetch;
+    });
+
+    it('should pipe OpenAI audio into the player as it arrives', async () => {
+      const spawn = createMockSpawn();
+      const tts = createTTS({ $: mockShell, client: createMockClient(), spawn, which });
+
+      expect(await tts.speak('A long summary')).toBe(true);
+
+      expect(spawn.calls[0].argv[0]).toBe('/usr/bin/mpv');
+      expect(Buffer.concat(spawn.calls[0].written).toString()).toBe('first second');
+      expect(mockShell.getCallCount()).toBe(0);
+      expect(tts.getCacheStats().files).toBe(1);
+    });
+
+    it('should play the downloaded file when the player fails', async () => {
+      const spawn = createMockSpawn({ exitCode: 1 });
+      const tts = createTTS({ $: mockShell, client: createMockClient(), spawn, which });
+
+      expect(await tts.speak('A long summary')).toBe(true);
+      expect(mockShell.wasCalledWith('opencode-tts-openai-')).toBe(true);
+    });
+
+    it('should play from a file without a streaming player or when disabled', async () => {
+      const spawn = createMockSpawn();
+      let tts = createTTS({ $: mockShell, client: createMockClient(), spawn, which: () => null });
+      await tts.speak('A long summary');
+
+      createTestConfig({
+        openaiTtsEndpoint: 'http://localhost:8880',
+        ttsFallbackChain: ['openai'],
+        enableTTS: true,
+        enableSound: true,
+        enableTTSCache: false,
+        enableTTSStreaming: false
+      });
+      tts = createTTS({ $: mockShell, client: createMockClient(), spawn, which });
+      await tts.speak('A long summary');
+
+      expect(spawn.calls).toHaveLength(0);
+      expect(mockShell.getCalls().filter(call => call.command.includes('opencode-tts-openai-'))).toHaveLength(2);
+    });
+
+    it('should give up on a stalled stream and move on to the next engine', async () => {
+      createTestConfig({
+        openaiTtsEndpoint: 'http://localhost:8880',
+        ttsFallbackChain: ['openai', 'command'],
+        ttsCommand: ['fake-tts', '{text}'],
+        ttsStreamIdleTimeoutMs: 50,
+        enableTTS: true,
+        enableSound: true
+      });
+      global.fetch = mock(() => Promise.resolve(new Response(new ReadableStream({
+        start(controller) {
+          controller.enqueue(new TextEncoder().encode('first '));
+        }
+      }))));
+      mockShell = createMockShellRunner({
+        handler: (command) => command.includes('fake-tts') ? { stdout: Buffer.from('audio') } : undefined
+      });
+      const spawn = createMockSpawn();
+      const tts = createTTS({ $: mockShell, client: createMockClient(), spawn, which });
+
+      expect(await tts.speak('A long summary')).toBe(true);
+
+      expect(spawn.calls[0].proc.killed).toBe(true);
+      expect(engineHealth.getState().openai.failures).toBe(1);
+      expect(mockShell.wasCalledWith('fake-tts')).toBe(true);
+      expect(tts.getCacheStats().files).toBe(1);
+    });
+
+    it('should stream ElevenLabs audio', async () => {
+      createTestConfig({ elevenLabsApiKey: 'valid-key', ttsFallbackChain: ['elevenlabs'], enableTTS: true, enableSound: true });
+      mockElevenLabsConvert.mockImplementation(() => Promise.resolve({
+        [Symbol.asyncIterator]: async function* () {
+          yield Buffer.from('audio');
+        }
+      }));
+      const spawn = createMockSpawn();
+      const tts = createTTS({ $: mockShell, client: createMockClient(), spawn, which });
+
+      expect(await tts.speak('Hello')).toBe(true);
+      expect(Buffer.concat(spawn.calls[0].written).toString()).toBe('audio');
+    });
+  });
+
   describe('wakeMonitor()', () => {
     let mockShell;
     let tts;
@@ -452,6 +1033,233 @@ describe('tts.js', () => {
     });
   });
 
+  describe('local engines (piper, espeak)', () => {
+    let mockShell;
+    let played;
+
+    // Pretend the engine binaries exist: write the requested WAV file, or fail for the given binaries
+    const localEngineShell = (missing = []) => createMockShellRunner({
+      handler: (command) => {
+        const binary = command.split(' ')[0];
+        if (missing.includes(binary)) throw new Error(`${binary}: command not found`);
+        const output = command.match(/(?:--output_file|-w) (\S+\.wav)/);
+        if (output) fs.writeFileSync(output[1], 'RIFF');
+        if (command.includes('.wav') && !output) played.push(command);
+        return { exitCode: 0 };
+      }
+    });
+
+    beforeEach(() => {
+      createTestTempDir();
+      played = [];
+      mockEdgeTTSToFile.mockImplementation(() => Promise.reject(new Error('offline')));
+    });
+
+    afterEach(() => {
+      cleanupTestTempDir();
+    });
+
+    it('should speak with a local Piper voice model', async () => {
+      if (process.platform !== 'linux') return;
+      fs.mkdirSync(path.join(getTestTempDir(), 'voices'), { recursive: true });
+      fs.writeFileSync(path.join(getTestTempDir(), 'voices', 'en_US-amy.onnx'), 'model');
+      createTestConfig(createMinimalConfig({
+        enableSound: true,
+        enableTTS: true,
+        ttsEngine: 'piper',
+        piperModel: 'voices/en_US-amy.onnx',
+        piperRate: 1.25,
+        piperSpeaker: 2
+      }));
+      mockShell = localEngineShell();
+      const tts = createTTS({ $: mockShell, client: createMockClient() });
+
+      expect(await tts.speak('Task complete')).toBe(true);
+
+      const piper = mockShell.getCalls().find(c => c.command.startsWith('piper')).command;
+      expect(piper).toContain(path.join(getTestTempDir(), 'voices', 'en_US-amy.onnx'));
+      expect(piper).toContain('--length_scale 0.80');
+      expect(piper).toMatch(/--speaker.2/);  // passed as an argument list
+      expect(played.some(command => command.includes('opencode-tts-piper-'))).toBe(true);
+      expect(mockShell.wasCalledWith('espeak')).toBe(false);
+    });
+
+    it('should fall back to eSpeak when no Piper model is available', async () => {
+      if (process.platform !== 'linux') return;
+      createTestConfig(createMinimalConfig({
+        enableSound: true,
+        enableTTS: true,
+        ttsEngine: 'piper',
+        piperModel: 'voices/missing.onnx',
+        espeakVoice: 'en-gb',
+        espeakRate: 160
+      }));
+      mockShell = localEngineShell();
+      const tts = createTTS({ $: mockShell, client: createMockClient() });
+
+      expect(await tts.speak('Task complete')).toBe(true);
+      expect(mockShell.wasCalledWith('piper')).toBe(false);
+      expect(mockShell.wasCalledWith('espeak-ng -v en-gb -s 160 -w')).toBe(true);
+    });
+
+    it('should use the older espeak binary when espeak-ng is missing', async () => {
+      if (process.platform !== 'linux') return;
+      createTestConfig(createMinimalConfig({ enableSound: true, enableTTS: true, ttsEngine: 'espeak' }));
+      mockShell = localEngineShell(['espeak-ng']);
+      const tts = createTTS({ $: mockShell, client: createMockClient() });
+
+      expect(await tts.speak('Task complete')).toBe(true);
+      expect(mockShell.wasCalledWith('espeak -v en-us -s 175')).toBe(true);
+      expect(played.some(command => command.includes('opencode-tts-espeak-'))).toBe(true);
+    });
+
+    it('should reach the local engines when the cloud engines fail', async () => {
+      if (process.platform !== 'linux') return;
+      createTestConfig(createMinimalConfig({ enableSound: true, enableTTS: true, ttsEngine: 'edge' }));
+      mockShell = localEngineShell(['edge-tts']);
+      const tts = createTTS({ $: mockShell, client: createMockClient() });
+
+      expect(await tts.speak('Task complete')).toBe(true);
+      expect(mockShell.wasCalledWith('espeak-ng')).toBe(true);
+    });
+
+    it('should follow ttsFallbackChain and never reach disabled engines', async () => {
+      if (process.platform !== 'linux') return;
+      createTestConfig(createMinimalConfig({
+        enableSound: true,
+        enableTTS: true,
+        debugLog: true,
+        ttsEngine: 'elevenlabs',
+        elevenLabsApiKey: 'test-key',
+        ttsFallbackChain: ['edge', 'piper', { engine: 'espeak', espeakVoice: 'de' }],
+        ttsDisabledEngines: ['elevenlabs', 'edge']
+      }));
+      mockShell = localEngineShell();
+      const tts = createTTS({ $: mockShell, client: createMockClient() });
+
+      expect(await tts.speak('Task complete')).toBe(true);
+      expect(mockShell.wasCalledWith('edge-tts')).toBe(false);
+      expect(mockShell.wasCalledWith('espeak-ng -v de')).toBe(true);
+
+      const log = readTestFile('logs/smart-voice-notify-debug.log');
+      expect(log).toContain('speak: skipping edge (disabled)');
+      expect(log).toContain('speak: chain piper -> espeak');
+      expect(log).toMatch(/speak: piper failed \(\d+ms\)/);
+      expect(log).toMatch(/speak: espeak succeeded \(\d+ms\)/);
+    });
+
+    it('should fail without any local engine', async () => {
+      if (process.platform !== 'linux') return;
+      createTestConfig(createMinimalConfig({ enableSound: true, enableTTS: true, ttsEngine: 'espeak' }));
+      mockShell = localEngineShell(['espeak-ng', 'espeak', 'edge-tts']);
+      const tts = createTTS({ $: mockShell, client: createMockClient() });
+
+      expect(await tts.speak('Task complete')).toBe(false);
+    });
+  });
+
+  describe('command engine', () => {
+    let mockShell;
+    let played;
+
+    // The mock shell joins an argument list with commas: "my-tts,--voice,amy"
+    const commandShell = ({ stdout, fail = false } = {}) => createMockShellRunner({
+      handler: (command) => {
+        if (command.startsWith('my-tts')) {
+          if (fail) throw new Error('my-tts: exit code 1');
+          const output = command.match(/--out,(\S+?\.wav)/);
+          if (output) fs.writeFileSync(output[1], 'RIFF');
+          return { exitCode: 0, stdout: Buffer.from(stdout || '') };
+        }
+        if (command.includes('opencode-tts-command-')) played.push(command);
+        return { exitCode: 0 };
+      }
+    });
+
+    beforeEach(() => {
+      createTestTempDir();
+      played = [];
+    });
+
+    afterEach(() => {
+      cleanupTestTempDir();
+    });
+
+    it('should fill the argument template and play the output file', async () => {
+      if (process.platform !== 'linux') return;
+      createTestConfig(createMinimalConfig({
+        enableSound: true,
+        enableTTS: true,
+        ttsEngine: 'command',
+        ttsCommand: ['my-tts', '--voice', '{voice}', '--out', '{outFile}', '{text}'],
+        ttsCommandVoice: 'amy'
+      }));
+      mockShell = commandShell();
+      const tts = createTTS({ $: mockShell, client: createMockClient() });
+
+      expect(await tts.speak('Say "hi"; rm -rf $HOME')).toBe(true);
+
+      const call = mockShell.getCalls().find(c => c.command.startsWith('my-tts')).command;
+      expect(call).toMatch(/^my-tts,--voice,amy,--out,\S+opencode-tts-command-\d+-\d+-\d+\.wav,/);
+      expect(call.endsWith(',Say "hi"; rm -rf $HOME')).toBe(true);  // one argument, unescaped
+      expect(call).not.toContain(' < ');
+      expect(played.length).toBe(1);
+    });
+
+    it('should write the text to stdin and read audio from stdout', async () => {
+      if (process.platform !== 'linux') return;
+      createTestConfig(createMinimalConfig({
+        enableSound: true,
+        enableTTS: true,
+        ttsEngine: 'command',
+        ttsCommand: ['my-tts', '--stdout'],
+        ttsCommandFormat: 'mp3'
+      }));
+      mockShell = commandShell({ stdout: 'ID3' });
+      const tts = createTTS({ $: mockShell, client: createMockClient() });
+
+      expect(await tts.speak('Task complete')).toBe(true);
+      expect(mockShell.wasCalledWith('my-tts,--stdout < Task complete')).toBe(true);
+      expect(played.length).toBe(1);
+      expect(played[0]).toMatch(/opencode-tts-command-\d+-\d+-\d+\.mp3/);
+    });
+
+    it('should fall back when the command fails or writes no audio', async () => {
+      if (process.platform !== 'linux') return;
+      mockEdgeTTSToFile.mockImplementation(() => Promise.reject(new Error('offline')));
+      createTestConfig(createMinimalConfig({
+        enableSound: true,
+        enableTTS: true,
+        ttsEngine: 'command',
+        ttsCommand: ['my-tts']
+      }));
+
+      mockShell = commandShell({ fail: true });
+      await createTTS({ $: mockShell, client: createMockClient() }).speak('Task complete');
+      expect(mockShell.wasCalledWith('espeak-ng')).toBe(true);
+
+      mockShell = commandShell();
+      await createTTS({ $: mockShell, client: createMockClient() }).speak('Task complete');
+      expect(mockShell.wasCalledWith('espeak-ng')).toBe(true);
+      expect(played.length).toBe(0);
+    });
+
+    it('should skip a ttsCommand that is not an argument list', async () => {
+      if (process.platform !== 'linux') return;
+      createTestConfig(createMinimalConfig({
+        enableSound: true,
+        enableTTS: true,
+        ttsEngine: 'command',
+        ttsCommand: 'my-tts --voice amy'
+      }));
+      mockShell = commandShell();
+      const tts = createTTS({ $: mockShell, client: createMockClient() });
+
+      await tts.speak('Task complete');
+      expect(mockShell.wasCalledWith('my-tts')).toBe(false);
+    });
+  });
+
   describe('speakWithSAPI()', () => {
     let mockShell;
     let tts;
@@ -515,4 +1323,234 @@ describe('tts.js', () => {
       }
     });
   });
+
+  describe('createAudioQueue()', () => {
+    /**
+     * Clip that records when it starts and finishes. It resolves once
+     * release() is called, or right away if no release is requested.
+     */
+    const createClip = (name, order, { hold = false } = {}) => {
+      let release;
+      const released = new Promise(resolve => { release = resolve; });
+      const clip = {
+        signal: null,
+        release: () => release(),
+        play: async (signal) => {
+          clip.signal = signal;
+          order.push(`start ${name}`);
+          if (hold) await released;
+          order.push(`end ${name}`);
+          return true;
+        }
+      };
+      return clip;
+    };
+
+    it('should play clips one at a time', async () => {
+      const queue = createAudioQueue();
+      const order = [];
+      const first = createClip('a', order, { hold: true });
+      const second = createClip('b', order);
+
+      const firstDone = queue.enqueue(first.play);
+      const secondDone = queue.enqueue(second.play);
+      await Promise.resolve();
+
+      expect(order).toEqual(['start a']);
+      expect(queue.isPlaying()).toBe(true);
+      expect(queue.size()).toBe(1);
+
+      first.release();
+      expect(await firstDone).toBe(true);
+      expect(await secondDone).toBe(true);
+      expect(order).toEqual(['start a', 'end a', 'start b', 'end b']);
+      expect(queue.isPlaying()).toBe(false);
+    });
+
+    it('should play queued clips in priority order', async () => {
+      const queue = createAudioQueue();
+      const order = [];
+      const blocker = createClip('blocker', order, { hold: true });
+
+      const done = [
+        queue.enqueue(blocker.play, { priority: 5 }),
+        queue.enqueue(createClip('idle', order).play, { priority: AUDIO_PRIORITIES.idle }),
+        queue.enqueue(createClip('question', order).play, { priority: AUDIO_PRIORITIES.question }),
+        queue.enqueue(createClip('error', order).play, { priority: AUDIO_PRIORITIES.error })
+      ];
+      blocker.release();
+      await Promise.all(done);
+
+      expect(order.filter(entry => entry.startsWith('start'))).toEqual([
+        'start blocker', 'start question', 'start error', 'start idle'
+      ]);
+    });
+
+    it('should merge clips with the same key', async () => {
+      const queue = createAudioQueue();
+      const order = [];
+      const blocker = createClip('blocker', order, { hold: true });
+
+      queue.enqueue(blocker.play);
+      const first = queue.enqueue(createClip('one', order).play, { key: 'speech:idle:s1' });
+      const duplicate = queue.enqueue(createClip('two', order).play, { key: 'speech:idle:s1' });
+
+      expect(duplicate).toBe(first);
+      expect(queue.size()).toBe(1);
+
+      blocker.release();
+      await first;
+      expect(order).not.toContain('start two');
+    });
+
+    it('should abort the playing clip when a higher priority clip arrives', async () => {
+      const logs = [];
+      const queue = createAudioQueue({ debugLog: (msg) => logs.push(msg) });
+      const order = [];
+      const idle = createClip('idle', order, { hold: true });
+      const permission = createClip('permission', order);
+
+      const idleDone = queue.enqueue(idle.play, { priority: AUDIO_PRIORITIES.idle, label: 'idle' });
+      await Promise.resolve();
+      const permissionDone = queue.enqueue(permission.play, { priority: AUDIO_PRIORITIES.permission, label: 'permission' });
+
+      expect(idle.signal.aborted).toBe(true);
+      idle.release();
+
+      expect(await idleDone).toBe(false);
+      expect(await permissionDone).toBe(true);
+      expect(logs.some(msg => msg.includes('permission preempts idle'))).toBe(true);
+    });
+
+    it('should not abort the playing clip for equal or lower priority clips', async () => {
+      const queue = createAudioQueue();
+      const order = [];
+      const question = createClip('question', order, { hold: true });
+
+      const done = queue.enqueue(question.play, { priority: AUDIO_PRIORITIES.question });
+      await Promise.resolve();
+      queue.enqueue(createClip('error', order).play, { priority: AUDIO_PRIORITIES.error });
+      queue.enqueue(createClip('idle', order).play, { priority: AUDIO_PRIORITIES.idle });
+
+      expect(question.signal.aborted).toBe(false);
+      question.release();
+      expect(await done).toBe(true);
+    });
+
+    it('should drop clips that became stale before playing', async () => {
+      const queue = createAudioQueue();
+      const order = [];
+      const blocker = createClip('blocker', order, { hold: true });
+      let answered = false;
+
+      queue.enqueue(blocker.play);
+      const reminder = queue.enqueue(createClip('reminder', order).play, { isStale: () => answered });
+
+      answered = true;
+      blocker.release();
+
+      expect(await reminder).toBe(false);
+      expect(order).not.toContain('start reminder');
+    });
+
+    it('should keep going when a clip throws', async () => {
+      const logs = [];
+      const queue = createAudioQueue({ debugLog: (msg) => logs.push(msg) });
+      const order = [];
+
+      const failed = queue.enqueue(async () => {
+        throw new Error('no audio device');
+      }, { label: 'broken' });
+      const next = queue.enqueue(createClip('next', order).play);
+
+      expect(await failed).toBe(false);
+      expect(await next).toBe(true);
+      expect(logs.some(msg => msg.includes('broken failed: no audio device'))).toBe(true);
+    });
+
+    it('should stop a playing clip through its handle', async () => {
+      const queue = createAudioQueue();
+      const order = [];
+      const speech = createClip('speech', order, { hold: true });
+
+      const handle = queue.enqueue(speech.play);
+      await Promise.resolve();
+      expect(typeof handle.cancel).toBe('function');
+
+      handle.cancel();
+      expect(speech.signal.aborted).toBe(true);
+      speech.release();
+      expect(await handle).toBe(false);
+    });
+
+    it('should stop playing and queued clips by key', async () => {
+      const queue = createAudioQueue();
+      const order = [];
+      const playing = createClip('playing', order, { hold: true });
+      const other = createClip('other', order);
+
+      const playingDone = queue.enqueue(playing.play, { key: 'speech:permission:s1' });
+      await Promise.resolve();
+      const queuedDone = queue.enqueue(createClip('queued', order).play, { key: 'sound:permission:s1' });
+      const otherDone = queue.enqueue(other.play, { key: 'speech:idle:s2' });
+
+      expect(queue.cancel('speech:permission:s1')).toBe(1);
+      expect(queue.cancel('sound:permission:s1')).toBe(1);
+      expect(queue.cancel('speech:question:s1')).toBe(0);
+
+      playing.release();
+      expect(await playingDone).toBe(false);
+      expect(await queuedDone).toBe(false);
+      expect(await otherDone).toBe(true);
+      expect(order).not.toContain('start queued');
+    });
+
+    it('should drop queued clips on clear()', async () => {
+      const queue = createAudioQueue();
+      const order = [];
+      const blocker = createClip('blocker', order, { hold: true });
+
+      queue.enqueue(blocker.play);
+      const queued = queue.enqueue(createClip('queued', order).play);
+
+      expect(queue.clear()).toBe(1);
+      expect(await queued).toBe(false);
+      blocker.release();
+    });
+
+    it('should rank attention requests above task completion', () => {
+      expect(getAudioPriority('permission')).toBeGreaterThan(getAudioPriority('question'));
+      expect(getAudioPriority('question')).toBeGreaterThan(getAudioPriority('idle'));
+      expect(getAudioPriority('unknown-type')).toBe(0);
+      expect(getAudioPriority()).toBe(0);
+    });
+  });
+
+  describe('speak() queueing', () => {
+    let mockShell;
+    let tts;
+
+    beforeEach(() => {
+      createTestTempDir();
+      createTestConfig(createMinimalConfig({ enableSound: true, enableTTS: true, ttsEngine: 'edge' }));
+      mockShell = createMockShellRunner();
+      tts = createTTS({ $: mockShell, client: createMockClient() });
+    });
+
+    afterEach(() => {
+      cleanupTestTempDir();
+    });
+
+    it('should skip speech that is already stale', async () => {
+      const spoken = await tts.speak('Permission needed', { isStale: () => true });
+
+      expect(spoken).toBe(false);
+      expect(mockShell.getCallCount()).toBe(0);
+    });
+
+    it('should play sound files through the queue', async () => {
+      expect(await tts.playAudioFile('test.mp3', 1, { eventType: 'idle' })).toBe(true);
+      expect(await tts.playAudioFile('test.mp3', 1, { isStale: () => true })).toBe(false);
+    });
+  });
 });
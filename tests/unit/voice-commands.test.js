@@ -0,0 +1,97 @@
+import { describe, it, expect } from 'bun:test';
+import {
+  parseVoiceCommand,
+  createVoiceControls,
+  DEFAULT_SNOOZE_MS
+} from '../../util/voice-commands.js';
+
+describe('Voice Commands Module', () => {
+  describe('parseVoiceCommand()', () => {
+    it('should parse mute with and without a duration', () => {
+      expect(parseVoiceCommand('mute 30m')).toEqual({ action: 'mute', durationMs: 30 * 60 * 1000 });
+      expect(parseVoiceCommand('mute')).toEqual({ action: 'mute', durationMs: null });
+    });
+
+    it('should default snooze to 30 minutes', () => {
+      expect(parseVoiceCommand('snooze')).toEqual({ action: 'snooze', durationMs: DEFAULT_SNOOZE_MS });
+    });
+
+    it('should parse test types and default to idle', () => {
+      expect(parseVoiceCommand('test permission')).toEqual({ action: 'test', type: 'permission' });
+      expect(parseVoiceCommand('test')).toEqual({ action: 'test', type: 'idle' });
+      expect(parseVoiceCommand('test bogus').error).toContain('bogus');
+    });
+
+    it('should validate engine names', () => {
+      expect(parseVoiceCommand('engine edge')).toEqual({ action: 'engine', engine: 'edge' });
+      expect(parseVoiceCommand('engine reset')).toEqual({ action: 'engine', engine: 'reset' });
+      expect(parseVoiceCommand('engine piper')).toEqual({ action: 'engine', engine: 'piper' });
+      expect(parseVoiceCommand('engine espeak')).toEqual({ action: 'engine', engine: 'espeak' });
+      expect(parseVoiceCommand('engine command')).toEqual({ action: 'engine', engine: 'command' });
+      expect(parseVoiceCommand('engine foo').action).toBe('help');
+      expect(parseVoiceCommand('engine').error).toBeDefined();
+    });
+
+    it('should parse history counts', () => {
+      expect(parseVoiceCommand('history')).toEqual({ action: 'history', count: 10 });
+      expect(parseVoiceCommand('history 5')).toEqual({ action: 'history', count: 5 });
+      expect(parseVoiceCommand('history 500').count).toBe(100);
+      expect(parseVoiceCommand('history many').error).toContain('many');
+    });
+
+    it('should parse cache commands', () => {
+      expect(parseVoiceCommand('cache')).toEqual({ action: 'cache' });
+      expect(parseVoiceCommand('cache clear')).toEqual({ action: 'cache-clear' });
+      expect(parseVoiceCommand('cache purge').error).toBe('Unknown cache command "purge"');
+    });
+
+    it('should be case-insensitive and fall back to help', () => {
+      expect(parseVoiceCommand('  STATUS ')).toEqual({ action: 'status' });
+      expect(parseVoiceCommand('')).toEqual({ action: 'help' });
+      expect(parseVoiceCommand('dance').error).toContain('dance');
+      expect(parseVoiceCommand('mute later').error).toContain('later');
+    });
+  });
+
+  describe('createVoiceControls()', () => {
+    it('should disable sound while muted and restore it after the duration', () => {
+      let now = 1000;
+      const controls = createVoiceControls({ now: () => now });
+
+      controls.mute(60 * 1000);
+      expect(controls.getOverrides()).toEqual({ enableSound: false });
+
+      now += 61 * 1000;
+      expect(controls.isMuted()).toBe(false);
+      expect(controls.getOverrides()).toEqual({});
+    });
+
+    it('should mute indefinitely without a duration', () => {
+      const controls = createVoiceControls();
+      controls.mute(null);
+      expect(controls.getState().mutedForMs).toBe(Infinity);
+    });
+
+    it('should disable reminders while snoozed', () => {
+      const controls = createVoiceControls();
+      controls.snooze(60 * 1000);
+      expect(controls.getOverrides()).toEqual({ enableTTSReminder: false });
+    });
+
+    it('should clear mute and snooze on unmute', () => {
+      const controls = createVoiceControls();
+      controls.mute(null);
+      controls.snooze(60 * 1000);
+      controls.unmute();
+      expect(controls.getOverrides()).toEqual({});
+    });
+
+    it('should override and reset the TTS engine', () => {
+      const controls = createVoiceControls();
+      controls.setEngine('edge');
+      expect(controls.getOverrides()).toEqual({ ttsEngine: 'edge' });
+      controls.setEngine(null);
+      expect(controls.getState().ttsEngine).toBeNull();
+    });
+  });
+});
@@ -441,6 +441,37 @@ describe('webhook module', () => {
       expect(mockFetch).toHaveBeenCalled();
     });
 
+    test('notifyWebhookPermission adds what the permission is for as embed fields', async () => {
+      const payloads = [];
+      globalThis.fetch = mock((url, init) => {
+        payloads.push(JSON.parse(init.body));
+        return Promise.resolve(new Response(null, { status: 204 }));
+      });
+
+      await webhook.notifyWebhookPermission('https://discord.com/api/webhooks/1/a', 'Run command: npm test', {
+        useQueue: false,
+        fields: [{ name: 'Run command', value: '`npm test`', inline: false }]
+      });
+
+      const embed = payloads[0].embeds[0];
+      expect(embed.description).toBe('Run command: npm test');
+      expect(embed.fields.some(field => field.name === 'Run command' && field.value === '`npm test`')).toBe(true);
+    });
+
+    test('notify helpers use a custom title when given', async () => {
+      const payloads = [];
+      globalThis.fetch = mock((url, init) => {
+        payloads.push(JSON.parse(init.body));
+        return Promise.resolve(new Response(null, { status: 204 }));
+      });
+
+      await webhook.notifyWebhookIdle('https://discord.com/api/webhooks/1/a', 'Done', { useQueue: false, title: 'api: Fix login finished' });
+      await webhook.notifyWebhookIdle('https://discord.com/api/webhooks/1/a', 'Done', { useQueue: false, projectName: 'api' });
+
+      expect(payloads[0].embeds[0].title).toContain('api: Fix login finished');
+      expect(payloads[1].embeds[0].title).toContain('api - Task Complete');
+    });
+
     test('notifyWebhookError includes mention and correct color', async () => {
       const mockFetch = mock((url, init) => {
         const payload = JSON.parse(init.body);
@@ -467,6 +498,41 @@ describe('webhook module', () => {
       expect(mockFetch).toHaveBeenCalled();
     });
 
+    test('notifyWebhookQuestion adds the offered options as embed fields', async () => {
+      const payloads = [];
+      globalThis.fetch = mock((url, init) => {
+        payloads.push(JSON.parse(init.body));
+        return Promise.resolve(new Response(null, { status: 204 }));
+      });
+
+      await webhook.notifyWebhookQuestion('https://discord.com/api/webhooks/1/a', 'Database: Which database should I use?', {
+        useQueue: false,
+        fields: [{ name: 'Database', value: '• Postgres\n• SQLite', inline: false }]
+      });
+
+      const embed = payloads[0].embeds[0];
+      expect(embed.description).toBe('Database: Which database should I use?');
+      expect(embed.fields.some(field => field.name === 'Database' && field.value.includes('Postgres'))).toBe(true);
+    });
+
+    test('notifyWebhookAgent uses agent color and only mentions when asked', async () => {
+      const payloads = [];
+      const mockFetch = mock((url, init) => {
+        payloads.push(JSON.parse(init.body));
+        return Promise.resolve(new Response(null, { status: 204 }));
+      });
+      globalThis.fetch = mockFetch;
+
+      await webhook.notifyWebhookAgent('https://discord.com/api/webhooks/1/a', 'Running the migration', { useQueue: false });
+      await webhook.notifyWebhookAgent('https://discord.com/api/webhooks/1/a', 'Blocked on you', { useQueue: false, mention: true });
+
+      expect(payloads[0].content).toBeUndefined();
+      expect(payloads[0].embeds[0].color).toBe(webhook.EMBED_COLORS.agent);
+      expect(payloads[0].embeds[0].title).toContain('Message from Agent');
+      expect(payloads[0].embeds[0].description).toBe('Running the migration');
+      expect(payloads[1].content).toBe('@everyone');
+    });
+
     test('handles exception in sendWebhookNotification gracefully', async () => {
       // @ts-ignore - intentionally passing null to cause error
       const result = await webhook.sendWebhookNotification('https://discord.com/api/webhooks/1/a', null);
@@ -11,6 +11,9 @@ import fs from 'fs';
 import path from 'path';
 import os from 'os';
 import { getTTSConfig } from './tts.js';
+import { formatDuration } from './duration.js';
+import { summarizeSession } from './session-summary.js';
+import { engineHealth } from './circuit-breaker.js';
 
 /**
  * Debug logging to file (no console output).
@@ -34,6 +37,28 @@ const debugLog = (message, config) => {
   }
 };
 
+/**
+ * Record a failed AI request and log when the endpoint's circuit opens.
+ * @param {*} error
+ * @param {object} config
+ */
+const aiFailed = (error, config) => {
+  if (engineHealth.recordFailure('ai', error)) {
+    debugLog(`generateAIMessage: circuit opened (${engineHealth.getState().ai.reason}), skipping AI messages for ${config.circuitBreakerCooldownSeconds}s`, config);
+  }
+};
+
+/**
+ * Join a list for the prompt, keeping it short: "a, b, c (+4 more)".
+ * @param {string[]} items
+ * @param {number} [max=8]
+ * @returns {string}
+ */
+const listForPrompt = (items, max = 8) => {
+  const shown = items.slice(0, max).join(', ');
+  return items.length > max ? `${shown} (+${items.length - max} more)` : shown;
+};
+
 /**
  * Generate a message using an OpenAI-compatible AI endpoint
  * @param {string} promptType - The type of prompt ('idle', 'permission', 'question', 'idleReminder', 'permissionReminder', 'questionReminder')
@@ -111,6 +136,30 @@ export async function generateAIMessage(promptType, context = {}) {
       debugLog(`generateAIMessage: context includes lastAssistantMessage`, config);
     }
 
+    if (context.toolsUsed?.length > 0) {
+      contextParts.push(`Tools Used: ${listForPrompt(context.toolsUsed)}`);
+      debugLog(`generateAIMessage: context includes ${context.toolsUsed.length} tool(s)`, config);
+    }
+
+    if (context.filesEdited?.length > 0) {
+      contextParts.push(`Files Edited: ${listForPrompt(context.filesEdited.map(file => path.basename(file)))}`);
+      debugLog(`generateAIMessage: context includes ${context.filesEdited.length} edited file(s)`, config);
+    }
+
+    if (context.failedTools?.length > 0) {
+      const failures = context.failedTools.map(({ tool, error }) => {
+        const reason = error && error.length > 80 ? error.substring(0, 80) + '...' : error;
+        return reason ? `${tool} (${reason})` : tool;
+      });
+      contextParts.push(`Failed Tool Calls: ${listForPrompt(failures)}`);
+      debugLog(`generateAIMessage: context includes ${context.failedTools.length} failed tool call(s)`, config);
+    }
+
+    if (context.durationMs) {
+      contextParts.push(`Duration: ${formatDuration(context.durationMs)}`);
+      debugLog(`generateAIMessage: context includes durationMs=${context.durationMs}`, config);
+    }
+
     if (context.hasErrors) {
       contextParts.push(`Note: The session encountered some errors or blockers.`);
       debugLog(`generateAIMessage: context includes hasErrors=true`, config);
@@ -126,6 +175,16 @@ export async function generateAIMessage(promptType, context = {}) {
     debugLog(`generateAIMessage: context-aware AI is DISABLED (enableContextAwareAI=${config.enableContextAwareAI})`, config);
   }
   
+  // Skip an AI endpoint that keeps failing (see util/circuit-breaker)
+  engineHealth.configure({
+    failureThreshold: Number(config.circuitBreakerThreshold),
+    cooldownMs: Number(config.circuitBreakerCooldownSeconds) * 1000
+  });
+  if (!engineHealth.canAttempt('ai')) {
+    debugLog(`generateAIMessage: skipped (circuit open: ${engineHealth.getState().ai?.reason || 'unhealthy'})`, config);
+    return null;
+  }
+  
   try {
     // Build headers
     const headers = { 'Content-Type': 'application/json' };
@@ -171,8 +230,10 @@ export async function generateAIMessage(promptType, context = {}) {
     
     if (!response.ok) {
       debugLog(`generateAIMessage: API request failed with status ${response.status}`, config);
+      aiFailed(new Error(`HTTP ${response.status}`), config);
       return null;
     }
+    engineHealth.recordSuccess('ai');
     
     const data = await response.json();
     
@@ -198,12 +259,14 @@ export async function generateAIMessage(promptType, context = {}) {
     
   } catch (error) {
     debugLog(`generateAIMessage: ERROR - ${error.name === 'AbortError' ? 'Request timed out' : error.message}`, config);
+    aiFailed(error, config);
     return null;
   }
 }
 
 /**
- * Get a smart message - tries AI first, falls back to static messages
+ * Get a smart message - tries AI first, then the offline session summary (idle only,
+ * when enableOfflineSummaries is on), then falls back to static messages
  * @param {string} eventType - 'idle', 'permission', 'question'
  * @param {boolean} isReminder - Whether this is a reminder message
  * @param {string[]} staticMessages - Array of static fallback messages
@@ -226,13 +289,22 @@ export async function getSmartMessage(eventType, isReminder, staticMessages, con
     } catch (error) {
       // Silently fall through to fallback
     }
-    
-    // Check if fallback is disabled
-    if (!config.aiFallbackToStatic) {
-      // Return a generic message if fallback disabled and AI failed
-      return 'Notification: Please check your screen.';
+  }
+
+  // Template-based summary of the finished session - works without an AI server
+  if (config.enableOfflineSummaries && eventType === 'idle' && !isReminder) {
+    const summary = summarizeSession(context);
+    if (summary) {
+      debugLog(`getSmartMessage: using offline summary`, config);
+      return summary;
     }
   }
+
+  // Check if fallback is disabled
+  if (config.enableAIMessages && !config.aiFallbackToStatic) {
+    // Return a generic message if fallback disabled and AI failed
+    return 'Notification: Please check your screen.';
+  }
   
   // Fallback to static messages
   if (!Array.isArray(staticMessages) || staticMessages.length === 0) {
@@ -0,0 +1,219 @@
+import os from 'os';
+import path from 'path';
+import fs from 'fs';
+import crypto from 'crypto';
+
+/**
+ * Audio Cache Module
+ *
+ * Keeps synthesized speech on disk so static messages (permissionTTSMessages,
+ * reminders, ...) are not re-synthesized over the network every time. Files
+ * are content-addressed: the name is a hash of engine + voice settings + text,
+ * so changing the voice or the wording simply misses the cache.
+ *
+ * The cache lives in <config dir>/cache/tts. Every hit refreshes the file's
+ * modification time, and storing a file evicts the least recently used ones
+ * once the total size passes the cap.
+ *
+ * Also removes the opencode-tts-* temp files the engines leave behind when
+ * OpenCode crashes mid-playback.
+ *
+ * @module util/audio-cache
+ */
+
+const DEFAULT_MAX_SIZE_MB = 50;
+
+// Temp files older than this are assumed leaked (a clip never takes this long)
+const DEFAULT_TEMP_MAX_AGE_MS = 10 * 60 * 1000;
+
+// Temp audio files written by the TTS engines
+const TEMP_FILE_PATTERN = /^opencode-(tts|edge-tts)-.+\.(mp3|wav|ogg|opus|aac|flac|pcm)$/;
+
+const CACHE_FILE_PATTERN = /^[0-9a-f]{64}\.[a-z0-9]+$/;
+
+// ========================================
+// LOCATION & KEYS
+// ========================================
+
+/**
+ * Directory holding the cached audio files.
+ * @returns {string}
+ */
+export const getAudioCacheDir = () => {
+  const configDir = process.env.OPENCODE_CONFIG_DIR || path.join(os.homedir(), '.config', 'opencode');
+  return path.join(configDir, 'cache', 'tts');
+};
+
+/**
+ * Cache key of a clip.
+ * @param {string} engine - Engine name (openai, elevenlabs, edge, piper, ...)
+ * @param {object} settings - Everything that changes the audio besides the text (voice, model, rate, ...)
+ * @param {string} text
+ * @returns {string} SHA-256 hex digest
+ */
+export const audioCacheKey = (engine, settings, text) => {
+  const sorted = Object.keys(settings || {}).sort().map(name => [name, settings[name]]);
+  return crypto.createHash('sha256').update(JSON.stringify([engine, sorted, text])).digest('hex');
+};
+
+/**
+ * Path of a cache entry.
+ * @param {string} key
+ * @param {string} ext - Audio format (mp3, wav, ...)
+ * @returns {string}
+ */
+const entryPath = (key, ext) => path.join(getAudioCacheDir(), `${key}.${String(ext).replace(/[^a-z0-9]/gi, '').toLowerCase() || 'mp3'}`);
+
+/**
+ * Cached audio files with their size and last use, least recently used first.
+ * @returns {Array<{ file: string, size: number, usedAt: number }>}
+ */
+const listEntries = () => {
+  const dir = getAudioCacheDir();
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter(name => CACHE_FILE_PATTERN.test(name))
+    .map(name => {
+      try {
+        const stat = fs.statSync(path.join(dir, name));
+        return { file: path.join(dir, name), size: stat.size, usedAt: stat.mtimeMs };
+      } catch (e) {
+        return null;
+      }
+    })
+    .filter(Boolean)
+    .sort((a, b) => a.usedAt - b.usedAt);
+};
+
+// ========================================
+// CACHE
+// ========================================
+
+/**
+ * Look up a cached clip and mark it as recently used.
+ * @param {string} key - From audioCacheKey()
+ * @param {string} ext
+ * @returns {string | null} Path of the cached file, or null on a miss
+ */
+export const getCachedAudio = (key, ext) => {
+  const file = entryPath(key, ext);
+  try {
+    if (!fs.existsSync(file) || fs.statSync(file).size === 0) return null;
+    const now = new Date();
+    fs.utimesSync(file, now, now);
+    return file;
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Copy a freshly synthesized clip into the cache, then evict the least
+ * recently used clips until the cache fits its size cap.
+ *
+ * @param {string} key - From audioCacheKey()
+ * @param {string} ext
+ * @param {string} sourceFile - Audio file to copy (left in place)
+ * @param {object} [options={}]
+ * @param {number} [options.maxSizeMb=50] - Size cap of the whole cache
+ * @returns {string | null} Path of the cached file, or null if it could not be stored
+ */
+export const cacheAudio = (key, ext, sourceFile, { maxSizeMb = DEFAULT_MAX_SIZE_MB } = {}) => {
+  const maxBytes = Number(maxSizeMb) * 1024 * 1024;
+  try {
+    const size = fs.statSync(sourceFile).size;
+    if (size === 0 || !(maxBytes > 0) || size > maxBytes) return null;
+
+    fs.mkdirSync(getAudioCacheDir(), { recursive: true });
+    const file = entryPath(key, ext);
+    fs.copyFileSync(sourceFile, file);
+
+    const entries = listEntries();
+    let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+    for (const entry of entries) {
+      if (total <= maxBytes) break;
+      if (entry.file === file) continue;
+      try {
+        fs.unlinkSync(entry.file);
+        total -= entry.size;
+      } catch (e) {}
+    }
+    return file;
+  } catch (e) {
+    return null;
+  }
+};
+
+/**
+ * Remove every cached clip.
+ * @returns {number} Number of files removed
+ */
+export const clearAudioCache = () => {
+  let removed = 0;
+  for (const entry of listEntries()) {
+    try {
+      fs.unlinkSync(entry.file);
+      removed++;
+    } catch (e) {}
+  }
+  return removed;
+};
+
+/**
+ * Size of the cache, for status displays.
+ * @returns {{ files: number, bytes: number, dir: string }}
+ */
+export const getAudioCacheStats = () => {
+  const entries = listEntries();
+  return {
+    files: entries.length,
+    bytes: entries.reduce((sum, entry) => sum + entry.size, 0),
+    dir: getAudioCacheDir()
+  };
+};
+
+// ========================================
+// TEMP FILES
+// ========================================
+
+/**
+ * Remove opencode-tts-* temp audio files that were never cleaned up (OpenCode
+ * crashed or was killed mid-playback). Recent files are left alone, since
+ * another OpenCode window may still be playing them.
+ *
+ * @param {object} [options={}]
+ * @param {string} [options.dir=os.tmpdir()]
+ * @param {number} [options.maxAgeMs=600000] - Only files older than this are removed
+ * @returns {number} Number of files removed
+ */
+export const cleanupTempAudioFiles = ({ dir = os.tmpdir(), maxAgeMs = DEFAULT_TEMP_MAX_AGE_MS } = {}) => {
+  let removed = 0;
+  let names = [];
+  try {
+    names = fs.readdirSync(dir).filter(name => TEMP_FILE_PATTERN.test(name));
+  } catch (e) {
+    return 0;
+  }
+
+  const cutoff = Date.now() - maxAgeMs;
+  for (const name of names) {
+    const file = path.join(dir, name);
+    try {
+      if (fs.statSync(file).mtimeMs < cutoff) {
+        fs.unlinkSync(file);
+        removed++;
+      }
+    } catch (e) {}
+  }
+  return removed;
+};
+
+export default {
+  getAudioCacheDir,
+  audioCacheKey,
+  getCachedAudio,
+  cacheAudio,
+  clearAudioCache,
+  getAudioCacheStats,
+  cleanupTempAudioFiles
+};
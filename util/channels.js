@@ -0,0 +1,127 @@
+/**
+ * Notification Channels Module
+ *
+ * Registry of notification outputs (toast, desktop, webhook, sound, tts, ...).
+ * Every channel implements the same small interface, so event handlers build
+ * one notification object and dispatch it instead of calling each output by hand:
+ *
+ *   {
+ *     name: 'desktop',
+ *     events: ['idle', 'permission'] | '*',   // Event types the channel handles
+ *     suppressWhenFocused: true,              // Skip while the terminal is focused
+ *     send: (notification) => boolean | Promise<boolean>  // True if it actually fired
+ *   }
+ *
+ * Channels run in registration order and each send() is awaited, so a channel
+ * that blocks (e.g. sound playback) delays the channels registered after it.
+ * A channel that throws is logged and skipped; it never stops the others.
+ *
+ * @module util/channels
+ */
+
+/**
+ * Whether a channel handles an event type.
+ * @param {object} channel
+ * @param {string} type - Notification type (idle, permission, question, error, agent)
+ * @returns {boolean}
+ */
+export const handlesEvent = (channel, type) => {
+  if (!channel.events || channel.events === '*') return true;
+  return Array.isArray(channel.events) && channel.events.includes(type);
+};
+
+/**
+ * Create a notification channel registry.
+ *
+ * @param {object} [options={}]
+ * @param {function} [options.debugLog] - Debug logger (message) => void
+ * @returns {object} Registry API
+ */
+export const createChannelRegistry = ({ debugLog = () => {} } = {}) => {
+  // Map keeps registration order, which is also dispatch order
+  const channels = new Map();
+
+  /**
+   * Add a channel. A channel with the same name is replaced in place.
+   * @param {object} channel - { name, events, suppressWhenFocused, send }
+   * @returns {boolean} True if registered
+   */
+  const register = (channel) => {
+    if (!channel || typeof channel.name !== 'string' || !channel.name || typeof channel.send !== 'function') {
+      debugLog(`channels: ignoring invalid channel ${channel?.name || '(unnamed)'}`);
+      return false;
+    }
+    channels.set(channel.name, channel);
+    return true;
+  };
+
+  /**
+   * Remove a channel.
+   * @param {string} name
+   * @returns {boolean} True if a channel was removed
+   */
+  const unregister = (name) => channels.delete(name);
+
+  /**
+   * @param {string} name
+   * @returns {object | undefined}
+   */
+  const get = (name) => channels.get(name);
+
+  /**
+   * Names of the registered channels in dispatch order.
+   * @returns {string[]}
+   */
+  const list = () => [...channels.keys()];
+
+  /**
+   * Send a notification through every channel that handles its type.
+   *
+   * @param {object} notification - Built by the event handler; channels read the fields they need
+   * @param {string} notification.type - Notification type (idle, permission, question, error, agent)
+   * @param {boolean} [notification.focusSuppressed] - Terminal is focused; skips suppressWhenFocused channels
+   * @param {string[]} [notification.route] - Channels chosen by a routing rule; others are skipped
+   * @param {object} [options={}]
+   * @param {string[]} [options.only] - Only these channels
+   * @param {string[]} [options.exclude] - Skip these channels
+   * @returns {Promise<string[]>} Names of the channels that fired
+   */
+  const dispatch = async (notification, { only, exclude = [] } = {}) => {
+    const fired = [];
+
+    for (const channel of channels.values()) {
+      if (only && !only.includes(channel.name)) continue;
+      if (exclude.includes(channel.name)) continue;
+      if (!handlesEvent(channel, notification.type)) continue;
+      if (notification.route && !notification.route.includes(channel.name)) continue;
+
+      if (notification.focusSuppressed && channel.suppressWhenFocused) {
+        debugLog(`channels: ${channel.name} suppressed for ${notification.type} (terminal focused)`);
+        continue;
+      }
+
+      try {
+        if (await channel.send(notification)) {
+          fired.push(channel.name);
+        }
+      } catch (e) {
+        debugLog(`channels: ${channel.name} failed for ${notification.type}: ${e.message}`);
+      }
+    }
+
+    return fired;
+  };
+
+  return {
+    register,
+    unregister,
+    get,
+    list,
+    dispatch
+  };
+};
+
+export default {
+  handlesEvent,
+  createChannelRegistry
+};
@@ -0,0 +1,237 @@
+/**
+ * Circuit Breaker Module
+ *
+ * Tracks the health of the network engines (ElevenLabs, Edge TTS,
+ * OpenAI-compatible TTS, AI message generation) so a service that keeps
+ * failing is skipped instead of adding seconds of latency to every
+ * notification:
+ *
+ *   closed    - requests go through; consecutive failures are counted
+ *   open      - requests are skipped until the cool-down has passed
+ *   half-open - one probe request goes through; success closes the circuit,
+ *               failure opens it for another cool-down
+ *
+ * A circuit opens after failureThreshold consecutive failures, or right away
+ * on a network error (the machine is offline or the host is unreachable).
+ * trip() opens a circuit for a fixed time, e.g. ElevenLabs quota until restart.
+ *
+ * @module util/circuit-breaker
+ */
+
+export const DEFAULT_FAILURE_THRESHOLD = 3;
+
+export const DEFAULT_COOLDOWN_MS = 60 * 1000;
+
+// Error codes of requests that never reached the service (Node and Bun)
+const NETWORK_ERROR_CODES = [
+  'ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'ENETUNREACH', 'ENETDOWN', 'EHOSTUNREACH',
+  'ECONNRESET', 'UND_ERR_CONNECT_TIMEOUT', 'ConnectionRefused', 'ConnectionClosed', 'FailedToOpenSocket'
+];
+
+const NETWORK_ERROR_PATTERN = /fetch failed|unable to connect|getaddrinfo|network is unreachable|socket hang up|ECONNREFUSED|ENOTFOUND|EAI_AGAIN/i;
+
+// ========================================
+// HELPERS
+// ========================================
+
+/**
+ * Whether an error means the service could not be reached at all (offline,
+ * DNS failure, connection refused) rather than the service failing a request.
+ * @param {*} error
+ * @returns {boolean}
+ */
+export const isNetworkError = (error) => {
+  if (!error) return false;
+  const code = error.code || error.cause?.code;
+  if (code && NETWORK_ERROR_CODES.includes(code)) return true;
+  return NETWORK_ERROR_PATTERN.test(`${error.message || ''} ${error.cause?.message || ''}`);
+};
+
+/**
+ * Run a request with a time limit. The request gets an AbortSignal that is
+ * aborted when the time is up (pass it to fetch or the SDK call).
+ *
+ * @param {function(AbortSignal=): Promise<*>} run - Starts the request
+ * @param {number} ms - Time limit; 0 or less runs without a limit
+ * @param {string} [label='request'] - Used in the timeout error message
+ * @returns {Promise<*>} The request's result; rejects with a TimeoutError when the time is up
+ */
+export const withTimeout = (run, ms, label = 'request') => {
+  if (!(ms > 0)) return run(undefined);
+
+  const controller = new AbortController();
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`${label} timed out after ${ms}ms`);
+      error.name = 'TimeoutError';
+      controller.abort(error);
+      reject(error);
+    }, ms);
+  });
+
+  return Promise.race([run(controller.signal), timeout]).finally(() => clearTimeout(timer));
+};
+
+// ========================================
+// CIRCUIT BREAKER
+// ========================================
+
+/**
+ * Create a circuit breaker that tracks any number of named services.
+ *
+ * @param {object} [options={}]
+ * @param {number} [options.failureThreshold=3] - Consecutive failures that open a circuit (0 = never on failures)
+ * @param {number} [options.cooldownMs=60000] - How long an open circuit skips requests
+ * @param {function} [options.now] - Clock, injectable for tests
+ * @returns {object} Circuit breaker API
+ */
+export const createCircuitBreaker = ({
+  failureThreshold = DEFAULT_FAILURE_THRESHOLD,
+  cooldownMs = DEFAULT_COOLDOWN_MS,
+  now = () => Date.now()
+} = {}) => {
+  const settings = { failureThreshold, cooldownMs };
+  const circuits = new Map();
+
+  const getCircuit = (name) => {
+    if (!circuits.has(name)) {
+      circuits.set(name, { state: 'closed', failures: 0, lastError: null, reason: null, retryAt: 0 });
+    }
+    return circuits.get(name);
+  };
+
+  const open = (circuit, reason, duration) => {
+    circuit.state = 'open';
+    circuit.reason = reason;
+    circuit.retryAt = now() + duration;
+  };
+
+  /**
+   * Update the thresholds (e.g. after the config file changed).
+   * @param {{ failureThreshold?: number, cooldownMs?: number }} options
+   */
+  const configure = (options = {}) => {
+    if (Number.isFinite(options.failureThreshold) && options.failureThreshold >= 0) {
+      settings.failureThreshold = options.failureThreshold;
+    }
+    if (Number.isFinite(options.cooldownMs) && options.cooldownMs >= 0) {
+      settings.cooldownMs = options.cooldownMs;
+    }
+  };
+
+  /**
+   * Whether a request to a service may go ahead. After the cool-down this lets
+   * exactly one probe through; report its outcome with recordSuccess/recordFailure.
+   * @param {string} name
+   * @returns {boolean}
+   */
+  const canAttempt = (name) => {
+    const circuit = getCircuit(name);
+    if (circuit.state === 'closed') return true;
+    if (circuit.state === 'half-open') return false;  // a probe is already running
+    if (now() < circuit.retryAt) return false;
+    circuit.state = 'half-open';
+    return true;
+  };
+
+  /**
+   * Record a successful request: closes the circuit.
+   * @param {string} name
+   */
+  const recordSuccess = (name) => {
+    const circuit = getCircuit(name);
+    circuit.state = 'closed';
+    circuit.failures = 0;
+    circuit.reason = null;
+    circuit.retryAt = 0;
+  };
+
+  /**
+   * Record a failed request.
+   * @param {string} name
+   * @param {*} [error]
+   * @returns {boolean} True if this failure opened the circuit
+   */
+  const recordFailure = (name, error) => {
+    const circuit = getCircuit(name);
+    circuit.failures++;
+    circuit.lastError = error?.message || (error ? String(error) : null);
+
+    let reason = null;
+    if (isNetworkError(error)) {
+      reason = 'offline';
+    } else if (circuit.state === 'half-open') {
+      reason = 'probe failed';
+    } else if (settings.failureThreshold > 0 && circuit.failures >= settings.failureThreshold) {
+      reason = `${circuit.failures} failures in a row`;
+    }
+
+    if (!reason) return false;
+    open(circuit, reason, settings.cooldownMs);
+    return true;
+  };
+
+  /**
+   * Open a circuit for a fixed time regardless of failure counts.
+   * @param {string} name
+   * @param {string} reason - Shown in status reports (e.g. "quota exceeded")
+   * @param {number} [durationMs=Infinity] - Infinity keeps it open until reset()
+   */
+  const trip = (name, reason, durationMs = Infinity) => {
+    open(getCircuit(name), reason, durationMs);
+  };
+
+  /**
+   * Close one circuit, or forget all of them.
+   * @param {string} [name]
+   */
+  const reset = (name) => {
+    if (name) circuits.delete(name);
+    else circuits.clear();
+  };
+
+  /**
+   * Health of every service seen so far, for status displays.
+   * retryInMs is 0 once an open circuit is ready for its probe, Infinity until reset.
+   * @returns {Object<string, { state: string, failures: number, lastError: string | null, reason: string | null, retryInMs: number }>}
+   */
+  const getState = () => {
+    const state = {};
+    for (const [name, circuit] of circuits) {
+      state[name] = {
+        state: circuit.state,
+        failures: circuit.failures,
+        lastError: circuit.lastError,
+        reason: circuit.reason,
+        retryInMs: circuit.state === 'open' ? Math.max(0, circuit.retryAt - now()) : 0
+      };
+    }
+    return state;
+  };
+
+  return {
+    configure,
+    canAttempt,
+    recordSuccess,
+    recordFailure,
+    trip,
+    reset,
+    getState
+  };
+};
+
+/**
+ * Shared breaker for the TTS engines and AI message generation, so every
+ * createTTS() instance and the /voice status command see the same health.
+ */
+export const engineHealth = createCircuitBreaker();
+
+export default {
+  DEFAULT_FAILURE_THRESHOLD,
+  DEFAULT_COOLDOWN_MS,
+  isNetworkError,
+  withTimeout,
+  createCircuitBreaker,
+  engineHealth
+};
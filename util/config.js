@@ -128,8 +128,24 @@ export const getDefaultConfigObject = () => ({
   enableFollowUpReminders: true,
   maxFollowUpReminders: 3,
   reminderBackoffMultiplier: 1.5,
+  escalation: {},
   ttsEngine: 'elevenlabs',
   enableTTS: true,
+  ttsFallbackChain: [],
+  ttsDisabledEngines: [],
+  circuitBreakerThreshold: 3,
+  circuitBreakerCooldownSeconds: 60,
+  ttsTimeoutsMs: { elevenlabs: 10000, edge: 15000, openai: 15000 },
+  enableTTSStreaming: true,
+  ttsStreamIdleTimeoutMs: 10000,
+  enableSpeechNormalization: true,
+  pronunciations: {},
+  projectPronunciations: {},
+  voiceProfiles: {},
+  enableTTSCache: true,
+  ttsCacheMaxMB: 50,
+  enableTTSWarmUp: false,
+  ttsWarmUpDelayMs: 1500,
   // elevenLabsApiKey is intentionally omitted - users must set it
   elevenLabsVoiceId: 'cgSgspJ2msm6clMCkdW9',
   elevenLabsModel: 'eleven_turbo_v2_5',
@@ -149,6 +165,16 @@ export const getDefaultConfigObject = () => ({
   openaiTtsVoice: 'alloy',
   openaiTtsFormat: 'mp3',
   openaiTtsSpeed: 1.0,
+  piperModel: '',
+  piperSpeaker: '',
+  piperRate: 1.0,
+  espeakVoice: 'en-us',
+  espeakRate: 175,
+  ttsCommand: [],
+  ttsCommandVoice: '',
+  ttsCommandFormat: 'wav',
+  userName: '',
+  messageTemplates: {},
   idleTTSMessages: [
     "All done! Your task has been completed successfully.",
     "Hey there! I finished working on your request.",
@@ -258,6 +284,7 @@ export const getDefaultConfigObject = () => ({
   aiTimeout: 15000,
   aiFallbackToStatic: true,
   enableContextAwareAI: false,
+  enableOfflineSummaries: false,
   aiPrompts: {
     idle: "Summarize the actual work done in 1-2 sarcastic or ironic sentences. Focus on the actions taken (refactoring, fixing bugs) rather than just file counts. If there were errors or blockers, mention them with a dry wit. Be concise but useful. No fluff. Output only the message, no quotes.",
     permission: "Generate a single brief, urgent but slightly annoyed sentence (max 15 words) asking the user to approve a permission request so I can actually do my job. Output only the message, no quotes.",
@@ -282,11 +309,19 @@ export const getDefaultConfigObject = () => ({
   showProjectInNotification: true,
   suppressWhenFocused: true,
   alwaysNotify: false,
+  quietHours: [],
+  quietHoursTimezone: "",
+  notificationRules: [],
   enableWebhook: false,
   webhookUrl: "",
   webhookUsername: "OpenCode Notify",
   webhookEvents: ["idle", "permission", "error", "question"],
   webhookMentionOnPermission: false,
+  enableNotifyTool: true,
+  enableVoiceCommands: true,
+  enableHistory: true,
+  historyMaxSizeKb: 512,
+  historyMaxFiles: 3,
   soundThemeDir: "",
   randomizeSoundFromTheme: true,
   perProjectSounds: false,
@@ -414,6 +449,23 @@ const generateDefaultConfig = (overrides = {}, version = '1.0.0') => {
     "enableFollowUpReminders": ${overrides.enableFollowUpReminders !== undefined ? overrides.enableFollowUpReminders : true},
     "maxFollowUpReminders": ${overrides.maxFollowUpReminders !== undefined ? overrides.maxFollowUpReminders : 3},              // Max number of follow-up TTS reminders
     "reminderBackoffMultiplier": ${overrides.reminderBackoffMultiplier !== undefined ? overrides.reminderBackoffMultiplier : 1.5},       // Each follow-up waits longer (30s, 45s, 67s...)
+    
+    // Escalation ladders: replace the TTS reminder of an event type with steps
+    // that get louder over time. Each step fires through its own channels
+    // ("toast", "desktop", "webhook", "sound", "tts") with an optional urgency
+    // ("high" = critical desktop notification + webhook mention).
+    // "after" is measured from the first notification (seconds, or "90s", "5m").
+    // The ladder stops as soon as you respond. Quiet hours still apply.
+    // A ladder runs even with enableTTSReminder off or in sound-only mode.
+    // Example:
+    //   "escalation": {
+    //     "permission": [
+    //       { "after": 30, "channels": ["tts"] },
+    //       { "after": 90, "channels": ["desktop"], "urgency": "high" },
+    //       { "after": "5m", "channels": ["webhook"], "urgency": "high" }
+    //     ]
+    //   }
+    "escalation": ${formatJSON(overrides.escalation || {}, 4)},
 
     // ============================================================
     // TTS ENGINE SELECTION
@@ -422,11 +474,92 @@ const generateDefaultConfig = (overrides = {}, version = '1.0.0') => {
     // 'elevenlabs' - Best quality, anime-like voices (requires API key, free tier: 10k chars/month)
     // 'edge'       - Good quality neural voices (free, requires: pip install edge-tts)
     // 'sapi'       - Windows built-in voices (free, offline, robotic)
+    // 'piper'      - Local Piper neural voices (free, offline, requires: piper + a voice model)
+    // 'espeak'     - eSpeak NG (free, offline, robotic, requires: espeak-ng)
+    // 'command'    - Your own TTS program (mimic3, festival, RHVoice, ...; see ttsCommand)
     "ttsEngine": "${overrides.ttsEngine || 'elevenlabs'}",
     
     // Enable TTS for notifications (falls back to sound files if TTS fails)
     "enableTTS": ${overrides.enableTTS !== undefined ? overrides.enableTTS : true},
     
+    // Engines to try, in order (replaces ttsEngine and its built-in fallbacks).
+    // Entries are engine names or objects with options for that engine only:
+    //   ["openai", { "engine": "edge", "edgeVoice": "en-GB-SoniaNeural" }, "piper"]
+    // Leave empty to use ttsEngine's defaults, e.g. elevenlabs -> edge -> sapi -> say -> piper -> espeak
+    "ttsFallbackChain": ${formatJSON(overrides.ttsFallbackChain || [], 4)},
+    
+    // Engines never to use, even as ttsEngine or in ttsFallbackChain
+    // (e.g. ["elevenlabs", "edge"] keeps speech off the cloud services)
+    "ttsDisabledEngines": ${formatJSON(overrides.ttsDisabledEngines || [], 4)},
+    
+    // Engine health: after this many failures in a row, a network engine
+    // (elevenlabs, edge, openai, and the AI message endpoint) is skipped for the
+    // cool-down below, then retried with a single probe. Network errors (offline,
+    // host unreachable) skip it right away. 0 = only skip on network errors.
+    // /voice status lists the skipped engines.
+    "circuitBreakerThreshold": ${overrides.circuitBreakerThreshold !== undefined ? overrides.circuitBreakerThreshold : 3},
+    "circuitBreakerCooldownSeconds": ${overrides.circuitBreakerCooldownSeconds !== undefined ? overrides.circuitBreakerCooldownSeconds : 60},
+    
+    // Time limit per request of the network engines, in milliseconds (0 = no limit).
+    // The AI message endpoint uses aiTimeout.
+    "ttsTimeoutsMs": ${formatJSON(overrides.ttsTimeoutsMs || { elevenlabs: 10000, edge: 15000, openai: 15000 }, 4)},
+    
+    // Play ElevenLabs and OpenAI-compatible audio while it downloads, so long
+    // messages (AI summaries) start speaking right away. Needs a player that
+    // reads from stdin: mpv, ffplay or pw-play (first one found on the PATH).
+    // Without one, audio is downloaded to a temp file and played from there.
+    // When streaming, ttsTimeoutsMs limits the request, not the whole download;
+    // a download that sends nothing for ttsStreamIdleTimeoutMs is given up and
+    // counts as an engine failure (0 = wait forever).
+    "enableTTSStreaming": ${overrides.enableTTSStreaming !== undefined ? overrides.enableTTSStreaming : true},
+    "ttsStreamIdleTimeoutMs": ${overrides.ttsStreamIdleTimeoutMs !== undefined ? overrides.ttsStreamIdleTimeoutMs : 10000},
+    
+    // Make messages speakable before any engine sees them: strip markdown, code
+    // blocks and emoji, read URLs as their host and paths as their file name,
+    // drop commit hashes, split camelCase/snake_case identifiers, expand
+    // abbreviations (PR -> pull request, npm -> N P M) and round long numbers.
+    "enableSpeechNormalization": ${overrides.enableSpeechNormalization !== undefined ? overrides.enableSpeechNormalization : true},
+    
+    // Pronunciation dictionary for words the engines get wrong, applied to every
+    // engine. Matching is case-insensitive on whole words unless the entry says
+    // otherwise. "ipa" is used as an SSML <phoneme> on Windows SAPI and ElevenLabs
+    // (eleven_flash_v2, eleven_turbo_v2); other engines say the "say" text.
+    //   "pronunciations": {
+    //     "k8s-ctl": "kates control",
+    //     "pgbouncer": "P G bouncer",
+    //     "Nuxt": { "say": "nukst", "ipa": "nʌkst", "caseSensitive": true }
+    //   }
+    // projectPronunciations adds entries per project (glob on the project name):
+    //   "projectPronunciations": { "acme-*": { "ACME": "acme" } }
+    "pronunciations": ${formatJSON(overrides.pronunciations || {}, 4)},
+    "projectPronunciations": ${formatJSON(overrides.projectPronunciations || {}, 4)},
+    
+    // Voice and prosody per event type (idle, permission, question, error, agent),
+    // plus "reminder" for TTS reminders (applied on top of the event's profile).
+    // Profiles can set the voice, model and prosody settings of every engine:
+    //   "voiceProfiles": {
+    //     "permission": { "edgeVoice": "en-US-GuyNeural", "edgeRate": "+25%", "elevenLabsStability": 0.3 },
+    //     "idle": { "edgeRate": "-5%", "openaiTtsVoice": "nova", "elevenLabsStyle": 0.2 },
+    //     "reminder": { "edgePitch": "+5Hz", "openaiTtsSpeed": 1.2 }
+    //   }
+    "voiceProfiles": ${formatJSON(overrides.voiceProfiles || {}, 4)},
+    
+    // Keep synthesized speech in ~/.config/opencode/cache/tts so repeated messages
+    // play instantly and cost no API characters. Clips are keyed by engine, voice
+    // settings and text; the least recently used ones are removed past the size cap.
+    // /voice cache shows the size, /voice cache clear empties it.
+    "enableTTSCache": ${overrides.enableTTSCache !== undefined ? overrides.enableTTSCache : true},
+    "ttsCacheMaxMB": ${overrides.ttsCacheMaxMB !== undefined ? overrides.ttsCacheMaxMB : 50},
+    
+    // Pre-render the static *TTSMessages into the cache in the background at
+    // startup, so the first alert and every reminder play from local audio, even
+    // if the network drops later. Only the active engine and voice are rendered;
+    // messages with per-event placeholders ({count}, {sessionTitle}, ...) are skipped.
+    // ttsWarmUpDelayMs is the pause after each synthesized clip (rate limits).
+    // An interrupted warm-up picks up where it stopped on the next start.
+    "enableTTSWarmUp": ${overrides.enableTTSWarmUp !== undefined ? overrides.enableTTSWarmUp : false},
+    "ttsWarmUpDelayMs": ${overrides.ttsWarmUpDelayMs !== undefined ? overrides.ttsWarmUpDelayMs : 1500},
+    
     // ============================================================
     // ELEVENLABS SETTINGS (Best Quality - Anime-like Voices)
     // ============================================================
@@ -527,6 +660,86 @@ const generateDefaultConfig = (overrides = {}, version = '1.0.0') => {
     // Speech speed: 0.25 to 4.0 (1.0 = normal)
     "openaiTtsSpeed": ${overrides.openaiTtsSpeed !== undefined ? overrides.openaiTtsSpeed : 1.0},
     
+    // ============================================================
+    // LOCAL OFFLINE TTS SETTINGS (Piper, eSpeak NG)
+    // ============================================================
+    // Speech without network or Python - ideal for Linux and air-gapped machines.
+    // Every engine falls back to these when the others fail.
+    //
+    // To use Piper:
+    // 1. Install piper (https://github.com/rhasspy/piper) so it is on your PATH
+    // 2. Download a voice model (.onnx plus its .onnx.json) and set piperModel
+    // 3. Set ttsEngine above to "piper"
+    
+    // Path to the Piper voice model (absolute, or relative to ~/.config/opencode/)
+    "piperModel": "${overrides.piperModel || ''}",
+    
+    // Speaker ID for multi-speaker models (leave empty for single-speaker models)
+    "piperSpeaker": "${overrides.piperSpeaker !== undefined ? overrides.piperSpeaker : ''}",
+    
+    // Speech speed multiplier (1.0 = normal, 1.5 = faster, 0.8 = slower)
+    "piperRate": ${overrides.piperRate !== undefined ? overrides.piperRate : 1.0},
+    
+    // eSpeak NG voice (e.g., "en-us", "en-gb", "de", "fr"; see: espeak-ng --voices)
+    "espeakVoice": "${overrides.espeakVoice || 'en-us'}",
+    
+    // eSpeak NG speed in words per minute (80-450, default 175)
+    "espeakRate": ${overrides.espeakRate !== undefined ? overrides.espeakRate : 175},
+    
+    // ============================================================
+    // CUSTOM COMMAND TTS SETTINGS (ttsEngine: "command")
+    // ============================================================
+    // Plug in any TTS program. ttsCommand is the argument list; each entry is
+    // passed as one argument (no shell), so the message needs no escaping.
+    // Placeholders:
+    //   {text}    - the message (without it, the text is written to stdin)
+    //   {voice}   - ttsCommandVoice
+    //   {outFile} - audio file to write (without it, audio is read from stdout)
+    //
+    // Examples:
+    //   ["mimic3", "--voice", "{voice}", "{text}"]                        (WAV on stdout)
+    //   ["text2wave", "-o", "{outFile}"]                                  (text on stdin)
+    //   ["RHVoice-test", "-p", "{voice}", "-o", "{outFile}"]
+    "ttsCommand": ${formatJSON(overrides.ttsCommand || [], 4)},
+    
+    // Value for the {voice} placeholder
+    "ttsCommandVoice": "${overrides.ttsCommandVoice || ''}",
+    
+    // Audio format the command writes (file extension used for playback)
+    "ttsCommandFormat": "${overrides.ttsCommandFormat || 'wav'}",
+    
+    // ============================================================
+    // MESSAGE TEMPLATES
+    // ============================================================
+    // All *TTSMessages below and the messageTemplates can use placeholders:
+    //   {project}       project (worktree folder) name
+    //   {sessionTitle}  title of the session
+    //   {count}         number of pending requests
+    //   {elapsed}       how long the agent worked (idle), e.g. "12 minutes"
+    //   {waitingFor}    how long the request has been waiting for you (reminders)
+    //   {filesChanged}  number of files changed (idle)
+    //   {userName}      the userName setting below
+    // Forms:
+    //   {name|fallback}         fallback text when the value is missing
+    //   {count:file|files}      singular/plural; # is the number: {count:# file|# files}
+    //   {?name}...{/name}       only when the value is present
+    //   {!name}...{/name}       only when the value is missing
+    // Missing values are dropped and the sentence tidied up, e.g.
+    //   "Nice work, {userName}!" -> "Nice work!" without a userName
+    
+    // Your name, for {userName} (leave empty to leave it out)
+    "userName": "${overrides.userName || ''}",
+    
+    // Replace the built-in toast text, desktop body and webhook title per event
+    // (idle, permission, question, error, agent). Unset entries keep the built-in text.
+    // Example:
+    //   "messageTemplates": {
+    //     "toast": { "idle": "✅ {sessionTitle|Task} finished{?elapsed} after {elapsed}{/elapsed}" },
+    //     "desktop": { "idle": "{?filesChanged}{filesChanged:# file|# files} changed. {/filesChanged}Ready for review, {userName}." },
+    //     "webhookTitle": { "permission": "{project}: {count:Permission|# permissions} waiting" }
+    //   }
+    "messageTemplates": ${formatJSON(overrides.messageTemplates || {}, 4)},
+    
     // ============================================================
     // INITIAL TTS MESSAGES (Used immediately or after sound)
     // These are randomly selected each time for variety
@@ -739,6 +952,11 @@ const generateDefaultConfig = (overrides = {}, version = '1.0.0') => {
     // Disabled by default - enable this for more personalized notifications
     "enableContextAwareAI": ${overrides.enableContextAwareAI !== undefined ? overrides.enableContextAwareAI : false},
     
+    // Speak a template-based summary of the finished session when no AI message is available
+    // (AI disabled or unreachable), e.g. "Finished 'fix login redirect' in backend: 4 files changed, tests failed once."
+    // Uses the session title, change summary, failed tool calls and turn duration - no AI server needed
+    "enableOfflineSummaries": ${overrides.enableOfflineSummaries !== undefined ? overrides.enableOfflineSummaries : false},
+    
     // Custom prompts for each notification type
     // The AI will generate a short message based on these prompts
     // Keep prompts concise - they're sent with each notification
@@ -830,6 +1048,52 @@ const generateDefaultConfig = (overrides = {}, version = '1.0.0') => {
     // Set to true to disable focus-based suppression entirely
     "alwaysNotify": ${overrides.alwaysNotify !== undefined ? overrides.alwaysNotify : false},
     
+    // ============================================================
+    // QUIET HOURS (Do-Not-Disturb Schedules)
+    // ============================================================
+    // During a quiet window, sounds, spoken messages (including reminders),
+    // desktop notifications and webhooks are held back. TUI toasts still show.
+    //
+    // Each window:
+    //   "days":        ["mon", "tue", ...] or "weekdays" / "weekends" (default: every day)
+    //   "from" / "to": 24h times; a window like 22:00-07:00 runs overnight
+    //   "allow":       channels that still fire: "sound", "tts", "desktop", "webhook"
+    //   "allowEvents": event types that ignore the window: "idle", "permission", "question", "error", "agent"
+    //   "timezone":    optional IANA time zone for this window
+    //
+    // Example - silent nights, but webhooks still reach your phone and errors always get through:
+    //   "quietHours": [
+    //     { "days": "weekdays", "from": "22:00", "to": "07:00", "allow": ["webhook"], "allowEvents": ["error"] }
+    //   ]
+    "quietHours": ${formatJSON(overrides.quietHours || [], 4)},
+    
+    // Time zone for quiet hours (e.g. "Europe/Berlin"). Empty = system time zone.
+    "quietHoursTimezone": "${overrides.quietHoursTimezone || ''}",
+    
+    // ============================================================
+    // NOTIFICATION ROUTING RULES
+    // ============================================================
+    // Pick channels per event, project, time of day and terminal focus.
+    // Rules are checked in order and the first match wins. When a rule matches,
+    // its "then" list replaces enableXNotification, enableXReminder,
+    // webhookEvents, notificationMode and focus suppression for that notification.
+    // Without a matching rule the settings above apply as usual.
+    // Channel switches (enableToast, enableSound, enableWebhook, ...), /voice
+    // mute/snooze and quiet hours still apply to routed notifications.
+    //
+    // Each rule:
+    //   "when":    { "event", "project" (glob, e.g. "infra-*"), "focused", "time": { "days", "from", "to", "timezone" } }
+    //              every condition is optional; "event" and "project" also accept lists
+    //   "then":    channels: "toast", "desktop", "webhook", "sound", "tts", "reminder" ([] = drop)
+    //   "urgency": "low", "normal" or "high" (critical desktop notification + webhook mention)
+    //
+    // Example - page your phone for production permission prompts, keep scratch repos quiet:
+    //   "notificationRules": [
+    //     { "when": { "event": "permission", "project": "infra-*", "focused": false }, "then": ["tts", "webhook", "reminder"], "urgency": "high" },
+    //     { "when": { "event": "idle", "project": "scratch-*" }, "then": ["toast"] }
+    //   ]
+    "notificationRules": ${formatJSON(overrides.notificationRules || [], 4)},
+    
     // ============================================================
     // WEBHOOK NOTIFICATION SETTINGS (Discord/Generic)
     // ============================================================
@@ -846,12 +1110,52 @@ const generateDefaultConfig = (overrides = {}, version = '1.0.0') => {
     "webhookUsername": "${overrides.webhookUsername || 'OpenCode Notify'}",
     
     // Events that should trigger a webhook notification
-    // Options: "idle", "permission", "error", "question"
+    // Options: "idle", "permission", "error", "question", "agent" (notify_user tool calls)
     "webhookEvents": ${formatJSON(overrides.webhookEvents || ["idle", "permission", "error", "question"], 4)},
     
     // Mention @everyone on permission requests (Discord only)
     "webhookMentionOnPermission": ${overrides.webhookMentionOnPermission !== undefined ? overrides.webhookMentionOnPermission : false},
     
+    // ============================================================
+    // AGENT NOTIFY TOOL
+    // ============================================================
+    // Registers a "notify_user" tool the agent can call mid-turn to get your
+    // attention (e.g. "I'm about to run the migration"). Messages go through
+    // the same toast, desktop, webhook and TTS paths as other notifications,
+    // with focus suppression applied. Urgency: "low" (silent), "normal", "high".
+    // Add "agent" to webhookEvents to also receive these messages via webhook.
+    // Changing this setting requires an OpenCode restart.
+    "enableNotifyTool": ${overrides.enableNotifyTool !== undefined ? overrides.enableNotifyTool : true},
+    
+    // ============================================================
+    // SLASH COMMANDS
+    // ============================================================
+    // Registers a /voice command to control the notifier at runtime without
+    // editing this file. Runtime changes reset when OpenCode restarts.
+    //   /voice mute [30m]    - Silence sounds and speech (toasts/desktop still shown)
+    //   /voice unmute        - End mute and snooze
+    //   /voice snooze [30m]  - Cancel pending reminders and pause new ones
+    //   /voice test <type>   - Test idle, permission, question or error notifications
+    //   /voice status        - Show engine, mute/snooze state and waiting sessions
+    //   /voice engine <name> - Switch TTS engine until restart ("reset" to undo)
+    // Changing this setting requires an OpenCode restart.
+    "enableVoiceCommands": ${overrides.enableVoiceCommands !== undefined ? overrides.enableVoiceCommands : true},
+    
+    // ============================================================
+    // NOTIFICATION HISTORY
+    // ============================================================
+    // Record every notification (time, session, type, channels used, message,
+    // whether it was held back and why, and when you responded) to
+    // ~/.config/opencode/logs/smart-voice-notify-history.jsonl
+    // Use "/voice history" to see what you missed while away.
+    "enableHistory": ${overrides.enableHistory !== undefined ? overrides.enableHistory : true},
+    
+    // Rotate the history file when it grows past this size (KB)
+    "historyMaxSizeKb": ${overrides.historyMaxSizeKb !== undefined ? overrides.historyMaxSizeKb : 512},
+    
+    // Number of history files to keep, including the active one
+    "historyMaxFiles": ${overrides.historyMaxFiles !== undefined ? overrides.historyMaxFiles : 3},
+    
     // ============================================================
     // SOUND THEME SETTINGS (Themed Sound Packs)
     // ============================================================
@@ -307,6 +307,30 @@ export const notifyError = async (message, options = {}) => {
   });
 };
 
+/**
+ * Send a notification for a message the agent sent deliberately (notify_user tool).
+ * Urgency is chosen by the agent, so it is passed through instead of fixed.
+ * 
+ * @param {string} message - Notification message
+ * @param {object} [options={}] - Additional options
+ * @param {string} [options.projectName] - Project name to include in title
+ * @param {string} [options.urgency='normal'] - Urgency level (Linux only)
+ * @param {boolean} [options.debugLog=false] - Enable debug logging
+ * @returns {Promise<{ success: boolean, error?: string }>} Result object
+ */
+export const notifyAgentMessage = async (message, options = {}) => {
+  const title = options.projectName 
+    ? `📣 ${options.projectName} - Message from Agent`
+    : '📣 OpenCode - Message from Agent';
+      
+  return sendDesktopNotification(title, message, {
+    timeout: options.urgency === 'critical' ? 15 : 8,
+    urgency: 'normal',
+    sound: false, // We handle sound separately
+    ...options
+  });
+};
+
 // Default export for convenience
 export default {
   sendDesktopNotification,
@@ -314,6 +338,7 @@ export default {
   notifyPermissionRequest,
   notifyQuestion,
   notifyError,
+  notifyAgentMessage,
   checkNotificationSupport,
   getPlatform
 };
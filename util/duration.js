@@ -0,0 +1,72 @@
+/**
+ * Duration Module
+ *
+ * Parses and formats the human durations used across the plugin: /voice
+ * mute and snooze arguments, escalation steps, status and AI prompt text.
+ *
+ * @module util/duration
+ */
+
+const UNIT_MS = {
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000
+};
+
+/**
+ * Parse a human duration such as "30m", "1h", "90s" or "1h30m".
+ * A bare number is treated as minutes.
+ *
+ * @param {string} input - Duration text
+ * @param {object} [options={}]
+ * @param {boolean} [options.allowZero=false] - Accept a zero duration ("0s") instead of rejecting it
+ * @returns {number | null} Duration in milliseconds, or null if invalid
+ */
+export const parseDuration = (input, { allowZero = false } = {}) => {
+  if (input === undefined || input === null) return null;
+  const text = String(input).trim().toLowerCase();
+  if (!text) return null;
+
+  const valid = (ms) => ms > 0 || (allowZero && ms === 0);
+
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    const minutes = parseFloat(text);
+    return valid(minutes) ? Math.round(minutes * UNIT_MS.m) : null;
+  }
+
+  const pattern = /(\d+(?:\.\d+)?)\s*([smh])/g;
+  let total = 0;
+  let consumed = '';
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    total += parseFloat(match[1]) * UNIT_MS[match[2]];
+    consumed += match[0];
+  }
+
+  // Reject anything with leftover characters (e.g. "30x", "soon")
+  if (consumed.replace(/\s+/g, '') !== text.replace(/\s+/g, '')) return null;
+  return valid(total) ? Math.round(total) : null;
+};
+
+/**
+ * Format a duration for display, e.g. 5400000 -> "1h 30m".
+ * @param {number} ms - Duration in milliseconds
+ * @returns {string}
+ */
+export const formatDuration = (ms) => {
+  const totalSeconds = Math.max(0, Math.round(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor((totalSeconds % 3600) / 60);
+  const seconds = totalSeconds % 60;
+
+  const parts = [];
+  if (hours) parts.push(`${hours}h`);
+  if (minutes) parts.push(`${minutes}m`);
+  if (seconds && !hours) parts.push(`${seconds}s`);
+  return parts.length ? parts.join(' ') : '0s';
+};
+
+export default {
+  parseDuration,
+  formatDuration
+};
@@ -0,0 +1,87 @@
+import { parseDuration } from './duration.js';
+
+/**
+ * Escalation Module
+ *
+ * Escalation ladders for unanswered attention requests. Instead of repeating
+ * the same TTS reminder, each step of a ladder can use different channels and
+ * urgency, e.g. speak after 30s, raise a critical desktop notification after
+ * 90s and page a phone through the webhook after 5 minutes.
+ *
+ * Config shape (per event type; types without a ladder keep the TTS reminder):
+ *   "escalation": {
+ *     "permission": [
+ *       { "after": 30, "channels": ["tts"] },
+ *       { "after": 90, "channels": ["desktop"], "urgency": "high" },
+ *       { "after": "5m", "channels": ["webhook"], "urgency": "high" }
+ *     ]
+ *   }
+ *
+ * "after" is measured from the first notification, in seconds or as a
+ * duration string ("90s", "5m", "1h"). The ladder stops as soon as the user
+ * responds, exactly like the TTS reminder it replaces.
+ *
+ * @module util/escalation
+ */
+
+export const ESCALATION_URGENCIES = ['low', 'normal', 'high'];
+
+/**
+ * Convert a step's "after" value to milliseconds.
+ * Numbers are seconds; strings are durations ("90s", "5m", "1h30m").
+ *
+ * @param {number | string} after
+ * @returns {number | null} Milliseconds, or null if invalid
+ */
+export const parseStepDelay = (after) => {
+  if (typeof after === 'number') {
+    return Number.isFinite(after) && after >= 0 ? Math.round(after * 1000) : null;
+  }
+  if (typeof after === 'string') {
+    const trimmed = after.trim();
+    // A bare number in a string is still seconds, like the numeric form
+    if (/^\d+(\.\d+)?$/.test(trimmed)) return Math.round(parseFloat(trimmed) * 1000);
+    return parseDuration(trimmed, { allowZero: true });
+  }
+  return null;
+};
+
+/**
+ * Validate and sort the steps of a ladder. Invalid steps are dropped.
+ *
+ * @param {object[]} steps - Raw steps from the config
+ * @returns {Array<{ afterMs: number, channels: string[], urgency: string | null }>} Steps sorted by delay
+ */
+export const normalizeEscalationSteps = (steps) => {
+  if (!Array.isArray(steps)) return [];
+
+  return steps
+    .filter(step => step && typeof step === 'object' && Array.isArray(step.channels))
+    .map(step => ({
+      afterMs: parseStepDelay(step.after ?? 0),
+      channels: step.channels.filter(channel => typeof channel === 'string'),
+      urgency: ESCALATION_URGENCIES.includes(step.urgency) ? step.urgency : null
+    }))
+    .filter(step => step.afterMs !== null && step.channels.length > 0)
+    .sort((a, b) => a.afterMs - b.afterMs);
+};
+
+/**
+ * Get the escalation ladder configured for an event type.
+ *
+ * @param {object} config - Plugin config (escalation)
+ * @param {string} type - idle, permission, question, error
+ * @returns {Array<{ afterMs: number, channels: string[], urgency: string | null }>} Empty if none
+ */
+export const getEscalationSteps = (config, type) => {
+  const ladders = config?.escalation;
+  if (!ladders || typeof ladders !== 'object') return [];
+  return normalizeEscalationSteps(ladders[type]);
+};
+
+export default {
+  ESCALATION_URGENCIES,
+  parseStepDelay,
+  normalizeEscalationSteps,
+  getEscalationSteps
+};
@@ -0,0 +1,266 @@
+import os from 'os';
+import path from 'path';
+import fs from 'fs';
+
+/**
+ * Notification History Module
+ *
+ * Persists every notification the plugin produces as JSON lines so
+ * "what did I miss while I was away?" can be answered after the fact.
+ *
+ * Two kinds of lines are appended to the history file:
+ * - notification: { kind, id, timestamp, sessionID, type, message, channels, suppressed, suppressedReasons, reminder }
+ * - response:     { kind, timestamp, sessionID, type } when the user answers/returns to a session
+ *
+ * Responses are joined onto notifications when reading, so the file stays
+ * append-only. The file rotates when it grows past the configured size
+ * (history.jsonl -> history.1.jsonl -> history.2.jsonl ...).
+ *
+ * @module util/history
+ */
+
+const HISTORY_FILE_NAME = 'smart-voice-notify-history';
+
+const DEFAULT_MAX_SIZE_KB = 512;
+
+const DEFAULT_MAX_FILES = 3;
+
+/**
+ * Internal debug logger
+ * @param {string} message
+ * @param {boolean} enabled
+ */
+const debugLog = (message, enabled) => {
+  if (!enabled) return;
+
+  try {
+    const logsDir = getHistoryDir();
+    if (!fs.existsSync(logsDir)) {
+      fs.mkdirSync(logsDir, { recursive: true });
+    }
+    const timestamp = new Date().toISOString();
+    fs.appendFileSync(path.join(logsDir, 'smart-voice-notify-debug.log'), `[${timestamp}] [history] ${message}\n`);
+  } catch (e) {
+    // Silently fail - logging is optional
+  }
+};
+
+// ========================================
+// FILE LOCATION & ROTATION
+// ========================================
+
+/**
+ * Directory holding the history files (next to the debug log).
+ * @returns {string}
+ */
+const getHistoryDir = () => {
+  const configDir = process.env.OPENCODE_CONFIG_DIR || path.join(os.homedir(), '.config', 'opencode');
+  return path.join(configDir, 'logs');
+};
+
+/**
+ * Path of a history file.
+ * @param {number} [index=0] - 0 for the active file, 1..n for rotated files
+ * @returns {string}
+ */
+export const getHistoryFilePath = (index = 0) => {
+  const suffix = index > 0 ? `.${index}` : '';
+  return path.join(getHistoryDir(), `${HISTORY_FILE_NAME}${suffix}.jsonl`);
+};
+
+/**
+ * Rotate the active file once it exceeds the size limit.
+ * @param {number} maxSizeKb
+ * @param {number} maxFiles - Total number of files kept, including the active one
+ */
+const rotateIfNeeded = (maxSizeKb, maxFiles) => {
+  const activePath = getHistoryFilePath();
+  if (!fs.existsSync(activePath) || fs.statSync(activePath).size < maxSizeKb * 1024) {
+    return;
+  }
+
+  const oldest = getHistoryFilePath(maxFiles - 1);
+  if (maxFiles <= 1) {
+    fs.unlinkSync(activePath);
+    return;
+  }
+  if (fs.existsSync(oldest)) {
+    fs.unlinkSync(oldest);
+  }
+  for (let i = maxFiles - 2; i >= 0; i--) {
+    const from = getHistoryFilePath(i);
+    if (fs.existsSync(from)) {
+      fs.renameSync(from, getHistoryFilePath(i + 1));
+    }
+  }
+};
+
+/**
+ * Append one line to the history, rotating first if needed.
+ * @param {object} entry
+ * @param {object} options - { historyMaxSizeKb, historyMaxFiles, debugLog }
+ * @returns {boolean} True if written
+ */
+const appendEntry = (entry, options = {}) => {
+  try {
+    const dir = getHistoryDir();
+    if (!fs.existsSync(dir)) {
+      fs.mkdirSync(dir, { recursive: true });
+    }
+    rotateIfNeeded(
+      options.historyMaxSizeKb || DEFAULT_MAX_SIZE_KB,
+      Math.max(1, options.historyMaxFiles || DEFAULT_MAX_FILES)
+    );
+    fs.appendFileSync(getHistoryFilePath(), JSON.stringify(entry) + '\n');
+    return true;
+  } catch (e) {
+    debugLog(`appendEntry error: ${e.message}`, options.debugLog);
+    return false;
+  }
+};
+
+// ========================================
+// WRITE API
+// ========================================
+
+/**
+ * Record a notification.
+ *
+ * @param {object} notification
+ * @param {string} [notification.sessionID] - Session the notification belongs to
+ * @param {string} notification.type - idle, permission, question, error, agent
+ * @param {string} notification.message - Human-readable message
+ * @param {string[]} [notification.channels=[]] - Channels that actually fired (toast, desktop, webhook, sound, tts)
+ * @param {string[]} [notification.suppressedReasons=[]] - Why channels were held back (terminal-focused, quiet-hours, muted)
+ * @param {boolean} [notification.reminder=false] - True for TTS reminders
+ * @param {object} [options={}] - Plugin config (historyMaxSizeKb, historyMaxFiles, debugLog)
+ * @returns {object | null} The stored record, or null if writing failed
+ */
+export const recordNotification = (notification, options = {}) => {
+  const suppressedReasons = notification.suppressedReasons || [];
+  const record = {
+    kind: 'notification',
+    id: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`,
+    timestamp: new Date().toISOString(),
+    sessionID: notification.sessionID || null,
+    type: notification.type,
+    message: notification.message || '',
+    channels: notification.channels || [],
+    suppressed: suppressedReasons.length > 0,
+    suppressedReasons,
+    reminder: Boolean(notification.reminder)
+  };
+
+  debugLog(`recordNotification: ${record.type} for ${record.sessionID} via [${record.channels.join(', ')}]`, options.debugLog);
+  return appendEntry(record, options) ? record : null;
+};
+
+/**
+ * Record that the user responded to a session (answered a permission/question,
+ * or sent a message after the agent went idle or failed).
+ *
+ * @param {string} sessionID
+ * @param {string} type - The notification type that was answered
+ * @param {object} [options={}] - Plugin config
+ * @returns {boolean} True if written
+ */
+export const recordResponse = (sessionID, type, options = {}) => {
+  return appendEntry({
+    kind: 'response',
+    timestamp: new Date().toISOString(),
+    sessionID: sessionID || null,
+    type
+  }, options);
+};
+
+// ========================================
+// READ API
+// ========================================
+
+/**
+ * Read all history lines, oldest first, skipping malformed lines.
+ * @param {number} maxFiles
+ * @returns {object[]}
+ */
+const readAllEntries = (maxFiles) => {
+  const entries = [];
+  for (let i = maxFiles - 1; i >= 0; i--) {
+    const filePath = getHistoryFilePath(i);
+    if (!fs.existsSync(filePath)) continue;
+    for (const line of fs.readFileSync(filePath, 'utf-8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (e) {
+        // Skip partial lines (e.g. from a crash mid-write)
+      }
+    }
+  }
+  return entries;
+};
+
+/**
+ * Query recorded notifications, newest first.
+ * Each record gets a respondedAt field: the first response in the same
+ * session and type after it, or null if the user never responded.
+ *
+ * @param {object} [filter={}]
+ * @param {string|Date} [filter.since] - Only notifications at or after this time
+ * @param {string} [filter.sessionID] - Only this session
+ * @param {string} [filter.type] - Only this notification type
+ * @param {boolean} [filter.unanswered] - Only notifications without a response
+ * @param {number} [filter.limit] - Maximum number of records
+ * @param {object} [options={}] - Plugin config (historyMaxFiles)
+ * @returns {object[]}
+ */
+export const readHistory = (filter = {}, options = {}) => {
+  const entries = readAllEntries(Math.max(1, options.historyMaxFiles || DEFAULT_MAX_FILES));
+  const since = filter.since ? new Date(filter.since).getTime() : 0;
+
+  const notifications = [];
+  for (const entry of entries) {
+    if (entry.kind === 'notification') {
+      notifications.push({ ...entry, respondedAt: null });
+    } else if (entry.kind === 'response') {
+      for (const n of notifications) {
+        if (!n.respondedAt && n.sessionID === entry.sessionID && n.type === entry.type) {
+          n.respondedAt = entry.timestamp;
+        }
+      }
+    }
+  }
+
+  let result = notifications.filter(n =>
+    (!since || new Date(n.timestamp).getTime() >= since) &&
+    (!filter.sessionID || n.sessionID === filter.sessionID) &&
+    (!filter.type || n.type === filter.type) &&
+    (!filter.unanswered || !n.respondedAt)
+  ).reverse();
+
+  if (filter.limit > 0) {
+    result = result.slice(0, filter.limit);
+  }
+  return result;
+};
+
+/**
+ * Delete all history files (used for testing).
+ * @param {object} [options={}] - Plugin config (historyMaxFiles)
+ */
+export const clearHistory = (options = {}) => {
+  const maxFiles = Math.max(1, options.historyMaxFiles || DEFAULT_MAX_FILES);
+  for (let i = 0; i < maxFiles; i++) {
+    const filePath = getHistoryFilePath(i);
+    if (fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  }
+};
+
+export default {
+  getHistoryFilePath,
+  recordNotification,
+  recordResponse,
+  readHistory,
+  clearHistory
+};
@@ -1,3 +1,5 @@
+import { killablePlayerScript, runKillable, createPlaybackHandle } from './playback.js';
+
 /**
  * Linux Platform Compatibility Module
  * 
@@ -348,47 +350,68 @@ export const createLinuxPlatform = ({ $, debugLog = () => {} }) => {
   // AUDIO PLAYBACK
   // ============================================================
 
-  const playAudioPulse = async (filePath) => {
+  const playAudioPulse = async (filePath, signal = null) => {
     if (!$) return false;
     try {
-      await $`paplay ${filePath}`.quiet();
-      debugLog(`playAudio: paplay succeeded for ${filePath}`);
-      return true;
+      const played = await runKillable(
+        (pidFile) => $`sh -c ${killablePlayerScript('paplay')} ${pidFile} ${filePath}`.quiet(),
+        signal,
+        debugLog
+      );
+      debugLog(played ? `playAudio: paplay succeeded for ${filePath}` : `playAudio: paplay stopped for ${filePath}`);
+      return played;
     } catch (e) {
       debugLog(`playAudio: paplay failed: ${e.message}`);
       return false;
     }
   };
 
-  const playAudioAlsa = async (filePath) => {
+  const playAudioAlsa = async (filePath, signal = null) => {
     if (!$) return false;
     try {
-      await $`aplay ${filePath}`.quiet();
-      debugLog(`playAudio: aplay succeeded for ${filePath}`);
-      return true;
+      const played = await runKillable(
+        (pidFile) => $`sh -c ${killablePlayerScript('aplay')} ${pidFile} ${filePath}`.quiet(),
+        signal,
+        debugLog
+      );
+      debugLog(played ? `playAudio: aplay succeeded for ${filePath}` : `playAudio: aplay stopped for ${filePath}`);
+      return played;
     } catch (e) {
       debugLog(`playAudio: aplay failed: ${e.message}`);
       return false;
     }
   };
 
-  const playAudioFile = async (filePath, loops = 1) => {
+  /**
+   * Play an audio file, trying the WSL2 bridge, PulseAudio and ALSA in turn.
+   * Returns a playback handle: await it for the result, or call cancel() to
+   * kill the paplay/aplay process right away (WSL2 playback finishes its loop).
+   * @param {string} filePath
+   * @param {number} [loops=1]
+   * @param {AbortSignal} [signal] - Also cancels the playback when aborted
+   * @returns {Promise<boolean> & { cancel: function(): void }} True if every loop played
+   */
+  const playAudioFile = (filePath, loops = 1, signal = null) => createPlaybackHandle(async (cancelSignal) => {
     debugLog(`DEBUG: playAudioFile called for ${filePath}`);
     for (let i = 0; i < loops; i++) {
+      if (cancelSignal.aborted) return false;
+
       if (isWSL2()) {
         debugLog('playAudioFile: WSL2 detected, using PowerShell bridge');
         if (await playAudioWSL2(filePath)) continue;
         debugLog('playAudioFile: WSL2 bridge failed, trying Linux audio tools');
       }
       
-      if (await playAudioPulse(filePath)) continue;
-      if (await playAudioAlsa(filePath)) continue;
+      if (await playAudioPulse(filePath, cancelSignal)) continue;
+      if (cancelSignal.aborted) return false;
+      if (await playAudioAlsa(filePath, cancelSignal)) continue;
+      if (cancelSignal.aborted) return false;
       
       debugLog(`playAudioFile: all methods failed for ${filePath}`);
       return false;
     }
-    return true;
-  };
+    return !cancelSignal.aborted;
+  }, signal);
 
   return {
     isWayland,
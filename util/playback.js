@@ -0,0 +1,237 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+/**
+ * Playback Process Module
+ *
+ * Cancellable audio playback. Bun's shell ($) has no way to stop a command it
+ * started, so players run behind a tiny wrapper that writes the player's PID to
+ * a temp file first. Cancelling a playback kills that PID, which stops the sound
+ * immediately instead of letting the whole sentence play out.
+ *
+ * A playback handle is the playback promise itself (resolving to true if the
+ * audio played to the end) with a cancel() method, so existing `await` callers
+ * keep working:
+ *
+ *   const handle = linux.playAudioFile(file);
+ *   handle.cancel();        // user answered - stop now
+ *   await handle;           // false
+ *
+ * Network engines can also stream: streamToPlayer() pipes audio into a player
+ * that decodes from stdin (mpv, ffplay, pw-play) while it is still downloading,
+ * so speech starts with the first chunk instead of after the whole clip.
+ *
+ * @module util/playback
+ */
+
+// How often to retry a kill while the player hasn't written its PID yet
+const KILL_RETRY_MS = 50;
+const KILL_RETRIES = 10;
+
+let pidFileCounter = 0;
+
+/**
+ * Players that decode audio from stdin, in order of preference.
+ */
+export const STREAM_PLAYERS = [
+  { name: 'mpv', args: ['--no-terminal', '--no-video', '--really-quiet', '-'] },
+  { name: 'ffplay', args: ['-nodisp', '-autoexit', '-loglevel', 'quiet', '-i', '-'] },
+  { name: 'pw-play', args: ['-'] }
+];
+
+/**
+ * Get a fresh PID file path for one player process.
+ * @returns {string}
+ */
+export const createPidFilePath = () => {
+  pidFileCounter += 1;
+  return path.join(os.tmpdir(), `opencode-player-${process.pid}-${Date.now()}-${pidFileCounter}.pid`);
+};
+
+/**
+ * Shell script for `sh -c` that records its PID and then becomes the player,
+ * so the recorded PID is the player's own. Run as:
+ *   sh -c <script> <pidFile> <audioFile>
+ *
+ * @param {string} player - Player command (paplay, aplay, afplay); never user input
+ * @returns {string}
+ */
+export const killablePlayerScript = (player) => `echo $$ > "$0" && exec ${player} "$1"`;
+
+/**
+ * Kill the process whose PID is stored in a PID file. Retries for a short while
+ * when the file isn't there yet (the player was cancelled right as it started).
+ *
+ * @param {string} pidFile
+ * @param {function} [debugLog]
+ * @param {number} [retries]
+ */
+export const killPidFile = (pidFile, debugLog = () => {}, retries = KILL_RETRIES) => {
+  let pid = NaN;
+  try {
+    pid = parseInt(fs.readFileSync(pidFile, 'utf-8').trim(), 10);
+  } catch (e) {
+    // Not written yet, or the player already finished and cleaned up
+  }
+
+  if (!Number.isInteger(pid) || pid <= 0) {
+    if (retries > 0) {
+      const timer = setTimeout(() => killPidFile(pidFile, debugLog, retries - 1), KILL_RETRY_MS);
+      timer.unref?.();
+    }
+    return;
+  }
+
+  try {
+    process.kill(pid);
+    debugLog(`playback: stopped player process ${pid}`);
+  } catch (e) {
+    debugLog(`playback: could not stop player process ${pid}: ${e.message}`);
+  }
+};
+
+/**
+ * Run a player command that can be stopped through an AbortSignal.
+ *
+ * @param {function} start - (pidFile) => shell promise; the command must write its PID to pidFile
+ * @param {AbortSignal} [signal] - Kills the player when aborted
+ * @param {function} [debugLog]
+ * @returns {Promise<boolean>} True if the player finished, false if it was stopped.
+ *   Rejects like the shell promise when the player fails on its own.
+ */
+export const runKillable = async (start, signal = null, debugLog = () => {}) => {
+  if (signal?.aborted) return false;
+
+  const pidFile = createPidFilePath();
+  const kill = () => killPidFile(pidFile, debugLog);
+  signal?.addEventListener('abort', kill, { once: true });
+
+  try {
+    await start(pidFile);
+    return !signal?.aborted;
+  } catch (e) {
+    if (signal?.aborted) return false;
+    throw e;
+  } finally {
+    signal?.removeEventListener('abort', kill);
+    try { fs.unlinkSync(pidFile); } catch (e) {}
+  }
+};
+
+/**
+ * Wrap a playback in a cancellable handle.
+ *
+ * @param {function} play - (signal: AbortSignal) => Promise<boolean>
+ * @param {AbortSignal} [signal] - Outer signal (e.g. the audio queue) that also cancels the playback
+ * @returns {Promise<boolean> & { cancel: function(): void }} The playback handle
+ */
+export const createPlaybackHandle = (play, signal = null) => {
+  const controller = new AbortController();
+  const cancel = () => controller.abort();
+
+  if (signal?.aborted) cancel();
+  signal?.addEventListener('abort', cancel, { once: true });
+
+  const handle = play(controller.signal).finally(() => signal?.removeEventListener('abort', cancel));
+  handle.cancel = cancel;
+  return handle;
+};
+
+// ========================================
+// STREAMING
+// ========================================
+
+/**
+ * Find the first installed streaming player.
+ * @param {function} [which=Bun.which] - (name) => path or null, injectable for tests
+ * @returns {{ name: string, path: string, args: string[] } | null}
+ */
+export const findStreamPlayer = (which = globalThis.Bun?.which) => {
+  if (typeof which !== 'function') return null;
+  for (const player of STREAM_PLAYERS) {
+    const found = which(player.name);
+    if (found) return { ...player, path: found };
+  }
+  return null;
+};
+
+/**
+ * Pipe audio chunks into a streaming player while they arrive.
+ *
+ * The chunks are always read to the end (unless cancelled), even when the
+ * player gives up early, so the caller can keep the complete clip and fall
+ * back to playing it from a file. A download that sends nothing for
+ * idleTimeoutMs is given up: the player is killed and the promise rejects,
+ * so a stalled stream cannot hold the audio queue.
+ *
+ * @param {AsyncIterable<Uint8Array>} chunks - Audio as it downloads
+ * @param {{ name: string, path: string, args: string[] }} player - From findStreamPlayer()
+ * @param {AbortSignal} [signal] - Kills the player and stops reading when aborted
+ * @param {object} [options={}]
+ * @param {function} [options.spawn=Bun.spawn] - Process launcher, injectable for tests
+ * @param {number} [options.idleTimeoutMs=0] - Longest wait for the next chunk (0 = no limit)
+ * @param {function} [options.debugLog]
+ * @returns {Promise<{ audio: Buffer, played: boolean }>} The downloaded audio and whether the
+ *   player played all of it. Rejects when the download fails or stalls.
+ */
+export const streamToPlayer = async (chunks, player, signal = null, { spawn = globalThis.Bun?.spawn, idleTimeoutMs = 0, debugLog = () => {} } = {}) => {
+  const received = [];
+  if (signal?.aborted) return { audio: Buffer.alloc(0), played: false };
+
+  const iterator = chunks[Symbol.asyncIterator]();
+  const nextChunk = () => {
+    if (!(idleTimeoutMs > 0)) return iterator.next();
+    let timer = null;
+    const stalled = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`stream stalled (no audio for ${idleTimeoutMs}ms)`)), idleTimeoutMs);
+    });
+    return Promise.race([iterator.next(), stalled]).finally(() => clearTimeout(timer));
+  };
+
+  const proc = spawn([player.path, ...player.args], { stdin: 'pipe', stdout: 'ignore', stderr: 'ignore' });
+  const stop = () => {
+    try { proc.kill(); } catch (e) {}
+  };
+  signal?.addEventListener('abort', stop, { once: true });
+
+  let writable = true;
+  try {
+    while (true) {
+      const { value: chunk, done } = await nextChunk();
+      if (done || signal?.aborted) break;
+      received.push(Buffer.from(chunk));
+      if (!writable) continue;
+      try {
+        proc.stdin.write(chunk);
+        await proc.stdin.flush();
+      } catch (e) {
+        writable = false;
+        debugLog(`playback: ${player.name} stopped reading: ${e.message}`);
+      }
+    }
+    try { await proc.stdin.end(); } catch (e) {}
+
+    const exitCode = await proc.exited;
+    if (exitCode !== 0 && !signal?.aborted) debugLog(`playback: ${player.name} exited with code ${exitCode}`);
+    return { audio: Buffer.concat(received), played: writable && exitCode === 0 && !signal?.aborted };
+  } catch (e) {
+    stop();
+    // Cancel the download; a stalled read may never settle, so don't wait for it
+    Promise.resolve(iterator.return?.()).catch(() => {});
+    throw e;
+  } finally {
+    signal?.removeEventListener('abort', stop);
+  }
+};
+
+export default {
+  STREAM_PLAYERS,
+  createPidFilePath,
+  killablePlayerScript,
+  killPidFile,
+  runKillable,
+  createPlaybackHandle,
+  findStreamPlayer,
+  streamToPlayer
+};
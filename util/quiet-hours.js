@@ -0,0 +1,209 @@
+/**
+ * Quiet Hours Module
+ *
+ * Do-not-disturb schedules. During a quiet window notification channels are
+ * blocked unless the window explicitly allows them, so audio can stay silent
+ * at night while webhooks still reach your phone.
+ *
+ * Config shape:
+ *   "quietHoursTimezone": "Europe/Berlin",          // optional, default: system timezone
+ *   "quietHours": [
+ *     {
+ *       "days": ["mon", "tue", "wed", "thu", "fri"], // optional, default: every day
+ *       "from": "22:00",                             // window start (24h clock)
+ *       "to": "07:00",                               // window end; overnight if before "from"
+ *       "allow": ["webhook"],                        // channels that still fire
+ *       "allowEvents": ["error"],                    // event types that bypass the window
+ *       "timezone": "America/New_York"               // optional per-window override
+ *     }
+ *   ]
+ *
+ * Overnight windows belong to the day they start on: a Friday 22:00-07:00
+ * window is still active at 03:00 on Saturday.
+ *
+ * @module util/quiet-hours
+ */
+
+/**
+ * Channels a quiet window can block or allow.
+ * Toasts are shown inside the terminal and are never blocked.
+ */
+export const QUIET_HOURS_CHANNELS = ['sound', 'tts', 'desktop', 'webhook'];
+
+const DAY_NAMES = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+const DAY_GROUPS = {
+  daily: [0, 1, 2, 3, 4, 5, 6],
+  everyday: [0, 1, 2, 3, 4, 5, 6],
+  weekdays: [1, 2, 3, 4, 5],
+  weekends: [0, 6]
+};
+
+// ========================================
+// PARSING
+// ========================================
+
+/**
+ * Parse a 24h clock time ("22:00", "7:30") into minutes after midnight.
+ * "24:00" is accepted as end of day.
+ *
+ * @param {string} value
+ * @returns {number | null} Minutes after midnight, or null if invalid
+ */
+export const parseClockTime = (value) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(String(value ?? '').trim());
+  if (!match) return null;
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  if (minutes > 59 || hours > 24 || (hours === 24 && minutes > 0)) return null;
+  return hours * 60 + minutes;
+};
+
+/**
+ * Normalize a days list into weekday numbers (0 = Sunday).
+ * Accepts day names ("mon", "Monday"), numbers 0-6, and the groups
+ * "daily", "weekdays" and "weekends". Missing or empty means every day.
+ *
+ * @param {Array<string|number> | string} [days]
+ * @returns {Set<number>}
+ */
+export const parseDays = (days) => {
+  if (days === undefined || days === null || (Array.isArray(days) && days.length === 0)) {
+    return new Set(DAY_GROUPS.daily);
+  }
+
+  const result = new Set();
+  for (const day of Array.isArray(days) ? days : [days]) {
+    if (typeof day === 'number' && day >= 0 && day <= 6) {
+      result.add(day);
+      continue;
+    }
+    const name = String(day).trim().toLowerCase();
+    if (DAY_GROUPS[name]) {
+      DAY_GROUPS[name].forEach(d => result.add(d));
+      continue;
+    }
+    const index = DAY_NAMES.indexOf(name.slice(0, 3));
+    if (index !== -1) {
+      result.add(index);
+    }
+  }
+  return result;
+};
+
+// ========================================
+// TIME ZONES
+// ========================================
+
+/**
+ * Get the weekday and minutes after midnight of a date in a time zone.
+ * Falls back to the system time zone if the zone is empty or invalid.
+ *
+ * @param {Date} date
+ * @param {string} [timeZone] - IANA time zone (e.g. "Europe/Berlin")
+ * @returns {{ day: number, minutes: number }}
+ */
+export const getZonedTime = (date, timeZone) => {
+  if (timeZone) {
+    try {
+      const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+      }).formatToParts(date);
+      const get = (type) => parts.find(p => p.type === type)?.value;
+      return {
+        day: DAY_NAMES.indexOf(get('weekday').toLowerCase()),
+        minutes: (parseInt(get('hour'), 10) % 24) * 60 + parseInt(get('minute'), 10)
+      };
+    } catch (e) {
+      // Invalid time zone - fall through to system time
+    }
+  }
+  return {
+    day: date.getDay(),
+    minutes: date.getHours() * 60 + date.getMinutes()
+  };
+};
+
+// ========================================
+// SCHEDULE EVALUATION
+// ========================================
+
+/**
+ * Check whether a quiet window is active at a given time.
+ *
+ * @param {object} window - Quiet window ({ days, from, to, timezone })
+ * @param {Date} [date=new Date()]
+ * @param {string} [defaultTimeZone] - Used when the window has no timezone
+ * @returns {boolean}
+ */
+export const isQuietWindowActive = (window, date = new Date(), defaultTimeZone) => {
+  if (!window || typeof window !== 'object') return false;
+
+  const from = parseClockTime(window.from);
+  const to = parseClockTime(window.to);
+  if (from === null || to === null) return false;
+
+  const days = parseDays(window.days);
+  const { day, minutes } = getZonedTime(date, window.timezone || defaultTimeZone);
+  const previousDay = (day + 6) % 7;
+
+  // Same start and end means the whole day
+  if (from === to) {
+    return days.has(day);
+  }
+
+  if (from < to) {
+    return days.has(day) && minutes >= from && minutes < to;
+  }
+
+  // Overnight window (e.g. 22:00-07:00): the early-morning part belongs to the previous day
+  return (days.has(day) && minutes >= from) || (days.has(previousDay) && minutes < to);
+};
+
+/**
+ * Find the first quiet window active at a given time.
+ *
+ * @param {object} config - Plugin config (quietHours, quietHoursTimezone)
+ * @param {Date} [date=new Date()]
+ * @returns {object | null} The active window, or null
+ */
+export const getActiveQuietWindow = (config, date = new Date()) => {
+  const windows = Array.isArray(config?.quietHours) ? config.quietHours : [];
+  return windows.find(w => isQuietWindowActive(w, date, config.quietHoursTimezone)) || null;
+};
+
+/**
+ * Check whether quiet hours block a notification channel for an event type.
+ * A channel is blocked when any active window neither allows the channel
+ * nor lists the event type as an exception.
+ *
+ * @param {object} config - Plugin config
+ * @param {'sound' | 'tts' | 'desktop' | 'webhook'} channel
+ * @param {string | null} [eventType] - idle, permission, question, error, agent
+ * @param {Date} [date=new Date()]
+ * @returns {boolean} True if the notification should NOT be sent
+ */
+export const isBlockedByQuietHours = (config, channel, eventType = null, date = new Date()) => {
+  const windows = Array.isArray(config?.quietHours) ? config.quietHours : [];
+
+  return windows.some(w => {
+    if (!isQuietWindowActive(w, date, config.quietHoursTimezone)) return false;
+    if (eventType && Array.isArray(w.allowEvents) && w.allowEvents.includes(eventType)) return false;
+    if (Array.isArray(w.allow) && w.allow.includes(channel)) return false;
+    return true;
+  });
+};
+
+export default {
+  QUIET_HOURS_CHANNELS,
+  parseClockTime,
+  parseDays,
+  getZonedTime,
+  isQuietWindowActive,
+  getActiveQuietWindow,
+  isBlockedByQuietHours
+};
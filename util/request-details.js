@@ -0,0 +1,331 @@
+/**
+ * Request Details Module
+ *
+ * Turns the payload of attention events into short, human-readable summaries
+ * for speech, desktop notifications and webhook embeds, so the user can tell
+ * from across the room what the agent is asking instead of only that it asked.
+ *
+ * question.asked carries:
+ *   questions: [{ header: 'Database', question: 'Which database should I use?',
+ *                 options: [{ label: 'Postgres', description: '...' }, ...] }]
+ * (older SDKs send `text` instead of `question`)
+ *
+ * permission.asked carries the permission (bash, edit, webfetch, ...), the
+ * patterns it applies to and tool metadata such as the command or file path:
+ *   { permission: 'bash', patterns: ['npm test'], metadata: { command: 'npm test' } }
+ * (permission.updated on older SDKs uses type, pattern and title instead)
+ *
+ * @module util/request-details
+ */
+
+// Length limits: speech has to stay short enough to listen to, desktop bodies
+// are clipped by most notification daemons, Discord field values cap at 1024.
+export const MAX_SPOKEN_LENGTH = 220;
+export const MAX_LINE_LENGTH = 120;
+export const MAX_BODY_ITEMS = 3;
+export const MAX_FIELD_LENGTH = 1024;
+export const MAX_FIELDS = 10;
+
+// ========================================
+// TEXT HELPERS
+// ========================================
+
+/**
+ * Collapse whitespace and shorten text to a maximum length, cutting at a word
+ * boundary when possible.
+ *
+ * @param {string} text
+ * @param {number} maxLength
+ * @returns {string} '' for non-strings
+ */
+export const truncateText = (text, maxLength) => {
+  if (typeof text !== 'string') return '';
+  const clean = text.replace(/\s+/g, ' ').trim();
+  if (clean.length <= maxLength) return clean;
+
+  const cut = clean.slice(0, Math.max(0, maxLength - 1));
+  const lastSpace = cut.lastIndexOf(' ');
+  const base = lastSpace > maxLength / 2 ? cut.slice(0, lastSpace) : cut;
+  return `${base.replace(/[\s,;:.-]+$/, '')}…`;
+};
+
+/**
+ * Join items for speech: "A", "A or B", "A, B, or C".
+ * @param {string[]} items
+ * @param {string} [conjunction='or']
+ * @returns {string}
+ */
+export const joinSpoken = (items, conjunction = 'or') => {
+  if (items.length <= 1) return items[0] || '';
+  if (items.length === 2) return `${items[0]} ${conjunction} ${items[1]}`;
+  return `${items.slice(0, -1).join(', ')}, ${conjunction} ${items[items.length - 1]}`;
+};
+
+/**
+ * Join as many labels as fit within maxLength after a prefix; the rest are
+ * counted as "N more". At least one label is always kept.
+ * @param {string} prefix - e.g. "Also: "
+ * @param {string[]} labels
+ * @param {number} maxLength
+ * @returns {string}
+ */
+const fitSpokenList = (prefix, labels, maxLength) => {
+  const build = (count) => {
+    const names = labels.slice(0, count);
+    if (count < labels.length) names.push(`${labels.length - count} more`);
+    return `${prefix}${asSentence(joinSpoken(names, 'and'))}`;
+  };
+  let listed = labels.length;
+  while (listed > 1 && build(listed).length > maxLength) listed--;
+  return truncateText(build(listed), maxLength);
+};
+
+/**
+ * End a sentence with punctuation if it doesn't have any.
+ * @param {string} text
+ * @returns {string}
+ */
+const asSentence = (text) => (/[.?!…]$/.test(text) ? text : `${text}.`);
+
+// ========================================
+// QUESTIONS
+// ========================================
+
+/**
+ * Read the questions from a question.asked event.
+ *
+ * @param {object} properties - event.properties
+ * @returns {Array<{ header: string, question: string, options: string[] }>} Questions with any text
+ */
+export const extractQuestions = (properties) => {
+  const questions = properties?.questions;
+  if (!Array.isArray(questions)) return [];
+
+  return questions
+    .filter(item => item && typeof item === 'object')
+    .map(item => ({
+      header: truncateText(item.header, MAX_LINE_LENGTH),
+      question: truncateText(item.question ?? item.text, MAX_SPOKEN_LENGTH),
+      options: (Array.isArray(item.options) ? item.options : [])
+        .map(option => truncateText(typeof option === 'string' ? option : option?.label, MAX_LINE_LENGTH))
+        .filter(Boolean)
+    }))
+    .filter(item => item.header || item.question);
+};
+
+/**
+ * Short label for a question: the header, or the question text.
+ * @param {{ header: string, question: string }} item
+ * @param {number} maxLength
+ * @returns {string}
+ */
+const questionLabel = (item, maxLength) => truncateText(item.header || item.question, maxLength);
+
+/**
+ * Spoken summary of one question, with its options when they fit.
+ * @param {{ header: string, question: string, options: string[] }} item
+ * @param {number} maxLength
+ * @returns {string}
+ */
+const speakQuestion = (item, maxLength) => {
+  const text = asSentence(item.question || item.header);
+  if (item.options.length > 0) {
+    const withOptions = `${text} Options: ${asSentence(joinSpoken(item.options))}`;
+    if (withOptions.length <= maxLength) return withOptions;
+  }
+  return truncateText(text, maxLength);
+};
+
+/**
+ * Summarize the questions of one or more question.asked events.
+ *
+ * The spoken form stays within maxLength: one question is read out with its
+ * options (dropped if they don't fit); several questions read the first in
+ * full and list the others by header, ending with "and N more" when needed.
+ *
+ * @param {Array<{ header: string, question: string, options: string[] }>} questions - From extractQuestions()
+ * @param {object} [options={}]
+ * @param {number} [options.maxLength=MAX_SPOKEN_LENGTH] - Maximum length of the spoken summary
+ * @returns {{ spoken: string, body: string, fields: Array<{ name: string, value: string, inline: boolean }> } | null}
+ *   spoken: sentence appended to the spoken message; body: desktop/webhook text;
+ *   fields: webhook embed fields listing the options.
+ *   null when there is no question text
+ */
+export const summarizeQuestions = (questions, { maxLength = MAX_SPOKEN_LENGTH } = {}) => {
+  if (!Array.isArray(questions) || questions.length === 0) return null;
+
+  let spoken;
+  if (questions.length === 1) {
+    spoken = speakQuestion(questions[0], maxLength);
+  } else {
+    const first = `First: ${speakQuestion({ ...questions[0], options: [] }, maxLength / 2)}`;
+    const rest = questions.slice(1).map(item => questionLabel(item, 40));
+    spoken = fitSpokenList(`${first} Also: `, rest, maxLength);
+  }
+
+  const bodyLines = [];
+  for (const item of questions.slice(0, MAX_BODY_ITEMS)) {
+    const title = item.header && item.question ? `${item.header}: ${item.question}` : (item.question || item.header);
+    bodyLines.push(truncateText(title, MAX_LINE_LENGTH));
+    if (item.options.length > 0) {
+      bodyLines.push(truncateText(`Options: ${item.options.join(' / ')}`, MAX_LINE_LENGTH));
+    }
+  }
+  if (questions.length > MAX_BODY_ITEMS) {
+    bodyLines.push(`+${questions.length - MAX_BODY_ITEMS} more`);
+  }
+
+  const fields = questions
+    .map((item, index) => item.options.length === 0 ? null : {
+      name: truncateText(item.header || `Question ${index + 1}`, 256),
+      value: item.options.map(option => `• ${option}`).join('\n').slice(0, MAX_FIELD_LENGTH),
+      inline: false
+    })
+    .filter(Boolean)
+    .slice(0, MAX_FIELDS);
+
+  return {
+    spoken,
+    body: bodyLines.join('\n'),
+    fields
+  };
+};
+
+// ========================================
+// PERMISSIONS
+// ========================================
+
+/**
+ * How each permission type is described. kind decides how the target is
+ * shortened for speech (commands are clipped, files read by name, URLs by host).
+ */
+export const PERMISSION_ACTIONS = {
+  bash: { label: 'Run command', verb: 'run', kind: 'command' },
+  edit: { label: 'Edit file', verb: 'edit', kind: 'file' },
+  write: { label: 'Write file', verb: 'write', kind: 'file' },
+  read: { label: 'Read file', verb: 'read', kind: 'file' },
+  webfetch: { label: 'Fetch URL', verb: 'fetch', kind: 'url' },
+  external_directory: { label: 'Access directory', verb: 'access', kind: 'file' }
+};
+
+const MAX_SPOKEN_COMMAND_LENGTH = 60;
+
+/**
+ * Read what a permission.asked / permission.updated event is for.
+ *
+ * @param {object} properties - event.properties
+ * @returns {{ tool: string, title: string, target: string } | null} null when the event has no details
+ */
+export const extractPermission = (properties) => {
+  if (!properties || typeof properties !== 'object') return null;
+
+  const tool = typeof (properties.permission ?? properties.type) === 'string'
+    ? (properties.permission ?? properties.type).trim()
+    : '';
+  const metadata = properties.metadata && typeof properties.metadata === 'object' ? properties.metadata : {};
+  const patterns = [properties.patterns, properties.pattern].flat()
+    .filter(pattern => typeof pattern === 'string' && pattern.trim() && pattern !== '*');
+  const target = [metadata.command, metadata.filepath, metadata.filePath, metadata.path, metadata.url, patterns[0]]
+    .find(value => typeof value === 'string' && value.trim()) || '';
+  const title = truncateText(properties.title, MAX_LINE_LENGTH);
+
+  if (!tool && !target && !title) return null;
+  return { tool, title, target: truncateText(target, MAX_FIELD_LENGTH) };
+};
+
+/**
+ * Shorten a permission target for speech.
+ * @param {string} target
+ * @param {string} [kind] - command, file or url
+ * @returns {string}
+ */
+const speakTarget = (target, kind) => {
+  if (kind === 'file') {
+    return target.split(/[\\/]/).filter(Boolean).pop() || target;
+  }
+  if (kind === 'url') {
+    try {
+      return new URL(target).hostname || target;
+    } catch (e) {
+      // Not a full URL - read it as is
+    }
+  }
+  return truncateText(target, MAX_SPOKEN_COMMAND_LENGTH);
+};
+
+/**
+ * Spoken action for a permission, e.g. "run npm test" or "edit index.js".
+ * @param {{ tool: string, target: string }} permission
+ * @returns {string | null} null when there is nothing specific to say
+ */
+const speakPermission = ({ tool, target }) => {
+  const action = PERMISSION_ACTIONS[tool];
+  if (action && target) return `${action.verb} ${speakTarget(target, action.kind)}`;
+  if (tool) return target ? `use ${tool} on ${speakTarget(target)}` : `use ${tool}`;
+  return null;
+};
+
+/**
+ * One line describing a permission for desktop notifications and webhooks.
+ * @param {{ tool: string, title: string, target: string }} permission
+ * @returns {string}
+ */
+const describePermission = ({ tool, title, target }) => {
+  const label = PERMISSION_ACTIONS[tool]?.label || title || tool;
+  return truncateText(target ? `${label}: ${target}` : label, MAX_LINE_LENGTH);
+};
+
+/**
+ * Summarize the permission requests of a batch.
+ *
+ * @param {Array<{ tool: string, title: string, target: string }>} permissions - From extractPermission()
+ * @param {object} [options={}]
+ * @param {number} [options.maxLength=MAX_SPOKEN_LENGTH] - Maximum length of the spoken summary
+ * @returns {{ spoken: string, body: string, fields: Array<{ name: string, value: string, inline: boolean }> } | null}
+ *   spoken: sentence appended to the spoken message (e.g. "I want to run npm test.");
+ *   body: desktop/webhook text; fields: webhook embed fields with the full command or path.
+ *   null when no request has details
+ */
+export const summarizePermissions = (permissions, { maxLength = MAX_SPOKEN_LENGTH } = {}) => {
+  const known = Array.isArray(permissions) ? permissions.filter(Boolean) : [];
+  if (known.length === 0) return null;
+
+  const actions = known.map(speakPermission).filter(Boolean);
+  const spoken = actions.length > 0
+    ? fitSpokenList('I want to ', actions, maxLength)
+    : truncateText(asSentence(`Request: ${known[0].title}`), maxLength);
+
+  const bodyLines = known.slice(0, MAX_BODY_ITEMS).map(describePermission);
+  if (known.length > MAX_BODY_ITEMS) {
+    bodyLines.push(`+${known.length - MAX_BODY_ITEMS} more`);
+  }
+
+  const fields = known
+    .map(({ tool, title, target }) => ({
+      name: truncateText(PERMISSION_ACTIONS[tool]?.label || title || tool || 'Permission', 256),
+      value: target ? `\`${target.replace(/`/g, "'").slice(0, MAX_FIELD_LENGTH - 2)}\`` : (title || tool),
+      inline: false
+    }))
+    .slice(0, MAX_FIELDS);
+
+  return {
+    spoken,
+    body: bodyLines.join('\n'),
+    fields
+  };
+};
+
+export default {
+  MAX_SPOKEN_LENGTH,
+  MAX_LINE_LENGTH,
+  MAX_BODY_ITEMS,
+  MAX_FIELD_LENGTH,
+  MAX_FIELDS,
+  truncateText,
+  joinSpoken,
+  extractQuestions,
+  summarizeQuestions,
+  PERMISSION_ACTIONS,
+  extractPermission,
+  summarizePermissions
+};
@@ -0,0 +1,151 @@
+import { isQuietWindowActive } from './quiet-hours.js';
+
+/**
+ * Notification Routing Module
+ *
+ * Declarative rules that decide which channels fire for a notification,
+ * based on the event, the project, the time and whether the user is at the
+ * terminal. Rules are checked in order and the first match wins; when no rule
+ * matches, the flat settings (enableXNotification, enableXReminder,
+ * webhookEvents, notificationMode) apply as before.
+ *
+ * Config shape:
+ *   "notificationRules": [
+ *     {
+ *       "when": {
+ *         "event": "permission",              // or ["permission", "question"]; default: any
+ *         "project": "infra-*",               // glob (or list of globs) on the project name
+ *         "focused": false,                   // terminal focus; default: either
+ *         "time": { "days": "weekdays", "from": "09:00", "to": "18:00", "timezone": "Europe/Berlin" }
+ *       },
+ *       "then": ["tts", "webhook", "reminder"], // channels to use; [] drops the notification
+ *       "urgency": "high"                     // low, normal, high (critical desktop + webhook mention)
+ *     }
+ *   ]
+ *
+ * "reminder" in "then" schedules the delayed TTS reminder for the event.
+ *
+ * @module util/routing
+ */
+
+export const ROUTE_URGENCIES = ['low', 'normal', 'high'];
+
+// ========================================
+// MATCHING
+// ========================================
+
+/**
+ * Match a value against a glob ("*" matches any run of characters) or a list
+ * of globs. Matching is case-insensitive.
+ *
+ * @param {string | string[]} pattern
+ * @param {string | null | undefined} value
+ * @returns {boolean}
+ */
+export const matchesPattern = (pattern, value) => {
+  const patterns = Array.isArray(pattern) ? pattern : [pattern];
+  const text = String(value ?? '').toLowerCase();
+
+  return patterns.some(p => {
+    if (typeof p !== 'string') return false;
+    const escaped = p.toLowerCase().split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'));
+    return new RegExp(`^${escaped.join('.*')}$`).test(text);
+  });
+};
+
+/**
+ * Whether a rule is well-formed enough to use.
+ * @param {object} rule
+ * @returns {boolean}
+ */
+const isValidRule = (rule) => Boolean(rule) && typeof rule === 'object' && Array.isArray(rule.then);
+
+/**
+ * Whether a rule can apply to an event type, ignoring the other conditions.
+ * @param {object} rule
+ * @param {string} event
+ * @returns {boolean}
+ */
+export const ruleAppliesToEvent = (rule, event) => {
+  if (!isValidRule(rule)) return false;
+  const when = rule.when || {};
+  return when.event === undefined || matchesPattern(when.event, event);
+};
+
+/**
+ * Check a rule's conditions against a notification context.
+ *
+ * @param {object} rule
+ * @param {object} context
+ * @param {string} context.event - idle, permission, question, error, agent
+ * @param {string | null} [context.project] - Project name
+ * @param {boolean} [context.focused] - Whether the terminal is focused
+ * @param {Date} [context.date] - Current time
+ * @returns {boolean}
+ */
+export const ruleMatches = (rule, context) => {
+  if (!ruleAppliesToEvent(rule, context.event)) return false;
+  const when = rule.when || {};
+
+  if (when.project !== undefined && !matchesPattern(when.project, context.project)) return false;
+  if (typeof when.focused === 'boolean' && when.focused !== Boolean(context.focused)) return false;
+  if (when.time !== undefined && !isQuietWindowActive(when.time, context.date || new Date())) return false;
+
+  return true;
+};
+
+// ========================================
+// RESOLUTION
+// ========================================
+
+/**
+ * Find the route for a notification: the first matching rule's channels.
+ *
+ * @param {object[]} rules - notificationRules from the config
+ * @param {object} context - See ruleMatches()
+ * @returns {{ index: number, channels: string[], urgency: string | null } | null} null if no rule matches
+ */
+export const resolveRoute = (rules, context) => {
+  if (!Array.isArray(rules)) return null;
+
+  const index = rules.findIndex(rule => ruleMatches(rule, context));
+  if (index === -1) return null;
+
+  const rule = rules[index];
+  return {
+    index,
+    channels: rule.then.filter(channel => typeof channel === 'string'),
+    urgency: ROUTE_URGENCIES.includes(rule.urgency) ? rule.urgency : null
+  };
+};
+
+/**
+ * Whether any rule can apply to an event type (used to keep events that are
+ * disabled by the flat settings alive until the route is known).
+ *
+ * @param {object[]} rules
+ * @param {string} event
+ * @returns {boolean}
+ */
+export const hasRulesForEvent = (rules, event) => {
+  return Array.isArray(rules) && rules.some(rule => ruleAppliesToEvent(rule, event));
+};
+
+/**
+ * Whether any rule depends on terminal focus (focus detection is only run when needed).
+ * @param {object[]} rules
+ * @returns {boolean}
+ */
+export const rulesUseFocus = (rules) => {
+  return Array.isArray(rules) && rules.some(rule => isValidRule(rule) && typeof rule.when?.focused === 'boolean');
+};
+
+export default {
+  ROUTE_URGENCIES,
+  matchesPattern,
+  ruleAppliesToEvent,
+  ruleMatches,
+  resolveRoute,
+  hasRulesForEvent,
+  rulesUseFocus
+};
@@ -0,0 +1,137 @@
+/**
+ * Session Digest Module
+ *
+ * Summarizes the last turn of a session for context-aware AI messages. OpenCode
+ * returns each message as `{ info, parts }`:
+ *   info:  { id, role: 'user' | 'assistant', time: { created, completed }, error }
+ *   parts: { type: 'text', text, synthetic }
+ *          { type: 'tool', tool: 'bash', state: { status, input, output, error } }
+ *          { type: 'file', filename, url }
+ *          { type: 'patch', files: ['src/index.js'] }
+ *
+ * A turn is the last user message plus every assistant message after it.
+ *
+ * @module util/session-digest
+ */
+
+// Tools whose input names a file they change
+const EDIT_TOOLS = ['edit', 'write', 'multiedit', 'patch'];
+
+// ========================================
+// HELPERS
+// ========================================
+
+/**
+ * Text the user or model actually wrote (synthetic and ignored parts are left out).
+ * @param {object} message - { info, parts }
+ * @returns {string}
+ */
+const messageText = (message) => (Array.isArray(message?.parts) ? message.parts : [])
+  .filter(part => part?.type === 'text' && typeof part.text === 'string' && !part.synthetic && !part.ignored)
+  .map(part => part.text.trim())
+  .filter(Boolean)
+  .join('\n');
+
+/**
+ * File path a tool call changes, if it is an editing tool.
+ * @param {object} part - Tool part
+ * @returns {string | null}
+ */
+const editedFile = (part) => {
+  if (!EDIT_TOOLS.includes(part.tool)) return null;
+  const input = part.state?.input || {};
+  const file = input.filePath || input.filepath || input.path;
+  return typeof file === 'string' && file ? file : null;
+};
+
+/**
+ * Add a value to a list once, keeping first-seen order.
+ * @param {string[]} list
+ * @param {string} value
+ */
+const addUnique = (list, value) => {
+  if (value && !list.includes(value)) list.push(value);
+};
+
+// ========================================
+// DIGEST
+// ========================================
+
+/**
+ * Build a digest of the last turn of a session.
+ *
+ * @param {Array<{ info: object, parts: object[] }>} messages - Session messages, oldest first
+ * @returns {{
+ *   lastUserMessage: string,
+ *   lastAssistantMessage: string,
+ *   toolsUsed: string[],
+ *   filesEdited: string[],
+ *   failedTools: Array<{ tool: string, error: string, command?: string }>,
+ *   durationMs: number | undefined,
+ *   hasErrors: boolean
+ * }} Empty strings and lists when there are no messages
+ */
+export const buildSessionDigest = (messages) => {
+  const list = Array.isArray(messages) ? messages.filter(message => message?.info) : [];
+
+  let userIndex = -1;
+  for (let i = list.length - 1; i >= 0; i--) {
+    if (list[i].info.role === 'user') {
+      userIndex = i;
+      break;
+    }
+  }
+
+  const userMessage = userIndex >= 0 ? list[userIndex] : null;
+  const turn = list.slice(userIndex + 1).filter(message => message.info.role === 'assistant');
+
+  const toolsUsed = [];
+  const filesEdited = [];
+  const failedTools = [];
+  let lastAssistantMessage = '';
+
+  for (const message of turn) {
+    const text = messageText(message);
+    if (text) lastAssistantMessage = text;
+
+    for (const part of Array.isArray(message.parts) ? message.parts : []) {
+      if (part?.type === 'tool' && typeof part.tool === 'string') {
+        addUnique(toolsUsed, part.tool);
+        if (part.state?.status === 'error') {
+          const command = part.state.input?.command;
+          failedTools.push({
+            tool: part.tool,
+            error: String(part.state.error || ''),
+            ...(typeof command === 'string' && command ? { command } : {})
+          });
+        } else {
+          addUnique(filesEdited, editedFile(part));
+        }
+      } else if (part?.type === 'patch' && Array.isArray(part.files)) {
+        part.files.forEach(file => addUnique(filesEdited, file));
+      }
+    }
+  }
+
+  // From the user's message to the last reply finishing
+  const startedAt = userMessage?.info.time?.created;
+  const endedAt = turn.reduce((latest, message) => {
+    const time = message.info.time || {};
+    return Math.max(latest, time.completed || time.created || 0);
+  }, 0);
+  const durationMs = startedAt && endedAt > startedAt ? endedAt - startedAt : undefined;
+
+  return {
+    lastUserMessage: userMessage ? messageText(userMessage) : '',
+    lastAssistantMessage,
+    toolsUsed,
+    filesEdited,
+    failedTools,
+    durationMs,
+    hasErrors: failedTools.length > 0 || turn.some(message => Boolean(message.info.error))
+  };
+};
+
+export default {
+  buildSessionDigest
+};
@@ -0,0 +1,372 @@
+/**
+ * Session State Module
+ *
+ * Tracks attention state and pending TTS reminders per OpenCode session.
+ * Several sessions can run in parallel inside one OpenCode instance, so every
+ * piece of "is the user still needed?" state is keyed by sessionID. A reply in
+ * one session must never silence a pending request in another.
+ *
+ * Each session holds:
+ * - attention: Map of event type ('idle' | 'permission' | 'question' | 'error')
+ *   to the set of request IDs still awaiting the user
+ * - reminders: Map of event type to the pending reminder (timeoutId, scheduledAt, ...)
+ * - lastActivityTime / lastIdleTime: used to detect responses that race notifications
+ * - seenMessageIds: user messages already counted as activity (message.updated repeats)
+ *
+ * @module util/session-state
+ */
+
+/**
+ * Key used for events that arrive without a sessionID (older SDKs).
+ */
+export const UNKNOWN_SESSION = 'unknown';
+
+/**
+ * Create a per-session attention tracker.
+ *
+ * @param {object} [options={}]
+ * @param {function} [options.debugLog] - Debug logger (message) => void
+ * @returns {object} Session tracker API
+ */
+export const createSessionTracker = ({ debugLog = () => {} } = {}) => {
+  const sessions = new Map();
+
+  const keyFor = (sessionID) => sessionID || UNKNOWN_SESSION;
+
+  /**
+   * Get (or lazily create) the state entry for a session.
+   * @param {string} sessionID
+   * @returns {object} Session state
+   */
+  const getSession = (sessionID) => {
+    const key = keyFor(sessionID);
+    let state = sessions.get(key);
+    if (!state) {
+      state = {
+        sessionID: key,
+        title: null,
+        lastActivityTime: Date.now(),
+        lastIdleTime: 0,
+        attention: new Map(),
+        reminders: new Map(),
+        seenMessageIds: new Set()
+      };
+      sessions.set(key, state);
+    }
+    return state;
+  };
+
+  // ========================================
+  // ATTENTION STATE
+  // ========================================
+
+  /**
+   * Mark a session as waiting for the user on a given event type.
+   * @param {string} sessionID
+   * @param {string} type - Attention type
+   * @param {string} [requestId] - Permission/question request ID, if any
+   */
+  const raise = (sessionID, type, requestId) => {
+    const state = getSession(sessionID);
+    let entry = state.attention.get(type);
+    if (!entry) {
+      entry = { since: Date.now(), requestIds: new Set() };
+      state.attention.set(type, entry);
+    }
+    if (requestId) {
+      entry.requestIds.add(requestId);
+    }
+    debugLog(`session-state: ${state.sessionID} awaiting ${type}${requestId ? ` (${requestId})` : ''}`);
+  };
+
+  /**
+   * Clear attention for a session. When a requestId is given only that request
+   * is resolved; the type stays active while other requests remain.
+   * @param {string} sessionID
+   * @param {string} type - Attention type
+   * @param {string} [requestId] - Request that was answered
+   * @returns {boolean} True if the session no longer awaits this type
+   */
+  const resolve = (sessionID, type, requestId) => {
+    const state = sessions.get(keyFor(sessionID));
+    const entry = state?.attention.get(type);
+    if (!entry) return true;
+
+    if (requestId && entry.requestIds.has(requestId)) {
+      entry.requestIds.delete(requestId);
+      if (entry.requestIds.size > 0) {
+        return false;
+      }
+    }
+
+    state.attention.delete(type);
+    debugLog(`session-state: ${state.sessionID} resolved ${type}`);
+    return true;
+  };
+
+  /**
+   * Check whether a session is still waiting for the user on a type.
+   * @param {string} sessionID
+   * @param {string} type
+   * @returns {boolean}
+   */
+  const isAwaiting = (sessionID, type) => {
+    return sessions.get(keyFor(sessionID))?.attention.has(type) || false;
+  };
+
+  /**
+   * When a session started waiting for the user on a type.
+   * @param {string} sessionID
+   * @param {string} type
+   * @returns {number | null} Timestamp in ms, or null if it isn't waiting
+   */
+  const awaitingSince = (sessionID, type) => {
+    return sessions.get(keyFor(sessionID))?.attention.get(type)?.since ?? null;
+  };
+
+  /**
+   * Find the session that owns a permission/question request ID.
+   * Reply events from older SDKs don't always carry a sessionID.
+   * @param {string} type - Attention type
+   * @param {string} requestId
+   * @returns {string | null} The owning sessionID, or null if unknown
+   */
+  const findSessionForRequest = (type, requestId) => {
+    if (!requestId) return null;
+    for (const state of sessions.values()) {
+      if (state.attention.get(type)?.requestIds.has(requestId)) {
+        return state.sessionID;
+      }
+    }
+    return null;
+  };
+
+  // ========================================
+  // ACTIVITY TRACKING
+  // ========================================
+
+  /**
+   * Record user activity in a session (reply, new message).
+   * @param {string} sessionID
+   */
+  const markActivity = (sessionID) => {
+    getSession(sessionID).lastActivityTime = Date.now();
+  };
+
+  /**
+   * Remember a user message of a session. message.updated fires for every
+   * change to a message, so only its first sighting counts as activity.
+   * @param {string} sessionID
+   * @param {string} messageId
+   * @returns {boolean} True the first time the message is seen
+   */
+  const markMessageSeen = (sessionID, messageId) => {
+    const { seenMessageIds } = getSession(sessionID);
+    if (seenMessageIds.has(messageId)) return false;
+    seenMessageIds.add(messageId);
+    return true;
+  };
+
+  /**
+   * Record that a session went idle.
+   * @param {string} sessionID
+   * @returns {number} The recorded idle timestamp
+   */
+  const markIdle = (sessionID) => {
+    const state = getSession(sessionID);
+    state.lastIdleTime = Date.now();
+    return state.lastIdleTime;
+  };
+
+  /**
+   * Remember the human-readable title of a session.
+   * @param {string} sessionID
+   * @param {string} title
+   */
+  const setTitle = (sessionID, title) => {
+    if (title) {
+      getSession(sessionID).title = title;
+    }
+  };
+
+  // ========================================
+  // REMINDERS
+  // ========================================
+
+  /**
+   * Get the pending reminder of a type for a session.
+   * @param {string} sessionID
+   * @param {string} type
+   * @returns {object | undefined}
+   */
+  const getReminder = (sessionID, type) => {
+    return sessions.get(keyFor(sessionID))?.reminders.get(type);
+  };
+
+  /**
+   * Check whether a reminder of a type is pending for a session.
+   * @param {string} sessionID
+   * @param {string} type
+   * @returns {boolean}
+   */
+  const hasReminder = (sessionID, type) => {
+    return sessions.get(keyFor(sessionID))?.reminders.has(type) || false;
+  };
+
+  /**
+   * Store a pending reminder for a session (replaces any existing one without clearing it).
+   * @param {string} sessionID
+   * @param {string} type
+   * @param {object} reminder - { timeoutId, scheduledAt, ... }
+   */
+  const setReminder = (sessionID, type, reminder) => {
+    getSession(sessionID).reminders.set(type, reminder);
+  };
+
+  /**
+   * Forget a reminder without clearing its timer (used once it has fired).
+   * @param {string} sessionID
+   * @param {string} type
+   */
+  const deleteReminder = (sessionID, type) => {
+    sessions.get(keyFor(sessionID))?.reminders.delete(type);
+  };
+
+  /**
+   * Cancel a pending reminder of a type for a session.
+   * @param {string} sessionID
+   * @param {string} type
+   * @returns {boolean} True if a reminder was cancelled
+   */
+  const cancelReminder = (sessionID, type) => {
+    const state = sessions.get(keyFor(sessionID));
+    const reminder = state?.reminders.get(type);
+    if (!reminder) return false;
+    clearTimeout(reminder.timeoutId);
+    state.reminders.delete(type);
+    debugLog(`session-state: cancelled ${type} reminder for ${state.sessionID}`);
+    return true;
+  };
+
+  /**
+   * Cancel every pending reminder of a session.
+   * @param {string} sessionID
+   * @returns {number} Number of reminders cancelled
+   */
+  const cancelSessionReminders = (sessionID) => {
+    const state = sessions.get(keyFor(sessionID));
+    if (!state) return 0;
+    let cancelled = 0;
+    for (const type of [...state.reminders.keys()]) {
+      if (cancelReminder(state.sessionID, type)) cancelled++;
+    }
+    return cancelled;
+  };
+
+  /**
+   * Cancel every pending reminder across all sessions.
+   * @returns {number} Number of reminders cancelled
+   */
+  const cancelAllReminders = () => {
+    let cancelled = 0;
+    for (const sessionID of sessions.keys()) {
+      cancelled += cancelSessionReminders(sessionID);
+    }
+    return cancelled;
+  };
+
+  /**
+   * Count pending reminders across all sessions.
+   * @returns {number}
+   */
+  const pendingReminderCount = () => {
+    let count = 0;
+    for (const state of sessions.values()) {
+      count += state.reminders.size;
+    }
+    return count;
+  };
+
+  // ========================================
+  // SESSION LIFECYCLE
+  // ========================================
+
+  /**
+   * Drop all state for a session, cancelling its reminders.
+   * @param {string} sessionID
+   */
+  const reset = (sessionID) => {
+    cancelSessionReminders(sessionID);
+    sessions.delete(keyFor(sessionID));
+  };
+
+  /**
+   * Forget a deleted session: cancel its reminders and drop its attention
+   * state and seen message IDs, so a long-running instance doesn't keep state
+   * for every session it has ever seen.
+   * @param {string} sessionID
+   * @returns {boolean} True if the session was tracked
+   */
+  const forget = (sessionID) => {
+    const tracked = sessions.has(keyFor(sessionID));
+    reset(sessionID);
+    if (tracked) debugLog(`session-state: forgot session ${keyFor(sessionID)}`);
+    return tracked;
+  };
+
+  /**
+   * Number of sessions currently waiting on the user (attention or reminders).
+   * Used to decide whether reminders need to name their session.
+   * @returns {number}
+   */
+  const activeSessionCount = () => {
+    let count = 0;
+    for (const state of sessions.values()) {
+      if (state.attention.size > 0 || state.reminders.size > 0) count++;
+    }
+    return count;
+  };
+
+  /**
+   * Snapshot of all tracked sessions, for status displays and debugging.
+   * @returns {Array<{sessionID: string, title: string|null, attention: string[], reminders: string[]}>}
+   */
+  const list = () => {
+    return [...sessions.values()].map(state => ({
+      sessionID: state.sessionID,
+      title: state.title,
+      attention: [...state.attention.keys()],
+      reminders: [...state.reminders.keys()]
+    }));
+  };
+
+  return {
+    getSession,
+    raise,
+    resolve,
+    isAwaiting,
+    awaitingSince,
+    findSessionForRequest,
+    markActivity,
+    markMessageSeen,
+    markIdle,
+    setTitle,
+    getReminder,
+    hasReminder,
+    setReminder,
+    deleteReminder,
+    cancelReminder,
+    cancelSessionReminders,
+    cancelAllReminders,
+    pendingReminderCount,
+    reset,
+    forget,
+    activeSessionCount,
+    list
+  };
+};
+
+export default {
+  UNKNOWN_SESSION,
+  createSessionTracker
+};
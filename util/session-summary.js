@@ -0,0 +1,168 @@
+/**
+ * Offline Session Summary Module
+ *
+ * Turns the idle context (session title, change summary and the last-turn
+ * digest from util/session-digest) into one spoken sentence with fixed
+ * templates, so context-aware idle messages work without an AI server:
+ *
+ *   "Finished 'fix login redirect' in backend: 4 files changed, 30 lines added,
+ *    2 removed, used bash and edit, tests failed once."
+ *
+ * getSmartMessage() uses it between AI generation and the static messages.
+ *
+ * @module util/session-summary
+ */
+
+const MAX_TITLE_LENGTH = 60;
+
+// Commands that run a test suite - their failures are read as "tests failed"
+const TEST_COMMAND_PATTERN = /\b(test|tests|jest|vitest|mocha|pytest|spec|rspec|phpunit)\b/i;
+
+// Tools named in a summary; the rest are counted ("and 2 more tools")
+const MAX_SPOKEN_TOOLS = 3;
+
+// ========================================
+// HELPERS
+// ========================================
+
+/**
+ * "once", "twice", "3 times".
+ * @param {number} count
+ * @returns {string}
+ */
+const spokenTimes = (count) => {
+  if (count === 1) return 'once';
+  if (count === 2) return 'twice';
+  return `${count} times`;
+};
+
+/**
+ * "a", "a and b", "a, b and c".
+ * @param {string[]} items
+ * @returns {string}
+ */
+const spokenList = (items) => items.length > 1
+  ? `${items.slice(0, -1).join(', ')} and ${items[items.length - 1]}`
+  : items.join('');
+
+/**
+ * Lines added and removed: "30 lines added, 2 removed", "1 line removed".
+ * @param {number} additions
+ * @param {number} deletions
+ * @returns {string | null}
+ */
+const describeLineChanges = (additions, deletions) => {
+  const lines = (n) => `${n} line${n === 1 ? '' : 's'}`;
+  if (additions > 0 && deletions > 0) return `${lines(additions)} added, ${deletions} removed`;
+  if (additions > 0) return `${lines(additions)} added`;
+  if (deletions > 0) return `${lines(deletions)} removed`;
+  return null;
+};
+
+/**
+ * The tools of the turn: "used bash, edit and read", "used bash, edit, read and 2 more tools".
+ * @param {string[]} tools
+ * @returns {string}
+ */
+const describeTools = (tools) => {
+  if (tools.length <= MAX_SPOKEN_TOOLS) return `used ${spokenList(tools)}`;
+  const more = tools.length - MAX_SPOKEN_TOOLS;
+  return `used ${tools.slice(0, MAX_SPOKEN_TOOLS).join(', ')} and ${more} more tool${more === 1 ? '' : 's'}`;
+};
+
+/**
+ * Duration in words, rounded for listening: "under a minute", "12 minutes", "1 hour 5 minutes".
+ * @param {number} ms
+ * @returns {string}
+ */
+export const spokenDuration = (ms) => {
+  const minutes = Math.round(ms / 60000);
+  if (minutes < 1) return 'under a minute';
+
+  const hours = Math.floor(minutes / 60);
+  const rest = minutes % 60;
+  const plural = (n, unit) => `${n} ${unit}${n === 1 ? '' : 's'}`;
+  if (!hours) return plural(rest, 'minute');
+  return rest ? `${plural(hours, 'hour')} ${plural(rest, 'minute')}` : plural(hours, 'hour');
+};
+
+/**
+ * What kind of thing failed, as a plural noun: tests, commands, edits, ...
+ * @param {{ tool: string, command?: string }} failure
+ * @returns {string}
+ */
+const failureKind = ({ tool, command }) => {
+  if (tool === 'bash') return command && TEST_COMMAND_PATTERN.test(command) ? 'tests' : 'commands';
+  if (['edit', 'write', 'multiedit', 'patch'].includes(tool)) return 'edits';
+  return `${tool} calls`;
+};
+
+/**
+ * Describe failed tool calls: ["tests failed once", "edits failed twice"].
+ * @param {Array<{ tool: string, command?: string }>} failedTools
+ * @returns {string[]}
+ */
+const describeFailures = (failedTools) => {
+  const counts = new Map();
+  for (const failure of failedTools) {
+    const kind = failureKind(failure);
+    counts.set(kind, (counts.get(kind) || 0) + 1);
+  }
+  return [...counts].map(([kind, count]) => `${kind} failed ${spokenTimes(count)}`);
+};
+
+// ========================================
+// SUMMARY
+// ========================================
+
+/**
+ * Build a spoken summary of a finished session from its context.
+ * The tools used only add to a summary; on their own they say too little.
+ *
+ * @param {object} context - aiContext of the idle notification
+ * @param {string} [context.sessionTitle]
+ * @param {string} [context.projectName]
+ * @param {{ files?: number, additions?: number, deletions?: number }} [context.sessionSummary]
+ * @param {string[]} [context.filesEdited]
+ * @param {string[]} [context.toolsUsed]
+ * @param {Array<{ tool: string, error: string, command?: string }>} [context.failedTools]
+ * @param {boolean} [context.hasErrors]
+ * @param {number} [context.durationMs]
+ * @returns {string | null} null when there is too little context to say more than the static messages
+ */
+export const summarizeSession = (context = {}) => {
+  const changes = [];
+  const fileCount = context.sessionSummary?.files ?? context.filesEdited?.length ?? 0;
+  if (fileCount > 0) {
+    changes.push(`${fileCount} file${fileCount === 1 ? '' : 's'} changed`);
+  }
+  const lineChanges = describeLineChanges(Number(context.sessionSummary?.additions) || 0, Number(context.sessionSummary?.deletions) || 0);
+  if (lineChanges) changes.push(lineChanges);
+
+  const problems = Array.isArray(context.failedTools) ? describeFailures(context.failedTools) : [];
+  if (problems.length === 0 && context.hasErrors) {
+    problems.push('ran into errors');
+  }
+
+  const duration = context.durationMs > 0 ? [`took ${spokenDuration(context.durationMs)}`] : [];
+
+  const title = typeof context.sessionTitle === 'string' ? context.sessionTitle.replace(/\s+/g, ' ').trim() : '';
+  if (!title && changes.length + problems.length + duration.length === 0) return null;
+
+  const tools = Array.isArray(context.toolsUsed) ? context.toolsUsed.filter(tool => typeof tool === 'string' && tool) : [];
+  const details = [...changes, ...(tools.length > 0 ? [describeTools(tools)] : []), ...problems, ...duration];
+
+  let head = 'Finished';
+  if (title) {
+    const shortTitle = title.length > MAX_TITLE_LENGTH ? `${title.slice(0, MAX_TITLE_LENGTH - 1).trimEnd()}…` : title;
+    head += ` '${shortTitle}'`;
+  }
+  if (context.projectName) head += ` in ${context.projectName}`;
+
+  return details.length > 0 ? `${head}: ${details.join(', ')}.` : `${head}.`;
+};
+
+export default {
+  summarizeSession,
+  spokenDuration
+};
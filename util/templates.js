@@ -0,0 +1,132 @@
+/**
+ * Message Template Module
+ *
+ * Fills placeholders in static messages (the *TTSMessages arrays and the
+ * messageTemplates for toasts, desktop bodies and webhook titles):
+ *
+ *   {name}                  the value, or nothing when it is missing
+ *   {name|fallback}         fallback text when the value is missing
+ *   {count:file|files}      singular or plural by a number; # is the number: {count:# file|# files}
+ *   {?name}...{/name}       only when the value is present (and not 0)
+ *   {!name}...{/name}       only when the value is missing
+ *
+ * Missing values never leave holes behind: the text around them is tidied up
+ * (double spaces, stray punctuation, empty quotes), so "Nice work, {userName}!"
+ * reads "Nice work!" without a user name. Wrap words that only make sense with
+ * the value in a section: "Done{?project} in {project}{/project}!".
+ *
+ * @module util/templates
+ */
+
+// Guards against runaway nesting of conditional sections
+const MAX_SECTION_PASSES = 5;
+
+const SECTION_PATTERN = /\{([?!])(\w+)\}([\s\S]*?)\{\/\2\}/g;
+const PLURAL_PATTERN = /\{(\w+):([^{}|]*)\|([^{}]*)\}/g;
+const VALUE_PATTERN = /\{(\w+)(?:\|([^{}]*))?\}/g;
+
+// ========================================
+// HELPERS
+// ========================================
+
+/**
+ * Whether a variable has a value to print.
+ * @param {*} value
+ * @returns {boolean}
+ */
+const isPresent = (value) => value !== undefined && value !== null && value !== '' && value !== false;
+
+/**
+ * Tidy the text left behind by missing values.
+ * @param {string} text
+ * @returns {string}
+ */
+const tidy = (text) => text
+  .replace(/(["'])\s*\1/g, '')           // empty quotes: "" or ''
+  .replace(/\(\s*\)/g, '')               // empty parentheses
+  .replace(/[ \t]{2,}/g, ' ')            // double spaces
+  .replace(/[ \t]+([,.!?;:])/g, '$1')    // space before punctuation
+  .replace(/([,;:])(?=[.!?])/g, '')      // ", ." -> "."
+  .replace(/^[\s,;:]+/, '')              // leading punctuation
+  .trim()
+  .replace(/^[a-z]/, letter => letter.toUpperCase());
+
+// ========================================
+// RENDERING
+// ========================================
+
+/**
+ * Render a message template.
+ *
+ * @param {string} template
+ * @param {object} [vars={}] - Placeholder values; undefined, null, '' and false count as missing
+ * @returns {string} The rendered text (non-strings are returned unchanged)
+ */
+export const renderTemplate = (template, vars = {}) => {
+  if (typeof template !== 'string' || !template.includes('{')) return template;
+
+  let missing = false;
+  let text = template;
+
+  // Conditional sections, innermost first
+  for (let pass = 0; pass < MAX_SECTION_PASSES && SECTION_PATTERN.test(text); pass++) {
+    SECTION_PATTERN.lastIndex = 0;
+    text = text.replace(SECTION_PATTERN, (match, mode, name, body) => {
+      const shown = mode === '?' ? isPresent(vars[name]) && vars[name] !== 0 : !isPresent(vars[name]);
+      if (!shown) missing = true;
+      return shown ? body : '';
+    });
+  }
+  SECTION_PATTERN.lastIndex = 0;
+
+  text = text.replace(PLURAL_PATTERN, (match, name, singular, plural) => {
+    const count = Number(vars[name]);
+    if (!isPresent(vars[name]) || !Number.isFinite(count)) {
+      missing = true;
+      return '';
+    }
+    return (count === 1 ? singular : plural).replace(/#/g, String(count));
+  });
+
+  text = text.replace(VALUE_PATTERN, (match, name, fallback) => {
+    if (isPresent(vars[name])) return String(vars[name]);
+    if (fallback !== undefined) return fallback;
+    missing = true;
+    return '';
+  });
+
+  return missing ? tidy(text) : text;
+};
+
+/**
+ * Render every message of a message array (e.g. before picking one at random).
+ * @param {string[]} messages
+ * @param {object} [vars={}]
+ * @returns {string[]} The rendered messages (non-arrays are returned unchanged)
+ */
+export const renderMessages = (messages, vars = {}) => {
+  return Array.isArray(messages) ? messages.map(message => renderTemplate(message, vars)) : messages;
+};
+
+/**
+ * Names of the placeholders a template uses (values, plurals and sections).
+ * @param {string} template
+ * @returns {string[]} Unique names in order of appearance
+ */
+export const templateVariables = (template) => {
+  if (typeof template !== 'string') return [];
+  const names = [];
+  for (const pattern of [SECTION_PATTERN, PLURAL_PATTERN, VALUE_PATTERN]) {
+    for (const match of template.matchAll(pattern)) {
+      const name = pattern === SECTION_PATTERN ? match[2] : match[1];
+      if (!names.includes(name)) names.push(name);
+    }
+  }
+  return names;
+};
+
+export default {
+  renderTemplate,
+  renderMessages,
+  templateVariables
+};
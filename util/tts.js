@@ -3,6 +3,10 @@ import os from 'os';
 import fs from 'fs';
 import { loadConfig } from './config.js';
 import { createLinuxPlatform } from './linux.js';
+import { killablePlayerScript, runKillable, createPlaybackHandle, findStreamPlayer, streamToPlayer } from './playback.js';
+import { engineHealth, withTimeout } from './circuit-breaker.js';
+import { matchesPattern } from './routing.js';
+import { audioCacheKey, getCachedAudio, cacheAudio, clearAudioCache, getAudioCacheStats, cleanupTempAudioFiles } from './audio-cache.js';
 
 const platform = os.platform();
 // Remove module-level configDir constant that caches process.env prematurely
@@ -23,6 +27,36 @@ export const getTTSConfig = () => {
   return loadConfig('smart-voice-notify', {
     ttsEngine: 'elevenlabs',
     enableTTS: true,
+    ttsFallbackChain: [],
+    ttsDisabledEngines: [],
+    
+    // Engine health (circuit breaker) and request time limits per network engine
+    circuitBreakerThreshold: 3,
+    circuitBreakerCooldownSeconds: 60,
+    ttsTimeoutsMs: { elevenlabs: 10000, edge: 15000, openai: 15000 },
+    
+    // Stream ElevenLabs / OpenAI audio into mpv, ffplay or pw-play as it downloads
+    enableTTSStreaming: true,
+    ttsStreamIdleTimeoutMs: 10000,
+    
+    // Rewrite markdown, code, paths and URLs into speakable text (normalizeSpeechText)
+    enableSpeechNormalization: true,
+    
+    // Pronunciation dictionary (resolvePronunciations), optionally per project glob
+    pronunciations: {},
+    projectPronunciations: {},
+    
+    // Voice and prosody per event type, plus "reminder" (resolveVoiceProfile)
+    voiceProfiles: {},
+    
+    // Synthesized audio cache (config dir/cache/tts)
+    enableTTSCache: true,
+    ttsCacheMaxMB: 50,
+    
+    // Pre-render static messages into the cache at startup
+    enableTTSWarmUp: false,
+    ttsWarmUpDelayMs: 1500,
+    
     elevenLabsApiKey: '',
     elevenLabsVoiceId: 'cgSgspJ2msm6clMCkdW9',
     elevenLabsModel: 'eleven_turbo_v2_5',
@@ -45,6 +79,18 @@ export const getTTSConfig = () => {
     openaiTtsFormat: 'mp3',
     openaiTtsSpeed: 1.0,
     
+    // Local offline engines (Linux and other air-gapped machines)
+    piperModel: '',
+    piperSpeaker: '',
+    piperRate: 1.0,
+    espeakVoice: 'en-us',
+    espeakRate: 175,
+    
+    // Custom command engine (argv template, see speakWithCommand)
+    ttsCommand: [],
+    ttsCommandVoice: '',
+    ttsCommandFormat: 'wav',
+    
     // ============================================================
     // NOTIFICATION MODE & TTS REMINDER SETTINGS
     // ============================================================
@@ -187,15 +233,606 @@ export const getTTSConfig = () => {
   });
 };
 
-let elevenLabsQuotaExceeded = false;
+// ============================================================
+// TTS FALLBACK CHAIN
+// speakNow() tries engines in order until one speaks. By default the order
+// follows ttsEngine (its built-in fallbacks below); ttsFallbackChain replaces
+// it, and ttsDisabledEngines keeps engines out of every chain.
+// ============================================================
+
+/**
+ * Engines speakNow() knows, by the name used in ttsEngine / ttsFallbackChain.
+ */
+export const TTS_ENGINES = ['openai', 'elevenlabs', 'edge', 'sapi', 'say', 'piper', 'espeak', 'command'];
+
+/**
+ * Built-in fallbacks per ttsEngine (used when ttsFallbackChain is empty).
+ * SAPI and say only speak on their own platform and fail fast elsewhere;
+ * the offline engines come last so Linux without network still speaks.
+ */
+export const DEFAULT_TTS_CHAINS = {
+  openai: ['openai', 'edge', 'sapi', 'say', 'piper', 'espeak'],
+  elevenlabs: ['elevenlabs', 'edge', 'sapi', 'say', 'piper', 'espeak'],
+  edge: ['edge', 'sapi', 'say', 'piper', 'espeak'],
+  sapi: ['sapi', 'say', 'piper', 'espeak'],
+  command: ['command', 'edge', 'sapi', 'say', 'piper', 'espeak'],
+  piper: ['piper', 'espeak', 'edge', 'sapi', 'say'],
+  espeak: ['espeak', 'piper', 'edge', 'sapi', 'say']
+};
+
+/**
+ * Resolve the engines speakNow() tries, in order.
+ *
+ * ttsFallbackChain entries are engine names or objects with per-engine options
+ * that override the config for that engine only:
+ *   ["openai", { "engine": "edge", "edgeVoice": "en-GB-SoniaNeural" }, "piper"]
+ *
+ * @param {object} config - TTS config (ttsEngine, ttsFallbackChain, ttsDisabledEngines)
+ * @returns {{ chain: Array<{ engine: string, options: object }>, skipped: Array<{ engine: string, reason: string }> }}
+ */
+export const resolveTTSChain = (config = {}) => {
+  const configured = Array.isArray(config.ttsFallbackChain) && config.ttsFallbackChain.length > 0
+    ? config.ttsFallbackChain
+    : DEFAULT_TTS_CHAINS[config.ttsEngine || 'elevenlabs'] || ['piper', 'espeak'];
+  const disabled = Array.isArray(config.ttsDisabledEngines) ? config.ttsDisabledEngines : [];
+
+  const chain = [];
+  const skipped = [];
+  for (const entry of configured) {
+    const { engine, ...options } = typeof entry === 'string' ? { engine: entry } : (entry || {});
+    if (!TTS_ENGINES.includes(engine)) {
+      skipped.push({ engine: String(engine), reason: 'unknown engine' });
+    } else if (disabled.includes(engine)) {
+      skipped.push({ engine, reason: 'disabled' });
+    } else if (chain.some(step => step.engine === engine)) {
+      skipped.push({ engine, reason: 'duplicate' });
+    } else {
+      chain.push({ engine, options });
+    }
+  }
+  return { chain, skipped };
+};
+
+/**
+ * Engines whose clips go into the audio cache (the rest speak directly).
+ */
+export const CACHEABLE_ENGINES = ['openai', 'elevenlabs', 'edge', 'piper', 'espeak', 'command'];
+
+/**
+ * The parts of a spoken message. speak() takes a string or an array of parts
+ * (e.g. a static alert plus the request details): cacheable engines render each
+ * part as its own clip, so the static part plays from the cache every time.
+ * @param {string | Array<string | null | undefined>} message
+ * @returns {string[]} Non-empty parts, in order
+ */
+export const speechParts = (message) => (Array.isArray(message) ? message : [message])
+  .filter(part => typeof part === 'string' && part.trim());
+
+let tempFileCounter = 0;
+
+/**
+ * Get a fresh temp file path for one clip (unique even within a millisecond).
+ * @param {string} prefix - e.g. 'opencode-tts-openai'
+ * @param {string} ext - File extension
+ * @returns {string}
+ */
+const createTempFilePath = (prefix, ext) => {
+  tempFileCounter += 1;
+  return path.join(os.tmpdir(), `${prefix}-${process.pid}-${Date.now()}-${tempFileCounter}.${ext}`);
+};
+
+/**
+ * Wait, unless the signal aborts first. The timer does not keep the process alive.
+ * @param {number} ms
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<void>}
+ */
+const abortableDelay = (ms, signal) => new Promise(resolve => {
+  if (signal?.aborted) return resolve();
+  let timer = null;
+  const done = () => {
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', done);
+    resolve();
+  };
+  timer = setTimeout(done, ms);
+  timer.unref?.();
+  signal?.addEventListener('abort', done, { once: true });
+});
+
+// ============================================================
+// SPEECH NORMALIZATION
+// AI summaries and session titles contain markdown, code, paths and URLs that
+// every engine reads out literally. normalizeSpeechText() turns them into
+// something worth hearing before any engine (or the cache) sees the text.
+// ============================================================
+
+/**
+ * Spoken forms of common developer abbreviations (case-sensitive, whole words).
+ */
+export const DEV_ABBREVIATIONS = {
+  'CI/CD': 'C I C D',
+  PRs: 'pull requests',
+  PR: 'pull request',
+  MRs: 'merge requests',
+  MR: 'merge request',
+  CI: 'C I',
+  CLI: 'C L I',
+  npm: 'N P M',
+  npx: 'N P X',
+  pnpm: 'P N P M',
+  UI: 'U I',
+  JSON: 'Jason',
+  YAML: 'yamel',
+  README: 'read me',
+  WIP: 'work in progress',
+  TODO: 'to do',
+  LGTM: 'looks good to me',
+  deps: 'dependencies',
+  e2e: 'end to end',
+  i18n: 'internationalization',
+  k8s: 'Kubernetes',
+  'e.g.': 'for example',
+  'i.e.': 'that is'
+};
+
+// Larger integers are read as "about 1.2 million"; beyond trillions they are dropped
+const LONG_NUMBER_DIGITS = 7;
+const NUMBER_SCALES = [[1e12, 'trillion'], [1e9, 'billion'], [1e6, 'million']];
+
+const EMOJI_PATTERN = /[\p{Extended_Pictographic}\u{1F1E6}-\u{1F1FF}\u{1F3FB}-\u{1F3FF}\u200D\uFE0F\u20E3]/gu;
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)([^\s/?#<>()]+)[^\s<>()]*/gi;
+// Tokens with a slash that start like a path, have two or more slashes, or end in a file name
+const PATH_PATTERN = /(?<![\w@])(?:[A-Za-z]:|~|\.{1,2})?(?:[\w.@+-]*[\/\\])+[\w.@+-]+/g;
+const HASH_PATTERN = /\b(?:[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|(?=[0-9a-f]*\d)(?=[0-9a-f]*[a-f])[0-9a-f]{7,64})\b/gi;
+
+/**
+ * Escape a string for use inside a regular expression.
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+
+/**
+ * Shorten a path to its last segment, unless it is only an abbreviation pair like CI/CD.
+ * @param {string} token
+ * @returns {string}
+ */
+const shortenPath = (token) => {
+  const segments = token.split(/[\/\\]/).filter(Boolean);
+  const looksLikePath = /^(?:[A-Za-z]:|[~.\/\\])/.test(token) || segments.length > 2 || /\.\w+$/.test(token);
+  return looksLikePath && segments.length > 0 ? segments[segments.length - 1] : token;
+};
+
+/**
+ * Split a camelCase identifier into words.
+ * @param {string} identifier
+ * @returns {string}
+ */
+const splitCamelCase = (identifier) => identifier
+  .replace(/([a-z\d])([A-Z])/g, '$1 $2')
+  .replace(/([A-Z]+)([A-Z][a-z])/g, '$1 $2');
+
+/**
+ * Spoken form of a long number ("about 1.2 million").
+ * @param {string} digits - Digits, optionally with thousands separators
+ * @returns {string}
+ */
+const speakLongNumber = (digits) => {
+  const value = Number(digits.replace(/,/g, ''));
+  const [scale, name] = NUMBER_SCALES.find(([size]) => value >= size) || [];
+  if (!scale || value >= scale * 1000) return '';
+  return `about ${Number((value / scale).toFixed(1))} ${name}`;
+};
+
+/**
+ * Rewrite text for speech: strips markdown, HTML and emoji, reads URLs as their
+ * host and paths as their file name, drops commit hashes and UUIDs, splits
+ * camelCase and snake_case identifiers, expands developer abbreviations
+ * (DEV_ABBREVIATIONS) and collapses long numbers.
+ *
+ *   "Fixed `parseConfig` in src/utils/fooBar.ts (see https://github.com/x/y/pull/12) 🎉"
+ *   -> "Fixed parse Config in foo Bar.ts (see github.com)"
+ *
+ * @param {string} text
+ * @returns {string} Speakable text (non-strings are returned unchanged)
+ */
+export const normalizeSpeechText = (text) => {
+  if (typeof text !== 'string') return text;
+
+  let result = text
+    // Markdown: code blocks are dropped, inline code and link texts are kept
+    .replace(/```[\s\S]*?(?:```|$)/g, ' ')
+    .replace(/`([^`]*)`/g, '$1')
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(URL_PATTERN, (match, host) => host.replace(/^www\./i, ''))
+    .replace(/<\/?[a-z][^>]*>/gi, ' ')
+    .replace(/^[ \t]*(?:#{1,6}|>|[-*+]|\d+\.)[ \t]+/gm, '')
+    .replace(/(\*\*|__|~~)(.+?)\1/g, '$2')
+    .replace(/(^|[\s(])[*_](\S(?:.*?\S)?)[*_](?=[\s).,!?;:]|$)/g, '$1$2')
+    .replace(EMOJI_PATTERN, '')
+    .replace(PATH_PATTERN, shortenPath)
+    .replace(HASH_PATTERN, '');
+
+  // Before identifiers are split, so "PRs" is not read as "P Rs"
+  for (const [abbreviation, spoken] of Object.entries(DEV_ABBREVIATIONS)) {
+    const pattern = new RegExp(`(?<![\\w.])${escapeRegExp(abbreviation)}(?![\\w/])`, 'g');
+    result = result.replace(pattern, spoken);
+  }
+
+  return result
+    // Identifiers: parseXMLFile() -> parse XML File, max_retries -> max retries.
+    // Capitalized names (SQLite, GitHub) are left to the engines.
+    .replace(/\b(\w+)\(\)/g, '$1')
+    .replace(/\b[a-z][a-z\d]*[A-Z][A-Za-z\d]*\b/g, splitCamelCase)
+    .replace(/([A-Za-z\d])_+(?=[A-Za-z\d])/g, '$1 ')
+    .replace(new RegExp(`\\b\\d{1,3}(?:,\\d{3}){2,}\\b|\\b\\d{${LONG_NUMBER_DIGITS},}\\b`, 'g'), speakLongNumber)
+    .replace(/\s*\n\s*/g, '. ')
+    .replace(/[ \t]{2,}/g, ' ')
+    .replace(/\(\s*\)/g, '')
+    .replace(/\s+([,.!?;:)])/g, '$1')
+    .replace(/([.!?])(?:\s*\.)+/g, '$1')
+    .replace(/^[\s.,;:]+/, '')
+    .trim();
+};
+
+// ============================================================
+// PRONUNCIATIONS
+// User dictionary for words every engine gets wrong (project names, tools).
+// Matches are swapped for placeholders before normalizeSpeechText() runs, so
+// the normalizer cannot mangle them, and rendered per engine afterwards:
+// plain "say" text everywhere, SSML <phoneme> tags where the engine reads them.
+// ============================================================
+
+// ElevenLabs models that honour <phoneme> tags
+export const ELEVENLABS_PHONEME_MODELS = ['eleven_flash_v2', 'eleven_turbo_v2', 'eleven_monolingual_v1'];
+
+const PLACEHOLDER_PATTERN = /\uE000(\d+)\uE001/g;
+
+/**
+ * Escape text for SSML.
+ * @param {string} text
+ * @returns {string}
+ */
+const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+/**
+ * Pronunciation rules for a project: `pronunciations` plus the entries of every
+ * `projectPronunciations` glob that matches the project (those win).
+ *
+ * An entry maps a word to what to say instead, or to an object:
+ *   "pgbouncer": "P G bouncer"
+ *   "Nuxt": { "say": "nukst", "ipa": "nʌkst", "caseSensitive": true, "wholeWord": true }
+ * Matching is case-insensitive and on whole words by default; longer words
+ * are matched first, so "k8s-ctl" wins over "k8s".
+ *
+ * @param {object} config - pronunciations, projectPronunciations
+ * @param {string} [project] - Project (worktree folder) name
+ * @returns {Array<{ word: string, say: string, ipa: string | null, pattern: RegExp }>}
+ */
+export const resolvePronunciations = (config = {}, project = null) => {
+  const isMap = (value) => value && typeof value === 'object' && !Array.isArray(value);
+  const entries = { ...(isMap(config.pronunciations) ? config.pronunciations : {}) };
+  if (project && isMap(config.projectPronunciations)) {
+    for (const [glob, projectEntries] of Object.entries(config.projectPronunciations)) {
+      if (isMap(projectEntries) && matchesPattern(glob, project)) Object.assign(entries, projectEntries);
+    }
+  }
+
+  return Object.entries(entries)
+    .map(([word, entry]) => {
+      const { say = word, ipa = null, caseSensitive = false, wholeWord = true } = typeof entry === 'string' ? { say: entry } : (entry || {});
+      if (!word.trim() || typeof say !== 'string') return null;
+      const source = wholeWord ? `(?<!\\w)${escapeRegExp(word)}(?!\\w)` : escapeRegExp(word);
+      return { word, say, ipa: typeof ipa === 'string' && ipa ? ipa : null, pattern: new RegExp(source, caseSensitive ? 'g' : 'gi') };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.word.length - a.word.length);
+};
+
+/**
+ * Replace dictionary words with numbered placeholders.
+ * @param {string} text
+ * @param {Array} rules - From resolvePronunciations()
+ * @returns {{ text: string, matches: Array<{ word: string, say: string, ipa: string | null }> }}
+ */
+export const markPronunciations = (text, rules) => {
+  const matches = [];
+  if (typeof text !== 'string') return { text, matches };
+  let marked = text;
+  for (const rule of rules) {
+    marked = marked.replace(rule.pattern, (word) => {
+      matches.push({ word, say: rule.say, ipa: rule.ipa });
+      return `\uE000${matches.length - 1}\uE001`;
+    });
+  }
+  return { text: marked, matches };
+};
+
+/**
+ * Fill the placeholders of markPronunciations() back in.
+ * @param {string} text - Marked (and possibly normalized) text
+ * @param {Array} matches - From markPronunciations()
+ * @param {'text' | 'tags' | 'ssml'} [mode='text'] - 'text' says the replacement;
+ *   'tags' adds <phoneme> tags for entries with IPA; 'ssml' does the same and escapes the rest for SSML
+ * @returns {string}
+ */
+export const renderPronunciations = (text, matches, mode = 'text') => {
+  if (typeof text !== 'string') return text;
+  const escape = mode === 'ssml' ? escapeXml : (value) => value;
+  return text.split(PLACEHOLDER_PATTERN).map((part, index) => {
+    if (index % 2 === 0) return escape(part);
+    const match = matches[Number(part)];
+    if (!match) return '';
+    if (mode !== 'text' && match.ipa) {
+      return `<phoneme alphabet="ipa" ph="${escapeXml(match.ipa)}">${escape(match.word)}</phoneme>`;
+    }
+    return escape(match.say);
+  }).join('');
+};
+
+// ============================================================
+// VOICE PROFILES
+// voiceProfiles gives event types their own voice and prosody, e.g. a faster,
+// more urgent voice for permission requests and a calm one for idle summaries:
+//   "voiceProfiles": { "permission": { "edgeVoice": "en-US-GuyNeural", "edgeRate": "+25%" },
+//                      "reminder": { "openaiTtsVoice": "onyx" } }
+// ============================================================
+
+/**
+ * Settings a voice profile may change (voice and prosody of every engine).
+ */
+export const VOICE_PROFILE_KEYS = [
+  'elevenLabsVoiceId', 'elevenLabsModel', 'elevenLabsStability', 'elevenLabsSimilarity', 'elevenLabsStyle',
+  'edgeVoice', 'edgeRate', 'edgePitch', 'edgeVolume',
+  'openaiTtsVoice', 'openaiTtsModel', 'openaiTtsSpeed',
+  'sapiVoice', 'sapiRate', 'sapiPitch', 'sapiVolume',
+  'piperModel', 'piperSpeaker', 'piperRate',
+  'espeakVoice', 'espeakRate',
+  'ttsCommandVoice'
+];
+
+/**
+ * Voice settings for a clip: voiceProfiles[eventType], with voiceProfiles.reminder
+ * on top for reminders. Keys outside VOICE_PROFILE_KEYS are ignored.
+ *
+ * @param {object} profiles - voiceProfiles from the config
+ * @param {string} [eventType] - idle, permission, question, error, agent
+ * @param {object} [options={}]
+ * @param {boolean} [options.reminder=false] - The clip is a TTS reminder
+ * @returns {object} Settings to apply over the config (empty without a profile)
+ */
+export const resolveVoiceProfile = (profiles, eventType, { reminder = false } = {}) => {
+  if (!profiles || typeof profiles !== 'object') return {};
+  const layers = [eventType && profiles[eventType], reminder && profiles.reminder];
+
+  const settings = {};
+  for (const layer of layers) {
+    if (!layer || typeof layer !== 'object') continue;
+    for (const key of VOICE_PROFILE_KEYS) {
+      if (layer[key] !== undefined && layer[key] !== null) settings[key] = layer[key];
+    }
+  }
+  return settings;
+};
+
+// ============================================================
+// AUDIO QUEUE
+// Sounds and speech come from several event handlers at once (some of them
+// fire-and-forget), so every clip goes through one scheduler that plays them
+// one at a time, in priority order.
+// ============================================================
+
+/**
+ * Playback priority per notification type. Higher plays first and preempts
+ * a lower-priority clip that is already playing.
+ */
+export const AUDIO_PRIORITIES = {
+  idle: 1,
+  agent: 2,
+  question: 3,
+  error: 3,
+  permission: 4
+};
+
+/**
+ * Get the playback priority of a notification type.
+ * @param {string} [type] - idle, permission, question, error, agent
+ * @returns {number} 0 for unknown types (e.g. manual tests)
+ */
+export const getAudioPriority = (type) => AUDIO_PRIORITIES[type] ?? 0;
+
+/**
+ * Create an audio scheduler that plays clips one at a time.
+ *
+ * - Clips are ordered by priority, first-come-first-served within a priority.
+ * - A clip whose key matches one that is queued or playing is merged into it
+ *   (the caller gets the existing clip's promise).
+ * - A clip with a higher priority than the playing one aborts its signal,
+ *   which kills the playing clip's player process (see util/playback).
+ * - enqueue() returns a playback handle; handle.cancel() or cancel(key) stops
+ *   a clip right away (e.g. the user answered while it was speaking).
+ * - isStale() is checked right before a clip starts, so clips the user no
+ *   longer needs (they already responded) are dropped.
+ *
+ * @param {object} [options={}]
+ * @param {function} [options.debugLog] - Debug logger (message) => void
+ * @returns {object} Queue API
+ */
+export const createAudioQueue = ({ debugLog = () => {} } = {}) => {
+  const pending = [];
+  let current = null;
+  let draining = false;
+
+  const describe = (clip) => clip.label || clip.key || 'clip';
+
+  /**
+   * Play queued clips until the queue is empty.
+   */
+  const drain = async () => {
+    if (draining) return;
+    draining = true;
+
+    while (pending.length > 0) {
+      const clip = pending.shift();
+
+      let stale = false;
+      try {
+        stale = Boolean(clip.isStale?.());
+      } catch (e) {
+        debugLog(`audio-queue: stale check failed for ${describe(clip)}: ${e.message}`);
+      }
+      if (stale) {
+        debugLog(`audio-queue: dropped stale ${describe(clip)}`);
+        clip.resolve(false);
+        continue;
+      }
+
+      current = clip;
+      let result = false;
+      try {
+        result = await clip.play(clip.controller.signal);
+      } catch (e) {
+        debugLog(`audio-queue: ${describe(clip)} failed: ${e.message}`);
+      }
+      current = null;
+      clip.resolve(clip.controller.signal.aborted ? false : Boolean(result));
+    }
+
+    draining = false;
+  };
+
+  /**
+   * Stop a clip: abort it if it is playing, drop it if it is still queued.
+   * @param {object} clip
+   * @returns {boolean} True if the clip was playing or queued
+   */
+  const cancelClip = (clip) => {
+    if (current === clip) {
+      if (!clip.controller.signal.aborted) {
+        debugLog(`audio-queue: stopped ${describe(clip)}`);
+        clip.controller.abort();
+      }
+      return true;
+    }
+    const index = pending.indexOf(clip);
+    if (index === -1) return false;
+    pending.splice(index, 1);
+    debugLog(`audio-queue: dropped ${describe(clip)}`);
+    clip.resolve(false);
+    return true;
+  };
+
+  /**
+   * Queue a clip.
+   *
+   * @param {function} play - (signal: AbortSignal) => Promise<boolean>; true if audio played
+   * @param {object} [options={}]
+   * @param {number} [options.priority=0] - See AUDIO_PRIORITIES
+   * @param {string} [options.key] - Clips with the same key are merged
+   * @param {function} [options.isStale] - () => boolean; true drops the clip before it plays
+   * @param {string} [options.label] - Name used in debug logs
+   * @returns {Promise<boolean> & { cancel: function(): boolean }} Playback handle: true if the clip played
+   *   to the end; false if dropped, preempted, cancelled or failed. cancel() stops the clip right away.
+   */
+  const enqueue = (play, { priority = 0, key = null, isStale = null, label = null } = {}) => {
+    if (key) {
+      const duplicate = current?.key === key && !current.controller.signal.aborted
+        ? current
+        : pending.find(clip => clip.key === key);
+      if (duplicate) {
+        debugLog(`audio-queue: merged ${label || key} into queued clip`);
+        return duplicate.promise;
+      }
+    }
+
+    const clip = { play, priority, key, isStale, label, controller: new AbortController() };
+    clip.promise = new Promise(resolve => {
+      clip.resolve = resolve;
+    });
+    clip.promise.cancel = () => cancelClip(clip);
+
+    const index = pending.findIndex(queued => queued.priority < priority);
+    if (index === -1) {
+      pending.push(clip);
+    } else {
+      pending.splice(index, 0, clip);
+    }
+
+    if (current && priority > current.priority && !current.controller.signal.aborted) {
+      debugLog(`audio-queue: ${describe(clip)} preempts ${describe(current)}`);
+      current.controller.abort();
+    }
+
+    drain();
+    return clip.promise;
+  };
+
+  /**
+   * Stop the clips with a key, playing or queued.
+   * @param {string} key
+   * @returns {number} Number of clips stopped
+   */
+  const cancel = (key) => {
+    const clips = [current, ...pending].filter(clip => clip && clip.key === key);
+    return clips.filter(cancelClip).length;
+  };
+
+  /**
+   * Drop every queued clip (the playing clip is not affected).
+   * @returns {number} Number of clips dropped
+   */
+  const clear = () => {
+    const dropped = pending.splice(0);
+    dropped.forEach(clip => clip.resolve(false));
+    return dropped.length;
+  };
+
+  /**
+   * Number of clips waiting to play (excluding the playing one).
+   * @returns {number}
+   */
+  const size = () => pending.length;
+
+  /**
+   * Whether a clip is playing right now.
+   * @returns {boolean}
+   */
+  const isPlaying = () => current !== null;
+
+  return {
+    enqueue,
+    cancel,
+    clear,
+    size,
+    isPlaying
+  };
+};
+
+// One queue for the whole process: createTTS() is called again on every
+// config reload, and clips from old and new instances must not overlap.
+let audioQueueLog = () => {};
+export const audioQueue = createAudioQueue({ debugLog: (message) => audioQueueLog(message) });
+
+// Leftover temp audio files are removed by the first createTTS() of the process
+let tempFilesSwept = false;
 
 /**
  * Creates a TTS utility instance
- * @param {object} params - { $, client }
+ * @param {object} params - { $, client, overrides }
+ * @param {object} [params.overrides] - Runtime config overrides (e.g. from /voice commands)
+ * @param {string} [params.project] - Project name, selects projectPronunciations
+ * @param {function} [params.spawn=Bun.spawn] - Launches streaming players, injectable for tests
+ * @param {function} [params.which=Bun.which] - Finds streaming players, injectable for tests
  * @returns {object} TTS API
  */
-export const createTTS = ({ $, client }) => {
-  const config = getTTSConfig();
+export const createTTS = ({ $, client, overrides = {}, project = null, spawn = globalThis.Bun?.spawn, which = globalThis.Bun?.which }) => {
+  const config = { ...getTTSConfig(), ...overrides };
   const configDir = getConfigDir();
   const logsDir = path.join(configDir, 'logs');
 
@@ -222,6 +859,146 @@ export const createTTS = ({ $, client }) => {
   // Initialize Linux platform utilities (only used on Linux)
   const linux = platform === 'linux' ? createLinuxPlatform({ $, debugLog }) : null;
 
+  // The shared audio queue logs through the most recent instance
+  audioQueueLog = debugLog;
+
+  engineHealth.configure({
+    failureThreshold: Number(config.circuitBreakerThreshold),
+    cooldownMs: Number(config.circuitBreakerCooldownSeconds) * 1000
+  });
+
+  /**
+   * Whether a network engine may be tried now (its circuit is not open).
+   * @param {string} engine
+   * @returns {boolean}
+   */
+  const engineAvailable = (engine) => {
+    if (engineHealth.canAttempt(engine)) return true;
+    const health = engineHealth.getState()[engine];
+    debugLog(`${engine}: skipped (circuit open: ${health?.reason || 'unhealthy'})`);
+    return false;
+  };
+
+  /**
+   * Record a failed request of a network engine and log when its circuit opens.
+   * @param {string} engine
+   * @param {*} error
+   */
+  const engineFailed = (engine, error) => {
+    if (engineHealth.recordFailure(engine, error)) {
+      const { reason } = engineHealth.getState()[engine];
+      debugLog(`${engine}: circuit opened (${reason}), skipping it for ${config.circuitBreakerCooldownSeconds}s`);
+    }
+  };
+
+  /**
+   * Request time limit of a network engine.
+   * @param {object} settings - Engine settings (ttsTimeoutsMs)
+   * @param {string} engine
+   * @returns {number} Milliseconds; 0 = no limit
+   */
+  const engineTimeout = (settings, engine) => Number(settings.ttsTimeoutsMs?.[engine]) || 0;
+
+  if (!tempFilesSwept) {
+    tempFilesSwept = true;
+    const removed = cleanupTempAudioFiles();
+    if (removed > 0) debugLog(`createTTS: removed ${removed} leftover temp audio file(s)`);
+  }
+
+  /**
+   * Cache key of a clip, or null when the audio cache is disabled.
+   * @param {object} settings - Engine settings (enableTTSCache)
+   * @param {string} engine
+   * @param {object} voice - Everything besides the text that changes the audio
+   * @param {string} text
+   * @returns {string | null}
+   */
+  const cacheKeyFor = (settings, engine, voice, text) => {
+    return settings.enableTTSCache === false ? null : audioCacheKey(engine, voice, text);
+  };
+
+  /**
+   * Play a clip from the audio cache. During a warm-up (settings.warmUp) the
+   * clip is only noted as already cached.
+   * @returns {Promise<boolean>} True if the clip was cached (and played)
+   */
+  const playCached = async (settings, engine, key, ext, signal) => {
+    const file = key && getCachedAudio(key, ext);
+    if (!file) return false;
+    if (settings.warmUp) {
+      settings.warmUp.alreadyCached = true;
+      return true;
+    }
+    debugLog(`${engine}: playing cached audio ${path.basename(file)}`);
+    await playAudioFile(file, 1, signal);
+    return true;
+  };
+
+  /**
+   * Keep a freshly synthesized clip for next time.
+   */
+  const storeCached = (settings, key, ext, file) => {
+    if (key) cacheAudio(key, ext, file, { maxSizeMb: settings.ttsCacheMaxMB });
+  };
+
+  // Looked up on first use; null when no streaming player is installed
+  let streamPlayer;
+
+  /**
+   * Whether a network engine should hand its audio over while it downloads
+   * (see playDownloaded) instead of buffering the whole clip.
+   * @param {object} settings - Engine settings (enableTTSStreaming, warmUp)
+   * @param {string} format - Audio format of the clip
+   * @returns {boolean}
+   */
+  const canStream = (settings, format) => {
+    if (settings.warmUp || settings.enableTTSStreaming === false || format === 'pcm') return false;
+    if (typeof spawn !== 'function') return false;
+    if (streamPlayer === undefined) {
+      streamPlayer = findStreamPlayer(which);
+      debugLog(streamPlayer
+        ? `streaming: playing network audio through ${streamPlayer.name}`
+        : 'streaming: no streaming player (mpv, ffplay, pw-play) found, playing from files');
+    }
+    return streamPlayer !== null;
+  };
+
+  /**
+   * Play a network engine's audio and keep it in the cache.
+   *
+   * A stream (async iterable of chunks) plays through the streaming player as
+   * it arrives; a Buffer, or a stream the player failed on, plays from a temp
+   * file. A preempted stream is incomplete, so it is not cached. A stream that
+   * stalls for ttsStreamIdleTimeoutMs rejects, so the engine records a failure
+   * and the chain moves on.
+   *
+   * @param {object} settings - Engine settings
+   * @param {Buffer | AsyncIterable<Uint8Array>} audio
+   * @param {object} clip
+   * @param {string} clip.tempFile - Where to write the clip
+   * @param {string | null} clip.key - Cache key
+   * @param {string} clip.ext - Audio format
+   * @param {AbortSignal} [clip.signal]
+   * @returns {Promise<void>} Rejects when the download fails
+   */
+  const playDownloaded = async (settings, audio, { tempFile, key, ext, signal }) => {
+    let played = false;
+    if (!Buffer.isBuffer(audio)) {
+      ({ audio, played } = await streamToPlayer(audio, streamPlayer, signal, {
+        spawn,
+        idleTimeoutMs: Number(settings.ttsStreamIdleTimeoutMs) || 0,
+        debugLog
+      }));
+      if (signal?.aborted) return;
+      if (!played) debugLog(`streaming: ${streamPlayer.name} failed, playing ${path.basename(tempFile)} instead`);
+    }
+
+    fs.writeFileSync(tempFile, audio);
+    storeCached(settings, key, ext, tempFile);
+    if (!played && !settings.warmUp) await playAudioFile(tempFile, 1, signal);
+    try { fs.unlinkSync(tempFile); } catch (e) {}
+  };
+
   const showToast = async (message, variant = 'info') => {
     if (!config.enableToast) return;
     try {
@@ -238,16 +1015,25 @@ export const createTTS = ({ $, client }) => {
   };
 
   /**
-   * Play an audio file using system media player
+   * Play an audio file using system media player (bypasses the audio queue;
+   * used by the engines while their clip holds the queue).
+   * Returns a playback handle: await it for the result, or call cancel() to
+   * kill the player process right away.
+   * @param {string} filePath
+   * @param {number} [loops=1]
+   * @param {AbortSignal} [signal] - Also cancels the playback when aborted (e.g. preempted clip)
+   * @returns {Promise<boolean> & { cancel: function(): void }} True if the file played to the end
    */
-  const playAudioFile = async (filePath, loops = 1) => {
+  const playAudioFile = (filePath, loops = 1, signal = null) => createPlaybackHandle(async (cancelSignal) => {
     if (!$) {
       debugLog('playAudioFile: shell runner ($) not available');
-      return;
+      return false;
     }
     try {
       if (platform === 'win32') {
-        const cmd = `
+        return await runKillable((pidFile) => {
+          const cmd = `
+          Set-Content -LiteralPath '${pidFile}' -Value $PID
           Add-Type -AssemblyName presentationCore
           $player = New-Object System.Windows.Media.MediaPlayer
           $player.Volume = 1.0
@@ -261,62 +1047,90 @@ export const createTTS = ({ $, client }) => {
           }
           $player.Close()
         `;
-        await $`powershell.exe -NoProfile -ExecutionPolicy Bypass -Command ${cmd}`.quiet();
+          return $`powershell.exe -NoProfile -ExecutionPolicy Bypass -Command ${cmd}`.quiet();
+        }, cancelSignal, debugLog);
       } else if (platform === 'darwin') {
         for (let i = 0; i < loops; i++) {
-          await $`afplay ${filePath}`.quiet();
+          const played = await runKillable(
+            (pidFile) => $`sh -c ${killablePlayerScript('afplay')} ${pidFile} ${filePath}`.quiet(),
+            cancelSignal,
+            debugLog
+          );
+          if (!played) return false;
         }
+        return true;
       } else if (platform === 'linux' && linux) {
         // Use the Linux platform module for audio playback
-        await linux.playAudioFile(filePath, loops);
+        return await linux.playAudioFile(filePath, loops, cancelSignal);
       } else {
         // Generic fallback for other Unix-like systems
         for (let i = 0; i < loops; i++) {
+          let played;
           try {
-            await $`paplay ${filePath}`.quiet();
+            played = await runKillable(
+              (pidFile) => $`sh -c ${killablePlayerScript('paplay')} ${pidFile} ${filePath}`.quiet(),
+              cancelSignal,
+              debugLog
+            );
           } catch {
-            await $`aplay ${filePath}`.quiet();
+            played = await runKillable(
+              (pidFile) => $`sh -c ${killablePlayerScript('aplay')} ${pidFile} ${filePath}`.quiet(),
+              cancelSignal,
+              debugLog
+            );
           }
+          if (!played) return false;
         }
+        return true;
       }
     } catch (e) {
       debugLog(`playAudioFile error: ${e.message}`);
+      return false;
     }
-  };
+  }, signal);
 
   /**
    * ElevenLabs Engine (Online, High Quality, Anime-like voices)
    */
-  const speakWithElevenLabs = async (text) => {
-    if (elevenLabsQuotaExceeded) return false;
-
-    if (!config.elevenLabsApiKey) {
+  const speakWithElevenLabs = async (text, signal = null, settings = config) => {
+    if (!settings.elevenLabsApiKey) {
       debugLog('speakWithElevenLabs: No API key configured');
       return false;
     }
 
+    const voiceId = settings.elevenLabsVoiceId || 'cgSgspJ2msm6clMCkdW9';
+    const request = {
+      model_id: settings.elevenLabsModel || 'eleven_turbo_v2_5',
+      voice_settings: {
+        stability: settings.elevenLabsStability ?? 0.5,
+        similarity_boost: settings.elevenLabsSimilarity ?? 0.75,
+        style: settings.elevenLabsStyle ?? 0.5,
+        use_speaker_boost: true
+      }
+    };
+    // Dictionary entries with IPA become <phoneme> tags on the models that read them
+    const input = settings.phonemes && ELEVENLABS_PHONEME_MODELS.includes(request.model_id) ? settings.phonemes.tags : text;
+    const cacheKey = cacheKeyFor(settings, 'elevenlabs', { voiceId, ...request }, input);
+    if (await playCached(settings, 'elevenlabs', cacheKey, 'mp3', signal)) return true;
+    if (!engineAvailable('elevenlabs')) return false;
+
     try {
       const { ElevenLabsClient } = await import('@elevenlabs/elevenlabs-js');
-      const elClient = new ElevenLabsClient({ apiKey: config.elevenLabsApiKey });
+      const elClient = new ElevenLabsClient({ apiKey: settings.elevenLabsApiKey });
       
-      const audio = await elClient.textToSpeech.convert(config.elevenLabsVoiceId || 'cgSgspJ2msm6clMCkdW9', {
-        text: text,
-        model_id: config.elevenLabsModel || 'eleven_turbo_v2_5',
-        voice_settings: {
-          stability: config.elevenLabsStability ?? 0.5,
-          similarity_boost: config.elevenLabsSimilarity ?? 0.75,
-          style: config.elevenLabsStyle ?? 0.5,
-          use_speaker_boost: true
-        }
-      });
+      // When streaming, the time limit covers the request; playback then follows the download
+      const streaming = canStream(settings, 'mp3');
+      const audio = await withTimeout(async (timeoutSignal) => {
+        const stream = await elClient.textToSpeech.convert(voiceId, { text: input, ...request }, { abortSignal: timeoutSignal });
+        if (streaming) return stream;
+        const chunks = [];
+        for await (const chunk of stream) { chunks.push(chunk); }
+        return Buffer.concat(chunks);
+      }, engineTimeout(settings, 'elevenlabs'), 'ElevenLabs request');
       
-      const tempFile = path.join(os.tmpdir(), `opencode-tts-${Date.now()}.mp3`);
-      const chunks = [];
-      for await (const chunk of audio) { chunks.push(chunk); }
-      fs.writeFileSync(tempFile, Buffer.concat(chunks));
-      
-      await playAudioFile(tempFile);
-      try { fs.unlinkSync(tempFile); } catch (e) {}
+      const tempFile = createTempFilePath('opencode-tts', 'mp3');
+      await playDownloaded(settings, audio, { tempFile, key: cacheKey, ext: 'mp3', signal });
+      engineHealth.recordSuccess('elevenlabs');
       return true;
     } catch (e) {
       debugLog(`speakWithElevenLabs error: ${e?.message || String(e) || 'Unknown error'}`);
@@ -329,8 +1143,10 @@ export const createTTS = ({ $, client }) => {
         e.message?.toLowerCase().includes('quota exceeded');
 
       if (isQuotaError) {
-        elevenLabsQuotaExceeded = true;
+        engineHealth.trip('elevenlabs', 'quota exceeded');
         await showToast("⚠️ ElevenLabs quota exceeded! Switching to Edge TTS for this session.", "error");
+      } else {
+        engineFailed('elevenlabs', e);
       }
       
       return false;
@@ -342,12 +1158,17 @@ export const createTTS = ({ $, client }) => {
    * Uses Python edge-tts package via command line as it's more reliable than Node.js WebSocket libraries.
    * Fallback: tries msedge-tts npm package if Python edge-tts is not available.
    */
-  const speakWithEdgeTTS = async (text) => {
-    const voice = config.edgeVoice || 'en-US-JennyNeural';
-    const pitch = config.edgePitch || '+0Hz';
-    const rate = config.edgeRate || '+10%';
-    const volume = config.edgeVolume || '+0%';
-    const tempFile = path.join(os.tmpdir(), `opencode-edge-tts-${Date.now()}.mp3`);
+  const speakWithEdgeTTS = async (text, signal = null, settings = config) => {
+    const voice = settings.edgeVoice || 'en-US-JennyNeural';
+    const pitch = settings.edgePitch || '+0Hz';
+    const rate = settings.edgeRate || '+10%';
+    const volume = settings.edgeVolume || '+0%';
+    const cacheKey = cacheKeyFor(settings, 'edge', { voice, pitch, rate, volume }, text);
+    if (await playCached(settings, 'edge', cacheKey, 'mp3', signal)) return true;
+    if (!engineAvailable('edge')) return false;
+
+    const tempFile = createTempFilePath('opencode-edge-tts', 'mp3');
+    const timeoutMs = engineTimeout(settings, 'edge');
     
     // Escape text for shell (replace quotes with escaped quotes)
     const escapedText = text.replace(/"/g, '\\"');
@@ -356,10 +1177,16 @@ export const createTTS = ({ $, client }) => {
     if ($) {
       try {
         // Use proper template literal syntax with individual arguments
-        await $`edge-tts --voice ${voice} --rate ${rate} --volume ${volume} --pitch ${pitch} --text ${escapedText} --write-media ${tempFile}`.quiet().nothrow();
+        await withTimeout(
+          () => $`edge-tts --voice ${voice} --rate ${rate} --volume ${volume} --pitch ${pitch} --text ${escapedText} --write-media ${tempFile}`.quiet().nothrow(),
+          timeoutMs,
+          'edge-tts CLI'
+        );
         
         if (fs.existsSync(tempFile)) {
-          await playAudioFile(tempFile);
+          engineHealth.recordSuccess('edge');
+          storeCached(settings, cacheKey, 'mp3', tempFile);
+          if (!settings.warmUp) await playAudioFile(tempFile, 1, signal);
           try { fs.unlinkSync(tempFile); } catch (e) {}
           debugLog('speakWithEdgeTTS: success via Python edge-tts CLI');
           return true;
@@ -375,16 +1202,20 @@ export const createTTS = ({ $, client }) => {
       const { MsEdgeTTS, OUTPUT_FORMAT } = await import('msedge-tts');
       const tts = new MsEdgeTTS();
       
-      await tts.setMetadata(voice, OUTPUT_FORMAT.AUDIO_24KHZ_48KBITRATE_MONO_MP3);
-      
-      const { audioFilePath } = await tts.toFile(os.tmpdir(), text, { pitch, rate, volume });
+      const { audioFilePath } = await withTimeout(async () => {
+        await tts.setMetadata(voice, OUTPUT_FORMAT.AUDIO_24KHZ_48KBITRATE_MONO_MP3);
+        return tts.toFile(os.tmpdir(), text, { pitch, rate, volume });
+      }, timeoutMs, 'msedge-tts request');
+      engineHealth.recordSuccess('edge');
+      storeCached(settings, cacheKey, 'mp3', audioFilePath);
       
-      await playAudioFile(audioFilePath);
+      if (!settings.warmUp) await playAudioFile(audioFilePath, 1, signal);
       try { fs.unlinkSync(audioFilePath); } catch (e) {}
       debugLog('speakWithEdgeTTS: success via msedge-tts npm package');
       return true;
     } catch (e) {
       debugLog(`speakWithEdgeTTS error: ${e?.message || String(e) || 'Unknown error'}`);
+      engineFailed('edge', e);
       return false;
     }
   };
@@ -392,7 +1223,7 @@ export const createTTS = ({ $, client }) => {
   /**
    * Windows SAPI Engine (Offline, Built-in)
    */
-  const speakWithSAPI = async (text) => {
+  const speakWithSAPI = async (text, signal = null, settings = config) => {
     if (platform !== 'win32') {
       debugLog('speakWithSAPI: skipped (not Windows)');
       return false;
@@ -401,13 +1232,13 @@ export const createTTS = ({ $, client }) => {
       debugLog('speakWithSAPI: skipped (shell helper $ not available)');
       return false;
     }
-    const scriptPath = path.join(os.tmpdir(), `opencode-sapi-${Date.now()}.ps1`);
+    const scriptPath = createTempFilePath('opencode-sapi', 'ps1');
     try {
-      const escapedText = text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;').replace(/'/g, '&apos;');
-      const voice = config.sapiVoice || 'Microsoft Zira Desktop';
-      const rate = Math.max(-10, Math.min(10, config.sapiRate || -1));
-      const pitch = config.sapiPitch || 'medium';
-      const volume = config.sapiVolume || 'loud';
+      const escapedText = settings.phonemes?.ssml ?? escapeXml(text);
+      const voice = settings.sapiVoice || 'Microsoft Zira Desktop';
+      const rate = Math.max(-10, Math.min(10, settings.sapiRate || -1));
+      const pitch = settings.sapiPitch || 'medium';
+      const volume = settings.sapiVolume || 'loud';
       const ratePercent = rate >= 0 ? `+${rate * 10}%` : `${rate * 5}%`;
       
       const ssml = `<?xml version="1.0" encoding="UTF-8"?>
@@ -455,10 +1286,14 @@ ${ssml}
   /**
    * macOS Say Engine
    */
-  const speakWithSay = async (text) => {
+  const speakWithSay = async (text, signal = null) => {
     if (platform !== 'darwin' || !$) return false;
     try {
-      await $`say ${text}`.quiet();
+      await runKillable(
+        (pidFile) => $`sh -c ${killablePlayerScript('say')} ${pidFile} ${text}`.quiet(),
+        signal,
+        debugLog
+      );
       return true;
     } catch (e) {
       debugLog(`speakWithSay error: ${e?.message || String(e) || 'Unknown error'}`);
@@ -466,18 +1301,170 @@ ${ssml}
     }
   };
 
+  /**
+   * Piper Engine (Offline, local neural voices)
+   * Synthesizes to a WAV file with a local Piper voice model (.onnx), then plays it.
+   * https://github.com/rhasspy/piper
+   */
+  const speakWithPiper = async (text, signal = null, settings = config) => {
+    if (!settings.piperModel) {
+      debugLog('speakWithPiper: skipped (no piperModel configured)');
+      return false;
+    }
+    if (!$) {
+      debugLog('speakWithPiper: skipped (shell helper $ not available)');
+      return false;
+    }
+
+    const model = path.isAbsolute(settings.piperModel) ? settings.piperModel : path.join(getConfigDir(), settings.piperModel);
+    if (!fs.existsSync(model)) {
+      debugLog(`speakWithPiper: voice model not found: ${model}`);
+      return false;
+    }
+
+    // Piper takes a length scale (higher = slower); piperRate is a speed multiplier like openaiTtsSpeed
+    const rate = Number(settings.piperRate) > 0 ? Number(settings.piperRate) : 1.0;
+    const lengthScale = (1 / rate).toFixed(2);
+    const speakerArgs = settings.piperSpeaker !== '' && settings.piperSpeaker !== undefined && settings.piperSpeaker !== null
+      ? ['--speaker', String(settings.piperSpeaker)]
+      : [];
+    const cacheKey = cacheKeyFor(settings, 'piper', { model, lengthScale, speakerArgs }, text);
+    if (await playCached(settings, 'piper', cacheKey, 'wav', signal)) return true;
+    const tempFile = createTempFilePath('opencode-tts-piper', 'wav');
+
+    try {
+      // Text goes in on stdin, so it never passes through argument parsing
+      await $`piper --model ${model} --length_scale ${lengthScale} ${speakerArgs} --output_file ${tempFile} < ${Buffer.from(text)}`.quiet();
+      if (!fs.existsSync(tempFile)) {
+        debugLog('speakWithPiper: no audio produced');
+        return false;
+      }
+      storeCached(settings, cacheKey, 'wav', tempFile);
+      if (!settings.warmUp) await playAudioFile(tempFile, 1, signal);
+      return true;
+    } catch (e) {
+      debugLog(`speakWithPiper error: ${e?.message || String(e) || 'Unknown error'}`);
+      return false;
+    } finally {
+      try { fs.unlinkSync(tempFile); } catch (e) {}
+    }
+  };
+
+  /**
+   * eSpeak NG Engine (Offline, robotic, available on nearly every Linux distro)
+   * Tries espeak-ng first, then the older espeak binary.
+   */
+  const speakWithEspeak = async (text, signal = null, settings = config) => {
+    if (!$) {
+      debugLog('speakWithEspeak: skipped (shell helper $ not available)');
+      return false;
+    }
+
+    const voice = settings.espeakVoice || 'en-us';
+    const rate = Math.round(Number(settings.espeakRate) || 175);
+    const cacheKey = cacheKeyFor(settings, 'espeak', { voice, rate }, text);
+    if (await playCached(settings, 'espeak', cacheKey, 'wav', signal)) return true;
+    const tempFile = createTempFilePath('opencode-tts-espeak', 'wav');
+
+    try {
+      for (const binary of ['espeak-ng', 'espeak']) {
+        try {
+          await $`${binary} -v ${voice} -s ${rate} -w ${tempFile} --stdin < ${Buffer.from(text)}`.quiet();
+        } catch (e) {
+          debugLog(`speakWithEspeak: ${binary} failed: ${e?.message || 'unknown'}`);
+          continue;
+        }
+        if (fs.existsSync(tempFile)) {
+          storeCached(settings, cacheKey, 'wav', tempFile);
+          if (!settings.warmUp) await playAudioFile(tempFile, 1, signal);
+          return true;
+        }
+      }
+      return false;
+    } finally {
+      try { fs.unlinkSync(tempFile); } catch (e) {}
+    }
+  };
+
+  /**
+   * Command Engine (any local TTS program: mimic3, festival, RHVoice, ...)
+   * ttsCommand is an argv template; each element is passed as one argument, never
+   * through a shell, so the text needs no escaping. Placeholders:
+   *   {text}    - the message (without it, the text is written to stdin)
+   *   {voice}   - ttsCommandVoice
+   *   {outFile} - temp file to write (without it, the audio is read from stdout)
+   */
+  const speakWithCommand = async (text, signal = null, settings = config) => {
+    const template = settings.ttsCommand;
+    if (!Array.isArray(template) || template.length === 0 || !template.every(arg => typeof arg === 'string')) {
+      debugLog('speakWithCommand: skipped (ttsCommand must be a non-empty array of strings)');
+      return false;
+    }
+    if (!$) {
+      debugLog('speakWithCommand: skipped (shell helper $ not available)');
+      return false;
+    }
+
+    const format = String(settings.ttsCommandFormat || 'wav').replace(/[^a-z0-9]/gi, '') || 'wav';
+    const cacheKey = cacheKeyFor(settings, 'command', { template, voice: settings.ttsCommandVoice || '' }, text);
+    if (await playCached(settings, 'command', cacheKey, format, signal)) return true;
+    const tempFile = createTempFilePath('opencode-tts-command', format);
+    const values = { text, voice: settings.ttsCommandVoice || '', outFile: tempFile };
+    const argv = template.map(arg => arg.replace(/\{(text|voice|outFile)\}/g, (match, name) => values[name]));
+    const textOnStdin = !template.some(arg => arg.includes('{text}'));
+    const audioOnStdout = !template.some(arg => arg.includes('{outFile}'));
+
+    try {
+      const result = textOnStdin
+        ? await $`${argv} < ${Buffer.from(text)}`.quiet()
+        : await $`${argv}`.quiet();
+
+      if (audioOnStdout) {
+        const audio = result?.stdout;
+        if (!audio || audio.length === 0) {
+          debugLog(`speakWithCommand: ${argv[0]} wrote no audio to stdout`);
+          return false;
+        }
+        fs.writeFileSync(tempFile, audio);
+      }
+      if (!fs.existsSync(tempFile)) {
+        debugLog(`speakWithCommand: ${argv[0]} produced no audio file`);
+        return false;
+      }
+      storeCached(settings, cacheKey, format, tempFile);
+      if (!settings.warmUp) await playAudioFile(tempFile, 1, signal);
+      return true;
+    } catch (e) {
+      debugLog(`speakWithCommand error (${argv[0]}): ${e?.message || String(e) || 'Unknown error'}`);
+      return false;
+    } finally {
+      try { fs.unlinkSync(tempFile); } catch (e) {}
+    }
+  };
+
   /**
    * OpenAI-Compatible TTS Engine (Kokoro, OpenAI, LocalAI, etc.)
    * Calls /v1/audio/speech endpoint with configurable base URL
    */
-  const speakWithOpenAI = async (text) => {
-    if (!config.openaiTtsEndpoint) {
+  const speakWithOpenAI = async (text, signal = null, settings = config) => {
+    if (!settings.openaiTtsEndpoint) {
       debugLog('speakWithOpenAI: No endpoint configured');
       return false;
     }
 
+    const endpoint = settings.openaiTtsEndpoint.replace(/\/$/, '');
+    const body = {
+      model: settings.openaiTtsModel || 'tts-1',
+      input: text,
+      voice: settings.openaiTtsVoice || 'alloy',
+      response_format: settings.openaiTtsFormat || 'mp3',
+      speed: settings.openaiTtsSpeed ?? 1.0,
+    };
+    const cacheKey = cacheKeyFor(settings, 'openai', { endpoint, ...body, input: undefined }, text);
+    if (await playCached(settings, 'openai', cacheKey, body.response_format, signal)) return true;
+    if (!engineAvailable('openai')) return false;
+
     try {
-      const endpoint = config.openaiTtsEndpoint.replace(/\/$/, '');
       const url = `${endpoint}/v1/audio/speech`;
       
       const headers = {
@@ -485,41 +1472,39 @@ ${ssml}
       };
       
       // Add auth header if API key is provided
-      if (config.openaiTtsApiKey) {
-        headers['Authorization'] = `Bearer ${config.openaiTtsApiKey}`;
+      if (settings.openaiTtsApiKey) {
+        headers['Authorization'] = `Bearer ${settings.openaiTtsApiKey}`;
       }
 
-      const body = {
-        model: config.openaiTtsModel || 'tts-1',
-        input: text,
-        voice: config.openaiTtsVoice || 'alloy',
-        response_format: config.openaiTtsFormat || 'mp3',
-        speed: config.openaiTtsSpeed ?? 1.0,
-      };
-
       debugLog(`speakWithOpenAI: Calling ${url} with voice=${body.voice}, model=${body.model}`);
 
-      const response = await fetch(url, {
-        method: 'POST',
-        headers,
-        body: JSON.stringify(body),
-      });
+      // When streaming, the time limit covers the request; playback then follows the download
+      const streaming = canStream(settings, body.response_format);
+      const result = await withTimeout(async (timeoutSignal) => {
+        const response = await fetch(url, {
+          method: 'POST',
+          headers,
+          body: JSON.stringify(body),
+          signal: timeoutSignal,
+        });
+        if (!response.ok) return { status: response.status, errorText: await response.text() };
+        if (streaming && response.body) return { audio: response.body };
+        return { audio: Buffer.from(await response.arrayBuffer()) };
+      }, engineTimeout(settings, 'openai'), 'OpenAI TTS request');
 
-      if (!response.ok) {
-        const errorText = await response.text();
-        debugLog(`speakWithOpenAI: API error ${response.status}: ${errorText}`);
+      if (!result.audio) {
+        debugLog(`speakWithOpenAI: API error ${result.status}: ${result.errorText}`);
+        engineFailed('openai', new Error(`HTTP ${result.status}`));
         return false;
       }
 
-      const audioBuffer = await response.arrayBuffer();
-      const tempFile = path.join(os.tmpdir(), `opencode-tts-openai-${Date.now()}.mp3`);
-      fs.writeFileSync(tempFile, Buffer.from(audioBuffer));
-
-      await playAudioFile(tempFile);
-      try { fs.unlinkSync(tempFile); } catch (e) {}
+      const tempFile = createTempFilePath('opencode-tts-openai', 'mp3');
+      await playDownloaded(settings, result.audio, { tempFile, key: cacheKey, ext: body.response_format, signal });
+      engineHealth.recordSuccess('openai');
       return true;
     } catch (e) {
       debugLog(`speakWithOpenAI error: ${e?.message || String(e) || 'Unknown error'}`);
+      engineFailed('openai', e);
       return false;
     }
   };
@@ -655,56 +1640,224 @@ public static extern int waveOutGetVolume(IntPtr hwo, out uint dwVolume);
     }
   };
 
+  /**
+   * What the engines get for a message: the pronunciation dictionary is applied
+   * and the text normalized for speech (see normalizeSpeechText).
+   * @param {string} message
+   * @param {object} settings - enableSpeechNormalization, pronunciations, projectPronunciations
+   * @returns {{ text: string, phonemes: { tags: string, ssml: string } | null }} phonemes is
+   *   set when a dictionary entry has IPA, for the engines that read <phoneme> tags
+   */
+  const prepareSpeech = (message, settings) => {
+    if (typeof message !== 'string') return { text: message, phonemes: null };
+    const { text: marked, matches } = markPronunciations(message, resolvePronunciations(settings, project));
+    const normalized = settings.enableSpeechNormalization === false ? marked : normalizeSpeechText(marked);
+
+    const text = renderPronunciations(normalized, matches);
+    if (text !== message) debugLog(`speak: "${message}" -> "${text}"`);
+    const phonemes = matches.some(match => match.ipa)
+      ? { tags: renderPronunciations(normalized, matches, 'tags'), ssml: renderPronunciations(normalized, matches, 'ssml') }
+      : null;
+    return { text, phonemes };
+  };
+
+  const engines = {
+    openai: speakWithOpenAI,
+    elevenlabs: speakWithElevenLabs,
+    edge: speakWithEdgeTTS,
+    sapi: speakWithSAPI,
+    say: speakWithSay,
+    piper: speakWithPiper,
+    espeak: speakWithEspeak,
+    command: speakWithCommand
+  };
+
   /**
    * Main Speak function with fallback chain
-   * Cascade: Primary Engine -> Edge TTS -> Windows SAPI -> macOS Say -> Sound File
+   * Tries the engines of resolveTTSChain() in order, then the fallback sound file.
+   * Default for ttsEngine 'elevenlabs': ElevenLabs -> Edge TTS -> Windows SAPI -> macOS Say -> Piper -> eSpeak
    * 
    * Fallback ensures TTS works even if:
    * - Python edge-tts not installed (falls to npm package, then SAPI/Say)
    * - msedge-tts npm fails (403 errors - falls to SAPI/Say)
    * - User is on macOS without edge-tts (falls to built-in 'say' command)
-   * - User is on Linux without edge-tts (falls to sound file only)
+   * - User is on Linux without edge-tts or network (falls to local Piper/eSpeak, then sound file)
+   *
+   * The local engines ('piper', 'espeak') try each other first, so air-gapped
+   * machines never wait on a network engine. ttsFallbackChain sets the order
+   * explicitly and ttsDisabledEngines keeps engines (e.g. cloud ones) out of it.
+   * options.profile (a voice profile) wins over the per-engine chain options.
+   *
+   * The message is normalized for speech first (see normalizeSpeechText).
+   * A message given as parts (see speechParts) is spoken part by part by
+   * cacheable engines; the next engine only speaks the parts not yet played.
+   * Plays right away; callers outside the queue use speak() instead.
+   * An aborted signal (preempted clip) stops the chain before the next engine.
    */
-  const speak = async (message, options = {}) => {
-    const activeConfig = { ...config, ...options };
+  const speakNow = async (message, options = {}, signal = null) => {
+    const { profile = {}, ...speechOptions } = options;
+    const activeConfig = { ...config, ...speechOptions };
     if (!activeConfig.enableSound) return false;
     
-    if (activeConfig.enableTTS) {
-      let success = false;
-      const engine = activeConfig.ttsEngine || 'elevenlabs';
-      
-      if (engine === 'openai') {
-        success = await speakWithOpenAI(message);
-        if (!success) success = await speakWithEdgeTTS(message);
-        if (!success) success = await speakWithSAPI(message);
-        if (!success) success = await speakWithSay(message);  // macOS fallback
-      } else if (engine === 'elevenlabs') {
-        success = await speakWithElevenLabs(message);
-        if (!success) success = await speakWithEdgeTTS(message);
-        if (!success) success = await speakWithSAPI(message);
-        if (!success) success = await speakWithSay(message);  // macOS fallback
-      } else if (engine === 'edge') {
-        success = await speakWithEdgeTTS(message);
-        if (!success) success = await speakWithSAPI(message);
-        if (!success) success = await speakWithSay(message);  // macOS fallback
-      } else if (engine === 'sapi') {
-        success = await speakWithSAPI(message);
-        if (!success) success = await speakWithSay(message);
+    let parts = speechParts(message)
+      .map(part => ({ part, ...prepareSpeech(part, activeConfig) }))
+      .filter(({ text }) => text);
+    if (activeConfig.enableTTS && parts.length > 0) {
+      const { chain, skipped } = resolveTTSChain(activeConfig);
+      skipped.forEach(({ engine, reason }) => debugLog(`speak: skipping ${engine} (${reason})`));
+      debugLog(`speak: chain ${chain.map(step => step.engine).join(' -> ') || '(empty)'}`);
+
+      for (const { engine, options: engineOptions } of chain) {
+        if (signal?.aborted) break;
+        const perPart = CACHEABLE_ENGINES.includes(engine) && activeConfig.enableTTSCache !== false;
+        const clips = perPart || parts.length === 1
+          ? parts
+          : [prepareSpeech(parts.map(({ part }) => part).join(' '), activeConfig)];
+
+        let spoken = 0;
+        for (const { text, phonemes } of clips) {
+          if (signal?.aborted) break;
+          const startedAt = Date.now();
+          const success = await engines[engine](text, signal, { ...activeConfig, ...engineOptions, ...profile, phonemes });
+          debugLog(`speak: ${engine} ${success ? 'succeeded' : 'failed'} (${Date.now() - startedAt}ms)`);
+          if (!success) break;
+          spoken++;
+        }
+        if (spoken === clips.length) return true;
+        if (perPart) parts = parts.slice(spoken);
       }
-      
-      if (success) return true;
     }
 
-    if (activeConfig.fallbackSound) {
+    if (activeConfig.fallbackSound && !signal?.aborted) {
       const soundPath = path.isAbsolute(activeConfig.fallbackSound) 
         ? activeConfig.fallbackSound 
         : path.join(getConfigDir(), activeConfig.fallbackSound);
 
-      await playAudioFile(soundPath, activeConfig.loops || 1);
+      await playAudioFile(soundPath, activeConfig.loops || 1, signal);
     }
     return false;
   };
 
+  /**
+   * Queue options for a clip (see createAudioQueue)
+   * @param {object} options - { priority, eventType, key, isStale }
+   * @param {string} label
+   */
+  const queueOptions = (options, label) => ({
+    priority: options.priority ?? getAudioPriority(options.eventType),
+    key: options.key,
+    isStale: options.isStale,
+    label: options.key ? `${label} ${options.key}` : label
+  });
+
+  /**
+   * Speak a message through the audio queue.
+   * Accepts the speakNow() options plus the queue options: priority (or eventType
+   * to derive it), key (merge duplicates) and isStale (drop once answered).
+   * eventType and reminder also pick the voice profile (see resolveVoiceProfile).
+   * @returns {Promise<boolean>} True if speech played
+   */
+  const speak = (message, options = {}) => {
+    const { priority, eventType, key, isStale, reminder, ...speechOptions } = options;
+    const profile = resolveVoiceProfile(config.voiceProfiles, eventType, { reminder });
+    if (Object.keys(profile).length > 0) {
+      debugLog(`speak: ${eventType}${reminder ? ' reminder' : ''} voice profile (${Object.keys(profile).join(', ')})`);
+    }
+    return audioQueue.enqueue(
+      (signal) => speakNow(message, { ...speechOptions, profile }, signal),
+      queueOptions({ priority, eventType, key, isStale }, 'speech')
+    );
+  };
+
+  /**
+   * Play a sound file through the audio queue.
+   * @param {string} filePath
+   * @param {number} [loops=1]
+   * @param {object} [options={}] - Queue options, as for speak()
+   * @returns {Promise<boolean>} True if the sound played
+   */
+  const queueAudioFile = (filePath, loops = 1, options = {}) => {
+    return audioQueue.enqueue(
+      (signal) => playAudioFile(filePath, loops, signal),
+      queueOptions(options, 'sound')
+    );
+  };
+
+  /**
+   * Pre-render messages into the audio cache in the background, so they play
+   * from local audio later (instantly, and even when the network is gone).
+   *
+   * Each message is synthesized by the active engine (the first of the chain)
+   * without playing anything. Clips already in the cache are
+   * skipped, so an interrupted warm-up resumes where it stopped on the next
+   * start. After each synthesized clip it waits delayMs to stay clear of rate
+   * limits, and it stops at the first message no engine could render (offline,
+   * quota exceeded) instead of hammering the services.
+   *
+   * @param {Array<string | { message: string | string[], eventType?: string, reminder?: boolean }>} messages -
+   *   Rendered message texts (or parts, see speechParts); with an event type they are rendered in its voice profile
+   * @param {object} [options={}]
+   * @param {number} [options.delayMs=config.ttsWarmUpDelayMs] - Pause after each synthesized clip
+   * @param {AbortSignal} [options.signal] - Stops the warm-up
+   * @returns {Promise<{ rendered: number, cached: number, failed: number, stopped: boolean }>}
+   */
+  const warmUp = async (messages, { delayMs = config.ttsWarmUpDelayMs, signal } = {}) => {
+    const result = { rendered: 0, cached: 0, failed: 0, stopped: false };
+    if (!config.enableSound || !config.enableTTS || config.enableTTSCache === false) return result;
+
+    // Only the active engine: clips of a fallback engine would never be looked up
+    const [active] = resolveTTSChain(config).chain;
+    if (!active || !CACHEABLE_ENGINES.includes(active.engine)) {
+      debugLog(`warmUp: ${active?.engine || 'no engine'} does not cache its audio, nothing to do`);
+      return result;
+    }
+
+    const speeches = [];
+    for (const item of messages || []) {
+      const { message, eventType, reminder } = typeof item === 'string' ? { message: item } : (item || {});
+      const profile = resolveVoiceProfile(config.voiceProfiles, eventType, { reminder });
+      for (const part of speechParts(message)) {
+        const speech = { ...prepareSpeech(part, config), profile };
+        const id = JSON.stringify([speech.text, profile]);
+        if (speech.text && !speeches.some(other => other.id === id)) {
+          speeches.push({ ...speech, id });
+        }
+      }
+    }
+    debugLog(`warmUp: ${speeches.length} message(s) via ${active.engine}`);
+
+    for (const { text, phonemes, profile } of speeches) {
+      if (signal?.aborted) {
+        result.stopped = true;
+        break;
+      }
+
+      const state = { alreadyCached: false };
+      const success = await engines[active.engine](text, signal, { ...config, ...active.options, ...profile, phonemes, warmUp: state });
+
+      if (signal?.aborted) {
+        result.stopped = true;
+        break;
+      }
+      if (!success) {
+        result.failed++;
+        result.stopped = true;
+        debugLog(`warmUp: could not render "${text}", stopping (resumes on next start)`);
+        break;
+      }
+      if (state.alreadyCached) {
+        result.cached++;
+        continue;
+      }
+
+      result.rendered++;
+      if (delayMs > 0) await abortableDelay(delayMs, signal);
+    }
+
+    debugLog(`warmUp: ${result.rendered} rendered, ${result.cached} already cached${result.stopped ? ', stopped early' : ''}`);
+    return result;
+  };
+
   return {
     speak,
     announce: async (message, options = {}) => {
@@ -714,7 +1867,10 @@ public static extern int waveOutGetVolume(IntPtr hwo, out uint dwVolume);
     },
     wakeMonitor,
     forceVolume,
-    playAudioFile,
+    playAudioFile: queueAudioFile,
+    clearCache: clearAudioCache,
+    getCacheStats: getAudioCacheStats,
+    warmUp,
     config
   };
 };
@@ -0,0 +1,217 @@
+/**
+ * Voice Commands Module
+ *
+ * Parses `/voice ...` slash command arguments and holds the runtime controls
+ * they change (mute, snooze, engine override). Runtime controls are applied on
+ * top of the loaded config as overrides, so the config file is never touched
+ * and everything resets when OpenCode restarts.
+ *
+ * Supported commands:
+ *   /voice mute [duration]    - Silence sounds and speech (indefinitely if no duration)
+ *   /voice unmute             - End mute and snooze
+ *   /voice snooze [duration]  - Cancel pending reminders and skip new ones (default 30m)
+ *   /voice test [type]        - Fire a test notification (idle, permission, question, error)
+ *   /voice status             - Show engine, mute/snooze state and pending reminders
+ *   /voice engine <name>      - Switch TTS engine until restart ("reset" restores config)
+ *   /voice history [count]    - Show recent notifications and whether they were answered
+ *   /voice cache [clear]      - Show the size of the TTS audio cache, or empty it
+ *
+ * @module util/voice-commands
+ */
+
+import { TTS_ENGINES } from './tts.js';
+import { parseDuration } from './duration.js';
+
+export const TEST_TYPES = ['idle', 'permission', 'question', 'error'];
+
+export const DEFAULT_SNOOZE_MS = 30 * 60 * 1000;
+
+export const DEFAULT_HISTORY_COUNT = 10;
+
+export const VOICE_COMMAND_USAGE = [
+  'Usage: /voice <command>',
+  '  mute [duration]    Silence sounds and speech (e.g. 30m, 1h, 1h30m)',
+  '  unmute             End mute and snooze',
+  '  snooze [duration]  Pause reminders (default 30m)',
+  `  test [type]        Fire a test notification (${TEST_TYPES.join(', ')})`,
+  '  status             Show current notifier state',
+  `  engine <name>      Switch TTS engine (${TTS_ENGINES.join(', ')}, reset)`,
+  `  history [count]    Show recent notifications (default ${DEFAULT_HISTORY_COUNT})`,
+  '  cache [clear]      Show or empty the TTS audio cache'
+].join('\n');
+
+// ========================================
+// PARSING
+// ========================================
+
+/**
+ * Parse the arguments of a `/voice` command.
+ *
+ * @param {string} args - Raw argument string (everything after "/voice")
+ * @returns {{ action: string, durationMs?: number | null, type?: string, engine?: string, count?: number, error?: string }}
+ *   action is one of: mute, unmute, snooze, test, status, engine, history, cache, cache-clear, help
+ */
+export const parseVoiceCommand = (args) => {
+  const tokens = String(args || '').trim().toLowerCase().split(/\s+/).filter(Boolean);
+  const [action = 'help', ...rest] = tokens;
+  const argText = rest.join('');
+
+  switch (action) {
+    case 'mute':
+    case 'snooze': {
+      if (!argText) {
+        return { action, durationMs: action === 'snooze' ? DEFAULT_SNOOZE_MS : null };
+      }
+      const durationMs = parseDuration(argText);
+      if (durationMs === null) {
+        return { action: 'help', error: `Invalid duration "${rest.join(' ')}"` };
+      }
+      return { action, durationMs };
+    }
+
+    case 'unmute':
+    case 'status':
+    case 'help':
+      return { action };
+
+    case 'test': {
+      const type = rest[0] || 'idle';
+      if (!TEST_TYPES.includes(type)) {
+        return { action: 'help', error: `Unknown test type "${type}"` };
+      }
+      return { action, type };
+    }
+
+    case 'engine': {
+      const engine = rest[0];
+      if (!engine) {
+        return { action: 'help', error: 'Missing engine name' };
+      }
+      if (engine !== 'reset' && !TTS_ENGINES.includes(engine)) {
+        return { action: 'help', error: `Unknown TTS engine "${engine}"` };
+      }
+      return { action, engine };
+    }
+
+    case 'history': {
+      if (!rest[0]) {
+        return { action, count: DEFAULT_HISTORY_COUNT };
+      }
+      const count = parseInt(rest[0], 10);
+      if (!/^\d+$/.test(rest[0]) || count < 1) {
+        return { action: 'help', error: `Invalid count "${rest[0]}"` };
+      }
+      return { action, count: Math.min(count, 100) };
+    }
+
+    case 'cache': {
+      if (!rest[0]) return { action };
+      if (rest[0] === 'clear') return { action: 'cache-clear' };
+      return { action: 'help', error: `Unknown cache command "${rest[0]}"` };
+    }
+
+    default:
+      return { action: 'help', error: `Unknown command "${action}"` };
+  }
+};
+
+// ========================================
+// RUNTIME CONTROLS
+// ========================================
+
+/**
+ * Create the runtime controls changed by `/voice` commands.
+ *
+ * @param {object} [options={}]
+ * @param {function} [options.now] - Clock, injectable for tests
+ * @returns {object} Controls API
+ */
+export const createVoiceControls = ({ now = () => Date.now() } = {}) => {
+  // mutedUntil: 0 = not muted, Infinity = muted until unmute
+  const state = {
+    mutedUntil: 0,
+    snoozedUntil: 0,
+    ttsEngine: null
+  };
+
+  const isMuted = () => state.mutedUntil > now();
+  const isSnoozed = () => state.snoozedUntil > now();
+
+  /**
+   * Mute sounds and speech.
+   * @param {number | null} durationMs - Duration, or null for "until unmuted"
+   */
+  const mute = (durationMs) => {
+    state.mutedUntil = durationMs ? now() + durationMs : Infinity;
+  };
+
+  /**
+   * Snooze reminders.
+   * @param {number} durationMs
+   */
+  const snooze = (durationMs) => {
+    state.snoozedUntil = now() + durationMs;
+  };
+
+  /**
+   * End mute and snooze.
+   */
+  const unmute = () => {
+    state.mutedUntil = 0;
+    state.snoozedUntil = 0;
+  };
+
+  /**
+   * Override the TTS engine until restart. Pass null to restore the config value.
+   * @param {string | null} engine
+   */
+  const setEngine = (engine) => {
+    state.ttsEngine = engine || null;
+  };
+
+  /**
+   * Config overrides for the current runtime state.
+   * Muting disables audio only; toasts, desktop and webhook notifications still fire.
+   * @returns {object}
+   */
+  const getOverrides = () => {
+    const overrides = {};
+    if (isMuted()) overrides.enableSound = false;
+    if (isSnoozed()) overrides.enableTTSReminder = false;
+    if (state.ttsEngine) overrides.ttsEngine = state.ttsEngine;
+    return overrides;
+  };
+
+  /**
+   * Remaining mute/snooze time, for status displays.
+   * @returns {{ muted: boolean, mutedForMs: number, snoozed: boolean, snoozedForMs: number, ttsEngine: string | null }}
+   */
+  const getState = () => ({
+    muted: isMuted(),
+    mutedForMs: isMuted() ? state.mutedUntil - now() : 0,
+    snoozed: isSnoozed(),
+    snoozedForMs: isSnoozed() ? state.snoozedUntil - now() : 0,
+    ttsEngine: state.ttsEngine
+  });
+
+  return {
+    mute,
+    unmute,
+    snooze,
+    setEngine,
+    isMuted,
+    isSnoozed,
+    getOverrides,
+    getState
+  };
+};
+
+export default {
+  TEST_TYPES,
+  TTS_ENGINES,
+  DEFAULT_SNOOZE_MS,
+  DEFAULT_HISTORY_COUNT,
+  VOICE_COMMAND_USAGE,
+  parseVoiceCommand,
+  createVoiceControls
+};
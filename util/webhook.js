@@ -109,6 +109,7 @@ export const EMBED_COLORS = {
   permission: 0xffaa00, // Orange/Amber - needs attention
   error: 0xff0000,     // Red - error
   question: 0x0099ff,  // Blue - question
+  agent: 0x9b59b6,     // Purple - message sent by the agent
   default: 0x7289da    // Discord blurple
 };
 
@@ -120,6 +121,7 @@ const EVENT_EMOJIS = {
   permission: '⚠️',
   error: '❌',
   question: '❓',
+  agent: '📣',
   default: '🔔'
 };
 
@@ -166,7 +168,7 @@ export const validateWebhookUrl = (url) => {
  * Build a Discord embed object for a notification.
  * 
  * @param {object} options - Embed options
- * @param {string} options.eventType - Event type (idle, permission, error, question)
+ * @param {string} options.eventType - Event type (idle, permission, error, question, agent)
  * @param {string} options.title - Embed title
  * @param {string} options.message - Embed description/message
  * @param {string} [options.projectName] - Project name for context
@@ -545,7 +547,7 @@ export const clearQueue = () => {
  * 
  * @param {string} url - Webhook URL
  * @param {object} notification - Notification details
- * @param {string} notification.eventType - Event type (idle, permission, error, question)
+ * @param {string} notification.eventType - Event type (idle, permission, error, question, agent)
  * @param {string} notification.title - Notification title
  * @param {string} notification.message - Notification message
  * @param {string} [notification.projectName] - Project name
@@ -610,9 +612,9 @@ export const sendWebhookNotification = async (url, notification, options = {}) =
 export const notifyWebhookIdle = async (url, message, options = {}) => {
   return sendWebhookNotification(url, {
     eventType: 'idle',
-    title: options.projectName 
+    title: options.title || (options.projectName 
       ? `${options.projectName} - Task Complete`
-      : 'Task Complete',
+      : 'Task Complete'),
     message: message,
     projectName: options.projectName,
     sessionId: options.sessionId
@@ -631,13 +633,14 @@ export const notifyWebhookIdle = async (url, message, options = {}) => {
 export const notifyWebhookPermission = async (url, message, options = {}) => {
   return sendWebhookNotification(url, {
     eventType: 'permission',
-    title: options.count > 1 
+    title: options.title || (options.count > 1 
       ? `${options.count} Permissions Required`
-      : 'Permission Required',
+      : 'Permission Required'),
     message: message,
     projectName: options.projectName,
     sessionId: options.sessionId,
-    count: options.count
+    count: options.count,
+    extra: { fields: options.fields }
   }, {
     ...options,
     mention: options.mention !== undefined ? options.mention : true // Default to mention for permissions
@@ -656,9 +659,9 @@ export const notifyWebhookPermission = async (url, message, options = {}) => {
 export const notifyWebhookError = async (url, message, options = {}) => {
   return sendWebhookNotification(url, {
     eventType: 'error',
-    title: options.projectName 
+    title: options.title || (options.projectName 
       ? `${options.projectName} - Error`
-      : 'Agent Error',
+      : 'Agent Error'),
     message: message,
     projectName: options.projectName,
     sessionId: options.sessionId
@@ -675,18 +678,41 @@ export const notifyWebhookError = async (url, message, options = {}) => {
  * @param {string} url - Webhook URL
  * @param {string} message - Notification message
  * @param {object} [options={}] - Additional options
+ * @param {object[]} [options.fields] - Extra embed fields (e.g. the offered options)
  * @returns {Promise<{ success: boolean, error?: string, queued?: boolean }>}
  */
 export const notifyWebhookQuestion = async (url, message, options = {}) => {
   return sendWebhookNotification(url, {
     eventType: 'question',
-    title: options.count > 1 
+    title: options.title || (options.count > 1 
       ? `${options.count} Questions Need Your Input`
-      : 'Question',
+      : 'Question'),
     message: message,
     projectName: options.projectName,
     sessionId: options.sessionId,
-    count: options.count
+    count: options.count,
+    extra: { fields: options.fields }
+  }, options);
+};
+
+/**
+ * Send an agent message webhook.
+ * Used when the agent deliberately asks for the user's attention (notify_user tool).
+ * 
+ * @param {string} url - Webhook URL
+ * @param {string} message - Notification message
+ * @param {object} [options={}] - Additional options
+ * @returns {Promise<{ success: boolean, error?: string, queued?: boolean }>}
+ */
+export const notifyWebhookAgent = async (url, message, options = {}) => {
+  return sendWebhookNotification(url, {
+    eventType: 'agent',
+    title: options.title || (options.projectName 
+      ? `${options.projectName} - Message from Agent`
+      : 'Message from Agent'),
+    message: message,
+    projectName: options.projectName,
+    sessionId: options.sessionId
   }, options);
 };
 
@@ -737,6 +763,7 @@ export default {
   notifyWebhookPermission,
   notifyWebhookError,
   notifyWebhookQuestion,
+  notifyWebhookAgent,
   
   // Constants
   EMBED_COLORS